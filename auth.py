@@ -0,0 +1,261 @@
+"""
+Users, login sessions and the audit log for the helper, stored in SQLite.
+Kept free of Flask so it can be tested on its own.
+
+Roles are ordered: a `chatter` can do everything a `viewer` can, and an
+`admin` everything a `chatter` can.
+
+    viewer  – read stats, models and saved chats
+    chatter – chat, save chats, preload / unload models
+    admin   – pull and delete models, restart the service, reboot the board,
+              manage users and read the audit log
+
+Passwords are stored as salted PBKDF2 hashes. Session tokens are random and
+only their SHA-256 is stored, so a copy of the database can't be used to log
+in.
+
+EventSource can't send an Authorization header, so event streams authenticate
+with a stream ticket instead: single-use, valid for STREAM_TICKET_TTL seconds
+and kept in memory only. Request logs that record the stream URL then never
+hold a usable credential.
+"""
+
+import hashlib
+import hmac
+import re
+import secrets
+import sqlite3
+import threading
+import time
+
+ROLES = ('viewer', 'chatter', 'admin')
+PBKDF2_ITERATIONS = 200_000
+MIN_PASSWORD_LENGTH = 8
+USERNAME_PATTERN = re.compile(r'^[A-Za-z0-9_.-]{1,32}$')
+STREAM_TICKET_TTL = 30
+
+
+def role_allows(role, required):
+    """True if `role` is at least `required`."""
+    if role not in ROLES or required not in ROLES:
+        return False
+    return ROLES.index(role) >= ROLES.index(required)
+
+
+def hash_password(password, salt=None, iterations=PBKDF2_ITERATIONS):
+    """Return `pbkdf2_sha256$<iterations>$<salt>$<hash>`."""
+    salt = salt or secrets.token_hex(16)
+    digest = hashlib.pbkdf2_hmac('sha256', password.encode('utf-8'), salt.encode('ascii'), iterations)
+    return f"pbkdf2_sha256${iterations}${salt}${digest.hex()}"
+
+
+def verify_password(password, stored):
+    try:
+        scheme, iterations, salt, _ = stored.split('$')
+    except ValueError:
+        return False
+    if scheme != 'pbkdf2_sha256':
+        return False
+    return hmac.compare_digest(hash_password(password, salt, int(iterations)), stored)
+
+
+def _token_hash(token):
+    return hashlib.sha256(token.encode('utf-8')).hexdigest()
+
+
+class AuthStore:
+    def __init__(self, path, session_ttl=7 * 24 * 3600):
+        self.path = path
+        self.session_ttl = session_ttl
+        self._lock = threading.Lock()
+        # ticket hash -> (session token, expires)
+        self._stream_tickets = {}
+        # check_same_thread=False: Flask serves requests from several threads;
+        # the lock serialises access to the single connection.
+        self._db = sqlite3.connect(path, check_same_thread=False)
+        self._db.executescript(
+            'CREATE TABLE IF NOT EXISTS users ('
+            ' username TEXT PRIMARY KEY,'
+            ' password TEXT NOT NULL,'
+            ' role TEXT NOT NULL,'
+            ' created REAL NOT NULL);'
+            'CREATE TABLE IF NOT EXISTS sessions ('
+            ' token_hash TEXT PRIMARY KEY,'
+            ' username TEXT NOT NULL,'
+            ' expires REAL NOT NULL);'
+            'CREATE TABLE IF NOT EXISTS audit ('
+            ' id INTEGER PRIMARY KEY AUTOINCREMENT,'
+            ' time REAL NOT NULL,'
+            ' username TEXT NOT NULL,'
+            ' action TEXT NOT NULL,'
+            ' target TEXT NOT NULL,'
+            ' status TEXT NOT NULL,'
+            ' detail TEXT NOT NULL,'
+            ' remote_addr TEXT NOT NULL);'
+        )
+        self._db.commit()
+
+    def close(self):
+        self._db.close()
+
+    # -- users ---------------------------------------------------------------
+
+    @staticmethod
+    def _validate(username=None, password=None, role=None):
+        if username is not None and not USERNAME_PATTERN.match(username):
+            raise ValueError('Usernames are 1-32 letters, digits, ".", "_" or "-"')
+        if password is not None and len(password) < MIN_PASSWORD_LENGTH:
+            raise ValueError(f'Passwords need at least {MIN_PASSWORD_LENGTH} characters')
+        if role is not None and role not in ROLES:
+            raise ValueError(f'Role must be one of: {", ".join(ROLES)}')
+
+    def has_users(self):
+        with self._lock:
+            return self._db.execute('SELECT 1 FROM users LIMIT 1').fetchone() is not None
+
+    def list_users(self):
+        with self._lock:
+            rows = self._db.execute('SELECT username, role, created FROM users ORDER BY username').fetchall()
+        return [{'username': u, 'role': r, 'created': c} for u, r, c in rows]
+
+    def get_user(self, username):
+        with self._lock:
+            row = self._db.execute('SELECT username, role FROM users WHERE username = ?', (username,)).fetchone()
+        return {'username': row[0], 'role': row[1]} if row else None
+
+    def create_user(self, username, password, role):
+        self._validate(username, password, role)
+        with self._lock:
+            if self._db.execute('SELECT 1 FROM users WHERE username = ?', (username,)).fetchone():
+                raise ValueError(f'User {username} already exists')
+            self._db.execute(
+                'INSERT INTO users (username, password, role, created) VALUES (?, ?, ?, ?)',
+                (username, hash_password(password), role, time.time()),
+            )
+            self._db.commit()
+        return {'username': username, 'role': role}
+
+    def _admin_count(self):
+        return self._db.execute("SELECT COUNT(*) FROM users WHERE role = 'admin'").fetchone()[0]
+
+    def update_user(self, username, role=None, password=None):
+        """Change a user's role and/or password. Raises KeyError if unknown."""
+        self._validate(password=password, role=role)
+        with self._lock:
+            row = self._db.execute('SELECT role FROM users WHERE username = ?', (username,)).fetchone()
+            if row is None:
+                raise KeyError(username)
+            if role and role != 'admin' and row[0] == 'admin' and self._admin_count() == 1:
+                raise ValueError('The last admin cannot be demoted')
+            if role:
+                self._db.execute('UPDATE users SET role = ? WHERE username = ?', (role, username))
+            if password:
+                self._db.execute('UPDATE users SET password = ? WHERE username = ?', (hash_password(password), username))
+                # A new password logs the user out everywhere.
+                self._db.execute('DELETE FROM sessions WHERE username = ?', (username,))
+            self._db.commit()
+        return self.get_user(username)
+
+    def delete_user(self, username):
+        with self._lock:
+            row = self._db.execute('SELECT role FROM users WHERE username = ?', (username,)).fetchone()
+            if row is None:
+                raise KeyError(username)
+            if row[0] == 'admin' and self._admin_count() == 1:
+                raise ValueError('The last admin cannot be deleted')
+            self._db.execute('DELETE FROM users WHERE username = ?', (username,))
+            self._db.execute('DELETE FROM sessions WHERE username = ?', (username,))
+            self._db.commit()
+
+    def authenticate(self, username, password):
+        """Return the user for valid credentials, else None."""
+        with self._lock:
+            row = self._db.execute('SELECT password, role FROM users WHERE username = ?', (username,)).fetchone()
+        if row is None:
+            # Spend the same time as a real check so usernames can't be probed.
+            verify_password(password, hash_password('x'))
+            return None
+        if not verify_password(password, row[0]):
+            return None
+        return {'username': username, 'role': row[1]}
+
+    # -- sessions ------------------------------------------------------------
+
+    def create_session(self, username):
+        """Start a session; returns `(token, expires)`."""
+        token = secrets.token_urlsafe(32)
+        expires = time.time() + self.session_ttl
+        with self._lock:
+            self._db.execute('DELETE FROM sessions WHERE expires < ?', (time.time(),))
+            self._db.execute(
+                'INSERT INTO sessions (token_hash, username, expires) VALUES (?, ?, ?)',
+                (_token_hash(token), username, expires),
+            )
+            self._db.commit()
+        return token, expires
+
+    def session_user(self, token):
+        """User behind a session token, or None if unknown or expired."""
+        if not token:
+            return None
+        with self._lock:
+            row = self._db.execute(
+                'SELECT u.username, u.role, s.expires FROM sessions s JOIN users u ON u.username = s.username'
+                ' WHERE s.token_hash = ?',
+                (_token_hash(token),),
+            ).fetchone()
+        if row is None or row[2] < time.time():
+            return None
+        return {'username': row[0], 'role': row[1]}
+
+    def revoke_session(self, token):
+        with self._lock:
+            self._db.execute('DELETE FROM sessions WHERE token_hash = ?', (_token_hash(token),))
+            self._db.commit()
+
+    def create_stream_ticket(self, token):
+        """Ticket standing in for the session `token` on one stream request."""
+        ticket = secrets.token_urlsafe(24)
+        now = time.time()
+        with self._lock:
+            self._stream_tickets = {k: v for k, v in self._stream_tickets.items() if v[1] >= now}
+            self._stream_tickets[_token_hash(ticket)] = (token, now + STREAM_TICKET_TTL)
+        return ticket
+
+    def redeem_stream_ticket(self, ticket):
+        """
+        User behind a stream ticket, or None. A ticket works once; the session
+        it was issued for must still be valid.
+        """
+        if not ticket:
+            return None
+        with self._lock:
+            entry = self._stream_tickets.pop(_token_hash(ticket), None)
+        if entry is None or entry[1] < time.time():
+            return None
+        return self.session_user(entry[0])
+
+    # -- audit log -----------------------------------------------------------
+
+    def record(self, username, action, target='', status='ok', detail='', remote_addr=''):
+        with self._lock:
+            self._db.execute(
+                'INSERT INTO audit (time, username, action, target, status, detail, remote_addr)'
+                ' VALUES (?, ?, ?, ?, ?, ?, ?)',
+                (time.time(), username or '', action, target or '', status, detail or '', remote_addr or ''),
+            )
+            self._db.commit()
+
+    def audit_log(self, limit=200, before=None):
+        """Newest entries first; `before` pages back from an entry id."""
+        query = 'SELECT id, time, username, action, target, status, detail, remote_addr FROM audit'
+        args = []
+        if before is not None:
+            query += ' WHERE id < ?'
+            args.append(before)
+        query += ' ORDER BY id DESC LIMIT ?'
+        args.append(limit)
+        with self._lock:
+            rows = self._db.execute(query, args).fetchall()
+        keys = ('id', 'time', 'username', 'action', 'target', 'status', 'detail', 'remote_addr')
+        return [dict(zip(keys, row)) for row in rows]
@@ -0,0 +1,138 @@
+"""
+SQLite-backed store for saved chats, shared by every browser that opens the
+panel. Kept free of Flask so it can be tested on its own.
+
+Each chat is stored as the JSON document the frontend sends (title, tree,
+model, settings, tags, ...) plus a server-side `revision` counter. Updates and
+deletes name the revision they were based on; if another client has saved in
+the meantime the store raises `ChatConflict` instead of overwriting.
+
+Deleted chats leave a tombstone so that browsers with an offline copy learn
+about the deletion on their next sync.
+"""
+
+import json
+import sqlite3
+import threading
+import time
+
+# Fields shown in the chat list; everything else (mainly the message tree)
+# is only returned by `get`.
+SUMMARY_FIELDS = ('id', 'title', 'model', 'tags', 'pinned', 'created', 'updated')
+
+
+class ChatNotFound(Exception):
+    pass
+
+
+class ChatConflict(Exception):
+    """Raised when the caller's base revision is not the stored one."""
+
+    def __init__(self, current):
+        super().__init__('Chat was changed by another client')
+        # Stored chat (or None if it was deleted) so the client can resolve.
+        self.current = current
+
+
+class ChatStore:
+    def __init__(self, path):
+        self.path = path
+        self._lock = threading.Lock()
+        # check_same_thread=False: Flask serves requests from several threads;
+        # the lock serialises access to the single connection.
+        self._db = sqlite3.connect(path, check_same_thread=False)
+        self._db.execute(
+            'CREATE TABLE IF NOT EXISTS chats ('
+            ' id TEXT PRIMARY KEY,'
+            ' revision INTEGER NOT NULL,'
+            ' deleted INTEGER NOT NULL DEFAULT 0,'
+            ' modified REAL NOT NULL,'
+            ' data TEXT NOT NULL)'
+        )
+        self._db.commit()
+
+    def close(self):
+        self._db.close()
+
+    # -- helpers -------------------------------------------------------------
+
+    def _row(self, chat_id):
+        return self._db.execute(
+            'SELECT revision, deleted, data FROM chats WHERE id = ?', (chat_id,)
+        ).fetchone()
+
+    @staticmethod
+    def _document(chat_id, revision, data):
+        chat = json.loads(data)
+        chat['id'] = chat_id
+        chat['revision'] = revision
+        return chat
+
+    def _write(self, chat_id, revision, chat, deleted=False):
+        # Never store the client's own sync bookkeeping.
+        data = {k: v for k, v in chat.items() if k not in ('id', 'revision', 'dirty', 'deleted')}
+        self._db.execute(
+            'INSERT OR REPLACE INTO chats (id, revision, deleted, modified, data) VALUES (?, ?, ?, ?, ?)',
+            (chat_id, revision, 1 if deleted else 0, time.time(), json.dumps(data)),
+        )
+        self._db.commit()
+        return self._document(chat_id, revision, json.dumps(data))
+
+    # -- public API ----------------------------------------------------------
+
+    def list(self):
+        """Return `(summaries, tombstones)`; both carry `id` and `revision`."""
+        with self._lock:
+            rows = self._db.execute('SELECT id, revision, deleted, data FROM chats').fetchall()
+        chats, deleted = [], []
+        for chat_id, revision, is_deleted, data in rows:
+            if is_deleted:
+                deleted.append({'id': chat_id, 'revision': revision})
+                continue
+            doc = self._document(chat_id, revision, data)
+            summary = {k: doc[k] for k in SUMMARY_FIELDS if k in doc}
+            summary['revision'] = revision
+            chats.append(summary)
+        chats.sort(key=lambda c: c.get('updated') or 0, reverse=True)
+        return chats, deleted
+
+    def get(self, chat_id):
+        with self._lock:
+            row = self._row(chat_id)
+        if row is None or row[1]:
+            raise ChatNotFound(chat_id)
+        return self._document(chat_id, row[0], row[2])
+
+    def create(self, chat):
+        chat_id = str(chat.get('id') or '').strip()
+        if not chat_id:
+            raise ValueError('Chat id is required')
+        with self._lock:
+            row = self._row(chat_id)
+            if row is not None and not row[1]:
+                raise ChatConflict(self._document(chat_id, row[0], row[2]))
+            # Re-creating a deleted chat continues its revision count.
+            revision = row[0] + 1 if row is not None else 1
+            return self._write(chat_id, revision, chat)
+
+    def update(self, chat_id, chat, base_revision):
+        with self._lock:
+            row = self._row(chat_id)
+            if row is None:
+                raise ChatNotFound(chat_id)
+            if row[1]:
+                raise ChatConflict(None)
+            if base_revision != row[0]:
+                raise ChatConflict(self._document(chat_id, row[0], row[2]))
+            return self._write(chat_id, row[0] + 1, chat)
+
+    def delete(self, chat_id, base_revision=None):
+        """Delete a chat. Without `base_revision` the delete is unconditional."""
+        with self._lock:
+            row = self._row(chat_id)
+            if row is None or row[1]:
+                raise ChatNotFound(chat_id)
+            if base_revision is not None and base_revision != row[0]:
+                raise ChatConflict(self._document(chat_id, row[0], row[2]))
+            self._write(chat_id, row[0] + 1, {}, deleted=True)
+            return row[0] + 1
@@ -4,11 +4,14 @@
 #  • Installs missing system dependencies (git, node, npm, python3, pip)
 #  • Pulls the latest commits from the 'main' branch of this repo
 #  • Installs / updates Python & Node.js dependencies
-#  • Builds the React frontend and starts a lightweight static server
-#  • Starts the Python system-stats helper
+#  • Builds the React frontend and starts panel_server.js, which serves it and
+#    proxies /ollama and /stats on the same port
+#  • Starts the Python system-stats helper (localhost only, behind the proxy)
 #
-#  Frontend: served on http://<JETSON_IP>:3000
-#  Backend : http://<JETSON_IP>:5001/api/system-stats
+#  Panel: http://<JETSON_IP>:3000  (https:// when TLS_CERT and TLS_KEY are set)
+#
+#  Ollama and the helper stay on localhost. Set EXPOSE_OLLAMA=1 to also run
+#  expose_ollama.sh (Ollama on every interface, for direct API clients).
 #
 #  Run from the repository root:
 #      chmod +x deploy_and_run.sh
@@ -67,8 +70,10 @@ if [[ -f "$REPO_DIR/expose_ollama.sh" ]]; then
   chmod +x "$REPO_DIR/expose_ollama.sh"
 fi
 
-# 2b. Configure / restart Ollama service to listen on all interfaces & allow CORS
-if [[ -f "expose_ollama.sh" ]]; then
+# 2b. Optionally configure / restart Ollama to listen on all interfaces & allow CORS
+if [[ "${EXPOSE_OLLAMA:-0}" != "1" ]]; then
+  log "Ollama stays on localhost; the panel reaches it through panel_server.js (EXPOSE_OLLAMA=1 to expose it)"
+elif [[ -f "expose_ollama.sh" ]]; then
   log "Configuring Ollama network & CORS settings (requires sudo)"
   if sudo ./expose_ollama.sh; then
     log "Ollama service configured."
@@ -109,31 +114,33 @@ else
 fi
 
 # 5. Start / restart backend ----------------------------------------------------
+# Only panel_server.js talks to the helper, so it listens on localhost and
+# trusts the proxy's X-Forwarded-For for the audit log.
 log "(Re)starting stats_server.py on port 5001"
 if pgrep -f stats_server.py >/dev/null; then
   pkill -f stats_server.py
   sleep 1
 fi
-nohup python3 stats_server.py > stats_server.log 2>&1 &
+STATS_HOST="${STATS_HOST:-127.0.0.1}" TRUSTED_PROXIES="${TRUSTED_PROXIES:-1}" \
+  nohup python3 stats_server.py > stats_server.log 2>&1 &
 
-# 6. Start static server for React build ---------------------------------------
+# 6. Start the panel server (static build + API proxy) -------------------------
 if [[ -d "$FRONTEND_DIR/build" ]]; then
-  if ! command -v serve >/dev/null 2>&1; then
-    log "Installing 'serve' to serve static React build"
-    sudo npm install -g serve
-  fi
-  log "(Re)starting frontend on port 3000"
-  pkill -f "serve -s $FRONTEND_DIR/build" || true
-  nohup serve -s "$FRONTEND_DIR/build" -l tcp://0.0.0.0:3000 > frontend.log 2>&1 &
+  log "(Re)starting panel_server.js on port 3000"
+  pkill -f panel_server.js || true
+  nohup node panel_server.js > frontend.log 2>&1 &
 else
   warn "React build directory not found – frontend was not started."
 fi
 
 log "All done!"
 JETSON_IP=$(hostname -I | awk '{print $1}')
-# Announce URLs
-echo -e "${GREEN}→ Frontend:${NC} http://$JETSON_IP:3000"
-echo -e "${GREEN}→ Backend :${NC} http://$JETSON_IP:5001/api/system-stats"
+SCHEME=http
+if [[ -n "${TLS_CERT:-}" && -n "${TLS_KEY:-}" ]]; then
+  SCHEME=https
+fi
+# Announce URL
+echo -e "${GREEN}→ Panel:${NC} $SCHEME://$JETSON_IP:3000"
 
 # If running under systemd (INVOCATION_ID is set), stay alive so the service
 # remains active. Otherwise the script exits and systemd marks the unit as
@@ -141,7 +148,7 @@ echo -e "${GREEN}→ Backend :${NC} http://$JETSON_IP:5001/api/system-stats"
 if [[ -n "${INVOCATION_ID:-}" ]]; then
   echo "${GREEN}[INFO]${NC} Running under systemd – keeping process alive."
   # Trap SIGTERM so 'systemctl stop' works cleanly.
-  trap 'echo "Stopping background servers"; pkill -f stats_server.py; pkill -f "serve -s"; exit 0' TERM INT
+  trap 'echo "Stopping background servers"; pkill -f stats_server.py; pkill -f panel_server.js; exit 0' TERM INT
   while :; do sleep 3600; done
 fi
 
@@ -149,10 +156,10 @@ fi
 if command -v xdg-open >/dev/null 2>&1; then
   echo -e "${GREEN}[INFO]${NC} Launching default browser with application UI"
   # Use background so script doesn\'t block if browser CLI holds terminal
-  (xdg-open "http://$JETSON_IP:3000" >/dev/null 2>&1 &)
+  (xdg-open "$SCHEME://$JETSON_IP:3000" >/dev/null 2>&1 &)
 elif command -v sensible-browser >/dev/null 2>&1; then
   echo -e "${GREEN}[INFO]${NC} Launching browser via sensible-browser"
-  (sensible-browser "http://$JETSON_IP:3000" >/dev/null 2>&1 &)
+  (sensible-browser "$SCHEME://$JETSON_IP:3000" >/dev/null 2>&1 &)
 else
-  echo -e "${YELLOW}[WARN]${NC} Could not detect a command to open the browser automatically. Please open http://$JETSON_IP:3000 manually."
+  echo -e "${YELLOW}[WARN]${NC} Could not detect a command to open the browser automatically. Please open $SCHEME://$JETSON_IP:3000 manually."
 fi 
\ No newline at end of file
@@ -5,6 +5,10 @@
 # OLLAMA_HOST=0.0.0.0 so the Ollama REST API is accessible from other machines
 # on the network.
 #
+# The panel doesn't need this: panel_server.js proxies /ollama to a
+# localhost-only Ollama. Use it only for clients that call Ollama directly
+# (deploy_and_run.sh runs it when EXPOSE_OLLAMA=1).
+#
 # Usage:
 #   sudo ./expose_ollama.sh   # must be run as root (or via sudo)
 # ---------------------------------------------------------------------------
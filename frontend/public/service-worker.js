@@ -0,0 +1,113 @@
+/* eslint-env serviceworker */
+// service-worker.js — keeps the panel's app shell available offline
+// ---------------------------------------------------------------------------
+// Registered by src/serviceWorkerRegistration.js in production builds.
+//   page loads      → network first; the cached index.html when the network
+//                     is gone or doesn't answer within NAVIGATION_TIMEOUT_MS
+//   /static/*       → cache first (file names carry content hashes)
+//   other files     → network first, the cached copy when offline
+//   /ollama, /stats → not handled: API calls always go to the network
+// Installing caches the entry points listed in asset-manifest.json, so the
+// shell loads offline right after the first visit. Every fresh index.html
+// drops the hashed files the new build no longer uses.
+//
+// Plain service worker API, no Workbox: the file is copied into the build
+// as is.
+// ---------------------------------------------------------------------------
+'use strict';
+
+const CACHE = 'panel-shell-v1';
+const SHELL_FILES = ['index.html', 'manifest.json', 'favicon.ico', 'logo192.png', 'logo512.png'];
+const API_PREFIXES = ['ollama', 'stats'];
+// Flaky Wi-Fi can leave a request hanging; after this the cached shell wins.
+const NAVIGATION_TIMEOUT_MS = 4000;
+
+function scopeUrl(path) {
+  return new URL(path, self.registration.scope).href;
+}
+
+async function assetManifest() {
+  const response = await fetch(scopeUrl('asset-manifest.json'), { cache: 'no-store' });
+  if (!response.ok) throw new Error(`asset-manifest.json: ${response.status}`);
+  return response.json();
+}
+
+async function precache() {
+  const manifest = await assetManifest();
+  const cache = await caches.open(CACHE);
+  await cache.addAll([...SHELL_FILES, ...manifest.entrypoints].map(scopeUrl));
+}
+
+async function pruneStatic() {
+  const manifest = await assetManifest();
+  const current = new Set(Object.values(manifest.files).map(scopeUrl));
+  const cache = await caches.open(CACHE);
+  const stale = (await cache.keys()).filter(req => new URL(req.url).pathname.includes('/static/') && !current.has(req.url));
+  await Promise.all(stale.map(req => cache.delete(req)));
+}
+
+async function navigationResponse(request) {
+  const cache = await caches.open(CACHE);
+  const network = fetch(request).then((response) => {
+    if (response.ok && (response.headers.get('content-type') || '').includes('text/html')) {
+      cache.put(scopeUrl('index.html'), response.clone())
+        .then(pruneStatic)
+        .catch(() => { /* offline again or no manifest: keep what is cached */ });
+    }
+    return response;
+  });
+  const timeout = new Promise(resolve => setTimeout(resolve, NAVIGATION_TIMEOUT_MS));
+  const first = await Promise.race([network.catch(() => null), timeout]);
+  if (first) return first;
+  const cached = await cache.match(scopeUrl('index.html'));
+  return cached || network;
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) (await caches.open(CACHE)).put(request, response.clone());
+  return response;
+}
+
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) (await caches.open(CACHE)).put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(name => name !== CACHE).map(name => caches.delete(name))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+  const path = url.pathname.slice(new URL(self.registration.scope).pathname.length);
+  if (API_PREFIXES.some(prefix => path === prefix || path.startsWith(`${prefix}/`))) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(navigationResponse(request));
+  } else if (path.startsWith('static/')) {
+    event.respondWith(cacheFirst(request));
+  } else {
+    event.respondWith(networkFirst(request));
+  }
+});
@@ -1,36 +1,133 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import remarkBreaks from 'remark-breaks';
+import {
+  ChatSettingsDrawer,
+  DEFAULT_CHAT_SETTINGS,
+  buildChatRequestBody,
+  countCustomSettings,
+} from './ChatSettings';
+import { ChatMetricsFooter } from './ChatMetrics';
+import { streamChat } from './ollamaChat';
+import { modelsInFlight } from './modelActivity';
+import ComparePane from './ComparePane';
+import StatsHistoryChart from './StatsHistoryChart';
+import SystemDetails from './SystemDetails';
+import useStatsStream, { STATS_STATUS_LABELS } from './useStatsStream';
+import usePullQueue from './usePullQueue';
+import PullQueuePanel from './PullQueuePanel';
+import ModelInspector from './ModelInspector';
+import useRunningModels, { checkModelMemory, runningModelName } from './useRunningModels';
+import useModelCapabilities from './useModelCapabilities';
+import { MAX_ATTACHMENTS, downscaleImage, imageDataUrl, imageFiles } from './imageAttachments';
+import useKnowledge from './useKnowledge';
+import KnowledgePanel from './KnowledgePanel';
+import { ChatSourcesFooter } from './ChatSources';
+import { buildKnowledgePrompt, hitsToSources } from './knowledge';
+import useTools from './useTools';
+import ToolsPanel from './ToolsPanel';
+import { ChatToolSteps } from './ChatToolSteps';
+import { MAX_TOOL_ROUNDS, runToolCall, toolStepMessages } from './tools';
+import { checkStructuredReply, formatMode, formatRetries, parseFormat, retryPrompt } from './structuredOutput';
+import { ChatStructuredReply } from './ChatStructuredReply';
+import PlaygroundPane from './PlaygroundPane';
+import PromptLibraryPanel from './PromptLibraryPanel';
+import usePromptLibrary from './usePromptLibrary';
+import BenchmarkPane from './BenchmarkPane';
+import useBenchmarkBaselines from './useBenchmarkBaselines';
+import useGuardrails from './useGuardrails';
+import GuardrailsPanel, { LEVEL_STYLES } from './GuardrailsPanel';
+import { criticalSummary } from './guardrails';
+import usePowerState from './usePowerState';
+import PowerPanel from './PowerPanel';
+import LogsPane from './LogsPane';
+import useConnectivity from './useConnectivity';
+import usePromptOutbox from './usePromptOutbox';
+import {
+  OLLAMA_STATUS_LABELS, continuationMessages, describeInterruption, isNetworkError, otherQueuedChats, queuedFor,
+} from './connectivity';
+import FleetPane from './FleetPane';
+import useDevices from './useDevices';
+import { deviceUrls } from './devices';
+import { STATS_API_BASE_URL } from './apiConfig';
+import { powerModeLabel, withPowerMode } from './powerMode';
+import LoadedModelsPanel from './LoadedModelsPanel';
+import SavedChatsPanel from './SavedChatsPanel';
+import useChatSync from './useChatSync';
+import { applySyncResult } from './chatSync';
+import { deleteChat, getAllChats, migrateLegacyChats, putChats } from './chatStore';
+import useAuth from './useAuth';
+import LoginScreen from './LoginScreen';
+import UsersPanel from './UsersPanel';
+import { ROLE_DESCRIPTIONS, hasRole, helperFetch } from './session';
+import {
+  chatsToJson,
+  chatsToMarkdown,
+  mergeImportedChats,
+  newChatId,
+  normalizeSavedChat,
+  parseImportedChats,
+  titleFromTree,
+} from './savedChats';
+import {
+  EMPTY_TREE,
+  addMessage,
+  deleteMessage,
+  getActiveMessages,
+  getLeafId,
+  getMessagesUpTo,
+  getSiblingInfo,
+  newNodeId,
+  switchSibling,
+  updateMessage,
+} from './chatTree';
+import {
+  DEFAULT_HISTORY_WINDOW_MS,
+  appendSample,
+  downloadText,
+  historyToCsv,
+  trimToWindow,
+} from './statsHistory';
 
 // --- Configuration ---
-// Base URLs for APIs ---------------------------------------------------------
-// If you set environment variables `REACT_APP_OLLAMA_API_URL` or
-// `REACT_APP_STATS_API_URL` these values will be used. Otherwise we fall back
-// to using the hostname of the page the user is currently visiting. This makes
-// the app work whether it is accessed locally on the Jetson itself or from a
-// computer on the same network.
-
-function buildApiUrl(envVar, defaultPort) {
-  const env = process.env[envVar];
-  if (env && env.trim() !== '') return env;
-  const { protocol, hostname } = window.location;
-  return `${protocol}//${hostname}:${defaultPort}`;
-}
+// API base URLs are in apiConfig.js.
+
+// Header indicator colour for each stats feed state (see useStatsStream)
+const STATS_STATUS_DOT = {
+  connecting: 'bg-gray-400',
+  live: 'bg-green-500',
+  polling: 'bg-yellow-400',
+  offline: 'bg-red-500',
+};
+
+// …and for Ollama (see useConnectivity)
+const OLLAMA_STATUS_DOT = {
+  checking: 'bg-gray-400',
+  online: 'bg-green-500',
+  offline: 'bg-red-500',
+};
 
-const OLLAMA_API_BASE_URL = buildApiUrl('REACT_APP_OLLAMA_API_URL', 11434);
-const STATS_API_BASE_URL  = buildApiUrl('REACT_APP_STATS_API_URL', 5001);
+// Full-scale value of the power gauge; the Orin Nano tops out around 25 W in MAXN.
+const POWER_GAUGE_MAX_W = 25;
 
 // --- Helper Components ---
 
-// A sleek gauge component to display system resource usage
-const ResourceGauge = ({ label, value, max, unit, color }) => {
+const GAUGE_BORDERS = {
+  ok: 'border-gray-700/50',
+  warning: 'border-yellow-500 animate-pulse',
+  critical: 'border-red-500 animate-pulse',
+};
+
+// A sleek gauge component to display system resource usage. A guardrail
+// `level` of 'warning' or 'critical' outlines the gauge and tags its label.
+const ResourceGauge = ({ label, value, max, unit, color, level = 'ok' }) => {
   const percentage = max > 0 ? (value / max) * 100 : 0;
   const circumference = 2 * Math.PI * 45; // 45 is the radius
   const strokeDashoffset = circumference - (percentage / 100) * circumference;
 
   return (
-    <div className="flex flex-col items-center justify-center bg-gray-800/50 p-4 rounded-2xl shadow-lg border border-gray-700/50">
+    <div className={`flex flex-col items-center justify-center bg-gray-800/50 p-4 rounded-2xl shadow-lg border ${GAUGE_BORDERS[level]}`}>
       <div className="relative w-28 h-28">
         <svg className="w-full h-full" viewBox="0 0 100 100">
           {/* Background circle */}
@@ -63,14 +160,45 @@ const ResourceGauge = ({ label, value, max, unit, color }) => {
           {max > 0 && <span className="text-xs text-gray-400">{`/ ${max}${unit}`}</span>}
         </div>
       </div>
-      <span className="mt-2 text-sm font-medium text-gray-300">{label}</span>
+      <span className="mt-2 text-sm font-medium text-gray-300">
+        {label}
+        {level !== 'ok' && <span className={`ml-1 text-xs uppercase ${LEVEL_STYLES[level]}`}>{level}</span>}
+      </span>
     </div>
   );
 };
 
-// Component for displaying chat messages
-const ChatMessage = ({ message }) => {
+// Small icon-style button used in the per-message action bar
+const MessageAction = ({ onClick, disabled, title, children }) => (
+    <button onClick={onClick} disabled={disabled} title={title} className="px-1.5 py-0.5 rounded text-gray-400 hover:text-white hover:bg-gray-700 disabled:text-gray-600 disabled:hover:bg-transparent disabled:cursor-not-allowed">
+        {children}
+    </button>
+);
+
+// Component for displaying chat messages. Besides rendering the message it
+// offers the branching actions: switch between sibling versions ("2/3"),
+// edit & resend a prompt, regenerate the last reply and delete. Attached
+// images are shown as thumbnails; click one to see it full width.
+const ChatMessage = ({ message, siblings, isLast, disabled, canSend, onSwitchBranch, onRegenerate, onContinue, onEditAndResend, onDelete }) => {
     const isUser = message.role === 'user';
+    const [editing, setEditing] = useState(false);
+    const [draft, setDraft] = useState(message.content);
+    const [zoomedImage, setZoomedImage] = useState(null);
+    const images = message.images || [];
+    // A prompt that is only a picture needs no empty text bubble
+    const imageOnly = isUser && !editing && images.length > 0 && message.content.trim() === '';
+
+    const startEditing = () => {
+        setDraft(message.content);
+        setEditing(true);
+    };
+    const submitEdit = (e) => {
+        e.preventDefault();
+        if (!draft.trim() && images.length === 0) return;
+        setEditing(false);
+        onEditAndResend(message.id, draft);
+    };
+
     return (
         <div className={`flex items-start gap-3 my-4 ${isUser ? 'justify-end' : 'justify-start'}`}>
              {!isUser && (
@@ -78,9 +206,43 @@ const ChatMessage = ({ message }) => {
                     <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="white" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M12 8V4H8"/><rect x="4" y="12" width="16" height="8" rx="2"/><path d="M2 12h2"/><path d="M20 12h2"/><path d="M17 12v-2a2 2 0 0 0-2-2h-2a2 2 0 0 0-2 2v2"/></svg>
                 </div>
             )}
-            <div className={`p-4 rounded-2xl markdown-body max-w-lg ${isUser ? 'bg-blue-600/80 text-white rounded-br-none' : 'bg-gray-700/70 text-gray-200 rounded-bl-none'}`}>
-                 {message.content.trim() === '' && message.role === 'assistant' ? (
-                    <span className="italic text-gray-400 animate-pulse">Thinking…</span>
+            <div className={`flex flex-col max-w-lg ${isUser ? 'items-end' : 'items-start'}`}>
+            {images.length > 0 && (
+                <div className={`flex flex-wrap gap-2 mb-2 ${isUser ? 'justify-end' : ''}`}>
+                    {images.map((img, i) => (
+                        <img
+                            key={i}
+                            src={imageDataUrl(img)}
+                            alt={`Attachment ${i + 1}`}
+                            onClick={() => setZoomedImage(zoomedImage === i ? null : i)}
+                            className={`rounded-lg border border-gray-600 ${zoomedImage === i ? 'max-w-full cursor-zoom-out' : 'w-24 h-24 object-cover cursor-zoom-in'}`}
+                        />
+                    ))}
+                </div>
+            )}
+            {!imageOnly && (
+            <div className={`p-4 rounded-2xl markdown-body ${editing ? 'w-full' : ''} ${isUser ? 'bg-blue-600/80 text-white rounded-br-none' : 'bg-gray-700/70 text-gray-200 rounded-bl-none'}`}>
+                 {!isUser && !editing && <ChatToolSteps steps={message.toolSteps} />}
+                 {editing ? (
+                    <form onSubmit={submitEdit} className="flex flex-col gap-2 min-w-[16rem]">
+                        <textarea
+                            value={draft}
+                            onChange={(e) => setDraft(e.target.value)}
+                            rows={Math.min(8, Math.max(2, draft.split('\n').length))}
+                            className="w-full bg-gray-800/80 text-white border border-blue-400/50 rounded-lg px-3 py-2 text-sm focus:outline-none resize-y"
+                            autoFocus
+                        />
+                        <div className="flex justify-end gap-2 text-xs">
+                            <button type="button" onClick={() => setEditing(false)} className="px-2 py-1 rounded-md bg-gray-700 hover:bg-gray-600">Cancel</button>
+                            <button type="submit" disabled={!canSend || (!draft.trim() && images.length === 0)} className="px-2 py-1 rounded-md bg-green-600 hover:bg-green-700 disabled:bg-green-800/50 disabled:cursor-not-allowed font-semibold">Save &amp; resend</button>
+                        </div>
+                    </form>
+                 ) : message.content.trim() === '' && message.role === 'assistant' ? (
+                    message.interrupted
+                      ? <span className="italic text-red-300">No reply: {message.interrupted}</span>
+                      : <span className="italic text-gray-400 animate-pulse">Thinking…</span>
+                 ) : message.structured ? (
+                    <ChatStructuredReply content={message.content} structured={message.structured} />
                  ) : (
                  <ReactMarkdown
                     remarkPlugins={[remarkGfm, remarkBreaks]}
@@ -106,6 +268,36 @@ const ChatMessage = ({ message }) => {
                      {message.content}
                  </ReactMarkdown>
                  )}
+                 {!isUser && !editing && <ChatSourcesFooter sources={message.sources} />}
+                 {!isUser && !editing && <ChatMetricsFooter metrics={message.metrics} />}
+                 {!isUser && message.interrupted && message.content.trim() !== '' && (
+                    <p className="mt-2 text-xs text-yellow-300">⚠ Reply cut off: {message.interrupted}</p>
+                 )}
+            </div>
+            )}
+            {!editing && (
+                <div className="flex items-center gap-1 mt-1 text-xs">
+                    {siblings && siblings.count > 1 && (
+                        <span className="flex items-center text-gray-400 font-mono mr-1">
+                            <MessageAction onClick={() => onSwitchBranch(message.id, -1)} disabled={disabled || siblings.index === 0} title="Previous version">‹</MessageAction>
+                            {siblings.index + 1}/{siblings.count}
+                            <MessageAction onClick={() => onSwitchBranch(message.id, 1)} disabled={disabled || siblings.index === siblings.count - 1} title="Next version">›</MessageAction>
+                        </span>
+                    )}
+                    {isUser && (
+                        <MessageAction onClick={startEditing} disabled={disabled} title="Edit and resend from here">✎ Edit</MessageAction>
+                    )}
+                    {!isUser && isLast && message.interrupted && (
+                        <MessageAction onClick={() => onContinue(message.id)} disabled={disabled || !canSend} title="Resume the reply from where it stopped">
+                            {message.content.trim() === '' ? '↻ Retry' : '▸ Continue'}
+                        </MessageAction>
+                    )}
+                    {!isUser && isLast && (
+                        <MessageAction onClick={() => onRegenerate(message.id)} disabled={disabled || !canSend} title="Generate another reply">↻ Regenerate</MessageAction>
+                    )}
+                    <MessageAction onClick={() => onDelete(message.id)} disabled={disabled} title="Delete this message">✕</MessageAction>
+                </div>
+            )}
             </div>
              {isUser && (
                 <div className="w-10 h-10 bg-gradient-to-br from-indigo-500 to-purple-500 rounded-full flex-shrink-0 flex items-center justify-center shadow-md">
@@ -116,61 +308,151 @@ const ChatMessage = ({ message }) => {
     );
 };
 
-// Main App Component
-export default function App() {
+// Which device of the fleet the dashboard shows (see useDevices)
+const DeviceSwitcher = ({ devices, activeId, onSelect }) => (
+  <select
+    value={activeId}
+    onChange={(e) => onSelect(e.target.value)}
+    title="Device this dashboard controls"
+    className="bg-gray-800 border border-gray-600 rounded-lg px-2 py-1 text-sm text-gray-200 focus:ring-2 focus:ring-green-500 focus:outline-none"
+  >
+    {devices.map(d => <option key={d.id} value={d.id}>{d.name}</option>)}
+  </select>
+);
+
+// Dashboard for a logged-in user; controls are shown according to their role
+function Dashboard({ user, onLogout, device, fleet, pulls, pullEvents }) {
+  // The active device's APIs (see devices.js); App remounts the dashboard
+  // when it changes, so these are fixed for its lifetime.
+  const { ollama: ollamaBaseUrl, stats: statsBaseUrl } = useMemo(() => deviceUrls(device), [device]);
+  const isChatter = hasRole(user, 'chatter');
+  const isAdmin = hasRole(user, 'admin');
+
   // State Management
   const [systemStats, setSystemStats] = useState(null);
-  const [statsError, setStatsError] = useState(null);
   const [models, setModels] = useState([]);
   const [selectedModel, setSelectedModel] = useState('');
   const [selectedModelInfo, setSelectedModelInfo] = useState(null);
-  const [chatHistory, setChatHistory] = useState([]);
+  // Conversation as a branch tree (see chatTree.js); chatHistory is the visible branch
+  const [chatTree, setChatTree] = useState(EMPTY_TREE);
+  const chatHistory = useMemo(() => getActiveMessages(chatTree), [chatTree]);
   const [prompt, setPrompt] = useState('');
+  // Downscaled images (base64) waiting to go out with the next prompt
+  const [attachments, setAttachments] = useState([]);
+  const [attachmentError, setAttachmentError] = useState(null);
+  const [isDraggingImage, setIsDraggingImage] = useState(false);
+  const imageInputRef = useRef(null);
   const [isStreaming, setIsStreaming] = useState(false);
   const [pullModelName, setPullModelName] = useState('gemma:2b');
-  const [pullStatus, setPullStatus] = useState('');
+  // Model currently open in the inspector modal (null when closed)
+  const [inspectedModel, setInspectedModel] = useState(null);
   const chatEndRef = useRef(null);
 
+  // Rolling buffer of stats samples plus chat / pull markers for the timeline
+  const [statsHistory, setStatsHistory] = useState([]);
+  const [timelineEvents, setTimelineEvents] = useState([]);
+  const [historyWindowMs, setHistoryWindowMs] = useState(() => {
+    const saved = Number(localStorage.getItem('statsHistoryWindow_v1'));
+    return saved > 0 ? saved : DEFAULT_HISTORY_WINDOW_MS;
+  });
+  // The stats feed reads the window through a ref so changing it doesn't reconnect
+  const historyWindowRef = useRef(historyWindowMs);
+
   // toggle visibility of left panels
   const [showResources, setShowResources] = useState(true);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showStatsDetails, setShowStatsDetails] = useState(false);
   const [showModelMgmt, setShowModelMgmt] = useState(true);
   // NEW: visibility state for Saved Chats panel
   const [showSavedChats, setShowSavedChats] = useState(true);
+  const [showUsers, setShowUsers] = useState(false);
+  const [showKnowledge, setShowKnowledge] = useState(false);
+  const [showTools, setShowTools] = useState(false);
+  const [showPrompts, setShowPrompts] = useState(false);
+  const [showGuardrails, setShowGuardrails] = useState(false);
+  const [showPower, setShowPower] = useState(false);
+  // Right column: 'chat', 'playground' (/api/generate), 'benchmark', 'fleet' or 'logs' (admins)
+  const [workspace, setWorkspace] = useState('chat');
+  // Last prompt sent to the playground from the library, as { text }
+  const [playgroundInput, setPlaygroundInput] = useState(null);
 
-  // NEW: saved chats state
+  // Saved chats (IndexedDB, see chatStore.js; synced with the helper, see
+  // chatSync.js). Includes local deletions not yet sent, hence `visibleChats`.
   const [savedChats, setSavedChats] = useState([]);
+  const [savedChatsError, setSavedChatsError] = useState(null);
+  // Latest list for sync callbacks; null until IndexedDB has been read
+  const savedChatsRef = useRef(null);
+  const visibleChats = useMemo(() => savedChats.filter(c => !c.deleted), [savedChats]);
   // Track currently loaded chat (null means a fresh unsaved chat)
   const [currentChatId, setCurrentChatId] = useState(null);
   // Keep a ref to any in-flight streaming request so we can cancel it when switching chats
   const streamControllerRef = useRef(null);
 
-  // Administrative action loading flags
-  const [isRestartingService, setIsRestartingService] = useState(false);
+  // Per-chat generation settings (system prompt, sampling options, keep_alive)
+  const [chatSettings, setChatSettings] = useState(DEFAULT_CHAT_SETTINGS);
+  const [showChatSettings, setShowChatSettings] = useState(false);
+  // Whether prompts in this chat get excerpts from the Knowledge documents
+  const [knowledgeEnabled, setKnowledgeEnabled] = useState(false);
+  // Whether the model may call tools in this chat
+  const [toolsEnabled, setToolsEnabled] = useState(false);
+
+  // Side-by-side compare mode and its saved runs
+  const [showCompare, setShowCompare] = useState(false);
+  const [savedComparisons, setSavedComparisons] = useState([]);
+  const [openComparison, setOpenComparison] = useState(null);
+
+  // Administrative action loading flag
   const [isRebootingSystem, setIsRebootingSystem] = useState(false);
 
   // --- API Functions ---
 
-  // Fetch system stats from our Python helper
-  const fetchStats = useCallback(async () => {
-    try {
-      const response = await fetch(`${STATS_API_BASE_URL}/api/system-stats`);
-      if (!response.ok) {
-        throw new Error(`Stats server responded with status: ${response.status}`);
-      }
-      const data = await response.json();
-      setSystemStats(data);
-      if (statsError) setStatsError(null);
-    } catch (error) {
-      console.error("Failed to fetch system stats:", error);
-      setStatsError('Could not connect to stats helper. Is it running?');
-    }
-  }, [statsError]);
+  // Add a marker (chat / pull) to the resource-history timeline
+  const recordTimelineEvent = useCallback((type, label) => {
+    const t = Date.now();
+    setTimelineEvents(prev => trimToWindow([...prev, { t, type, label }], historyWindowRef.current, t));
+  }, []);
 
+  // Handle one sample from the stats helper (SSE stream or polling fallback)
+  const handleStatsSample = useCallback((data) => {
+    setSystemStats(data);
+    setStatsHistory(prev => appendSample(prev, { t: Date.now(), ...data }, historyWindowRef.current));
+  }, []);
+
+  const { status: statsStatus, error: statsError } = useStatsStream(statsBaseUrl, handleStatsSample);
+
+  // Thermal and memory guardrails on the live stats (see guardrails.js)
+  const {
+    settings: guardrailSettings,
+    updateSettings: updateGuardrailSettings,
+    levels: guardrailLevels,
+    values: guardrailValues,
+    overall: guardrailLevel,
+    alerts: guardrailAlerts,
+    clearAlerts: clearGuardrailAlerts,
+    permission: notificationPermission,
+    requestNotifications,
+  } = useGuardrails(systemStats, { onAlert: (alert) => recordTimelineEvent('guardrail', alert.message) });
+  const guardrailCritical = guardrailSettings.enabled && guardrailLevel === 'critical';
+  const refusingPrompts = guardrailCritical && guardrailSettings.actions.refusePrompts;
+
+  // nvpmodel power mode, jetson_clocks and fan profile (see power.py)
+  const {
+    power, error: powerError, busy: powerBusy, setMode: setPowerMode, setClocks, setFanProfile,
+  } = usePowerState(statsBaseUrl);
+  const powerMode = powerModeLabel(power);
+  const lastPowerModeRef = useRef(null);
+  useEffect(() => {
+    if (!powerMode) return;
+    if (lastPowerModeRef.current && lastPowerModeRef.current !== powerMode) {
+      recordTimelineEvent('power', `Power mode: ${powerMode}`);
+    }
+    lastPowerModeRef.current = powerMode;
+  }, [powerMode, recordTimelineEvent]);
 
   // Fetch list of locally available Ollama models
   const fetchModels = useCallback(async () => {
     try {
-      const response = await fetch(`${OLLAMA_API_BASE_URL}/api/tags`);
+      const response = await helperFetch(`${ollamaBaseUrl}/api/tags`);
       const data = await response.json();
       setModels(data.models);
       // Automatically select the first model if none is selected
@@ -181,77 +463,221 @@ export default function App() {
     } catch (error) {
       console.error("Failed to fetch Ollama models:", error);
     }
-  }, [selectedModel]);
+  }, [ollamaBaseUrl, selectedModel]);
   
+  // Model downloads run through their own queue so chat stays usable meanwhile.
+  // They go through the helper so only admins can pull. The queue lives in
+  // App so pulls keep running while another device is shown; it reports
+  // back through `pullEvents`.
+  const {
+    queue: pullQueue,
+    enqueue: enqueuePull,
+    cancel: cancelPull,
+    resume: resumePull,
+    remove: removePull,
+    clearFinished: clearFinishedPulls,
+  } = pulls;
+  const pullBaseUrl = `${statsBaseUrl}/api/ollama`;
+  useEffect(() => {
+    pullEvents.current = {
+      onEvent: (label) => recordTimelineEvent('pull', label),
+      onComplete: (name, target) => {
+        if (target.baseUrl === pullBaseUrl) fetchModels();
+      },
+    };
+    return () => {
+      pullEvents.current = {};
+    };
+  }, [pullEvents, pullBaseUrl, recordTimelineEvent, fetchModels]);
+
+  // Models Ollama currently holds in memory (/api/ps)
+  const {
+    running: runningModels,
+    footprints: modelFootprints,
+    error: runningModelsError,
+    busyModel: residencyBusyModel,
+    refresh: refreshRunningModels,
+    preload: preloadModel,
+    unload: unloadModel,
+  } = useRunningModels(ollamaBaseUrl);
+
+  // Ollama's reachability, tracked apart from the stats feed, and the prompts
+  // waiting for it to come back
+  const { browserOnline, status: ollamaStatus, check: checkOllama } = useConnectivity(ollamaBaseUrl);
+  const ollamaReachable = browserOnline && ollamaStatus !== 'offline';
+  const { outbox, queuePrompt, removeQueued, dropChat: dropQueuedChat, adoptNewChat } = usePromptOutbox();
+
+  // Image attachments are only offered for models with vision support
+  const modelCapabilities = useModelCapabilities(ollamaBaseUrl, selectedModel);
+  const acceptsImages = modelCapabilities.includes('vision');
+
+  // Local documents for retrieval (see knowledge.js)
+  const {
+    documents: knowledgeDocuments,
+    settings: knowledgeSettings,
+    updateSettings: updateKnowledgeSettings,
+    progress: knowledgeProgress,
+    error: knowledgeError,
+    addFiles: addKnowledgeFiles,
+    removeDocument: removeKnowledgeDocument,
+    search: searchKnowledge,
+  } = useKnowledge(ollamaBaseUrl);
+
+  // Tools the model may call (see tools.js)
+  const {
+    custom: customTools,
+    disabled: disabledTools,
+    enabledTools,
+    toggleTool,
+    addCustomTool,
+    removeCustomTool,
+  } = useTools();
+  const { prompts: savedPrompts, savePrompt, deletePrompt } = usePromptLibrary();
+  const { baselines: benchmarkBaselines, saveBaseline, deleteBaseline } = useBenchmarkBaselines();
+
+  // Capabilities are unknown until /api/show answers; don't block meanwhile
+  const acceptsTools = modelCapabilities.length === 0 || modelCapabilities.includes('tools');
+
   // --- Effects ---
 
-  // Initial data fetch and interval for stats
+  // Initial data fetch
   useEffect(() => {
     fetchModels();
-    fetchStats();
-    const interval = setInterval(fetchStats, 500); // Refresh stats ~2× per second
-    return () => clearInterval(interval);
-  }, [fetchModels, fetchStats]);
+  }, [fetchModels]);
 
   // Scroll to the bottom of the chat on new message
   useEffect(() => {
     chatEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [chatHistory]);
 
-  // Load saved chats on mount
+  // Keep the history buffers bounded when the window setting changes
+  useEffect(() => {
+    historyWindowRef.current = historyWindowMs;
+    localStorage.setItem('statsHistoryWindow_v1', String(historyWindowMs));
+    setStatsHistory(prev => trimToWindow(prev, historyWindowMs));
+    setTimelineEvents(prev => trimToWindow(prev, historyWindowMs));
+  }, [historyWindowMs]);
+
+  const commitChats = useCallback((next) => {
+    savedChatsRef.current = next;
+    setSavedChats(next);
+  }, []);
+
+  const reportChatStoreError = useCallback((err) => {
+    console.error('Saved chat storage failed:', err);
+    setSavedChatsError(`Could not save chats: ${err.message}`);
+  }, []);
+
+  // What the chat pane shows, so a sync can update the open chat
+  const openChatRef = useRef({});
+  openChatRef.current = { id: currentChatId, tree: chatTree, streaming: isStreaming };
+
+  const handleSyncResult = useCallback((result) => {
+    const before = savedChatsRef.current;
+    const { chats, written, removed } = applySyncResult(before, result);
+    commitChats(chats);
+    Promise.all([written.length > 0 ? putChats(written) : null, ...removed.map(deleteChat)])
+      .catch(reportChatStoreError);
+    // Follow edits made in another browser unless this one has unsaved changes
+    const open = openChatRef.current;
+    const previous = before.find(c => c.id === open.id);
+    const updated = written.find(c => c.id === open.id);
+    if (updated && previous && previous.tree === open.tree && !open.streaming) {
+      setChatTree(updated.tree);
+      setChatSettings(updated.settings);
+    }
+    const notices = [];
+    if (result.conflicts.length > 0) {
+      const titles = result.conflicts.map(t => `"${t}"`).join(', ');
+      notices.push(`${titles} changed in another browser too; your version was kept as a conflict copy.`);
+    }
+    if (result.tooLarge.length > 0) {
+      const titles = result.tooLarge.map(t => `"${t}"`).join(', ');
+      notices.push(result.tooLarge.length === 1
+        ? `${titles} is too large for the helper (attached images?) and is only kept in this browser.`
+        : `${titles} are too large for the helper (attached images?) and are only kept in this browser.`);
+    }
+    if (notices.length > 0) setSavedChatsError(notices.join(' '));
+  }, [commitChats, reportChatStoreError]);
+
+  const {
+    status: chatSyncStatus,
+    error: chatSyncError,
+    lastSynced: chatsLastSynced,
+    requestSync: requestChatSync,
+  } = useChatSync(STATS_API_BASE_URL, {
+    getChats: () => savedChatsRef.current,
+    onResult: handleSyncResult,
+  });
+
+  // Load saved chats on mount, moving any v1 localStorage chats over first
+  useEffect(() => {
+    migrateLegacyChats(normalizeSavedChat)
+      .then(getAllChats)
+      .then(list => {
+        commitChats(list.map(normalizeSavedChat));
+        requestChatSync();
+      })
+      .catch(err => {
+        console.error('Failed to load saved chats:', err);
+        setSavedChatsError(`Could not load saved chats: ${err.message}`);
+      });
+  }, [commitChats, requestChatSync]);
+
+  // Store local changes (marked for the next sync) and mirror them in state
+  const storeChats = useCallback((entries) => {
+    const changed = entries.map(e => ({ ...e, dirty: true }));
+    const ids = new Set(changed.map(e => e.id));
+    commitChats([...changed, ...(savedChatsRef.current || []).filter(c => !ids.has(c.id))]);
+    putChats(changed).then(requestChatSync).catch(reportChatStoreError);
+  }, [commitChats, requestChatSync, reportChatStoreError]);
+
+  // Auto-save the open chat shortly after it changes (not mid-stream, and
+  // not for viewers, who can't write chats)
   useEffect(() => {
-    const saved = localStorage.getItem('savedChats_v1');
+    if (!isChatter || isStreaming || chatHistory.length === 0 || !savedChatsRef.current) return;
+    const existing = currentChatId ? visibleChats.find(c => c.id === currentChatId) : null;
+    if (existing && existing.tree === chatTree && existing.model === selectedModel
+        && existing.knowledge === knowledgeEnabled && existing.tools === toolsEnabled
+        && JSON.stringify(existing.settings) === JSON.stringify(chatSettings)) return;
+    const timer = setTimeout(() => {
+      const now = Date.now();
+      const entry = existing
+        ? { ...existing, tree: chatTree, model: selectedModel, settings: chatSettings, knowledge: knowledgeEnabled, tools: toolsEnabled, updated: now }
+        : { id: newChatId(), title: titleFromTree(chatTree), tree: chatTree, model: selectedModel, settings: chatSettings, knowledge: knowledgeEnabled, tools: toolsEnabled, tags: [], pinned: false, created: now, updated: now };
+      storeChats([entry]);
+      if (!existing) {
+        setCurrentChatId(entry.id);
+        adoptNewChat(entry.id);
+      }
+    }, 800);
+    return () => clearTimeout(timer);
+  }, [isChatter, chatTree, chatHistory, isStreaming, currentChatId, visibleChats, selectedModel, chatSettings, knowledgeEnabled, toolsEnabled, storeChats, adoptNewChat]);
+
+  // Saved comparisons live next to saved chats
+  useEffect(() => {
+    const saved = localStorage.getItem('savedComparisons_v1');
     if (saved) {
-      try { setSavedChats(JSON.parse(saved)); } catch (_) {}
+      try { setSavedComparisons(JSON.parse(saved)); } catch (_) {}
     }
   }, []);
 
-  // Persist saved chats whenever they change
   useEffect(() => {
-    localStorage.setItem('savedChats_v1', JSON.stringify(savedChats));
-  }, [savedChats]);
+    localStorage.setItem('savedComparisons_v1', JSON.stringify(savedComparisons));
+  }, [savedComparisons]);
 
   // --- Handlers ---
-  const handlePullModel = async (e) => {
+
+  const handleExportHistory = () => {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    downloadText(`jetson-stats-${stamp}.csv`, historyToCsv(statsHistory, timelineEvents));
+  };
+
+  const handlePullModel = (e) => {
     e.preventDefault();
-    if (!pullModelName) return;
-    setIsStreaming(true);
-    setPullStatus(`Pulling model: ${pullModelName}...`);
-    try {
-        const response = await fetch(`${OLLAMA_API_BASE_URL}/api/pull`, {
-            method: 'POST',
-            body: JSON.stringify({ name: pullModelName, stream: true }),
-        });
-
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-            const chunk = decoder.decode(value);
-            // In a real app, you'd parse each line of the chunk for detailed status
-            const lines = chunk.split('\n').filter(line => line.trim() !== '');
-            lines.forEach(line => {
-                const json = JSON.parse(line);
-                if (json.total && json.completed) {
-                    const percent = Math.round((json.completed / json.total) * 100);
-                    setPullStatus(`Downloading... ${percent}%`);
-                } else if(json.status) {
-                    setPullStatus(json.status);
-                }
-            });
-        }
-        setPullStatus('Model pulled successfully!');
-        fetchModels(); // Refresh model list
-    } catch (error) {
-        console.error("Failed to pull model:", error);
-        setPullStatus('Error pulling model.');
-    } finally {
-        setIsStreaming(false);
-        setTimeout(() => setPullStatus(''), 3000); // Clear status after a while
-    }
-};
+    if (!pullModelName.trim()) return;
+    enqueuePull(pullModelName);
+  };
 
   // Abort an in-flight chat streaming request (if any exists)
   const abortStreamIfAny = () => {
@@ -261,73 +687,243 @@ export default function App() {
     }
   };
 
-  const handleChatSubmit = async (e) => {
-    e.preventDefault();
-    if (!prompt || isStreaming || !selectedModel || !selectedModelInfo) return;
-
-    const newUserMessage = { role: 'user', content: prompt };
-    const newChatHistory = [...chatHistory, newUserMessage];
-    setChatHistory(newChatHistory);
-    setPrompt('');
+  // Stream a new assistant reply under `parentId` (a user message node).
+  // `requestMessages` is the transcript sent to Ollama, ending with that user
+  // message. The reply is added as a new child, so regenerating keeps the
+  // previous reply as an alternate branch.
+  const streamAssistantReply = async (parentId, requestMessages) => {
+    const assistantId = newNodeId();
+    // Replies requested as JSON render as a tree (see ChatStructuredReply.js)
+    const placeholder = formatMode(chatSettings.format) === 'text'
+      ? { role: 'assistant', content: '' }
+      : { role: 'assistant', content: '', structured: { schema: formatMode(chatSettings.format) === 'schema', errors: null, attempts: 0 } };
+    setChatTree(prev => addMessage(prev, parentId, placeholder, assistantId).tree);
     setIsStreaming(true);
+    recordTimelineEvent('chat', `Prompt → ${selectedModel}`);
 
     try {
       const controller = new AbortController();
       streamControllerRef.current = controller;
-      const response = await fetch(`${OLLAMA_API_BASE_URL}/api/chat`, {
-        method: 'POST',
-        signal: controller.signal,
-        body: JSON.stringify({
-          model: selectedModel,
-          messages: newChatHistory,
-          stream: true,
-        }),
-      });
-
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let assistantMessage = { role: 'assistant', content: '' };
-      let assistantContent = '';
-      setChatHistory(prev => [...prev, assistantMessage]);
-
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        const chunk = decoder.decode(value);
-        const lines = chunk.split('\n');
-        let hasDelta = false;
-        lines.forEach(line => {
-          const trimmed = line.trim();
-          if (!trimmed || !trimmed.startsWith('{')) return;
-          try {
-            const parsed = JSON.parse(trimmed);
-            if (parsed.message && parsed.message.content) {
-              assistantContent += parsed.message.content;
-              hasDelta = true;
-            }
-          } catch (_) {/* ignore malformed */}
-        });
-
-        // Push update once per chunk, not per token
-        if (hasDelta) {
-          setChatHistory(prevHistory => {
-            const updated = [...prevHistory];
-            updated[updated.length - 1] = { ...updated[updated.length - 1], content: assistantContent };
-            return updated;
-          });
+      // With Knowledge on, the question goes out with the closest document
+      // excerpts; the chat itself keeps the plain question.
+      let wireMessages = requestMessages;
+      if (knowledgeEnabled && knowledgeDocuments.length > 0) {
+        const question = requestMessages[requestMessages.length - 1];
+        try {
+          const hits = await searchKnowledge(question.content);
+          if (hits.length > 0) {
+            wireMessages = [...requestMessages.slice(0, -1), { ...question, content: buildKnowledgePrompt(question.content, hits) }];
+            setChatTree(prev => updateMessage(prev, assistantId, { sources: hitsToSources(hits) }));
+          }
+        } catch (err) {
+          console.error('Knowledge search failed:', err);
+          recordTimelineEvent('chat', 'Knowledge search failed');
+        }
+      }
+      // With tools on, each reply that calls tools gets the results back and
+      // is asked again; the last allowed round offers no tools, so the model
+      // has to answer. With a JSON output format, a final reply that fails
+      // validation is asked again with the problems listed. Both only add
+      // messages on the wire (`followUps`).
+      const tools = toolsEnabled && acceptsTools ? enabledTools : [];
+      const toolSteps = [];
+      const followUps = [];
+      const { format } = parseFormat(chatSettings.format);
+      const maxAttempts = formatRetries(chatSettings) + 1;
+      const onContent = (content) => setChatTree(prev => updateMessage(prev, assistantId, { content }));
+      let metrics = null;
+      let round = 0;
+      for (let attempt = 1; ;) {
+        const body = buildChatRequestBody(selectedModel, wireMessages, chatSettings, round < MAX_TOOL_ROUNDS ? tools : []);
+        body.messages.push(...followUps);
+        const reply = await streamChat(ollamaBaseUrl, body, { signal: controller.signal, onContent });
+        metrics = withPowerMode(reply.metrics, powerMode);
+        if (reply.toolCalls.length > 0 && round < MAX_TOOL_ROUNDS) {
+          const roundSteps = [];
+          for (const call of reply.toolCalls) {
+            const step = await runToolCall(call, tools, { ollamaBaseUrl, statsBaseUrl }, round);
+            recordTimelineEvent('chat', step.error ? `Tool ${step.name} failed` : `Tool ${step.name} called`);
+            roundSteps.push(step);
+            toolSteps.push(step);
+            setChatTree(prev => updateMessage(prev, assistantId, { content: '', toolSteps: [...toolSteps] }));
+          }
+          followUps.push(...toolStepMessages(roundSteps));
+          round++;
+          continue;
         }
+        if (!format) break;
+        const { errors } = checkStructuredReply(reply.content, format);
+        setChatTree(prev => updateMessage(prev, assistantId, { structured: { schema: format !== 'json', errors, attempts: attempt } }));
+        if (errors.length === 0 || attempt >= maxAttempts) break;
+        attempt++;
+        recordTimelineEvent('chat', `Reply failed validation, retry ${attempt - 1}/${maxAttempts - 1}`);
+        followUps.push({ role: 'assistant', content: reply.content }, { role: 'user', content: retryPrompt(errors) });
+      }
+
+      recordTimelineEvent('chat', metrics && metrics.tokens_per_sec != null
+        ? `Reply done: ${selectedModel} (${metrics.tokens_per_sec.toFixed(1)} tok/s)`
+        : `Reply done: ${selectedModel}`);
+      if (metrics) {
+        setChatTree(prev => updateMessage(prev, assistantId, { metrics }));
       }
     } catch (error) {
-      console.error("Chat error:", error);
-       setChatHistory(prev => [...prev, {role: 'assistant', content: 'Sorry, I encountered an error.'}]);
+      handleReplyError(assistantId, error);
     } finally {
       setIsStreaming(false);
       streamControllerRef.current = null;
+      refreshRunningModels();
     }
   };
-  
+
+  // Keep whatever arrived of a reply that stopped early and say why; it can
+  // be continued (see handleContinue).
+  const handleReplyError = (assistantId, error) => {
+    console.error("Chat error:", error);
+    const reason = describeInterruption(error, navigator.onLine !== false);
+    recordTimelineEvent('chat', `Reply failed: ${selectedModel} (${reason})`);
+    setChatTree(prev => updateMessage(prev, assistantId, { interrupted: reason }));
+    if (isNetworkError(error)) checkOllama();
+  };
+
+  // Resume an interrupted reply: Ollama gets the partial text as the start of
+  // its answer and the rest is appended. Tools, Knowledge excerpts and JSON
+  // retries only apply to fresh replies, not to the continuation.
+  const handleContinue = async (assistantId) => {
+    const node = chatTree.nodes[assistantId];
+    if (!node || !node.parentId || !canChat) return;
+    const partial = node.message.content;
+    const messages = continuationMessages(getMessagesUpTo(chatTree, node.parentId), partial);
+    setChatTree(prev => updateMessage(prev, assistantId, { interrupted: null }));
+    setIsStreaming(true);
+    recordTimelineEvent('chat', `Continue → ${selectedModel}`);
+    try {
+      const controller = new AbortController();
+      streamControllerRef.current = controller;
+      const body = buildChatRequestBody(selectedModel, messages, chatSettings);
+      const reply = await streamChat(ollamaBaseUrl, body, {
+        signal: controller.signal,
+        onContent: (content) => setChatTree(prev => updateMessage(prev, assistantId, { content: partial + content })),
+      });
+      const metrics = withPowerMode(reply.metrics, powerMode);
+      setChatTree(prev => updateMessage(prev, assistantId, { content: partial + reply.content, metrics }));
+      recordTimelineEvent('chat', `Reply done: ${selectedModel}`);
+    } catch (error) {
+      handleReplyError(assistantId, error);
+    } finally {
+      setIsStreaming(false);
+      streamControllerRef.current = null;
+      refreshRunningModels();
+    }
+  };
+
+  const sendUserMessage = async (message) => {
+    const { tree, id: userId } = addMessage(chatTree, getLeafId(chatTree), message);
+    setChatTree(tree);
+    await streamAssistantReply(userId, getMessagesUpTo(tree, userId));
+  };
+
+  // While Ollama is unreachable, prompts go to the outbox instead.
+  const handleChatSubmit = async (e) => {
+    e.preventDefault();
+    if ((!prompt && attachments.length === 0) || !(ollamaReachable ? canChat : canQueue)) return;
+    if (attachments.length > 0 && !acceptsImages) return;
+
+    const message = attachments.length > 0
+      ? { role: 'user', content: prompt, images: attachments }
+      : { role: 'user', content: prompt };
+    setPrompt('');
+    setAttachments([]);
+    setAttachmentError(null);
+    if (!ollamaReachable) {
+      queuePrompt(currentChatId, message);
+      recordTimelineEvent('chat', 'Prompt queued while offline');
+      return;
+    }
+    await sendUserMessage(message);
+  };
+
+  // --- Per-message actions (branching) ---
+
+  // Ask again for the reply to the same user message; the old reply stays as a sibling branch.
+  const handleRegenerate = (assistantId) => {
+    const node = chatTree.nodes[assistantId];
+    if (!node || !node.parentId || !canChat) return;
+    streamAssistantReply(node.parentId, getMessagesUpTo(chatTree, node.parentId));
+  };
+
+  // Resend an edited prompt as a new sibling of the original user message
+  // (its images go along unchanged).
+  const handleEditAndResend = (userId, content) => {
+    const node = chatTree.nodes[userId];
+    if (!node || !canChat) return;
+    const images = node.message.images || [];
+    if (!content.trim() && images.length === 0) return;
+    const message = images.length > 0
+      ? { role: 'user', content: content.trim(), images }
+      : { role: 'user', content: content.trim() };
+    const { tree, id } = addMessage(chatTree, node.parentId, message);
+    setChatTree(tree);
+    streamAssistantReply(id, getMessagesUpTo(tree, id));
+  };
+
+  // Downscale and queue dropped / pasted / picked images for the next prompt
+  const handleAddImages = async (fileList) => {
+    const files = imageFiles(fileList);
+    if (files.length === 0) return;
+    if (!acceptsImages) {
+      setAttachmentError(`${selectedModel || 'This model'} doesn't accept images.`);
+      return;
+    }
+    const room = MAX_ATTACHMENTS - attachments.length;
+    setAttachmentError(files.length > room ? `At most ${MAX_ATTACHMENTS} images per message.` : null);
+    if (room <= 0) return;
+    try {
+      const added = await Promise.all(files.slice(0, room).map(file => downscaleImage(file)));
+      setAttachments(prev => [...prev, ...added].slice(0, MAX_ATTACHMENTS));
+    } catch (err) {
+      setAttachmentError(err.message);
+    }
+  };
+
+  const handleImageDragOver = (e) => {
+    if (showCompare || workspace !== 'chat' || !isChatter || !Array.from(e.dataTransfer.types).includes('Files')) return;
+    e.preventDefault();
+    setIsDraggingImage(true);
+  };
+
+  const handleImageDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setIsDraggingImage(false);
+  };
+
+  const handleImageDrop = (e) => {
+    if (showCompare || workspace !== 'chat' || !isChatter) return;
+    e.preventDefault();
+    setIsDraggingImage(false);
+    handleAddImages(e.dataTransfer.files);
+  };
+
+  const handlePromptPaste = (e) => {
+    if (imageFiles(e.clipboardData.files).length === 0) return;
+    e.preventDefault();
+    handleAddImages(e.clipboardData.files);
+  };
+
+  const handleDeleteMessage = (id) => {
+    const node = chatTree.nodes[id];
+    if (!node || isStreaming) return;
+    if (node.childIds.length > 0 && !window.confirm('Delete this message and all replies after it?')) return;
+    setChatTree(prev => deleteMessage(prev, id));
+  };
+
+  const handleSwitchBranch = (id, direction) => {
+    if (isStreaming) return;
+    setChatTree(prev => switchSibling(prev, id, direction));
+  };
+
+  // Clearing detaches the pane from its saved copy, which stays in the list
   const handleClearChat = () => {
-    setChatHistory([]);
+    setChatTree(EMPTY_TREE);
+    setCurrentChatId(null);
   }
 
   // NEW: start a completely fresh chat session
@@ -338,26 +934,13 @@ export default function App() {
       abortStreamIfAny();
       setIsStreaming(false);
     }
-    setChatHistory([]);
+    setChatTree(EMPTY_TREE);
     setCurrentChatId(null);
+    setChatSettings(DEFAULT_CHAT_SETTINGS);
+    setKnowledgeEnabled(false);
+    setToolsEnabled(false);
   }
 
-  // NEW: save current chat
-  const handleSaveCurrentChat = () => {
-    if (chatHistory.length === 0) return;
-    const title = window.prompt('Enter a title for this chat:', `Chat ${new Date().toLocaleString()}`);
-    if (!title) return;
-    const entry = {
-      id: Date.now().toString(),
-      title: title.trim(),
-      history: JSON.parse(JSON.stringify(chatHistory)),
-      model: selectedModel,
-      created: Date.now()
-    };
-    setSavedChats(prev => [entry, ...prev]);
-    setCurrentChatId(entry.id);
-  };
-
   // NEW: load a saved chat
   const handleLoadChat = (id) => {
     if (isStreaming) {
@@ -366,42 +949,178 @@ export default function App() {
       abortStreamIfAny();
       setIsStreaming(false);
     }
-    const entry = savedChats.find(c => c.id === id);
+    const entry = visibleChats.find(c => c.id === id);
     if (!entry) return;
-    setChatHistory(entry.history);
+    setChatTree(entry.tree);
+    setChatSettings(entry.settings);
+    setKnowledgeEnabled(entry.knowledge);
+    setToolsEnabled(entry.tools);
     if (entry.model) {
       const mInfo = models.find(m => m.name === entry.model);
       setSelectedModel(entry.model);
       setSelectedModelInfo(mInfo || null);
     }
     setCurrentChatId(entry.id);
+    setShowCompare(false);
+    setWorkspace('chat');
   };
 
   // NEW: delete saved chat
   const handleDeleteSavedChat = (id) => {
     if (!window.confirm('Delete this saved chat?')) return;
-    setSavedChats(prev => prev.filter(c => c.id !== id));
+    const entry = visibleChats.find(c => c.id === id);
+    if (!entry) return;
+    if (currentChatId === id) setCurrentChatId(null);
+    dropQueuedChat(id);
+    if (entry.revision > 0) {
+      // Keep a tombstone until the helper has deleted its copy too
+      storeChats([{ ...entry, deleted: true, updated: Date.now() }]);
+    } else {
+      commitChats(savedChatsRef.current.filter(c => c.id !== id));
+      deleteChat(id).catch(reportChatStoreError);
+    }
   };
 
-  // Helper: whether we have enough free RAM to load / run the model.
-  const hasSufficientMemory = () => {
-    if (!systemStats || !selectedModelInfo) return true; // no stats yet
-    const freeGb = (systemStats.ram_total_gb || 0) - (systemStats.ram_used_gb || 0);
-    const modelGb = (selectedModelInfo.size || 0) / 1e9;
-    // require 1.5× model size free (heuristic)
-    return freeGb > modelGb * 1.5;
+  // Rename / tag / pin a saved chat
+  const handleUpdateSavedChat = (id, patch) => {
+    const entry = visibleChats.find(c => c.id === id);
+    if (!entry) return;
+    storeChats([{ ...entry, ...patch, updated: Date.now() }]);
   };
 
-  const memOk = hasSufficientMemory();
+  // Export one chat (`id`) or all of them as JSON or Markdown
+  const handleExportChats = (id, format) => {
+    const chats = id ? visibleChats.filter(c => c.id === id) : visibleChats;
+    if (chats.length === 0) return;
+    const name = id
+      ? chats[0].title.replace(/[^\w-]+/g, '_').slice(0, 40) || 'chat'
+      : `chats-${new Date().toISOString().slice(0, 10)}`;
+    if (format === 'md') {
+      downloadText(`${name}.md`, chatsToMarkdown(chats), 'text/markdown');
+    } else {
+      downloadText(`${name}.json`, chatsToJson(chats), 'application/json');
+    }
+  };
+
+  const handleImportChats = async (file) => {
+    try {
+      const imported = parseImportedChats(await file.text(), file.name);
+      const entries = mergeImportedChats(savedChats, imported);
+      if (entries.length > 0) storeChats(entries);
+      setSavedChatsError(null);
+      window.alert(`Imported ${entries.length} of ${imported.length} chat(s).`);
+    } catch (err) {
+      setSavedChatsError(`Import failed: ${err.message}`);
+    }
+  };
+
+  const handleOpenCompare = () => {
+    setOpenComparison(null);
+    setShowCompare(true);
+  };
+
+  const handleSaveComparison = (entry) => {
+    setSavedComparisons(prev => [entry, ...prev]);
+    setOpenComparison(entry);
+  };
+
+  const handleLoadComparison = (id) => {
+    const entry = savedComparisons.find(c => c.id === id);
+    if (!entry) return;
+    setOpenComparison(entry);
+    setShowCompare(true);
+    setWorkspace('chat');
+  };
+
+  // A filled-in library prompt goes into the chat input or the playground
+  const handleUsePrompt = (text, target) => {
+    if (target === 'playground') {
+      setPlaygroundInput({ text });
+    } else {
+      setPrompt(text);
+      setShowCompare(false);
+    }
+    setWorkspace(target);
+  };
+
+  const handleDeleteComparison = (id) => {
+    if (!window.confirm('Delete this saved comparison?')) return;
+    setSavedComparisons(prev => prev.filter(c => c.id !== id));
+    if (openComparison && openComparison.id === id) setOpenComparison(null);
+  };
+
+  // Whether we have enough free RAM to load / run the model, based on what
+  // Ollama actually has resident and is free to evict (see useRunningModels).
+  const memCheck = checkModelMemory({
+    stats: systemStats,
+    model: selectedModelInfo,
+    running: runningModels,
+    footprints: modelFootprints,
+    busy: modelsInFlight(),
+  });
+  const memOk = memCheck.ok;
+  // A JSON schema that doesn't parse would silently fall back to free text
+  const formatError = parseFormat(chatSettings.format).error;
+  const canChat = isChatter && !isStreaming && selectedModel && selectedModelInfo && memOk && !formatError && !refusingPrompts;
+  // Offline the model list may be empty; the chat's model name is enough to queue
+  const canQueue = isChatter && !isStreaming && selectedModel && !formatError && !refusingPrompts;
+  const queuedHere = queuedFor(outbox, currentChatId);
+
+  // Send queued prompts of the open chat one by one once Ollama answers again
+  const sendUserMessageRef = useRef(sendUserMessage);
+  sendUserMessageRef.current = sendUserMessage;
+  const nextQueued = ollamaReachable && ollamaStatus === 'online' && canChat ? queuedHere[0] : null;
+  useEffect(() => {
+    if (!nextQueued) return;
+    removeQueued(nextQueued.id);
+    recordTimelineEvent('chat', 'Sending queued prompt');
+    sendUserMessageRef.current(nextQueued.message);
+  }, [nextQueued, removeQueued, recordTimelineEvent]);
+
+  // Free memory when a guardrail turns critical: unload every resident model
+  // that no chat, compare, benchmark or Playground request is using.
+  const wasCriticalRef = useRef(false);
+  useEffect(() => {
+    const becameCritical = guardrailCritical && !wasCriticalRef.current;
+    wasCriticalRef.current = guardrailCritical;
+    if (!becameCritical || !guardrailSettings.actions.unloadIdle) return;
+    const busy = modelsInFlight();
+    runningModels
+      .map(runningModelName)
+      .filter(name => !busy.has(name))
+      .forEach((name) => {
+        recordTimelineEvent('guardrail', `Unloading idle ${name}`);
+        unloadModel(name).catch(() => { /* reported by the loaded-models panel */ });
+      });
+  }, [guardrailCritical, guardrailSettings.actions.unloadIdle, runningModels, unloadModel, recordTimelineEvent]);
+
+  const handlePreloadModel = async (name) => {
+    try {
+      await preloadModel(name, chatSettings.keep_alive.trim() || '5m');
+      recordTimelineEvent('model', `Preloaded ${name}`);
+    } catch (err) {
+      console.error('Failed to preload model:', err);
+    }
+  };
+
+  const handleUnloadModel = async (name) => {
+    try {
+      await unloadModel(name);
+      recordTimelineEvent('model', `Unloaded ${name}`);
+    } catch (err) {
+      console.error('Failed to unload model:', err);
+    }
+  };
 
   const handleDeleteModel = async (name) => {
     if (!window.confirm(`Delete model '${name}'? This cannot be undone.`)) return;
     try {
-      await fetch(`${OLLAMA_API_BASE_URL}/api/delete`, {
+      const res = await helperFetch(`${statsBaseUrl}/api/ollama/delete`, {
         method: 'DELETE',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ model: name })
       });
+      if (!res.ok) throw new Error(`Error: ${res.status}`);
       // if the deleted model was selected, clear.
       if (selectedModel === name) {
         setSelectedModel('');
@@ -416,26 +1135,11 @@ export default function App() {
 
   // --- Administrative Handlers ---
 
-  const handleRestartService = async () => {
-    if (!window.confirm('Are you sure you want to restart the control-panel service?')) return;
-    setIsRestartingService(true);
-    try {
-      const res = await fetch(`${STATS_API_BASE_URL}/api/restart-service`, { method: 'POST' });
-      if (!res.ok) throw new Error(`Error: ${res.status}`);
-      alert('Service restart initiated. The page may disconnect briefly.');
-    } catch (err) {
-      console.error(err);
-      alert('Failed to restart service.');
-    } finally {
-      setIsRestartingService(false);
-    }
-  };
-
   const handleRebootSystem = async () => {
     if (!window.confirm('Are you sure you want to reboot the Jetson device?')) return;
     setIsRebootingSystem(true);
     try {
-      const res = await fetch(`${STATS_API_BASE_URL}/api/reboot-system`, { method: 'POST' });
+      const res = await helperFetch(`${statsBaseUrl}/api/reboot-system`, { method: 'POST' });
       if (!res.ok) throw new Error(`Error: ${res.status}`);
       alert('Reboot command sent. The device will restart shortly.');
     } catch (err) {
@@ -454,16 +1158,13 @@ export default function App() {
           <div className="flex items-center gap-3">
             <svg className="w-8 h-8 text-green-400" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor"><path d="M14.213 1.001C8.46 1.001 4.088 4.623 3.55 9.773A1.002 1.002 0 0 0 4.548 11h3.918c.27 0 .52-.109.701-.289.182-.182.29-.432.29-.711 0-.551.449-1 1-1s1 .449 1 1c0 .279.108.529.29.711.18.18.43.289.7.289h3.919a1 1 0 0 0 .997-1.227C20.08 4.623 15.71 1 10 1h4.213Z"/><path d="M19.451 13H4.549a1 1 0 0 0-.998 1.227c.537 5.15 4.91 8.773 10.663 8.773h4.213c5.753 0 10.125-3.622 10.663-8.773A1 1 0 0 0 19.452 13Z"/></svg>
             <h1 className="text-xl font-bold text-gray-100">Jetson Ollama Control Panel</h1>
+            {fleet.devices.length > 1 && (
+              <DeviceSwitcher devices={fleet.devices} activeId={device.id} onSelect={fleet.selectDevice} />
+            )}
           </div>
-          {/* Right: Admin buttons + connection indicator */}
+          {/* Right: Admin buttons + user + connection indicator */}
           <div className="flex items-center gap-3">
-            <button
-              onClick={handleRestartService}
-              disabled={isRestartingService}
-              className="bg-red-700 hover:bg-red-800 disabled:bg-red-900/50 disabled:cursor-not-allowed text-white px-3 py-1.5 rounded-lg text-xs font-semibold transition-colors shadow-sm"
-            >
-              {isRestartingService ? 'Restarting…' : 'Restart Service'}
-            </button>
+            {isAdmin && (
             <button
               onClick={handleRebootSystem}
               disabled={isRebootingSystem}
@@ -471,12 +1172,29 @@ export default function App() {
             >
               {isRebootingSystem ? 'Rebooting…' : 'Reboot Jetson'}
             </button>
-            <div
-              className={`w-3 h-3 rounded-full animate-pulse ${statsError ? 'bg-red-500' : 'bg-green-500'}`}
-              title={statsError ? statsError : 'Connected to Stats Helper'}
-            ></div>
+            )}
+            <span className="text-sm text-gray-300" title={ROLE_DESCRIPTIONS[user.role]}>
+              {user.username} <span className="text-xs text-gray-500">({user.role})</span>
+            </span>
+            <button onClick={onLogout} className="text-xs text-gray-400 hover:text-white">Log out</button>
+            <span className="flex items-center gap-1 text-[11px] text-gray-400" title={OLLAMA_STATUS_LABELS[ollamaStatus]}>
+              <span className={`w-3 h-3 rounded-full animate-pulse ${OLLAMA_STATUS_DOT[ollamaStatus]}`}></span>
+              Ollama
+            </span>
+            <span
+              className="flex items-center gap-1 text-[11px] text-gray-400"
+              title={statsError && statsStatus !== 'offline' ? `${STATS_STATUS_LABELS[statsStatus]} (${statsError})` : STATS_STATUS_LABELS[statsStatus]}
+            >
+              <span className={`w-3 h-3 rounded-full animate-pulse ${STATS_STATUS_DOT[statsStatus]}`}></span>
+              Stats
+            </span>
           </div>
         </div>
+        {!browserOnline && (
+          <div className="bg-red-900/60 text-red-200 text-xs text-center px-4 py-1.5">
+            This device is offline. Prompts you send are queued and go out once Ollama is reachable again.
+          </div>
+        )}
       </header>
       
       <main className="flex-grow container mx-auto p-4 sm:p-6 lg:p-8 grid grid-cols-1 lg:grid-cols-3 gap-6">
@@ -489,15 +1207,33 @@ export default function App() {
                 </button>
                 {showResources && (
                 <div className="p-5">
-                {statsError ? (
+                {statsError && (statsStatus === 'offline' || !systemStats) ? (
                   <div className="text-center text-red-400 bg-red-900/50 p-4 rounded-lg">{statsError}</div>
                 ) : systemStats ? (
+                  <>
                   <div className="grid grid-cols-2 gap-4">
                     <ResourceGauge label="CPU" value={systemStats.cpu_usage_percent || 0} max={100} unit="%" color="#22c55e" />
-                    <ResourceGauge label="GPU" value={systemStats.gpu_usage_percent || 0} max={100} unit="%" color="#3b82f6" />
-                    <ResourceGauge label="RAM" value={systemStats.ram_used_gb || 0} max={systemStats.ram_total_gb || 0} unit="GB" color="#eab308" />
-                    <ResourceGauge label="Temp" value={systemStats.soc_temp_c || 0} max={100} unit="°C" color="#ef4444" />
+                    <ResourceGauge label="GPU" value={systemStats.gpu_usage_percent || 0} max={100} unit="%" color="#3b82f6" level={guardrailLevels.gpu} />
+                    <ResourceGauge label="RAM" value={systemStats.ram_used_gb || 0} max={systemStats.ram_total_gb || 0} unit="GB" color="#eab308" level={guardrailLevels.ram} />
+                    <ResourceGauge label="Temp" value={systemStats.soc_temp_c || 0} max={100} unit="°C" color="#ef4444" level={guardrailLevels.temp} />
+                    {systemStats.swap_total_gb > 0 && (
+                      <ResourceGauge label="Swap" value={systemStats.swap_used_gb || 0} max={systemStats.swap_total_gb} unit="GB" color="#a855f7" level={guardrailLevels.swap} />
+                    )}
+                    {systemStats.power_total_mw !== undefined && (
+                      <ResourceGauge label="Power" value={systemStats.power_total_mw / 1000} max={POWER_GAUGE_MAX_W} unit="W" color="#f97316" />
+                    )}
                   </div>
+                  {power && power.mode && (
+                    <p className="mt-3 text-xs text-gray-400 text-center">
+                      Power mode <span className="font-mono text-gray-200">{powerMode}</span>
+                      {power.fan && power.fan.profile && <> · fan <span className="font-mono text-gray-200">{power.fan.profile}</span></>}
+                    </p>
+                  )}
+                  <button onClick={() => setShowStatsDetails(!showStatsDetails)} className="mt-4 w-full text-xs text-gray-400 hover:text-white">
+                    {showStatsDetails ? 'Hide details ▴' : 'Show cores, clocks, thermal zones & power rails ▾'}
+                  </button>
+                  {showStatsDetails && <SystemDetails stats={systemStats} />}
+                  </>
                 ) : (
                   <div className="text-center text-gray-400">Loading stats...</div>
                 )}
@@ -505,6 +1241,63 @@ export default function App() {
                 )}
             </div>
 
+            <div className="bg-gray-800/60 rounded-2xl border border-gray-700/50 overflow-hidden">
+                <button onClick={()=>setShowHistory(!showHistory)} className="w-full flex justify-between items-center px-5 py-3 bg-gray-800/70 hover:bg-gray-800 text-lg font-semibold text-teal-400">
+                  <span>Resource History</span>
+                  <span>{showHistory ? '▾':'▸'}</span>
+                </button>
+                {showHistory && (
+                <div className="p-5">
+                  <StatsHistoryChart
+                    samples={statsHistory}
+                    events={timelineEvents}
+                    windowMs={historyWindowMs}
+                    onWindowChange={setHistoryWindowMs}
+                    onExport={handleExportHistory}
+                  />
+                </div>
+                )}
+            </div>
+
+            <div className="bg-gray-800/60 rounded-2xl border border-gray-700/50 overflow-hidden">
+                <button onClick={()=>setShowGuardrails(!showGuardrails)} className="w-full flex justify-between items-center px-5 py-3 bg-gray-800/70 hover:bg-gray-800 text-lg font-semibold text-red-400">
+                  <span>Guardrails {guardrailLevel !== 'ok' && <span className={`ml-1 text-xs uppercase ${LEVEL_STYLES[guardrailLevel]}`}>{guardrailLevel}</span>}</span>
+                  <span>{showGuardrails ? '▾':'▸'}</span>
+                </button>
+              {showGuardrails && (
+                <GuardrailsPanel
+                  settings={guardrailSettings}
+                  levels={guardrailLevels}
+                  values={guardrailValues}
+                  alerts={guardrailAlerts}
+                  permission={notificationPermission}
+                  readOnly={!isChatter}
+                  onChange={updateGuardrailSettings}
+                  onClearAlerts={clearGuardrailAlerts}
+                  onRequestNotifications={requestNotifications}
+                />
+              )}
+            </div>
+
+            {isAdmin && (
+            <div className="bg-gray-800/60 rounded-2xl border border-gray-700/50 overflow-hidden">
+                <button onClick={()=>setShowPower(!showPower)} className="w-full flex justify-between items-center px-5 py-3 bg-gray-800/70 hover:bg-gray-800 text-lg font-semibold text-yellow-400">
+                  <span>Power &amp; Performance {powerMode && <span className="ml-1 text-xs font-mono text-gray-400">{powerMode}</span>}</span>
+                  <span>{showPower ? '▾':'▸'}</span>
+                </button>
+              {showPower && (
+                <PowerPanel
+                  power={power}
+                  error={powerError}
+                  busy={powerBusy}
+                  onSetMode={setPowerMode}
+                  onSetClocks={setClocks}
+                  onSetFanProfile={setFanProfile}
+                />
+              )}
+            </div>
+            )}
+
             <div className="bg-gray-800/60 rounded-2xl border border-gray-700/50 overflow-hidden">
                 <button onClick={()=>setShowModelMgmt(!showModelMgmt)} className="w-full flex justify-between items-center px-5 py-3 bg-gray-800/70 hover:bg-gray-800 text-lg font-semibold text-blue-400">
                   <span>Model Management</span>
@@ -512,6 +1305,8 @@ export default function App() {
                 </button>
               {showModelMgmt && (
                 <div className="p-5">
+                {isAdmin && (
+                <>
                 <form onSubmit={handlePullModel} className="flex gap-2 mb-4">
                     <input 
                         type="text" 
@@ -520,12 +1315,31 @@ export default function App() {
                         placeholder="e.g., gemma:7b-instruct"
                         className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none"
                     />
-                    <button type="submit" disabled={isStreaming} className="bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800/50 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg text-sm font-semibold transition-colors">
+                    <button type="submit" disabled={!pullModelName.trim()} className="bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800/50 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg text-sm font-semibold transition-colors">
                         Pull
                     </button>
                 </form>
-                {pullStatus && <div className="text-sm text-center text-yellow-300 mb-4">{pullStatus}</div>}
+                <PullQueuePanel
+                  queue={pullQueue}
+                  baseUrl={pullBaseUrl}
+                  onCancel={cancelPull}
+                  onResume={resumePull}
+                  onRemove={removePull}
+                  onClearFinished={clearFinishedPulls}
+                />
+                </>
+                )}
                 
+                <LoadedModelsPanel
+                  running={runningModels}
+                  error={runningModelsError}
+                  busyModel={residencyBusyModel}
+                  selectedModel={selectedModel}
+                  readOnly={!isChatter}
+                  onPreload={handlePreloadModel}
+                  onUnload={handleUnloadModel}
+                />
+
                 <h3 className="text-md font-semibold mb-2 text-gray-300">Available Models</h3>
                 <div className="max-h-48 overflow-y-auto pr-2">
                   {models.length > 0 ? (
@@ -536,11 +1350,20 @@ export default function App() {
                       >
                         <div className="flex-1 cursor-pointer" onClick={() => {setSelectedModel(model.name); setSelectedModelInfo(model);}}>
                           <p className="font-semibold text-sm">{model.name}</p>
-                          <p className="text-xs text-gray-400">{(model.size / 1e9).toFixed(2)} GB</p>
+                          <p className="text-xs text-gray-400">
+                            {(model.size / 1e9).toFixed(2)} GB
+                            {model.details?.parameter_size && ` · ${model.details.parameter_size}`}
+                            {model.details?.quantization_level && ` · ${model.details.quantization_level}`}
+                          </p>
                         </div>
+                        <button onClick={() => setInspectedModel(model)} title="Inspect model" className="text-gray-400 hover:text-white mr-2">
+                          ⓘ
+                        </button>
+                        {isAdmin && (
                         <button onClick={() => handleDeleteModel(model.name)} title="Delete model" className="hidden group-hover:block text-red-400 hover:text-red-300">
                           ✕
                         </button>
+                        )}
                       </div>
                     ))
                   ) : (
@@ -548,7 +1371,10 @@ export default function App() {
                   )}
                 </div>
                 {!memOk && (
-                  <p className="text-xs text-red-400 mt-1">Not enough free RAM to run this model right now.</p>
+                  <p className="text-xs text-red-400 mt-1">
+                    Not enough free RAM to run this model right now
+                    {memCheck.requiredGb !== null && ` (needs ~${memCheck.requiredGb.toFixed(1)} GB, ${memCheck.availableGb.toFixed(1)} GB available)`}.
+                  </p>
                 )}
                 {/* Link to Ollama Library */}
                 <p className="text-sm text-gray-400 mb-4">
@@ -566,40 +1392,240 @@ export default function App() {
                   <span>{showSavedChats ? '▾':'▸'}</span>
                 </button>
               {showSavedChats && (
-                <div className="p-5 flex flex-col gap-4">
-                  <button onClick={handleNewChat} disabled={isStreaming} className="bg-green-700 hover:bg-green-800 disabled:bg-green-900/50 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg text-sm font-semibold transition-colors">
-                     New Chat
-                  </button>
-                  <button onClick={handleSaveCurrentChat} disabled={chatHistory.length===0} className="bg-amber-600 hover:bg-amber-700 disabled:bg-amber-800/50 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg text-sm font-semibold transition-colors">
-                     Save Current Chat
-                  </button>
-                  {savedChats.length === 0 ? (
-                     <p className="text-sm text-gray-500 text-center">No saved chats.</p>
-                  ) : (
+                <>
+                <SavedChatsPanel
+                  chats={visibleChats}
+                  currentChatId={currentChatId}
+                  error={savedChatsError}
+                  syncStatus={chatSyncStatus}
+                  syncError={chatSyncError}
+                  lastSynced={chatsLastSynced}
+                  onSync={requestChatSync}
+                  disabled={isStreaming}
+                  readOnly={!isChatter}
+                  onNew={handleNewChat}
+                  onLoad={handleLoadChat}
+                  onRename={(id, title) => handleUpdateSavedChat(id, { title })}
+                  onSetTags={(id, tags) => handleUpdateSavedChat(id, { tags })}
+                  onTogglePin={(id) => handleUpdateSavedChat(id, { pinned: !visibleChats.find(c => c.id === id)?.pinned })}
+                  onDelete={handleDeleteSavedChat}
+                  onExport={handleExportChats}
+                  onImport={handleImportChats}
+                />
+                {savedComparisons.length > 0 && (
+                  <div className="px-5 pb-5 flex flex-col gap-2">
+                     <h3 className="text-md font-semibold text-gray-300">Comparisons</h3>
                      <div className="max-h-48 overflow-y-auto pr-2 flex flex-col gap-2">
-                        {savedChats.map(c => (
+                        {savedComparisons.map(c => (
                            <div
                               key={c.id}
-                              className={`group p-3 rounded-lg transition-all duration-200 border-2 flex justify-between items-center ${currentChatId===c.id ? 'bg-amber-600/30 border-amber-500' : 'bg-gray-700/50 hover:border-gray-600'}`}
+                              className={`group p-3 rounded-lg transition-all duration-200 border-2 flex justify-between items-center ${showCompare && openComparison && openComparison.id===c.id ? 'bg-blue-600/30 border-blue-500' : 'bg-gray-700/50 hover:border-gray-600'}`}
                            >
-                              <div className="flex-1 cursor-pointer" onClick={()=>handleLoadChat(c.id)} title="Load chat">
+                              <div className="flex-1 cursor-pointer min-w-0" onClick={()=>handleLoadComparison(c.id)} title="Open comparison">
                                  <p className="font-semibold text-sm truncate w-40">{c.title}</p>
-                                 <p className="text-xs text-gray-400">{new Date(c.created).toLocaleDateString()}</p>
+                                 <p className="text-xs text-gray-400 truncate">{c.models.join(' · ')}</p>
                               </div>
-                              <button onClick={()=>handleDeleteSavedChat(c.id)} title="Delete saved chat" className="hidden group-hover:block text-red-400 hover:text-red-300 ml-2">✕</button>
+                              <button onClick={()=>handleDeleteComparison(c.id)} title="Delete saved comparison" className="hidden group-hover:block text-red-400 hover:text-red-300 ml-2">✕</button>
                            </div>
                         ))}
-                     </div>
-                  )}
-                </div>
+                  </div>
+                  </div>
+                )}
+                </>
+              )}
+            </div>
+
+            <div className="bg-gray-800/60 rounded-2xl border border-gray-700/50 overflow-hidden">
+                <button onClick={()=>setShowKnowledge(!showKnowledge)} className="w-full flex justify-between items-center px-5 py-3 bg-gray-800/70 hover:bg-gray-800 text-lg font-semibold text-cyan-400">
+                  <span>Knowledge</span>
+                  <span>{showKnowledge ? '▾':'▸'}</span>
+                </button>
+              {showKnowledge && (
+                <KnowledgePanel
+                  documents={knowledgeDocuments}
+                  settings={knowledgeSettings}
+                  models={models}
+                  progress={knowledgeProgress}
+                  error={knowledgeError}
+                  readOnly={!isChatter}
+                  onSettingsChange={updateKnowledgeSettings}
+                  onAddFiles={addKnowledgeFiles}
+                  onRemove={removeKnowledgeDocument}
+                />
+              )}
+            </div>
+
+            <div className="bg-gray-800/60 rounded-2xl border border-gray-700/50 overflow-hidden">
+                <button onClick={()=>setShowTools(!showTools)} className="w-full flex justify-between items-center px-5 py-3 bg-gray-800/70 hover:bg-gray-800 text-lg font-semibold text-orange-400">
+                  <span>Tools</span>
+                  <span>{showTools ? '▾':'▸'}</span>
+                </button>
+              {showTools && (
+                <ToolsPanel
+                  custom={customTools}
+                  disabled={disabledTools}
+                  readOnly={!isChatter}
+                  onToggle={toggleTool}
+                  onAdd={addCustomTool}
+                  onRemove={removeCustomTool}
+                />
+              )}
+            </div>
+
+            <div className="bg-gray-800/60 rounded-2xl border border-gray-700/50 overflow-hidden">
+                <button onClick={()=>setShowPrompts(!showPrompts)} className="w-full flex justify-between items-center px-5 py-3 bg-gray-800/70 hover:bg-gray-800 text-lg font-semibold text-pink-400">
+                  <span>Prompt Library</span>
+                  <span>{showPrompts ? '▾':'▸'}</span>
+                </button>
+              {showPrompts && (
+                <PromptLibraryPanel
+                  prompts={savedPrompts}
+                  readOnly={!isChatter}
+                  onSave={savePrompt}
+                  onDelete={deletePrompt}
+                  onUse={handleUsePrompt}
+                />
               )}
             </div>
+
+            {isAdmin && (
+            <div className="bg-gray-800/60 rounded-2xl border border-gray-700/50 overflow-hidden">
+                <button onClick={()=>setShowUsers(!showUsers)} className="w-full flex justify-between items-center px-5 py-3 bg-gray-800/70 hover:bg-gray-800 text-lg font-semibold text-purple-400">
+                  <span>Users &amp; Audit</span>
+                  <span>{showUsers ? '▾':'▸'}</span>
+                </button>
+              {showUsers && <UsersPanel baseUrl={statsBaseUrl} currentUser={user} />}
+            </div>
+            )}
         </div>
 
         {/* Right Column: Chat Interface */}
-        <div className="lg:col-span-2 bg-gray-800/60 rounded-2xl border border-gray-700/50 flex flex-col lg:sticky lg:top-[5rem] lg:h-[calc(100vh-5rem)] overflow-hidden">
+        <div
+          onDragOver={handleImageDragOver}
+          onDragLeave={handleImageDragLeave}
+          onDrop={handleImageDrop}
+          className={`lg:col-span-2 bg-gray-800/60 rounded-2xl border flex flex-col lg:sticky lg:top-[5rem] lg:h-[calc(100vh-5rem)] overflow-hidden ${isDraggingImage ? 'border-green-500' : 'border-gray-700/50'}`}>
+          <div className="flex border-b border-gray-700 text-sm">
+            {[['chat', 'Chat'], ['playground', 'Playground'], ['benchmark', 'Benchmark'], ['fleet', 'Fleet'], ...(isAdmin ? [['logs', 'Logs']] : [])].map(([id, label]) => (
+              <button
+                key={id}
+                onClick={() => setWorkspace(id)}
+                className={`px-4 py-2 font-semibold transition-colors ${workspace === id ? 'text-green-400 border-b-2 border-green-400' : 'text-gray-400 hover:text-white'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <PlaygroundPane
+            models={models}
+            defaultModel={selectedModel}
+            baseUrl={ollamaBaseUrl}
+            powerMode={powerMode}
+            hidden={workspace !== 'playground'}
+            disabled={!isChatter}
+            blocked={refusingPrompts}
+            incoming={playgroundInput}
+            onSavePrompt={(text) => {
+              savePrompt({ title: '', text });
+              setShowPrompts(true);
+            }}
+            onEvent={(label) => recordTimelineEvent('chat', label)}
+          />
+          <BenchmarkPane
+            models={models}
+            defaultModels={[selectedModel]}
+            settings={chatSettings}
+            baseUrl={ollamaBaseUrl}
+            stats={systemStats}
+            powerMode={powerMode}
+            hidden={workspace !== 'benchmark'}
+            disabled={!isChatter}
+            blocked={refusingPrompts}
+            paused={guardrailCritical && guardrailSettings.actions.pauseQueue}
+            baselines={benchmarkBaselines}
+            onSaveBaseline={saveBaseline}
+            onDeleteBaseline={deleteBaseline}
+            onUnload={unloadModel}
+            onEvent={(label) => recordTimelineEvent('chat', label)}
+          />
+          <FleetPane
+            devices={fleet.devices}
+            activeId={device.id}
+            pullQueue={pullQueue}
+            pullBaseUrl={pullBaseUrl}
+            hidden={workspace !== 'fleet'}
+            onSelect={fleet.selectDevice}
+            onSaveDevice={fleet.saveDevice}
+            onRemoveDevice={fleet.removeDevice}
+            onPull={enqueuePull}
+            onCancelPull={cancelPull}
+            onResumePull={resumePull}
+            onRemovePull={removePull}
+            onClearFinishedPulls={clearFinishedPulls}
+          />
+          {isAdmin && (
+            <LogsPane
+              baseUrl={statsBaseUrl}
+              hidden={workspace !== 'logs'}
+              onEvent={(label) => recordTimelineEvent('service', label)}
+            />
+          )}
+          {workspace !== 'chat' ? null : showCompare ? (
+            <ComparePane
+              models={models}
+              defaultModels={[selectedModel]}
+              settings={chatSettings}
+              baseUrl={ollamaBaseUrl}
+              powerMode={powerMode}
+              record={openComparison}
+              disabled={isStreaming}
+              blocked={refusingPrompts}
+              onUnload={unloadModel}
+              onSave={handleSaveComparison}
+              onEvent={(label) => recordTimelineEvent('chat', label)}
+              onClose={() => setShowCompare(false)}
+            />
+          ) : (
+          <>
             <div className="p-4 border-b border-gray-700 flex justify-between items-center">
                 <h2 className="text-lg font-semibold text-gray-200">Chat with <span className="text-green-400">{selectedModel || "No Model Selected"}</span></h2>
+                <div className="flex items-center gap-3">
+                <button
+                  onClick={() => setKnowledgeEnabled(!knowledgeEnabled)}
+                  disabled={isStreaming || (!knowledgeEnabled && knowledgeDocuments.length === 0)}
+                  className={`text-sm transition-colors disabled:text-gray-600 disabled:cursor-not-allowed ${knowledgeEnabled ? 'text-cyan-400' : 'text-gray-400 hover:text-white'}`}
+                  title={knowledgeDocuments.length === 0 && !knowledgeEnabled
+                    ? 'Add documents in the Knowledge panel to use them in chats'
+                    : knowledgeEnabled ? 'Knowledge on: prompts get excerpts from your documents' : 'Use Knowledge documents in this chat'}>
+                    <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M2 3h6a4 4 0 0 1 4 4v14a3 3 0 0 0-3-3H2z"></path><path d="M22 3h-6a4 4 0 0 0-4 4v14a3 3 0 0 1 3-3h7z"></path></svg>
+                </button>
+                <button
+                  onClick={() => setToolsEnabled(!toolsEnabled)}
+                  disabled={isStreaming || (!toolsEnabled && (!acceptsTools || enabledTools.length === 0))}
+                  className={`text-sm transition-colors disabled:text-gray-600 disabled:cursor-not-allowed ${toolsEnabled ? 'text-orange-400' : 'text-gray-400 hover:text-white'}`}
+                  title={!acceptsTools
+                    ? `${selectedModel || 'This model'} doesn't support tool calling`
+                    : enabledTools.length === 0 && !toolsEnabled
+                      ? 'Switch on some tools in the Tools panel first'
+                      : toolsEnabled ? 'Tools on: the model may call tools' : 'Let the model call tools in this chat'}>
+                    <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M14.7 6.3a1 1 0 0 0 0 1.4l1.6 1.6a1 1 0 0 0 1.4 0l3.77-3.77a6 6 0 0 1-7.94 7.94l-6.91 6.91a2.12 2.12 0 0 1-3-3l6.91-6.91a6 6 0 0 1 7.94-7.94l-3.76 3.76z"></path></svg>
+                </button>
+                <button
+                  onClick={handleOpenCompare}
+                  disabled={!isChatter || isStreaming || models.length < 2}
+                  className="text-sm text-gray-400 hover:text-white disabled:text-gray-600 disabled:cursor-not-allowed transition-colors"
+                  title="Compare models side by side">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect><line x1="12" y1="3" x2="12" y2="21"></line></svg>
+                </button>
+                <button
+                  onClick={() => setShowChatSettings(!showChatSettings)}
+                  className={`text-sm transition-colors flex items-center gap-1 ${showChatSettings ? 'text-green-400' : 'text-gray-400 hover:text-white'}`}
+                  title="Generation Settings">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><line x1="4" y1="21" x2="4" y2="14"></line><line x1="4" y1="10" x2="4" y2="3"></line><line x1="12" y1="21" x2="12" y2="12"></line><line x1="12" y1="8" x2="12" y2="3"></line><line x1="20" y1="21" x2="20" y2="16"></line><line x1="20" y1="12" x2="20" y2="3"></line><line x1="1" y1="14" x2="7" y2="14"></line><line x1="9" y1="8" x2="15" y2="8"></line><line x1="17" y1="16" x2="23" y2="16"></line></svg>
+                    {countCustomSettings(chatSettings) > 0 && (
+                      <span className="text-xs bg-green-700 text-white rounded-full px-1.5">{countCustomSettings(chatSettings)}</span>
+                    )}
+                </button>
                 <button 
                   onClick={handleClearChat} 
                   disabled={isStreaming || chatHistory.length === 0}
@@ -607,16 +1633,51 @@ export default function App() {
                   title="Clear Chat History">
                     <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path><line x1="10" y1="11" x2="10" y2="17"></line><line x1="14" y1="11" x2="14" y2="17"></line></svg>
                 </button>
+                </div>
             </div>
+            {showChatSettings && (
+              <ChatSettingsDrawer
+                settings={chatSettings}
+                onChange={setChatSettings}
+                onReset={() => setChatSettings(DEFAULT_CHAT_SETTINGS)}
+                disabled={isStreaming}
+              />
+            )}
             <div className="flex-1 p-4 overflow-y-auto">
-                 {chatHistory.length === 0 ? (
+                 {chatHistory.length === 0 && queuedHere.length === 0 ? (
                     <div className="flex flex-col items-center justify-center h-full text-gray-500">
                         <svg xmlns="http://www.w3.org/2000/svg" width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1" strokeLinecap="round" strokeLinejoin="round"><path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path></svg>
                         <p className="mt-4">Select a model and start the conversation.</p>
                     </div>
                  ) : (
-                    chatHistory.map((msg, index) => <ChatMessage key={index} message={msg} />)
+                    chatHistory.map((msg, index) => (
+                      <ChatMessage
+                        key={msg.id}
+                        message={msg}
+                        siblings={getSiblingInfo(chatTree, msg.id)}
+                        isLast={index === chatHistory.length - 1}
+                        disabled={isStreaming}
+                        canSend={Boolean(canChat)}
+                        onSwitchBranch={handleSwitchBranch}
+                        onRegenerate={handleRegenerate}
+                        onEditAndResend={handleEditAndResend}
+                        onDelete={handleDeleteMessage}
+                        onContinue={handleContinue}
+                      />
+                    ))
                  )}
+                {queuedHere.map(item => (
+                  <div key={item.id} className="flex justify-end mb-4">
+                    <div className="max-w-xl rounded-2xl px-4 py-3 border border-dashed border-blue-500/60 text-gray-300">
+                      <p className="whitespace-pre-wrap">{item.message.content}</p>
+                      {item.message.images && <p className="text-xs text-gray-500 mt-1">+ {item.message.images.length} image(s)</p>}
+                      <div className="flex justify-between items-center gap-3 mt-1 text-xs text-gray-500">
+                        <span>Queued · sent when Ollama is reachable</span>
+                        <button onClick={() => removeQueued(item.id)} className="hover:text-red-400">Remove</button>
+                      </div>
+                    </div>
+                  </div>
+                ))}
                 <div ref={chatEndRef} />
             </div>
             <div className="p-4 border-t border-gray-700">
@@ -627,18 +1688,73 @@ export default function App() {
                     {models.map(m=>(<option key={m.name} value={m.name}>{m.name}</option>))}
                   </select>
                 </div>
+                {attachments.length > 0 && (
+                  <div className="flex flex-wrap gap-2 mb-3">
+                    {attachments.map((img, i) => (
+                      <div key={i} className="relative">
+                        <img src={imageDataUrl(img)} alt={`Attachment ${i + 1}`} className="w-16 h-16 object-cover rounded-lg border border-gray-600" />
+                        <button
+                          onClick={() => setAttachments(prev => prev.filter((_, j) => j !== i))}
+                          title="Remove image"
+                          className="absolute -top-2 -right-2 w-5 h-5 rounded-full bg-gray-900 border border-gray-600 text-xs text-gray-300 hover:text-white">
+                          ✕
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {attachments.length > 0 && !acceptsImages && (
+                  <p className="text-xs text-yellow-400 mb-2">{selectedModel || 'This model'} doesn't accept images; pick a vision model or remove them.</p>
+                )}
+                {attachmentError && <p className="text-xs text-red-400 mb-2">{attachmentError}</p>}
+                {refusingPrompts && (
+                  <p className="text-xs text-red-400 mb-2">Guardrails are holding new prompts until the board recovers: {criticalSummary(guardrailLevels, guardrailValues)}.</p>
+                )}
+                {formatError && <p className="text-xs text-red-400 mb-2">Fix the output schema in Generation Settings: {formatError}</p>}
+                {isChatter && !ollamaReachable && (
+                  <p className="text-xs text-yellow-400 mb-2">
+                    {browserOnline ? 'Ollama is unreachable' : 'This device is offline'}: prompts are queued and sent when it is back.
+                  </p>
+                )}
+                {otherQueuedChats(outbox, currentChatId).map(([chatId, count]) => {
+                  const chat = visibleChats.find(c => c.id === chatId);
+                  return (
+                    <p key={chatId || 'new'} className="text-xs text-blue-300 mb-2 flex items-center gap-2">
+                      {count} queued {count === 1 ? 'prompt' : 'prompts'} in {chat ? `“${chat.title}”` : 'another chat'}
+                      {chat && <button onClick={() => handleLoadChat(chat.id)} className="underline hover:text-white">Open</button>}
+                    </p>
+                  );
+                })}
                 <form onSubmit={handleChatSubmit} className="flex items-center gap-3">
+                    <button
+                        type="button"
+                        onClick={() => imageInputRef.current.click()}
+                        disabled={!acceptsImages || !isChatter || isStreaming || attachments.length >= MAX_ATTACHMENTS}
+                        title={acceptsImages ? 'Attach images (or paste / drop them here)' : `${selectedModel || 'This model'} doesn't accept images`}
+                        className="text-gray-400 hover:text-white disabled:text-gray-600 disabled:cursor-not-allowed flex-shrink-0 transition-colors">
+                        <svg xmlns="http://www.w3.org/2000/svg" width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect><circle cx="8.5" cy="8.5" r="1.5"></circle><polyline points="21 15 16 10 5 21"></polyline></svg>
+                    </button>
+                    <input
+                        ref={imageInputRef}
+                        type="file"
+                        accept="image/*"
+                        multiple
+                        className="hidden"
+                        onChange={(e) => { handleAddImages(e.target.files); e.target.value = ''; }}
+                    />
                     <input 
                         type="text"
                         value={prompt}
                         onChange={(e) => setPrompt(e.target.value)}
-                        placeholder={selectedModel ? `Ask ${selectedModel}...` : 'Select a model first'}
-                        disabled={!selectedModel || isStreaming || !memOk}
+                        onPaste={handlePromptPaste}
+                        placeholder={!isChatter ? 'Your role can read but not chat' : selectedModel ? `Ask ${selectedModel}...` : 'Select a model first'}
+                        disabled={!isChatter || !selectedModel || isStreaming || !memOk}
                         className="w-full bg-gray-700 border border-gray-600 rounded-xl px-4 py-3 focus:ring-2 focus:ring-green-500 focus:outline-none transition-all"
                     />
                     <button 
                         type="submit" 
-                        disabled={!prompt || isStreaming || !selectedModel || !memOk} 
+                        disabled={(!prompt && attachments.length === 0) || !(ollamaReachable ? canChat : canQueue) || (attachments.length > 0 && !acceptsImages)}
+                        title={ollamaReachable ? undefined : 'Queue this prompt until Ollama is reachable'}
                         className="bg-green-600 hover:bg-green-700 disabled:bg-green-800/50 disabled:cursor-not-allowed text-white rounded-xl p-3 flex-shrink-0 transition-colors shadow-lg hover:shadow-green-500/30">
                         {isStreaming ? (
                              <div className="w-6 h-6 border-2 border-white/50 border-t-white rounded-full animate-spin"></div>
@@ -648,8 +1764,61 @@ export default function App() {
                     </button>
                 </form>
             </div>
+          </>
+          )}
         </div>
       </main>
+
+      {inspectedModel && (
+        <ModelInspector
+          model={inspectedModel}
+          baseUrl={ollamaBaseUrl}
+          statsBaseUrl={statsBaseUrl}
+          canEdit={isAdmin}
+          onClose={() => setInspectedModel(null)}
+          onModelsChanged={fetchModels}
+        />
+      )}
     </div>
   );
 }
+
+// Login gate for one device: every device has its own helper and users
+function DeviceSession({ device, fleet, pulls, pullEvents }) {
+  const { status, user, error, login, setup, logout } = useAuth(deviceUrls(device).stats);
+
+  if (status === 'checking') {
+    return <div className="bg-gray-900 text-gray-400 font-sans min-h-screen flex items-center justify-center">Checking login…</div>;
+  }
+  if (status !== 'ready') {
+    return (
+      <LoginScreen
+        key={status}
+        mode={status}
+        error={error}
+        deviceName={fleet.devices.length > 1 ? device.name : null}
+        switcher={fleet.devices.length > 1 && <DeviceSwitcher devices={fleet.devices} activeId={device.id} onSelect={fleet.selectDevice} />}
+        onLogin={login}
+        onSetup={setup}
+      />
+    );
+  }
+  // Keyed by user so a different login starts from a clean dashboard
+  return <Dashboard key={user.username} user={user} onLogout={logout} device={device} fleet={fleet} pulls={pulls} pullEvents={pullEvents} />;
+}
+
+// Main App Component: the device registry and the pull queue, which outlive
+// switching devices, in front of the active device's login gate
+export default function App() {
+  const fleet = useDevices();
+  const { active } = fleet;
+  const pullEvents = useRef({});
+  const pulls = usePullQueue(`${deviceUrls(active).stats}/api/ollama`, {
+    label: active.name,
+    onEvent: (label) => pullEvents.current.onEvent?.(label),
+    onComplete: (name, target) => pullEvents.current.onComplete?.(name, target),
+  });
+
+  // Keyed by address too, so editing the active device starts over
+  return <DeviceSession key={`${active.id}@${deviceUrls(active).stats}`} device={active} fleet={fleet} pulls={pulls} pullEvents={pullEvents} />;
+}
@@ -0,0 +1,350 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { buildChatRequestBody } from './ChatSettings';
+import { formatMs } from './ChatMetrics';
+import { streamChat } from './ollamaChat';
+import { downloadText } from './statsHistory';
+import {
+  benchmarkRow, benchmarkToCsv, compareToBaseline, parsePromptList, sortRows, summarizeBenchmark,
+} from './benchmark';
+
+// --- Benchmark runner ---
+// Runs a prompt list against the selected models one after another (see
+// benchmark.js) with the chat's generation settings, sampling the live
+// stats while each reply streams. Results can be sorted, charted, exported
+// and saved as a baseline for later runs to be compared against.
+
+// How often a paused run checks whether the guardrails have cleared
+const PAUSE_POLL_MS = 1000;
+
+const fixed = digits => v => (v == null ? '–' : v.toFixed(digits));
+
+// Summary/row columns: key, header, formatter and whether higher is better
+const METRICS = [
+  { key: 'tokens_per_sec', label: 'tok/s', format: fixed(1), higherIsBetter: true },
+  { key: 'ttft_ms', label: 'TTFT', format: formatMs },
+  { key: 'load_ms', label: 'Load', format: formatMs },
+  { key: 'total_ms', label: 'Total', format: formatMs },
+  { key: 'peak_gpu_percent', label: 'GPU peak', format: v => (v == null ? '–' : `${Math.round(v)}%`) },
+  { key: 'peak_ram_gb', label: 'RAM peak', format: v => (v == null ? '–' : `${v.toFixed(2)} GB`) },
+  { key: 'peak_soc_temp_c', label: 'SoC peak', format: v => (v == null ? '–' : `${v.toFixed(1)}°C`) },
+];
+
+const Delta = ({ value, higherIsBetter }) => {
+  if (value == null || Math.abs(value) < 0.005) return null;
+  const better = higherIsBetter ? value > 0 : value < 0;
+  return (
+    <span className={`ml-1 text-[10px] ${better ? 'text-green-400' : 'text-red-400'}`}>
+      {value > 0 ? '+' : ''}{Math.round(value * 100)}%
+    </span>
+  );
+};
+
+// One horizontal bar per model for the chosen metric; a white tick marks
+// the baseline value.
+const BenchmarkChart = ({ summary, baselineSummary, metric }) => {
+  const base = model => (baselineSummary || []).find(b => b.model === model)?.[metric.key] ?? null;
+  const top = Math.max(...summary.flatMap(s => [s[metric.key], base(s.model)]).filter(v => v != null), 0) || 1;
+  return (
+    <div className="flex flex-col gap-2">
+      {summary.map(s => (
+        <div key={s.model} className="grid grid-cols-[minmax(0,10rem)_1fr_5rem] items-center gap-2 text-xs">
+          <span className="truncate text-gray-300" title={s.model}>{s.model}</span>
+          <div className="relative h-4 bg-gray-700 rounded">
+            {s[metric.key] != null && (
+              <div className="h-4 bg-indigo-500 rounded transition-all" style={{ width: `${(s[metric.key] / top) * 100}%` }}></div>
+            )}
+            {base(s.model) != null && (
+              <div className="absolute top-0 h-4 w-0.5 bg-white" style={{ left: `${(base(s.model) / top) * 100}%` }} title={`Baseline ${metric.format(base(s.model))}`}></div>
+            )}
+          </div>
+          <span className="text-right font-mono">{metric.format(s[metric.key])}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const BenchmarkPane = ({ models, defaultModels, settings, baseUrl, stats, powerMode, hidden, disabled, blocked, paused, baselines, onSaveBaseline, onDeleteBaseline, onUnload, onEvent }) => {
+  const [selected, setSelected] = useState(defaultModels.filter(Boolean));
+  const [promptText, setPromptText] = useState('');
+  const [unloadBetween, setUnloadBetween] = useState(true);
+  const [rows, setRows] = useState([]);
+  const [lastRun, setLastRun] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [sort, setSort] = useState({ key: 'index', direction: 'asc' });
+  const [chartMetric, setChartMetric] = useState(METRICS[0].key);
+  const [baselineId, setBaselineId] = useState('');
+  const controllerRef = useRef(null);
+  // Stats samples taken while the current reply streams
+  const samplesRef = useRef(null);
+  // Read by the running loop, which waits before each prompt while paused
+  const pausedRef = useRef(paused);
+  pausedRef.current = paused;
+  // Power mode at the time each reply finishes
+  const powerModeRef = useRef(powerMode);
+  powerModeRef.current = powerMode;
+  // Latest stats sample, which each prompt's samples start from
+  const statsRef = useRef(stats);
+  statsRef.current = stats;
+
+  let prompts = [];
+  let parseError = null;
+  try {
+    prompts = parsePromptList(promptText);
+  } catch (err) {
+    parseError = err.message;
+  }
+
+  useEffect(() => {
+    if (samplesRef.current && stats) samplesRef.current.push(stats);
+  }, [stats]);
+
+  useEffect(() => () => {
+    if (controllerRef.current) controllerRef.current.abort();
+  }, []);
+
+  const toggleModel = (name) => {
+    setSelected(prev => (prev.includes(name) ? prev.filter(n => n !== name) : [...prev, name]));
+  };
+
+  const handleLoadFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) setPromptText(await file.text());
+  };
+
+  const handleRun = async () => {
+    if (prompts.length === 0 || selected.length === 0 || progress) return;
+    const targets = [...selected];
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setRows([]);
+    setLastRun({ models: targets, prompts: prompts.length, settings: { ...settings }, started: Date.now() });
+    onEvent(`Benchmark: ${prompts.length} prompts × ${targets.length} models`);
+
+    try {
+      for (const model of targets) {
+        for (let i = 0; i < prompts.length && !controller.signal.aborted; i++) {
+          const { label, prompt } = prompts[i];
+          const done = targets.indexOf(model) * prompts.length + i;
+          if (pausedRef.current) onEvent('Benchmark paused by guardrails');
+          while (pausedRef.current && !controller.signal.aborted) {
+            setProgress({ model, index: i, done, total: targets.length * prompts.length, paused: true });
+            await new Promise(resolve => setTimeout(resolve, PAUSE_POLL_MS));
+          }
+          if (controller.signal.aborted) break;
+          setProgress({ model, index: i, done, total: targets.length * prompts.length });
+          samplesRef.current = statsRef.current ? [statsRef.current] : [];
+          let result = { metrics: null, error: null };
+          try {
+            const { metrics } = await streamChat(
+              baseUrl,
+              buildChatRequestBody(model, [{ role: 'user', content: prompt }], settings),
+              { signal: controller.signal },
+            );
+            result = { metrics, error: null };
+          } catch (err) {
+            if (controller.signal.aborted) break;
+            console.error('Benchmark error:', err);
+            result = { metrics: null, error: err.message };
+          }
+          const row = benchmarkRow({ model, index: i, label, prompt, samples: samplesRef.current, powerMode: powerModeRef.current, ...result });
+          samplesRef.current = null;
+          setRows(prev => [...prev, row]);
+        }
+        if (controller.signal.aborted) break;
+        if (unloadBetween) {
+          setProgress(prev => ({ ...prev, unloading: true }));
+          try { await onUnload(model); } catch (_) { /* reported by the loaded-models panel */ }
+        }
+      }
+      onEvent(controller.signal.aborted ? 'Benchmark stopped' : 'Benchmark done');
+    } finally {
+      samplesRef.current = null;
+      controllerRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const handleStop = () => {
+    if (controllerRef.current) controllerRef.current.abort();
+  };
+
+  const summary = summarizeBenchmark(rows);
+  const baseline = baselines.find(b => b.id === baselineId) || null;
+  const deltas = baseline ? compareToBaseline(summary, baseline.summary) : {};
+  const metric = METRICS.find(m => m.key === chartMetric);
+  const stamp = new Date((lastRun && lastRun.started) || Date.now()).toISOString().replace(/[:.]/g, '-');
+
+  const handleSaveBaseline = () => {
+    const name = window.prompt('Name this baseline:', `${lastRun.models.join(', ')} · ${new Date(lastRun.started).toLocaleString()}`);
+    if (!name) return;
+    const entry = { id: Date.now().toString(), name: name.trim(), created: Date.now(), ...lastRun, rows, summary };
+    onSaveBaseline(entry);
+    setBaselineId(entry.id);
+  };
+
+  const handleDeleteBaseline = () => {
+    if (!baseline || !window.confirm(`Delete the baseline "${baseline.name}"?`)) return;
+    onDeleteBaseline(baseline.id);
+    setBaselineId('');
+  };
+
+  const sortBy = (key) => setSort(prev => ({ key, direction: prev.key === key && prev.direction === 'asc' ? 'desc' : 'asc' }));
+  const header = (key, label) => (
+    <th key={key} onClick={() => sortBy(key)} className="px-2 py-1 text-left font-semibold cursor-pointer select-none whitespace-nowrap hover:text-white">
+      {label}{sort.key === key ? (sort.direction === 'asc' ? ' ▴' : ' ▾') : ''}
+    </th>
+  );
+  const canExport = rows.length > 0 && !progress;
+
+  return (
+    <div className={`flex flex-col min-h-0 flex-1 ${hidden ? 'hidden' : ''}`}>
+      <div className="p-4 border-b border-gray-700 flex justify-between items-center gap-3">
+        <h2 className="text-lg font-semibold text-gray-200">Benchmark <span className="text-sm text-gray-400 font-normal">{prompts.length} prompts × {selected.length} models</span></h2>
+        <div className="flex items-center gap-3 text-sm">
+          <button onClick={() => downloadText(`benchmark-${stamp}.csv`, benchmarkToCsv(rows))} disabled={!canExport} className="text-gray-400 hover:text-white disabled:text-gray-600 disabled:cursor-not-allowed">CSV</button>
+          <button onClick={() => downloadText(`benchmark-${stamp}.json`, JSON.stringify({ ...lastRun, rows, summary }, null, 2), 'application/json')} disabled={!canExport} className="text-gray-400 hover:text-white disabled:text-gray-600 disabled:cursor-not-allowed">JSON</button>
+          <button onClick={handleSaveBaseline} disabled={!canExport || disabled} className="text-gray-400 hover:text-white disabled:text-gray-600 disabled:cursor-not-allowed">Save as baseline</button>
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 flex flex-col gap-4">
+        <div className="flex flex-wrap gap-2">
+          {models.map(m => (
+            <label key={m.name} className={`text-xs px-2 py-1 rounded-lg border cursor-pointer ${selected.includes(m.name) ? 'bg-indigo-600/30 border-indigo-500 text-white' : 'bg-gray-700/50 border-transparent text-gray-300'}`}>
+              <input type="checkbox" className="hidden" checked={selected.includes(m.name)} onChange={() => toggleModel(m.name)} disabled={!!progress} />
+              {m.name}
+            </label>
+          ))}
+        </div>
+        <div>
+          <textarea
+            rows={5}
+            value={promptText}
+            onChange={(e) => setPromptText(e.target.value)}
+            disabled={!!progress || disabled}
+            placeholder={'One prompt per line, blocks separated by a line of ---, or JSON Lines with a prompt/body/content/text field'}
+            className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-sm font-mono focus:ring-2 focus:ring-indigo-500 focus:outline-none resize-y"
+          />
+          {parseError && <p className="text-xs text-red-400 mt-1">{parseError}</p>}
+        </div>
+        <div className="flex flex-wrap items-center gap-4 text-sm">
+          {progress ? (
+            <button onClick={handleStop} className="bg-red-700 hover:bg-red-800 text-white px-5 py-2 rounded-lg font-semibold">Stop</button>
+          ) : (
+            <button onClick={handleRun} disabled={disabled || blocked || prompts.length === 0 || selected.length === 0} title={blocked ? 'Held by the guardrails until the board recovers' : undefined} className="bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-800/50 disabled:cursor-not-allowed text-white px-5 py-2 rounded-lg font-semibold">Run benchmark</button>
+          )}
+          <label className="text-gray-400 hover:text-white cursor-pointer">
+            Load file…
+            <input type="file" accept=".jsonl,.json,.txt,.md,text/plain" onChange={handleLoadFile} disabled={!!progress || disabled} className="hidden" />
+          </label>
+          <label className="flex items-center gap-1 text-xs text-gray-300">
+            <input type="checkbox" checked={unloadBetween} onChange={(e) => setUnloadBetween(e.target.checked)} disabled={!!progress} />
+            Unload each model before the next
+          </label>
+          <span className="text-xs text-gray-500">Uses the chat's generation settings.</span>
+        </div>
+        {progress && (
+          <div className="text-xs text-gray-300">
+            <p className={`truncate ${progress.paused ? 'text-red-400' : ''}`}>
+              {progress.unloading ? `Unloading ${progress.model}…` : `${progress.model} · prompt ${progress.index + 1}/${prompts.length}`}
+              {progress.paused && ' · paused by guardrails until the board recovers'}
+            </p>
+            <div className="w-full bg-gray-700 rounded-full h-1.5 mt-1">
+              <div className="bg-indigo-500 h-1.5 rounded-full transition-all" style={{ width: `${(progress.done / progress.total) * 100}%` }}></div>
+            </div>
+          </div>
+        )}
+
+        {summary.length > 0 && (
+          <>
+            <div className="flex flex-wrap items-center gap-2 text-xs">
+              <span className="text-gray-400">Compare with</span>
+              <select value={baselineId} onChange={(e) => setBaselineId(e.target.value)} className="bg-gray-700 border border-gray-600 rounded-lg px-2 py-1">
+                <option value="">no baseline</option>
+                {baselines.map(b => <option key={b.id} value={b.id}>{b.name}</option>)}
+              </select>
+              {baseline && !disabled && (
+                <button onClick={handleDeleteBaseline} title="Delete baseline" className="text-red-400 hover:text-red-300">✕</button>
+              )}
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-xs">
+                <thead className="text-gray-400 border-b border-gray-700">
+                  <tr>
+                    <th className="px-2 py-1 text-left">Model</th>
+                    <th className="px-2 py-1 text-left">Runs</th>
+                    {METRICS.map(m => <th key={m.key} className="px-2 py-1 text-left whitespace-nowrap">{m.label}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.map(s => {
+                    const base = baseline && baseline.summary.find(b => b.model === s.model);
+                    const otherMode = base && base.power_mode && s.power_mode && base.power_mode !== s.power_mode;
+                    return (
+                    <tr key={s.model} className="border-b border-gray-700/50">
+                      <td className="px-2 py-1">
+                        <span className="font-semibold">{s.model}</span>
+                        {s.power_mode && <span className="block text-gray-400">{s.power_mode}</span>}
+                        {otherMode && <span className="block text-yellow-400" title="Deltas compare different power modes">baseline: {base.power_mode}</span>}
+                      </td>
+                      <td className="px-2 py-1">{s.runs}{s.errors > 0 && <span className="text-red-400"> ({s.errors} failed)</span>}</td>
+                      {METRICS.map(m => (
+                        <td key={m.key} className="px-2 py-1 font-mono whitespace-nowrap">
+                          {m.format(s[m.key])}
+                          {deltas[s.model] && <Delta value={deltas[s.model][m.key]} higherIsBetter={m.higherIsBetter} />}
+                        </td>
+                      ))}
+                    </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="rounded-lg bg-gray-800/40 border border-gray-700 p-3">
+              <div className="flex flex-wrap gap-1 mb-3 text-xs">
+                {METRICS.map(m => (
+                  <button key={m.key} onClick={() => setChartMetric(m.key)} className={`px-2 py-0.5 rounded ${chartMetric === m.key ? 'bg-indigo-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}>
+                    {m.label}
+                  </button>
+                ))}
+              </div>
+              <BenchmarkChart summary={summary} baselineSummary={baseline && baseline.summary} metric={metric} />
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="w-full text-xs">
+                <thead className="text-gray-400 border-b border-gray-700">
+                  <tr>
+                    {header('model', 'Model')}
+                    {header('index', '#')}
+                    {header('label', 'Prompt')}
+                    {METRICS.map(m => header(m.key, m.label))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {sortRows(rows, sort.key, sort.direction).map(r => (
+                    <tr key={`${r.model}-${r.index}`} className="border-b border-gray-700/50">
+                      <td className="px-2 py-1 whitespace-nowrap">{r.model}</td>
+                      <td className="px-2 py-1">{r.index + 1}</td>
+                      <td className="px-2 py-1 max-w-[12rem] truncate" title={r.prompt}>{r.label}</td>
+                      {r.error ? (
+                        <td colSpan={METRICS.length} className="px-2 py-1 text-red-400">{r.error}</td>
+                      ) : METRICS.map(m => (
+                        <td key={m.key} className="px-2 py-1 font-mono whitespace-nowrap">{m.format(r[m.key])}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BenchmarkPane;
@@ -0,0 +1,66 @@
+import React from 'react';
+
+// --- Per-reply generation metrics ---
+// The final `done: true` chunk of an Ollama stream carries timing counters
+// (all durations in nanoseconds). We keep the raw counters alongside a few
+// derived numbers so saved chats hold the same data `ollama run --verbose`
+// prints.
+
+const NS_PER_MS = 1e6;
+
+export function extractChatMetrics(doneChunk, ttftMs) {
+  if (!doneChunk) return null;
+  const {
+    eval_count, eval_duration, prompt_eval_count, prompt_eval_duration,
+    load_duration, total_duration,
+  } = doneChunk;
+  const metrics = {
+    eval_count: eval_count ?? null,
+    eval_duration: eval_duration ?? null,
+    prompt_eval_count: prompt_eval_count ?? null,
+    prompt_eval_duration: prompt_eval_duration ?? null,
+    load_duration: load_duration ?? null,
+    total_duration: total_duration ?? null,
+    ttft_ms: ttftMs ?? null,
+    tokens_per_sec: null,
+    prompt_tokens_per_sec: null,
+  };
+  if (eval_count && eval_duration) {
+    metrics.tokens_per_sec = eval_count / (eval_duration / 1e9);
+  }
+  if (prompt_eval_count && prompt_eval_duration) {
+    metrics.prompt_tokens_per_sec = prompt_eval_count / (prompt_eval_duration / 1e9);
+  }
+  return metrics;
+}
+
+export function formatMs(ms) {
+  if (ms === null || ms === undefined) return '–';
+  return ms >= 1000 ? `${(ms / 1000).toFixed(2)} s` : `${Math.round(ms)} ms`;
+}
+
+export function nsToMs(ns) {
+  return ns === null || ns === undefined ? null : ns / NS_PER_MS;
+}
+
+// Small footer rendered under an assistant reply.
+export const ChatMetricsFooter = ({ metrics }) => {
+  if (!metrics) return null;
+  const items = [
+    { label: 'tok/s', value: metrics.tokens_per_sec != null ? metrics.tokens_per_sec.toFixed(1) : '–', title: `${metrics.eval_count ?? '?'} tokens generated in ${formatMs(nsToMs(metrics.eval_duration))}` },
+    { label: 'TTFT', value: formatMs(metrics.ttft_ms), title: 'Time from sending the request to the first streamed token' },
+    { label: 'prompt', value: metrics.prompt_eval_count != null ? `${metrics.prompt_eval_count} tok` : '–', title: metrics.prompt_tokens_per_sec != null ? `${metrics.prompt_tokens_per_sec.toFixed(1)} tok/s prompt evaluation` : 'Prompt tokens evaluated' },
+    { label: 'load', value: formatMs(nsToMs(metrics.load_duration)), title: 'Model load time' },
+    { label: 'total', value: formatMs(nsToMs(metrics.total_duration)), title: 'Total request duration reported by Ollama' },
+  ];
+  if (metrics.power_mode) items.push({ label: 'mode', value: metrics.power_mode, title: 'Jetson power mode the reply was generated in' });
+  return (
+    <div className="mt-2 pt-2 border-t border-gray-600/50 flex flex-wrap gap-x-3 gap-y-1 text-[11px] text-gray-400 font-mono">
+      {items.map(item => (
+        <span key={item.label} title={item.title}>
+          <span className="text-gray-500">{item.label}</span> {item.value}
+        </span>
+      ))}
+    </div>
+  );
+};
@@ -0,0 +1,191 @@
+import React from 'react';
+import { toolDefinition, toolStepMessages } from './tools';
+import { DEFAULT_FORMAT_RETRIES, EXAMPLE_SCHEMA, MAX_FORMAT_RETRIES, formatMode, parseFormat } from './structuredOutput';
+
+// --- Chat generation settings ---
+// Every field is optional: an empty string means "let Ollama / the Modelfile
+// decide". Values are kept as strings while editing so the inputs can be
+// cleared, and are only converted to numbers when the request is built.
+
+export const DEFAULT_CHAT_SETTINGS = {
+  system: '',
+  temperature: '',
+  top_p: '',
+  num_ctx: '',
+  seed: '',
+  keep_alive: '',
+  // '' (free text), 'json' or a JSON Schema; see structuredOutput.js
+  format: '',
+  format_retries: '',
+};
+
+// Context sizes that make sense on an 8 GB Orin Nano. Smaller windows shrink
+// the KV cache, which is often what decides whether a model fits at all.
+export const NUM_CTX_PRESETS = [512, 1024, 2048, 4096, 8192, 16384];
+
+const NUMERIC_OPTIONS = [
+  { key: 'temperature', parse: parseFloat },
+  { key: 'top_p', parse: parseFloat },
+  { key: 'num_ctx', parse: (v) => parseInt(v, 10) },
+  { key: 'seed', parse: (v) => parseInt(v, 10) },
+];
+
+// Merge a (possibly partial or missing) settings object from a saved chat
+// with the defaults so older entries without settings still load.
+export function normalizeChatSettings(settings) {
+  return { ...DEFAULT_CHAT_SETTINGS, ...(settings || {}) };
+}
+
+// Translate the settings into the Ollama `options` object. Only values the
+// user actually set are sent.
+export function buildChatOptions(settings) {
+  const options = {};
+  NUMERIC_OPTIONS.forEach(({ key, parse }) => {
+    const raw = settings?.[key];
+    if (raw === '' || raw === null || raw === undefined) return;
+    const value = parse(raw);
+    if (!Number.isNaN(value)) options[key] = value;
+  });
+  return options;
+}
+
+// Build the JSON body for POST /api/chat. The system prompt is prepended as a
+// `system` message rather than stored in the history, so changing it applies
+// to the whole conversation on the next turn.
+export function buildChatRequestBody(model, messages, settings, tools = []) {
+  const s = normalizeChatSettings(settings);
+  // Only role/content (and images, for vision models) go over the wire;
+  // saved messages also carry UI-only fields such as reply metrics. A reply
+  // that called tools is preceded by its calls and their results.
+  const wire = messages.flatMap(({ role, content, images, toolSteps }) => [
+    ...(toolSteps && toolSteps.length > 0 ? toolStepMessages(toolSteps) : []),
+    images && images.length > 0 ? { role, content, images } : { role, content },
+  ]);
+  const body = {
+    model,
+    messages: s.system.trim()
+      ? [{ role: 'system', content: s.system.trim() }, ...wire]
+      : wire,
+    stream: true,
+  };
+  if (tools.length > 0) body.tools = tools.map(toolDefinition);
+  // A schema that doesn't parse is reported in the drawer and not sent
+  const { format } = parseFormat(s.format);
+  if (format) body.format = format;
+  const options = buildChatOptions(s);
+  if (Object.keys(options).length > 0) body.options = options;
+  const keepAlive = String(s.keep_alive).trim();
+  if (keepAlive !== '') {
+    // Ollama accepts either a duration string ("10m") or seconds as a number.
+    body.keep_alive = /^-?\d+$/.test(keepAlive) ? parseInt(keepAlive, 10) : keepAlive;
+  }
+  return body;
+}
+
+// Count how many settings differ from the defaults (shown on the toggle button).
+export function countCustomSettings(settings) {
+  const s = normalizeChatSettings(settings);
+  return Object.keys(DEFAULT_CHAT_SETTINGS).filter(k => String(s[k]).trim() !== '').length;
+}
+
+const inputClass = 'w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-green-500 focus:outline-none disabled:bg-gray-800/50';
+const labelClass = 'block text-xs font-medium text-gray-400 mb-1';
+
+// Drawer shown above the chat input with the per-chat generation settings.
+export const ChatSettingsDrawer = ({ settings, onChange, onReset, disabled }) => {
+  const s = normalizeChatSettings(settings);
+  const update = (key) => (e) => onChange({ ...s, [key]: e.target.value });
+  const mode = formatMode(s.format);
+  const schemaError = parseFormat(s.format).error;
+
+  return (
+    <div className="p-4 border-b border-gray-700 bg-gray-800/40">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-sm font-semibold text-gray-300">Generation Settings</h3>
+        <button
+          type="button"
+          onClick={onReset}
+          disabled={disabled}
+          className="text-xs text-gray-400 hover:text-white disabled:text-gray-600 disabled:cursor-not-allowed"
+        >
+          Reset to defaults
+        </button>
+      </div>
+      <div className="mb-3">
+        <label className={labelClass} htmlFor="chat-system-prompt">System prompt</label>
+        <textarea
+          id="chat-system-prompt"
+          rows={3}
+          value={s.system}
+          onChange={update('system')}
+          disabled={disabled}
+          placeholder="Model default"
+          className={`${inputClass} resize-y`}
+        />
+      </div>
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+        <div>
+          <label className={labelClass} htmlFor="chat-temperature">Temperature</label>
+          <input id="chat-temperature" type="number" min="0" max="2" step="0.05" value={s.temperature} onChange={update('temperature')} disabled={disabled} placeholder="default" className={inputClass} />
+        </div>
+        <div>
+          <label className={labelClass} htmlFor="chat-top-p">top_p</label>
+          <input id="chat-top-p" type="number" min="0" max="1" step="0.05" value={s.top_p} onChange={update('top_p')} disabled={disabled} placeholder="default" className={inputClass} />
+        </div>
+        <div>
+          <label className={labelClass} htmlFor="chat-num-ctx">Context length (num_ctx)</label>
+          <select id="chat-num-ctx" value={s.num_ctx} onChange={update('num_ctx')} disabled={disabled} className={inputClass}>
+            <option value="">Model default</option>
+            {NUM_CTX_PRESETS.map(n => (<option key={n} value={String(n)}>{n}</option>))}
+          </select>
+        </div>
+        <div>
+          <label className={labelClass} htmlFor="chat-seed">Seed</label>
+          <input id="chat-seed" type="number" step="1" value={s.seed} onChange={update('seed')} disabled={disabled} placeholder="random" className={inputClass} />
+        </div>
+        <div>
+          <label className={labelClass} htmlFor="chat-keep-alive">keep_alive</label>
+          <input id="chat-keep-alive" type="text" value={s.keep_alive} onChange={update('keep_alive')} disabled={disabled} placeholder="5m" className={inputClass} />
+        </div>
+      </div>
+      <div className="mt-3">
+        <div className="flex items-end gap-3">
+          <div className="flex-1">
+            <label className={labelClass} htmlFor="chat-format">Output</label>
+            <select
+              id="chat-format"
+              value={mode}
+              onChange={(e) => onChange({ ...s, format: { text: '', json: 'json', schema: EXAMPLE_SCHEMA }[e.target.value] })}
+              disabled={disabled}
+              className={inputClass}
+            >
+              <option value="text">Text (Markdown)</option>
+              <option value="json">JSON</option>
+              <option value="schema">JSON matching a schema</option>
+            </select>
+          </div>
+          {mode !== 'text' && (
+            <div className="w-32">
+              <label className={labelClass} htmlFor="chat-format-retries">Retries if invalid</label>
+              <input id="chat-format-retries" type="number" min="0" max={MAX_FORMAT_RETRIES} step="1" value={s.format_retries} onChange={update('format_retries')} disabled={disabled} placeholder={String(DEFAULT_FORMAT_RETRIES)} className={inputClass} />
+            </div>
+          )}
+        </div>
+        {mode === 'schema' && (
+          <>
+            <textarea
+              aria-label="JSON schema"
+              rows={6}
+              value={s.format}
+              onChange={update('format')}
+              disabled={disabled}
+              spellCheck={false}
+              className={`${inputClass} mt-2 font-mono text-xs resize-y`}
+            />
+            {schemaError && <p className="text-xs text-red-400 mt-1">{schemaError}</p>}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,60 @@
+import { buildChatRequestBody, normalizeChatSettings } from './ChatSettings';
+
+const history = [{ role: 'user', content: 'hi' }];
+
+test('omits options and keep_alive when nothing is set', () => {
+  expect(buildChatRequestBody('gemma:2b', history, undefined)).toEqual({
+    model: 'gemma:2b',
+    messages: history,
+    stream: true,
+  });
+});
+
+test('sends numeric options, system prompt and keep_alive', () => {
+  const body = buildChatRequestBody('gemma:2b', history, {
+    system: ' Be brief. ',
+    temperature: '0.2',
+    num_ctx: '1024',
+    seed: '42',
+    keep_alive: '300',
+  });
+  expect(body.messages[0]).toEqual({ role: 'system', content: 'Be brief.' });
+  expect(body.messages.slice(1)).toEqual(history);
+  expect(body.options).toEqual({ temperature: 0.2, num_ctx: 1024, seed: 42 });
+  expect(body.keep_alive).toBe(300);
+});
+
+test('sends attached images but no UI-only fields', () => {
+  const body = buildChatRequestBody('llava', [
+    { role: 'user', content: 'what is this?', images: ['AAAA'], id: 'n1' },
+    { role: 'assistant', content: 'a cat', images: [], metrics: { tokens_per_sec: 9 } },
+  ]);
+  expect(body.messages).toEqual([
+    { role: 'user', content: 'what is this?', images: ['AAAA'] },
+    { role: 'assistant', content: 'a cat' },
+  ]);
+});
+
+test('replays tool calls before the reply and offers the tools', () => {
+  const calculator = { name: 'calculator', description: 'math', parameters: { type: 'object', properties: {} }, run: () => '' };
+  const body = buildChatRequestBody('qwen3', [
+    { role: 'user', content: '2+2?' },
+    { role: 'assistant', content: 'It is 4.', toolSteps: [{ round: 0, name: 'calculator', arguments: { expression: '2+2' }, result: '4', error: null }] },
+  ], {}, [calculator]);
+  expect(body.messages).toEqual([
+    { role: 'user', content: '2+2?' },
+    { role: 'assistant', content: '', tool_calls: [{ function: { name: 'calculator', arguments: { expression: '2+2' } } }] },
+    { role: 'tool', content: '4', tool_name: 'calculator' },
+    { role: 'assistant', content: 'It is 4.' },
+  ]);
+  expect(body.tools).toEqual([{ type: 'function', function: { name: 'calculator', description: 'math', parameters: { type: 'object', properties: {} } } }]);
+  expect(buildChatRequestBody('m', history, {}).tools).toBeUndefined();
+});
+
+test('keeps duration strings for keep_alive', () => {
+  expect(buildChatRequestBody('m', history, { keep_alive: '10m' }).keep_alive).toBe('10m');
+});
+
+test('fills in defaults for chats saved without settings', () => {
+  expect(normalizeChatSettings({ temperature: '0.5' }).num_ctx).toBe('');
+});
@@ -0,0 +1,33 @@
+import React, { useState } from 'react';
+
+// --- Document excerpts a reply was given (see knowledge.js) ---
+// Shown under the reply; the numbers match the [n] citations in its text.
+
+export const ChatSourcesFooter = ({ sources }) => {
+  const [open, setOpen] = useState(null);
+  if (!sources || sources.length === 0) return null;
+
+  return (
+    <div className="mt-3 pt-2 border-t border-gray-600/50 text-xs">
+      <div className="flex flex-wrap gap-1 items-center">
+        <span className="text-gray-400 mr-1">Sources</span>
+        {sources.map(s => (
+          <button
+            key={s.n}
+            onClick={() => setOpen(open === s.n ? null : s.n)}
+            title={`${s.document}, part ${s.part} (similarity ${s.score.toFixed(2)})`}
+            className={`px-1.5 py-0.5 rounded ${open === s.n ? 'bg-cyan-700 text-white' : 'bg-gray-600/70 text-gray-200 hover:bg-gray-500'}`}
+          >
+            [{s.n}] {s.document}
+          </button>
+        ))}
+      </div>
+      {sources.filter(s => s.n === open).map(s => (
+        <blockquote key={s.n} className="mt-2 pl-2 border-l-2 border-cyan-600 text-gray-300 whitespace-pre-wrap">
+          <span className="text-gray-400">{s.document}, part {s.part}</span>
+          {'\n'}{s.text}
+        </blockquote>
+      ))}
+    </div>
+  );
+};
@@ -0,0 +1,46 @@
+import React, { useState } from 'react';
+import JsonTree from './JsonTree';
+
+// --- A reply requested as JSON (see structuredOutput.js) ---
+// `structured` is { schema, errors, attempts }: whether a schema was given,
+// the problems found in the final reply (null until it's checked) and how
+// many requests it took. The text shows as a JSON tree once it parses.
+
+export const ChatStructuredReply = ({ content, structured }) => {
+  const [raw, setRaw] = useState(false);
+  let value;
+  let parsed = false;
+  try {
+    value = JSON.parse(content);
+    parsed = true;
+  } catch (_) { /* still streaming, or not JSON */ }
+  const { schema, errors, attempts } = structured;
+
+  return (
+    <div className="text-sm min-w-[16rem]">
+      {parsed && !raw ? (
+        <JsonTree value={value} />
+      ) : (
+        <pre className="font-mono text-xs whitespace-pre-wrap break-words">{content}</pre>
+      )}
+      {errors && (
+        <div className="mt-3 pt-2 border-t border-gray-600/50 text-xs">
+          <div className="flex justify-between items-center gap-2">
+            <span className={errors.length === 0 ? 'text-green-400' : 'text-red-400'}>
+              {errors.length === 0 ? `✓ ${schema ? 'Matches the schema' : 'Valid JSON'}` : `✗ ${errors.length} problem${errors.length > 1 ? 's' : ''}`}
+              {attempts > 1 && <span className="text-gray-400"> after {attempts} attempts</span>}
+            </span>
+            {parsed && (
+              <button onClick={() => setRaw(!raw)} className="text-gray-400 hover:text-white">{raw ? 'Tree' : 'Raw'}</button>
+            )}
+          </div>
+          {errors.length > 0 && (
+            <ul className="mt-1 list-disc list-inside text-red-300 font-mono">
+              {errors.map((e, i) => <li key={i}>{e}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
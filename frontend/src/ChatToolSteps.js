@@ -0,0 +1,42 @@
+import React from 'react';
+
+// --- Tool calls a reply made (see tools.js) ---
+// One collapsible line per call above the reply text; open it to see the
+// arguments and what the tool returned.
+
+const argumentSummary = args => Object.entries(args || {})
+  .map(([k, v]) => `${k}: ${JSON.stringify(v)}`)
+  .join(', ');
+
+const prettyResult = (text) => {
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch (_) {
+    return text;
+  }
+};
+
+export const ChatToolSteps = ({ steps }) => {
+  if (!steps || steps.length === 0) return null;
+
+  return (
+    <div className="mb-3 flex flex-col gap-1 text-xs not-prose">
+      {steps.map((step, i) => (
+        <details key={i} className="rounded-lg bg-gray-800/60 border border-gray-600/50">
+          <summary className="cursor-pointer px-2 py-1 font-mono truncate">
+            <span className={step.error ? 'text-red-400' : 'text-orange-300'}>{step.error ? '✗' : '⚙'} {step.name}</span>
+            <span className="text-gray-400">({argumentSummary(step.arguments)})</span>
+          </summary>
+          <div className="px-2 pb-2 flex flex-col gap-1">
+            <span className="text-gray-400">Arguments</span>
+            <pre className="bg-gray-900 rounded p-2 overflow-x-auto whitespace-pre-wrap">{JSON.stringify(step.arguments, null, 2)}</pre>
+            <span className="text-gray-400">{step.error ? 'Error' : 'Result'}</span>
+            <pre className={`bg-gray-900 rounded p-2 overflow-x-auto whitespace-pre-wrap max-h-60 ${step.error ? 'text-red-300' : ''}`}>
+              {step.error || prettyResult(step.result)}
+            </pre>
+          </div>
+        </details>
+      ))}
+    </div>
+  );
+};
@@ -0,0 +1,243 @@
+import React, { useEffect, useRef, useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import remarkBreaks from 'remark-breaks';
+import { buildChatRequestBody } from './ChatSettings';
+import { ChatMetricsFooter } from './ChatMetrics';
+import { streamChat } from './ollamaChat';
+import { withPowerMode } from './powerMode';
+
+// --- Side-by-side model comparison ---
+// Sends one prompt to several local models and streams the replies into
+// parallel columns. On an 8 GB Orin Nano two models rarely fit at once, so
+// the default is to run them one after another and unload each model before
+// the next one starts.
+
+const STATUS_LABELS = {
+  waiting: 'Waiting',
+  running: 'Generating…',
+  unloading: 'Unloading…',
+  done: 'Done',
+  error: 'Error',
+  stopped: 'Stopped',
+};
+
+const STATUS_COLORS = {
+  waiting: 'text-gray-400',
+  running: 'text-yellow-300',
+  unloading: 'text-purple-300',
+  done: 'text-green-400',
+  error: 'text-red-400',
+  stopped: 'text-gray-500',
+};
+
+const ComparePane = ({ models, defaultModels, settings, baseUrl, powerMode, record, disabled, blocked, onUnload, onSave, onEvent, onClose }) => {
+  const [selected, setSelected] = useState(defaultModels.filter(Boolean));
+  const [prompt, setPrompt] = useState('');
+  const [sequential, setSequential] = useState(true);
+  const [unloadBetween, setUnloadBetween] = useState(true);
+  const [columns, setColumns] = useState([]);
+  const [lastRun, setLastRun] = useState(null);
+  const [running, setRunning] = useState(false);
+  const controllerRef = useRef(null);
+
+  // Show a saved comparison when one is opened from the Saved Chats panel.
+  useEffect(() => {
+    if (!record) return;
+    setSelected(record.models);
+    setPrompt(record.prompt);
+    setSequential(record.mode !== 'parallel');
+    setColumns(record.results.map(r => ({ ...r, status: r.error ? 'error' : 'done' })));
+    setLastRun({ prompt: record.prompt, models: record.models, mode: record.mode, settings: record.settings });
+  }, [record]);
+
+  // Stop any run still in flight when the pane is closed.
+  useEffect(() => () => {
+    if (controllerRef.current) controllerRef.current.abort();
+  }, []);
+
+  const toggleModel = (name) => {
+    setSelected(prev => (prev.includes(name) ? prev.filter(n => n !== name) : [...prev, name]));
+  };
+
+  const updateColumn = (index, patch) => {
+    setColumns(prev => prev.map((c, i) => (i === index ? { ...c, ...patch } : c)));
+  };
+
+  const handleRun = async (e) => {
+    e.preventDefault();
+    const text = prompt.trim();
+    if (!text || selected.length < 2 || running || blocked) return;
+    const targets = [...selected];
+    const mode = sequential ? 'sequential' : 'parallel';
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setRunning(true);
+    setColumns(targets.map(model => ({ model, content: '', status: 'waiting', metrics: null, error: null })));
+    setLastRun({ prompt: text, models: targets, mode, settings: { ...settings } });
+
+    const runOne = async (model, index) => {
+      if (controller.signal.aborted) {
+        updateColumn(index, { status: 'stopped' });
+        return;
+      }
+      updateColumn(index, { status: 'running' });
+      onEvent(`Compare → ${model}`);
+      try {
+        const { content, metrics } = await streamChat(
+          baseUrl,
+          buildChatRequestBody(model, [{ role: 'user', content: text }], settings),
+          { signal: controller.signal, onContent: (c) => updateColumn(index, { content: c }) },
+        );
+        updateColumn(index, { content, metrics: withPowerMode(metrics, powerMode), status: 'done' });
+      } catch (err) {
+        if (controller.signal.aborted) {
+          updateColumn(index, { status: 'stopped' });
+        } else {
+          console.error('Compare error:', err);
+          updateColumn(index, { status: 'error', error: err.message });
+        }
+      }
+    };
+
+    try {
+      if (sequential) {
+        for (let i = 0; i < targets.length; i++) {
+          await runOne(targets[i], i);
+          if (unloadBetween && !controller.signal.aborted) {
+            updateColumn(i, { unloading: true });
+            try { await onUnload(targets[i]); } catch (_) { /* reported by the loaded-models panel */ }
+            updateColumn(i, { unloading: false });
+          }
+        }
+      } else {
+        await Promise.all(targets.map((model, i) => runOne(model, i)));
+      }
+    } finally {
+      setRunning(false);
+      controllerRef.current = null;
+    }
+  };
+
+  const handleStop = () => {
+    if (controllerRef.current) controllerRef.current.abort();
+  };
+
+  const handleSave = () => {
+    if (!lastRun || columns.length === 0) return;
+    const title = window.prompt('Enter a title for this comparison:', lastRun.prompt.slice(0, 60));
+    if (!title) return;
+    onSave({
+      id: Date.now().toString(),
+      title: title.trim(),
+      prompt: lastRun.prompt,
+      models: lastRun.models,
+      mode: lastRun.mode,
+      settings: lastRun.settings,
+      results: columns.map(({ model, content, metrics, error }) => ({ model, content, metrics: metrics || null, error: error || null })),
+      created: Date.now(),
+    });
+  };
+
+  return (
+    <>
+      <div className="p-4 border-b border-gray-700 flex justify-between items-center">
+        <h2 className="text-lg font-semibold text-gray-200">Compare <span className="text-green-400">{selected.length} models</span></h2>
+        <div className="flex items-center gap-3">
+          <button
+            onClick={handleSave}
+            disabled={running || columns.length === 0}
+            className="text-sm text-gray-400 hover:text-white disabled:text-gray-600 disabled:cursor-not-allowed"
+            title="Save comparison"
+          >
+            Save
+          </button>
+          <button onClick={onClose} disabled={running} className="text-sm text-gray-400 hover:text-white disabled:text-gray-600 disabled:cursor-not-allowed" title="Back to chat">
+            ✕
+          </button>
+        </div>
+      </div>
+
+      <div className="p-4 border-b border-gray-700 flex flex-col gap-3">
+        <div className="flex flex-wrap gap-2">
+          {models.map(m => (
+            <label key={m.name} className={`text-xs px-2 py-1 rounded-lg border cursor-pointer ${selected.includes(m.name) ? 'bg-blue-600/30 border-blue-500 text-white' : 'bg-gray-700/50 border-transparent text-gray-300'}`}>
+              <input type="checkbox" className="hidden" checked={selected.includes(m.name)} onChange={() => toggleModel(m.name)} disabled={running} />
+              {m.name}
+            </label>
+          ))}
+        </div>
+        <div className="flex flex-wrap gap-4 text-xs text-gray-300">
+          <label className="flex items-center gap-1">
+            <input type="checkbox" checked={sequential} onChange={(e) => setSequential(e.target.checked)} disabled={running} />
+            Run one after another
+          </label>
+          <label className={`flex items-center gap-1 ${sequential ? '' : 'opacity-40'}`}>
+            <input type="checkbox" checked={unloadBetween} onChange={(e) => setUnloadBetween(e.target.checked)} disabled={running || !sequential} />
+            Unload each model before the next
+          </label>
+        </div>
+      </div>
+
+      <div className="flex-1 p-4 overflow-auto">
+        {columns.length === 0 ? (
+          <div className="flex flex-col items-center justify-center h-full text-gray-500 text-center">
+            <p>Pick two or more models and send one prompt to all of them.</p>
+          </div>
+        ) : (
+          <div className="grid gap-4" style={{ gridTemplateColumns: `repeat(${columns.length}, minmax(16rem, 1fr))` }}>
+            {columns.map((col, i) => (
+              <div key={`${col.model}-${i}`} className="bg-gray-700/50 rounded-xl p-3 flex flex-col min-w-0">
+                <div className="flex justify-between items-center mb-2">
+                  <span className="font-semibold text-sm text-blue-300 truncate">{col.model}</span>
+                  <span className={`text-xs ${STATUS_COLORS[col.unloading ? 'unloading' : col.status]}`}>
+                    {STATUS_LABELS[col.unloading ? 'unloading' : col.status]}
+                  </span>
+                </div>
+                {col.error ? (
+                  <p className="text-sm text-red-400">{col.error}</p>
+                ) : col.status === 'running' && !col.content ? (
+                  <span className="italic text-gray-400 animate-pulse text-sm">Thinking…</span>
+                ) : (
+                  <ReactMarkdown remarkPlugins={[remarkGfm, remarkBreaks]} className="prose prose-invert text-sm max-w-none">
+                    {col.content}
+                  </ReactMarkdown>
+                )}
+                <ChatMetricsFooter metrics={col.metrics} />
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="p-4 border-t border-gray-700">
+        <form onSubmit={handleRun} className="flex items-center gap-3">
+          <input
+            type="text"
+            value={prompt}
+            onChange={(e) => setPrompt(e.target.value)}
+            placeholder={selected.length < 2 ? 'Select at least two models' : `Ask ${selected.length} models…`}
+            disabled={running || disabled}
+            className="w-full bg-gray-700 border border-gray-600 rounded-xl px-4 py-3 focus:ring-2 focus:ring-green-500 focus:outline-none transition-all"
+          />
+          {running ? (
+            <button type="button" onClick={handleStop} className="bg-red-700 hover:bg-red-800 text-white rounded-xl px-4 py-3 text-sm font-semibold flex-shrink-0">
+              Stop
+            </button>
+          ) : (
+            <button
+              type="submit"
+              disabled={!prompt.trim() || selected.length < 2 || disabled || blocked}
+              title={blocked ? 'Held by the guardrails until the board recovers' : undefined}
+              className="bg-green-600 hover:bg-green-700 disabled:bg-green-800/50 disabled:cursor-not-allowed text-white rounded-xl px-4 py-3 text-sm font-semibold flex-shrink-0"
+            >
+              Run
+            </button>
+          )}
+        </form>
+      </div>
+    </>
+  );
+};
+
+export default ComparePane;
@@ -0,0 +1,241 @@
+import React, { useState } from 'react';
+import { LOCAL_DEVICE_ID, deviceAddress, deviceUrls, parseDeviceInput } from './devices';
+import { hasRole } from './session';
+import useFleet from './useFleet';
+import { runningModelName } from './useRunningModels';
+import PullQueuePanel from './PullQueuePanel';
+
+// --- Fleet of Jetsons ---
+// Overview of every registered device (gauges, loaded models, reachability)
+// with a button to point the dashboard at it, a form to push one model pull
+// to several devices at once, and the device registry itself. Devices are
+// only polled while the tab is shown.
+
+const inputClass = 'bg-gray-700 border border-gray-600 rounded-lg px-2 py-1 text-sm focus:ring-2 focus:ring-green-500 focus:outline-none';
+
+const STATE_DOTS = {
+  online: 'bg-green-500',
+  login: 'bg-yellow-400',
+  offline: 'bg-red-500',
+};
+
+const STATE_LABELS = {
+  online: 'Online',
+  login: 'Login required',
+  offline: 'Unreachable',
+};
+
+const EMPTY_DRAFT = { name: '', host: '', port: '', https: false };
+
+const UsageBar = ({ label, value, max, unit, color }) => {
+  const percent = max > 0 ? Math.min(100, (value / max) * 100) : 0;
+  return (
+    <div>
+      <div className="flex justify-between text-[11px] text-gray-400">
+        <span>{label}</span>
+        <span className="font-mono">{unit === 'GB' ? `${value.toFixed(1)} / ${max.toFixed(1)} GB` : `${Math.round(value)}${unit}`}</span>
+      </div>
+      <div className="w-full h-1.5 bg-gray-700 rounded-full overflow-hidden">
+        <div className="h-full rounded-full" style={{ width: `${percent}%`, backgroundColor: color }}></div>
+      </div>
+    </div>
+  );
+};
+
+const DeviceCard = ({ device, result, active, onSelect }) => {
+  const state = result ? result.state : null;
+  const stats = result && result.stats;
+  return (
+    <div className={`rounded-lg bg-gray-800/40 border p-3 flex flex-col gap-2 text-sm ${active ? 'border-green-500/70' : 'border-gray-700'}`}>
+      <div className="flex justify-between items-start gap-2">
+        <div className="min-w-0">
+          <p className="font-semibold flex items-center gap-2">
+            <span className={`w-2.5 h-2.5 rounded-full flex-shrink-0 ${state ? STATE_DOTS[state] : 'bg-gray-500 animate-pulse'}`}></span>
+            <span className="truncate">{device.name}</span>
+            {active && <span className="text-[10px] uppercase text-green-400">active</span>}
+          </p>
+          <p className="text-xs text-gray-500 font-mono truncate">{deviceAddress(device)}</p>
+        </div>
+        {!active && (
+          <button
+            onClick={() => onSelect(device.id)}
+            disabled={state === 'offline'}
+            className="bg-green-600 hover:bg-green-700 disabled:bg-green-800/50 disabled:cursor-not-allowed text-white px-3 py-1 rounded-lg text-xs font-semibold flex-shrink-0"
+          >
+            {state === 'login' ? 'Log in' : 'Switch'}
+          </button>
+        )}
+      </div>
+      <p className="text-xs text-gray-400">
+        {state ? STATE_LABELS[state] : 'Checking…'}
+        {result && result.user && <> · {result.user.username} ({result.user.role})</>}
+        {result && result.error && state !== 'offline' && <span className="text-red-400"> · {result.error}</span>}
+      </p>
+      {stats && (
+        <div className="grid grid-cols-2 gap-x-3 gap-y-1">
+          <UsageBar label="CPU" value={stats.cpu_usage_percent || 0} max={100} unit="%" color="#22c55e" />
+          <UsageBar label="GPU" value={stats.gpu_usage_percent || 0} max={100} unit="%" color="#3b82f6" />
+          <UsageBar label="RAM" value={stats.ram_used_gb || 0} max={stats.ram_total_gb || 0} unit="GB" color="#eab308" />
+          <UsageBar label="Temp" value={stats.soc_temp_c || 0} max={100} unit="°C" color="#ef4444" />
+        </div>
+      )}
+      {state === 'online' && (
+        result.runningError ? (
+          <p className="text-xs text-yellow-400" title={`Add ${window.location.origin} to PANEL_ALLOWED_ORIGINS on this device`}>
+            Loaded models unknown: {result.runningError}
+          </p>
+        ) : (
+          <p className="text-xs text-gray-400">
+            Loaded: {result.running && result.running.length > 0
+              ? <span className="font-mono text-gray-200">{result.running.map(runningModelName).join(', ')}</span>
+              : 'none'}
+          </p>
+        )
+      )}
+    </div>
+  );
+};
+
+const DeviceForm = ({ devices, editing, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(editing ? { ...editing, port: String(editing.port) } : EMPTY_DRAFT);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const result = parseDeviceInput(draft, devices, editing ? editing.id : null);
+    if (result.error) {
+      setError(result.error);
+      return;
+    }
+    onSave(result.device);
+    setDraft(EMPTY_DRAFT);
+    setError(null);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-col gap-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <input type="text" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} placeholder="Name, e.g. orin-2" className={`${inputClass} w-36`} />
+        <input type="text" value={draft.host} onChange={(e) => setDraft({ ...draft, host: e.target.value })} placeholder="Host or panel URL" className={`${inputClass} flex-1 min-w-[10rem]`} />
+        <input type="number" min="1" max="65535" value={draft.port} onChange={(e) => setDraft({ ...draft, port: e.target.value })} placeholder="3000" className={`${inputClass} w-24`} aria-label="Port" />
+        <label className="flex items-center gap-1 text-xs text-gray-300">
+          <input type="checkbox" checked={draft.https} onChange={(e) => setDraft({ ...draft, https: e.target.checked })} className="accent-green-500" />
+          HTTPS
+        </label>
+        <button type="submit" className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded-lg text-sm font-semibold">
+          {editing ? 'Save' : 'Add device'}
+        </button>
+        {editing && <button type="button" onClick={onCancel} className="text-sm text-gray-400 hover:text-white">Cancel</button>}
+      </div>
+      {error && <p className="text-xs text-red-400">{error}</p>}
+    </form>
+  );
+};
+
+const FleetPane = ({ devices, activeId, pullQueue, pullBaseUrl, hidden, onSelect, onSaveDevice, onRemoveDevice, onPull, onCancelPull, onResumePull, onRemovePull, onClearFinishedPulls }) => {
+  const { results, checking, refresh } = useFleet(devices, !hidden);
+  const [editing, setEditing] = useState(null);
+  const [pullName, setPullName] = useState('');
+  const [pullTargets, setPullTargets] = useState([]);
+
+  // Pulls need the admin role on the device
+  const pullable = devices.filter(d => results[d.id] && results[d.id].state === 'online' && hasRole(results[d.id].user, 'admin'));
+  const selectedTargets = pullable.filter(d => pullTargets.includes(d.id));
+
+  const toggleTarget = (id) => {
+    setPullTargets(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+  };
+
+  const handlePull = (e) => {
+    e.preventDefault();
+    if (!pullName.trim() || selectedTargets.length === 0) return;
+    onPull(pullName.trim(), selectedTargets.map(d => ({ baseUrl: `${deviceUrls(d).stats}/api/ollama`, label: d.name })));
+  };
+
+  const handleRemove = (device) => {
+    if (!window.confirm(`Remove ${device.name} from the fleet? This browser also forgets its login there.`)) return;
+    if (editing && editing.id === device.id) setEditing(null);
+    onRemoveDevice(device.id);
+  };
+
+  return (
+    <div className={`flex flex-col min-h-0 flex-1 overflow-y-auto ${hidden ? 'hidden' : ''}`}>
+      <div className="p-4 border-b border-gray-700 flex flex-col gap-3">
+        <div className="flex justify-between items-center">
+          <h2 className="text-lg font-semibold text-gray-200">Fleet</h2>
+          <button onClick={refresh} disabled={checking} className="text-xs text-gray-400 hover:text-white disabled:text-gray-600">
+            {checking ? 'Checking…' : 'Refresh'}
+          </button>
+        </div>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          {devices.map(d => (
+            <DeviceCard key={d.id} device={d} result={results[d.id]} active={d.id === activeId} onSelect={onSelect} />
+          ))}
+        </div>
+      </div>
+
+      <div className="p-4 border-b border-gray-700 flex flex-col gap-3 text-sm">
+        <h3 className="text-md font-semibold text-gray-300">Pull a model on several devices</h3>
+        {pullable.length === 0 ? (
+          <p className="text-xs text-gray-400">Log in as an admin on the devices you want to pull to.</p>
+        ) : (
+          <form onSubmit={handlePull} className="flex flex-col gap-2">
+            <div className="flex flex-wrap gap-2">
+              {pullable.map(d => (
+                <label key={d.id} className="flex items-center gap-1 text-xs text-gray-300">
+                  <input type="checkbox" checked={pullTargets.includes(d.id)} onChange={() => toggleTarget(d.id)} className="accent-blue-500" />
+                  {d.name}
+                </label>
+              ))}
+            </div>
+            <div className="flex gap-2">
+              <input type="text" value={pullName} onChange={(e) => setPullName(e.target.value)} placeholder="e.g., gemma:2b" className={`${inputClass} flex-1`} />
+              <button type="submit" disabled={!pullName.trim() || selectedTargets.length === 0} className="bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800/50 disabled:cursor-not-allowed text-white px-3 py-1 rounded-lg font-semibold">
+                Pull on {selectedTargets.length} {selectedTargets.length === 1 ? 'device' : 'devices'}
+              </button>
+            </div>
+          </form>
+        )}
+        <PullQueuePanel
+          queue={pullQueue}
+          baseUrl={pullBaseUrl}
+          onCancel={onCancelPull}
+          onResume={onResumePull}
+          onRemove={onRemovePull}
+          onClearFinished={onClearFinishedPulls}
+        />
+      </div>
+
+      <div className="p-4 flex flex-col gap-3 text-sm">
+        <h3 className="text-md font-semibold text-gray-300">Devices</h3>
+        <p className="text-xs text-gray-400">
+          Each device needs its own panel_server.js. To chat with it or see its loaded models from here, add
+          {' '}<span className="font-mono text-gray-200">{window.location.origin}</span> to its PANEL_ALLOWED_ORIGINS.
+        </p>
+        <ul className="flex flex-col gap-1">
+          {devices.filter(d => d.id !== LOCAL_DEVICE_ID).map(d => (
+            <li key={d.id} className="flex justify-between items-center gap-2 px-3 py-1.5 rounded-lg bg-gray-700/40">
+              <span className="truncate">{d.name} <span className="text-xs text-gray-500 font-mono">{deviceAddress(d)}{d.https ? ' (https)' : ''}</span></span>
+              <span className="flex gap-3 flex-shrink-0 text-xs">
+                <button onClick={() => setEditing(d)} className="text-gray-400 hover:text-white">Edit</button>
+                <button onClick={() => handleRemove(d)} className="text-red-400 hover:text-red-300">Remove</button>
+              </span>
+            </li>
+          ))}
+        </ul>
+        <DeviceForm
+          key={editing ? editing.id : 'new'}
+          devices={devices}
+          editing={editing}
+          onSave={(device) => {
+            onSaveDevice(device);
+            setEditing(null);
+          }}
+          onCancel={() => setEditing(null)}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default FleetPane;
@@ -0,0 +1,115 @@
+import React from 'react';
+import { GUARDRAIL_METRICS } from './guardrails';
+
+// --- Guardrails panel ---
+// Thresholds per metric, the actions taken while one is critical,
+// notifications and the history of level changes.
+
+export const LEVEL_STYLES = {
+  ok: 'text-green-400',
+  warning: 'text-yellow-400',
+  critical: 'text-red-400',
+};
+
+const ACTIONS = [
+  { key: 'refusePrompts', label: 'Refuse new prompts', title: 'Chat, Playground and Benchmark won\'t start anything new until the board recovers' },
+  { key: 'pauseQueue', label: 'Pause queued generations', title: 'A running benchmark waits before its next prompt' },
+  { key: 'unloadIdle', label: 'Unload idle models', title: 'Unload every model Ollama holds that isn\'t generating right now' },
+];
+
+const numberInput = 'w-16 bg-gray-700 border border-gray-600 rounded px-2 py-1 text-xs focus:ring-2 focus:ring-red-500 focus:outline-none disabled:opacity-60';
+
+const GuardrailsPanel = ({ settings, levels, values, alerts, permission, readOnly, onChange, onClearAlerts, onRequestNotifications }) => {
+  const setThreshold = (metric, level, raw) => onChange({
+    thresholds: { ...settings.thresholds, [metric]: { ...settings.thresholds[metric], [level]: raw === '' ? null : Number(raw) } },
+  });
+
+  return (
+    <div className="p-5 flex flex-col gap-4 text-sm">
+      <label className="flex items-center gap-2">
+        <input type="checkbox" checked={settings.enabled} onChange={(e) => onChange({ enabled: e.target.checked })} disabled={readOnly} className="accent-red-500" />
+        Guardrails on
+      </label>
+
+      <table className="w-full text-xs">
+        <thead className="text-gray-400">
+          <tr>
+            <th className="text-left font-medium pb-1">Metric</th>
+            <th className="text-left font-medium pb-1">Now</th>
+            <th className="text-left font-medium pb-1">Warning</th>
+            <th className="text-left font-medium pb-1">Critical</th>
+          </tr>
+        </thead>
+        <tbody>
+          {GUARDRAIL_METRICS.map(({ key, label, unit }) => (
+            <tr key={key}>
+              <td className="py-1">{label}</td>
+              <td className={`py-1 font-mono ${LEVEL_STYLES[levels[key] || 'ok']}`}>
+                {values[key] === undefined ? '–' : `${Math.round(values[key])}${unit}`}
+              </td>
+              {['warning', 'critical'].map(level => (
+                <td key={level} className="py-1">
+                  <input
+                    type="number"
+                    value={settings.thresholds[key][level] ?? ''}
+                    onChange={(e) => setThreshold(key, level, e.target.value)}
+                    disabled={readOnly}
+                    placeholder="off"
+                    className={numberInput}
+                  />
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <label className="flex items-center gap-2 text-xs text-gray-300">
+        Trigger after
+        <input type="number" min="0" value={settings.sustainSeconds} onChange={(e) => onChange({ sustainSeconds: Math.max(0, Number(e.target.value) || 0) })} disabled={readOnly} className={numberInput} />
+        seconds above a threshold
+      </label>
+
+      <div className="flex flex-col gap-1">
+        <span className="text-xs text-gray-400">While critical</span>
+        {ACTIONS.map(({ key, label, title }) => (
+          <label key={key} className="flex items-center gap-2" title={title}>
+            <input type="checkbox" checked={settings.actions[key]} onChange={(e) => onChange({ actions: { ...settings.actions, [key]: e.target.checked } })} disabled={readOnly} className="accent-red-500" />
+            {label}
+          </label>
+        ))}
+      </div>
+
+      {permission === 'granted' ? (
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={settings.notify} onChange={(e) => onChange({ notify: e.target.checked })} className="accent-red-500" />
+          Browser notifications
+        </label>
+      ) : permission === 'unsupported' ? (
+        <p className="text-xs text-gray-500">Browser notifications need HTTPS (or localhost).</p>
+      ) : (
+        <button onClick={onRequestNotifications} disabled={permission === 'denied'} className="bg-red-600 hover:bg-red-700 disabled:bg-red-800/50 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg text-sm font-semibold transition-colors">
+          {permission === 'denied' ? 'Notifications blocked in browser settings' : 'Enable browser notifications'}
+        </button>
+      )}
+
+      <div>
+        <div className="flex justify-between items-center mb-1">
+          <span className="text-xs text-gray-400">Alert history</span>
+          {alerts.length > 0 && <button onClick={onClearAlerts} className="text-xs text-gray-400 hover:text-white">Clear</button>}
+        </div>
+        <div className="max-h-48 overflow-y-auto pr-2 flex flex-col gap-1">
+          {alerts.length === 0 ? (
+            <p className="text-xs text-gray-500">No alerts yet.</p>
+          ) : alerts.map((a, i) => (
+            <div key={`${a.t}-${i}`} className="flex gap-2 text-xs">
+              <span className="text-gray-500 font-mono flex-shrink-0">{new Date(a.t).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit' })}</span>
+              <span className={LEVEL_STYLES[a.to]}>{a.message}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GuardrailsPanel;
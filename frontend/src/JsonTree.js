@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+
+// --- Collapsible JSON tree ---
+// Objects and arrays fold open down to `openDepth` levels; click a key to
+// fold or unfold it.
+
+const scalarClass = (value) => {
+  if (value === null) return 'text-gray-400';
+  if (typeof value === 'string') return 'text-green-300';
+  if (typeof value === 'number') return 'text-blue-300';
+  return 'text-purple-300';
+};
+
+const JsonNode = ({ name, value, depth, openDepth }) => {
+  const [expanded, setExpanded] = useState(depth < openDepth);
+  const label = name !== undefined && <span className="text-orange-200">{name}: </span>;
+  if (value === null || typeof value !== 'object') {
+    return <div className="pl-4">{label}<span className={scalarClass(value)}>{JSON.stringify(value)}</span></div>;
+  }
+  const isArray = Array.isArray(value);
+  const entries = isArray ? value.map((v, i) => [i, v]) : Object.entries(value);
+  const [open, close] = isArray ? ['[', ']'] : ['{', '}'];
+  if (entries.length === 0) return <div className="pl-4">{label}{open}{close}</div>;
+
+  return (
+    <div className="pl-4">
+      <button type="button" onClick={() => setExpanded(!expanded)} className="-ml-4 text-left hover:bg-gray-700/60 rounded">
+        <span className="inline-block w-4 text-gray-500">{expanded ? '▾' : '▸'}</span>
+        {label}{open}{!expanded && <span className="text-gray-500"> {entries.length} {isArray ? 'items' : 'keys'} {close}</span>}
+      </button>
+      {expanded && (
+        <>
+          {entries.map(([k, v]) => (
+            <JsonNode key={k} name={isArray ? undefined : k} value={v} depth={depth + 1} openDepth={openDepth} />
+          ))}
+          <div>{close}</div>
+        </>
+      )}
+    </div>
+  );
+};
+
+const JsonTree = ({ value, openDepth = 2 }) => (
+  <div className="font-mono text-xs leading-5 -ml-4 overflow-x-auto">
+    <JsonNode value={value} depth={0} openDepth={openDepth} />
+  </div>
+);
+
+export default JsonTree;
@@ -0,0 +1,103 @@
+import React, { useRef } from 'react';
+import { KNOWLEDGE_FILE_TYPES } from './documentText';
+
+// --- Knowledge documents panel ---
+// Upload files to index, pick the embedding model and how many excerpts a
+// prompt gets. Switching Knowledge on for a chat happens in the chat header.
+
+const kb = bytes => (bytes >= 1e6 ? `${(bytes / 1e6).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1e3))} KB`);
+
+const KnowledgePanel = ({ documents, settings, models, progress, error, readOnly, onSettingsChange, onAddFiles, onRemove }) => {
+  const fileInputRef = useRef(null);
+  const embedModel = settings.embedModel.trim();
+  // Embedding models are usually named so; list them first
+  const embedCandidates = models.map(m => m.name).sort((a, b) => /embed/i.test(b) - /embed/i.test(a));
+  const installed = models.some(m => m.name === embedModel || m.name === `${embedModel}:latest`);
+
+  const handleFileChange = (e) => {
+    if (e.target.files.length > 0) onAddFiles(e.target.files);
+    e.target.value = '';
+  };
+
+  return (
+    <div className="p-5 flex flex-col gap-4">
+      <div className="grid grid-cols-3 gap-2 text-sm">
+        <label className="col-span-2 flex flex-col gap-1">
+          <span className="text-xs text-gray-400">Embedding model</span>
+          <input
+            list="knowledge-embed-models"
+            value={settings.embedModel}
+            onChange={(e) => onSettingsChange({ embedModel: e.target.value })}
+            disabled={readOnly || progress !== null}
+            className="bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 focus:ring-2 focus:ring-cyan-500 focus:outline-none disabled:opacity-60"
+          />
+          <datalist id="knowledge-embed-models">
+            {embedCandidates.map(name => <option key={name} value={name} />)}
+          </datalist>
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-xs text-gray-400">Excerpts</span>
+          <input
+            type="number"
+            min={1}
+            max={12}
+            value={settings.topK}
+            onChange={(e) => onSettingsChange({ topK: Math.min(12, Math.max(1, Number(e.target.value) || 1)) })}
+            disabled={readOnly}
+            className="bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 focus:ring-2 focus:ring-cyan-500 focus:outline-none disabled:opacity-60"
+          />
+        </label>
+      </div>
+      {embedModel && !installed && (
+        <p className="text-xs text-yellow-400">
+          {embedModel} isn't installed. Pull it in Model Management first.
+        </p>
+      )}
+
+      {!readOnly && (
+        <>
+        <button
+          onClick={() => fileInputRef.current.click()}
+          disabled={progress !== null || !embedModel}
+          className="bg-cyan-600 hover:bg-cyan-700 disabled:bg-cyan-800/50 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg text-sm font-semibold transition-colors"
+        >
+          Add documents (TXT, MD, PDF)
+        </button>
+        <input ref={fileInputRef} type="file" multiple accept={KNOWLEDGE_FILE_TYPES} onChange={handleFileChange} className="hidden" />
+        </>
+      )}
+      {progress && (
+        <div className="text-xs text-gray-300">
+          <p className="truncate">Indexing {progress.name}… {progress.total ? `${progress.done}/${progress.total} chunks` : 'reading'}</p>
+          <div className="w-full bg-gray-700 rounded-full h-1.5 mt-1">
+            <div className="bg-cyan-500 h-1.5 rounded-full transition-all" style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }}></div>
+          </div>
+        </div>
+      )}
+      {error && <p className="text-xs text-red-400">{error}</p>}
+
+      <div className="max-h-48 overflow-y-auto pr-2 flex flex-col gap-2">
+        {documents.length === 0 ? (
+          <p className="text-sm text-gray-500">No documents yet.</p>
+        ) : (
+          documents.map(doc => (
+            <div key={doc.id} className="group p-3 rounded-lg bg-gray-700/50 flex justify-between items-center gap-2">
+              <div className="min-w-0">
+                <p className="font-semibold text-sm truncate" title={doc.name}>{doc.name}</p>
+                <p className={`text-xs ${doc.model === embedModel ? 'text-gray-400' : 'text-yellow-400'}`} title={doc.model === embedModel ? undefined : 'Embedded with another model; not searched until re-added'}>
+                  {kb(doc.size)} · {doc.chunks} chunks · {doc.model}
+                </p>
+              </div>
+              {!readOnly && (
+                <button onClick={() => onRemove(doc.id)} title="Remove document" className="hidden group-hover:block text-red-400 hover:text-red-300">✕</button>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+      <p className="text-xs text-gray-500">Documents and their vectors are stored in this browser only.</p>
+    </div>
+  );
+};
+
+export default KnowledgePanel;
@@ -0,0 +1,73 @@
+import React from 'react';
+
+// --- "Loaded models" section fed by /api/ps (see useRunningModels) ---
+
+const gb = (bytes) => `${((bytes || 0) / 1e9).toFixed(2)} GB`;
+
+export function formatExpiry(expiresAt, now = Date.now()) {
+  if (!expiresAt) return '–';
+  const ms = new Date(expiresAt).getTime() - now;
+  // keep_alive -1 makes Ollama report an expiry far in the future.
+  if (ms > 365 * 24 * 3600 * 1000) return 'never';
+  if (ms <= 0) return 'unloading…';
+  const s = Math.round(ms / 1000);
+  return s < 60 ? `${s}s` : `${Math.floor(s / 60)}m ${s % 60}s`;
+}
+
+const LoadedModelsPanel = ({ running, error, busyModel, selectedModel, readOnly, onPreload, onUnload }) => {
+  const selectedLoaded = running.some(m => (m.name || m.model) === selectedModel);
+
+  return (
+    <div className="mb-4">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-md font-semibold text-gray-300">Loaded Models</h3>
+        {selectedModel && !selectedLoaded && !readOnly && (
+          <button
+            onClick={() => onPreload(selectedModel)}
+            disabled={busyModel !== null}
+            className="text-xs px-2 py-1 rounded-md bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800/50 disabled:cursor-not-allowed text-white font-semibold"
+            title="Load the selected model into memory now"
+          >
+            {busyModel === selectedModel ? 'Loading…' : `Preload ${selectedModel}`}
+          </button>
+        )}
+      </div>
+      {error && <p className="text-xs text-red-400 mb-2">{error}</p>}
+      {running.length === 0 ? (
+        <p className="text-sm text-gray-500">No models in memory.</p>
+      ) : (
+        <div className="flex flex-col gap-2">
+          {running.map(m => {
+            const name = m.name || m.model;
+            const gpuShare = m.size ? Math.round(((m.size_vram || 0) / m.size) * 100) : 0;
+            return (
+              <div key={name} className="p-3 rounded-lg bg-gray-700/50 flex justify-between items-center gap-2">
+                <div className="min-w-0">
+                  <p className="font-semibold text-sm truncate">{name}</p>
+                  <p className="text-xs text-gray-400 font-mono">
+                    {gb(m.size)} · {gb(m.size_vram)} on GPU ({gpuShare}%)
+                  </p>
+                  <p className="text-xs text-gray-400 font-mono">
+                    {m.context_length ? `ctx ${m.context_length} · ` : ''}expires in {formatExpiry(m.expires_at)}
+                  </p>
+                </div>
+                {!readOnly && (
+                <button
+                  onClick={() => onUnload(name)}
+                  disabled={busyModel !== null}
+                  className="text-xs px-2 py-1 rounded-md bg-gray-600 hover:bg-gray-500 disabled:opacity-50 disabled:cursor-not-allowed text-gray-100 flex-shrink-0"
+                  title="Unload now (keep_alive 0)"
+                >
+                  {busyModel === name ? 'Unloading…' : 'Unload'}
+                </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LoadedModelsPanel;
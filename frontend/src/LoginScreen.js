@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+
+// --- Login / first-run setup form shown before the dashboard ---
+// With a fleet, `deviceName` names the device being logged in to and
+// `switcher` lets the user pick another one instead.
+
+const LoginScreen = ({ mode, error, deviceName = null, switcher = null, onLogin, onSetup }) => {
+  const [username, setUsername] = useState(mode === 'setup' ? 'admin' : '');
+  const [password, setPassword] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [busy, setBusy] = useState(false);
+  const isSetup = mode === 'setup';
+  const mismatch = isSetup && confirm !== '' && confirm !== password;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!username.trim() || !password || mismatch) return;
+    setBusy(true);
+    try {
+      await (isSetup ? onSetup : onLogin)(username.trim(), password);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-900 text-white font-sans min-h-screen flex items-center justify-center p-4">
+      <form onSubmit={handleSubmit} className="w-full max-w-sm bg-gray-800/60 rounded-2xl border border-gray-700/50 p-6 flex flex-col gap-4">
+        <div className="flex items-center gap-3">
+          <svg className="w-8 h-8 text-green-400" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><rect x="3" y="11" width="18" height="11" rx="2" ry="2"></rect><path d="M7 11V7a5 5 0 0 1 10 0v4"></path></svg>
+          <h1 className="text-xl font-bold text-gray-100">Jetson Ollama Control Panel</h1>
+        </div>
+        {isSetup ? (
+          <p className="text-sm text-gray-400">No accounts exist yet. Create the first one; it gets the <span className="text-green-400">admin</span> role and can add other users later.</p>
+        ) : (
+          <p className="text-sm text-gray-400">{deviceName ? <>Log in to <span className="text-gray-200">{deviceName}</span> to continue.</> : 'Log in to continue.'}</p>
+        )}
+        {switcher && <div className="flex items-center gap-2 text-sm text-gray-400">Device {switcher}</div>}
+        <input
+          type="text"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          placeholder="Username"
+          autoComplete="username"
+          autoFocus
+          className="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 focus:ring-2 focus:ring-green-500 focus:outline-none"
+        />
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Password"
+          autoComplete={isSetup ? 'new-password' : 'current-password'}
+          className="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 focus:ring-2 focus:ring-green-500 focus:outline-none"
+        />
+        {isSetup && (
+          <input
+            type="password"
+            value={confirm}
+            onChange={(e) => setConfirm(e.target.value)}
+            placeholder="Repeat password"
+            autoComplete="new-password"
+            className="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 focus:ring-2 focus:ring-green-500 focus:outline-none"
+          />
+        )}
+        {mismatch && <p className="text-xs text-yellow-400">Passwords don't match.</p>}
+        {error && <p className="text-sm text-red-400">{error}</p>}
+        <button
+          type="submit"
+          disabled={busy || !username.trim() || !password || mismatch || (isSetup && !confirm)}
+          className="bg-green-600 hover:bg-green-700 disabled:bg-green-800/50 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg font-semibold transition-colors"
+        >
+          {busy ? 'Please wait…' : isSetup ? 'Create admin account' : 'Log in'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginScreen;
@@ -0,0 +1,279 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { helperFetch } from './session';
+import { downloadText } from './statsHistory';
+import useLogStream from './useLogStream';
+import {
+  LOG_LEVELS, TIME_RANGES, appendLogEntries, filterLogEntries, formatLogTime, formatUptime, logQuery, logsToText,
+} from './logs';
+
+// --- Logs & services (admin only) ---
+// Status of the systemd units the panel depends on with a restart button
+// each, and a viewer for their journals plus the helper's and
+// panel_server.js's own output (see logs.py). History is loaded for a time
+// range; Follow streams new lines, Pause holds them back until resumed.
+
+const UNIT_POLL_MS = 10000;
+// Lines drawn at once; older matches stay in the download.
+const MAX_RENDERED = 2000;
+const LINE_OPTIONS = [200, 500, 2000, 5000];
+
+const inputClass = 'bg-gray-700 border border-gray-600 rounded-lg px-2 py-1 text-sm focus:ring-2 focus:ring-green-500 focus:outline-none';
+
+const LEVEL_STYLES = {
+  error: 'text-red-400',
+  warning: 'text-yellow-300',
+  info: 'text-gray-200',
+  debug: 'text-gray-500',
+};
+
+const STATE_DOTS = {
+  active: 'bg-green-500',
+  activating: 'bg-yellow-400',
+  reloading: 'bg-yellow-400',
+  deactivating: 'bg-yellow-400',
+  failed: 'bg-red-500',
+};
+
+async function helperJson(url, options) {
+  const res = await helperFetch(url, options);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Helper responded with status ${res.status}`);
+  return data;
+}
+
+const ServiceStatus = ({ baseUrl, hidden, onEvent }) => {
+  const [units, setUnits] = useState([]);
+  const [error, setError] = useState(null);
+  const [restarting, setRestarting] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setUnits((await helperJson(`${baseUrl}/api/units`)).units);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [baseUrl]);
+
+  useEffect(() => {
+    if (hidden) return undefined;
+    refresh();
+    const timer = setInterval(refresh, UNIT_POLL_MS);
+    return () => clearInterval(timer);
+  }, [hidden, refresh]);
+
+  const handleRestart = async (unit) => {
+    const note = unit.startsWith('ollama-panel') ? ' The page may disconnect briefly.' : '';
+    if (!window.confirm(`Restart ${unit}?${note}`)) return;
+    setRestarting(unit);
+    try {
+      await helperJson(`${baseUrl}/api/units/${encodeURIComponent(unit)}/restart`, { method: 'POST' });
+      onEvent(`Restarted ${unit}`);
+    } catch (err) {
+      console.error(err);
+      alert(`Failed to restart ${unit}: ${err.message}`);
+    } finally {
+      setRestarting(null);
+      refresh();
+    }
+  };
+
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+      {error && <p className="text-sm text-red-400 sm:col-span-2">{error}</p>}
+      {units.map(u => (
+        <div key={u.unit} className="rounded-lg bg-gray-800/40 border border-gray-700 p-3 flex justify-between items-start gap-3 text-sm">
+          <div className="min-w-0">
+            <p className="font-semibold flex items-center gap-2">
+              <span className={`w-2.5 h-2.5 rounded-full flex-shrink-0 ${STATE_DOTS[u.active_state] || 'bg-gray-500'}`}></span>
+              <span className="truncate" title={u.description}>{u.unit}</span>
+            </p>
+            {u.error ? (
+              <p className="text-xs text-red-400 mt-1">{u.error}</p>
+            ) : (
+              <p className="text-xs text-gray-400 mt-1">
+                {u.loaded ? `${u.active_state} (${u.sub_state})` : 'not installed'}
+                {' · '}up {formatUptime(u.uptime_seconds)}
+                {' · '}{u.restarts ?? '?'} restarts
+              </p>
+            )}
+          </div>
+          <button
+            onClick={() => handleRestart(u.unit)}
+            disabled={restarting !== null || !u.loaded}
+            className="bg-red-700 hover:bg-red-800 disabled:bg-red-900/50 disabled:cursor-not-allowed text-white px-3 py-1.5 rounded-lg text-xs font-semibold flex-shrink-0"
+          >
+            {restarting === u.unit ? 'Restarting…' : 'Restart'}
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const LogsPane = ({ baseUrl, hidden, onEvent }) => {
+  const [sources, setSources] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [levels, setLevels] = useState(LOG_LEVELS.slice(0, 3));
+  const [query, setQuery] = useState('');
+  const [range, setRange] = useState({ id: '1h', from: '', to: '' });
+  const [lines, setLines] = useState(500);
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [follow, setFollow] = useState(false);
+  const [paused, setPaused] = useState(false);
+  const [held, setHeld] = useState(0);
+  // Entries that arrived while paused
+  const heldRef = useRef([]);
+  const pausedRef = useRef(paused);
+  pausedRef.current = paused;
+  const listRef = useRef(null);
+  const atBottomRef = useRef(true);
+
+  const load = useCallback(async (ids) => {
+    if (ids.length === 0) return;
+    setLoading(true);
+    try {
+      setEntries((await helperJson(`${baseUrl}/api/logs?${logQuery(ids, range, lines)}`)).entries);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [baseUrl, range, lines]);
+
+  // Sources are fetched the first time the pane is shown; all are selected.
+  useEffect(() => {
+    if (hidden || sources.length > 0) return;
+    helperJson(`${baseUrl}/api/logs/sources`)
+      .then(({ sources: list }) => {
+        setSources(list);
+        const ids = list.map(s => s.id);
+        setSelected(ids);
+        load(ids);
+      })
+      .catch(err => setError(err.message));
+  }, [hidden, sources.length, baseUrl, load]);
+
+  const handleEntry = useCallback((entry) => {
+    if (pausedRef.current) {
+      heldRef.current.push(entry);
+      setHeld(heldRef.current.length);
+    } else {
+      setEntries(prev => appendLogEntries(prev, [entry]));
+    }
+  }, []);
+
+  const { status: followStatus } = useLogStream(baseUrl, selected, follow && !hidden, handleEntry);
+
+  const resume = () => {
+    setEntries(prev => appendLogEntries(prev, heldRef.current));
+    heldRef.current = [];
+    setHeld(0);
+    setPaused(false);
+  };
+
+  const visible = filterLogEntries(entries, { levels, query });
+  const rendered = visible.slice(-MAX_RENDERED);
+
+  // Stay at the bottom while following, unless scrolled up to read.
+  useEffect(() => {
+    const el = listRef.current;
+    if (el && follow && atBottomRef.current) el.scrollTop = el.scrollHeight;
+  }, [entries, follow]);
+
+  const handleScroll = () => {
+    const el = listRef.current;
+    atBottomRef.current = el.scrollHeight - el.scrollTop - el.clientHeight < 40;
+  };
+
+  const toggle = (list, setList, value) => setList(list.includes(value) ? list.filter(v => v !== value) : [...list, value]);
+
+  const handleDownload = () => {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    downloadText(`logs-${stamp}.log`, logsToText(visible), 'text/plain');
+  };
+
+  return (
+    <div className={`flex flex-col min-h-0 flex-1 ${hidden ? 'hidden' : ''}`}>
+      <div className="p-4 border-b border-gray-700 flex flex-col gap-4">
+        <h2 className="text-lg font-semibold text-gray-200">Services &amp; Logs</h2>
+        <ServiceStatus baseUrl={baseUrl} hidden={hidden} onEvent={onEvent} />
+      </div>
+
+      <div className="p-4 border-b border-gray-700 flex flex-col gap-3 text-sm">
+        <div className="flex flex-wrap gap-2">
+          {sources.map(s => (
+            <button
+              key={s.id}
+              onClick={() => toggle(selected, setSelected, s.id)}
+              title={s.kind === 'journal' ? `journalctl -u ${s.id}` : `${s.id} in the panel directory`}
+              className={`px-2 py-1 rounded-lg font-mono text-xs ${selected.includes(s.id) ? 'bg-green-600/30 border border-green-500/70 text-white' : 'bg-gray-700 border border-transparent text-gray-400 hover:text-white'}`}
+            >
+              {s.id}
+            </button>
+          ))}
+          <span className="mx-1 border-l border-gray-700"></span>
+          {LOG_LEVELS.map(level => (
+            <label key={level} className={`flex items-center gap-1 text-xs ${LEVEL_STYLES[level]}`}>
+              <input type="checkbox" checked={levels.includes(level)} onChange={() => toggle(levels, setLevels, level)} className="accent-green-500" />
+              {level}
+            </label>
+          ))}
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <input type="search" value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Search…" className={`${inputClass} flex-1 min-w-[10rem]`} />
+          <select value={range.id} onChange={(e) => setRange({ ...range, id: e.target.value })} className={inputClass}>
+            {TIME_RANGES.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+          </select>
+          {range.id === 'custom' && (
+            <>
+              <input type="datetime-local" value={range.from} onChange={(e) => setRange({ ...range, from: e.target.value })} className={inputClass} aria-label="From" />
+              <input type="datetime-local" value={range.to} onChange={(e) => setRange({ ...range, to: e.target.value })} className={inputClass} aria-label="To" />
+            </>
+          )}
+          <select value={lines} onChange={(e) => setLines(Number(e.target.value))} className={inputClass} title="Lines per source">
+            {LINE_OPTIONS.map(n => <option key={n} value={n}>{n} lines</option>)}
+          </select>
+          <button onClick={() => load(selected)} disabled={loading || selected.length === 0} className="bg-green-600 hover:bg-green-700 disabled:bg-green-800/50 disabled:cursor-not-allowed text-white px-3 py-1 rounded-lg font-semibold">
+            {loading ? 'Loading…' : 'Load'}
+          </button>
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={follow} onChange={(e) => { setFollow(e.target.checked); if (!e.target.checked) resume(); }} disabled={selected.length === 0} className="accent-green-500" />
+            Follow
+            {follow && <span className={`text-xs ${followStatus === 'live' ? 'text-green-400' : 'text-yellow-400'}`}>{followStatus === 'live' ? 'live' : 'connecting…'}</span>}
+          </label>
+          {follow && (
+            <button onClick={paused ? resume : () => setPaused(true)} className="px-3 py-1 rounded-lg bg-gray-700 hover:bg-gray-600">
+              {paused ? `Resume${held > 0 ? ` (${held} new)` : ''}` : 'Pause'}
+            </button>
+          )}
+          <span className="text-xs text-gray-400">
+            {visible.length} of {entries.length} lines{visible.length > MAX_RENDERED ? ` (showing the last ${MAX_RENDERED})` : ''}
+          </span>
+          <button onClick={handleDownload} disabled={visible.length === 0} className="ml-auto text-gray-400 hover:text-white disabled:text-gray-600 disabled:cursor-not-allowed">Download</button>
+          <button onClick={() => setEntries([])} disabled={entries.length === 0} className="text-gray-400 hover:text-white disabled:text-gray-600 disabled:cursor-not-allowed">Clear</button>
+        </div>
+        {error && <p className="text-sm text-red-400">{error}</p>}
+      </div>
+
+      <div ref={listRef} onScroll={handleScroll} className="flex-1 overflow-auto p-2 font-mono text-xs leading-5">
+        {rendered.length === 0 ? (
+          <p className="p-2 text-gray-500 font-sans text-sm">{loading ? 'Loading…' : 'No log lines match.'}</p>
+        ) : rendered.map((e, i) => (
+          <div key={i} className={`flex gap-3 px-2 hover:bg-gray-800/60 ${LEVEL_STYLES[e.level]}`}>
+            <span className="text-gray-500 whitespace-pre flex-shrink-0">{formatLogTime(e.t)}</span>
+            <span className="text-gray-500 flex-shrink-0 w-32 truncate" title={e.source}>{e.source}</span>
+            <span className="whitespace-pre-wrap break-all">{e.message}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default LogsPane;
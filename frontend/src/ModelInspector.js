@@ -0,0 +1,229 @@
+import React, { useEffect, useState } from 'react';
+import { readNdjsonStream } from './ndjson';
+import { modelfileToCreateRequest, rebaseModelfile } from './modelfile';
+import { helperFetch } from './session';
+
+// --- Model inspector ---
+// Modal with everything /api/tags and /api/show know about a local model,
+// plus actions to copy it under a new tag (/api/copy) or create a derived
+// model from an edited Modelfile (/api/create). Both change the model store,
+// so they go through the helper's admin-only, audited proxy.
+
+const TABS = ['Overview', 'Parameters', 'Template', 'License', 'Modelfile'];
+
+// Pull a value out of /api/show's `model_info`, whose keys are prefixed with
+// the architecture name (e.g. "llama.context_length").
+export function modelInfoValue(info, suffix) {
+  if (!info) return undefined;
+  const arch = info['general.architecture'];
+  if (arch && info[`${arch}.${suffix}`] !== undefined) return info[`${arch}.${suffix}`];
+  const key = Object.keys(info).find(k => k.endsWith(`.${suffix}`));
+  return key ? info[key] : undefined;
+}
+
+const Field = ({ label, value }) => (
+  <>
+    <dt className="text-gray-400">{label}</dt>
+    <dd className="text-gray-100 font-mono break-all">{value === undefined || value === null || value === '' ? '–' : String(value)}</dd>
+  </>
+);
+
+const Pre = ({ children }) => (
+  <pre className="bg-gray-900 rounded-lg p-3 text-xs text-gray-200 whitespace-pre-wrap overflow-auto max-h-80">{children || '–'}</pre>
+);
+
+const inputClass = 'w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none';
+const actionButton = 'bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800/50 disabled:cursor-not-allowed text-white px-3 py-2 rounded-lg text-sm font-semibold transition-colors';
+
+const ModelInspector = ({ model, baseUrl, statsBaseUrl, canEdit, onClose, onModelsChanged }) => {
+  const [details, setDetails] = useState(null);
+  const [error, setError] = useState(null);
+  const [tab, setTab] = useState('Overview');
+  const [copyName, setCopyName] = useState('');
+  const [createName, setCreateName] = useState('');
+  const [modelfileDraft, setModelfileDraft] = useState('');
+  const [actionStatus, setActionStatus] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setDetails(null);
+    setError(null);
+    (async () => {
+      try {
+        const res = await helperFetch(`${baseUrl}/api/show`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ model: model.name }),
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `Ollama responded with status ${res.status}`);
+        if (cancelled) return;
+        setDetails(data);
+        setModelfileDraft(rebaseModelfile(data.modelfile, model.name));
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+    })();
+    const base = model.name.split(':')[0];
+    setCopyName(`${base}:copy`);
+    setCreateName(`${base}-custom:latest`);
+    return () => { cancelled = true; };
+  }, [baseUrl, model.name]);
+
+  // Close on Escape
+  useEffect(() => {
+    const onKey = (e) => { if (e.key === 'Escape') onClose(); };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [onClose]);
+
+  const handleCopy = async (e) => {
+    e.preventDefault();
+    if (!copyName.trim()) return;
+    setBusy(true);
+    setActionStatus(`Copying to ${copyName}…`);
+    try {
+      const res = await helperFetch(`${statsBaseUrl}/api/ollama/copy`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ source: model.name, destination: copyName.trim() }),
+      });
+      if (!res.ok) {
+        let message = `Helper responded with status ${res.status}`;
+        try { message = (await res.json()).error || message; } catch (_) { /* empty body */ }
+        throw new Error(message);
+      }
+      setActionStatus(`Copied to ${copyName.trim()}.`);
+      onModelsChanged();
+    } catch (err) {
+      setActionStatus(`Copy failed: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!createName.trim() || !modelfileDraft.trim()) return;
+    setBusy(true);
+    setActionStatus(`Creating ${createName}…`);
+    try {
+      const res = await helperFetch(`${statsBaseUrl}/api/ollama/create`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(modelfileToCreateRequest(createName.trim(), modelfileDraft)),
+      });
+      if (!res.ok) {
+        let message = `Helper responded with status ${res.status}`;
+        try { message = (await res.json()).error || message; } catch (_) { /* empty body */ }
+        throw new Error(message);
+      }
+      let success = false;
+      await readNdjsonStream(res.body, (json) => {
+        if (json.error) throw new Error(json.error);
+        if (json.status === 'success') success = true;
+        if (json.status) setActionStatus(json.status);
+      });
+      if (!success) throw new Error('Create ended before Ollama reported success.');
+      setActionStatus(`Created ${createName.trim()}.`);
+      onModelsChanged();
+    } catch (err) {
+      setActionStatus(`Create failed: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const d = details?.details || {};
+  const info = details?.model_info;
+
+  return (
+    <div className="fixed inset-0 z-20 bg-black/60 flex items-center justify-center p-4" onClick={onClose}>
+      <div className="bg-gray-800 border border-gray-700 rounded-2xl shadow-xl w-full max-w-3xl max-h-[90vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <div className="p-4 border-b border-gray-700 flex justify-between items-center">
+          <h2 className="text-lg font-semibold text-gray-200">Model <span className="text-blue-400">{model.name}</span></h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-white" title="Close">✕</button>
+        </div>
+        <div className="px-4 pt-3 flex gap-2 border-b border-gray-700">
+          {TABS.map(t => (
+            <button
+              key={t}
+              onClick={() => setTab(t)}
+              className={`px-3 py-1.5 text-sm rounded-t-lg ${tab === t ? 'bg-gray-700 text-white' : 'text-gray-400 hover:text-white'}`}
+            >
+              {t}
+            </button>
+          ))}
+        </div>
+        <div className="p-4 overflow-y-auto flex-1">
+          {error ? (
+            <div className="text-center text-red-400 bg-red-900/50 p-4 rounded-lg">{error}</div>
+          ) : !details ? (
+            <div className="text-center text-gray-400">Loading model details…</div>
+          ) : (
+            <>
+              {tab === 'Overview' && (
+                <div className="flex flex-col gap-6">
+                  <dl className="grid grid-cols-[auto_1fr] gap-x-6 gap-y-1 text-sm">
+                    <Field label="Family" value={d.family} />
+                    <Field label="Families" value={(d.families || []).join(', ')} />
+                    <Field label="Parameters" value={d.parameter_size} />
+                    <Field label="Quantization" value={d.quantization_level} />
+                    <Field label="Format" value={d.format} />
+                    <Field label="Parent model" value={d.parent_model} />
+                    <Field label="Context length" value={modelInfoValue(info, 'context_length')} />
+                    <Field label="Embedding length" value={modelInfoValue(info, 'embedding_length')} />
+                    <Field label="Capabilities" value={(details.capabilities || []).join(', ')} />
+                    <Field label="Size on disk" value={model.size ? `${(model.size / 1e9).toFixed(2)} GB` : undefined} />
+                    <Field label="Digest" value={model.digest} />
+                    <Field label="Modified" value={model.modified_at ? new Date(model.modified_at).toLocaleString() : undefined} />
+                  </dl>
+
+                  {canEdit && (
+                  <form onSubmit={handleCopy} className="flex flex-col gap-2">
+                    <h3 className="text-sm font-semibold text-gray-300">Copy under a new tag</h3>
+                    <div className="flex gap-2">
+                      <input value={copyName} onChange={(e) => setCopyName(e.target.value)} className={inputClass} placeholder="name:tag" />
+                      <button type="submit" disabled={busy || !copyName.trim()} className={actionButton}>Copy</button>
+                    </div>
+                  </form>
+                  )}
+                  {actionStatus && <div className="text-sm text-yellow-300">{actionStatus}</div>}
+                </div>
+              )}
+              {tab === 'Parameters' && <Pre>{details.parameters}</Pre>}
+              {tab === 'Template' && <Pre>{details.template}</Pre>}
+              {tab === 'License' && <Pre>{details.license}</Pre>}
+              {tab === 'Modelfile' && (
+                <form onSubmit={handleCreate} className="flex flex-col gap-3">
+                  <p className="text-xs text-gray-400">
+                    {canEdit
+                      ? 'Edit the Modelfile (e.g. change PARAMETER or SYSTEM lines) and create a derived model from it.'
+                      : 'Creating derived models needs the admin role.'}
+                  </p>
+                  <textarea
+                    value={modelfileDraft}
+                    onChange={(e) => setModelfileDraft(e.target.value)}
+                    rows={16}
+                    spellCheck={false}
+                    className={`${inputClass} font-mono text-xs resize-y`}
+                  />
+                  {canEdit && (
+                  <div className="flex gap-2">
+                    <input value={createName} onChange={(e) => setCreateName(e.target.value)} className={inputClass} placeholder="new-model:tag" />
+                    <button type="submit" disabled={busy || !createName.trim()} className={actionButton}>Create</button>
+                  </div>
+                  )}
+                  {actionStatus && <div className="text-sm text-yellow-300">{actionStatus}</div>}
+                </form>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ModelInspector;
@@ -0,0 +1,200 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { ChatMetricsFooter } from './ChatMetrics';
+import { DEFAULT_PLAYGROUND, buildGenerateRequestBody, streamGenerate } from './ollamaGenerate';
+import { withPowerMode } from './powerMode';
+import { helperFetch } from './session';
+
+// --- /api/generate playground ---
+// A single prompt without chat history, for trying raw prompts, custom
+// templates and fill-in-the-middle (`suffix`) on code models. The returned
+// `context` can be fed into the next request to continue where it stopped.
+
+const inputClass = 'w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-green-500 focus:outline-none disabled:bg-gray-800/50';
+const labelClass = 'block text-xs font-medium text-gray-400 mb-1';
+
+const OPTION_FIELDS = [
+  { key: 'temperature', label: 'Temperature', type: 'number', step: '0.05', placeholder: 'default' },
+  { key: 'top_p', label: 'top_p', type: 'number', step: '0.05', placeholder: 'default' },
+  { key: 'num_ctx', label: 'num_ctx', type: 'number', step: '1', placeholder: 'default' },
+  { key: 'num_predict', label: 'Max tokens (num_predict)', type: 'number', step: '1', placeholder: 'unlimited' },
+  { key: 'seed', label: 'Seed', type: 'number', step: '1', placeholder: 'random' },
+];
+
+const PlaygroundPane = ({ models, defaultModel, baseUrl, powerMode, hidden, disabled, blocked, incoming, onSavePrompt, onEvent }) => {
+  const [model, setModel] = useState(defaultModel || '');
+  const [fields, setFields] = useState(DEFAULT_PLAYGROUND);
+  const [output, setOutput] = useState('');
+  const [metrics, setMetrics] = useState(null);
+  const [context, setContext] = useState(null);
+  const [continueContext, setContinueContext] = useState(false);
+  const [showContext, setShowContext] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  useEffect(() => {
+    if (!model && defaultModel) setModel(defaultModel);
+  }, [model, defaultModel]);
+
+  // A prompt sent here from the prompt library
+  useEffect(() => {
+    if (incoming) setFields(prev => ({ ...prev, prompt: incoming.text }));
+  }, [incoming]);
+
+  useEffect(() => () => {
+    if (controllerRef.current) controllerRef.current.abort();
+  }, []);
+
+  const update = (key) => (e) => setFields(prev => ({ ...prev, [key]: e.target.type === 'checkbox' ? e.target.checked : e.target.value }));
+
+  // Start from the model's own template when writing a custom one
+  const loadModelTemplate = async () => {
+    setError(null);
+    try {
+      const res = await helperFetch(`${baseUrl}/api/show`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model }),
+      });
+      if (!res.ok) throw new Error(`Ollama responded with status ${res.status}`);
+      const data = await res.json();
+      setFields(prev => ({ ...prev, template: data.template || '' }));
+    } catch (err) {
+      setError(`Could not load the template of ${model}: ${err.message}`);
+    }
+  };
+
+  const handleGenerate = async (e) => {
+    e.preventDefault();
+    if (!model || running || blocked) return;
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setRunning(true);
+    setError(null);
+    setOutput('');
+    setMetrics(null);
+    onEvent(`Generate → ${model}`);
+    try {
+      const result = await streamGenerate(
+        baseUrl,
+        buildGenerateRequestBody(model, fields, continueContext ? context : null),
+        { signal: controller.signal, onContent: setOutput },
+      );
+      setOutput(result.content);
+      setMetrics(withPowerMode(result.metrics, powerMode));
+      setContext(result.context);
+      onEvent(result.metrics && result.metrics.tokens_per_sec != null
+        ? `Generate done: ${model} (${result.metrics.tokens_per_sec.toFixed(1)} tok/s)`
+        : `Generate done: ${model}`);
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.error('Generate error:', err);
+        setError(err.message);
+        onEvent(`Generate failed: ${model}`);
+      }
+    } finally {
+      setRunning(false);
+      controllerRef.current = null;
+    }
+  };
+
+  const handleStop = () => {
+    if (controllerRef.current) controllerRef.current.abort();
+  };
+
+  return (
+    <div className={`flex flex-col min-h-0 flex-1 ${hidden ? 'hidden' : ''}`}>
+      <div className="p-4 border-b border-gray-700 flex justify-between items-center gap-3">
+        <h2 className="text-lg font-semibold text-gray-200">Playground <span className="text-sm text-gray-400 font-normal">/api/generate</span></h2>
+        <select value={model} onChange={(e) => setModel(e.target.value)} disabled={running} className="bg-gray-700 border border-gray-600 rounded-lg px-3 py-1.5 text-sm max-w-[14rem]">
+          {!model && <option value="">Pick a model</option>}
+          {models.map(m => <option key={m.name} value={m.name}>{m.name}</option>)}
+        </select>
+      </div>
+
+      <form onSubmit={handleGenerate} className="flex-1 overflow-y-auto p-4 flex flex-col gap-3">
+        <div>
+          <label className={labelClass} htmlFor="playground-prompt">Prompt</label>
+          <textarea id="playground-prompt" rows={6} value={fields.prompt} onChange={update('prompt')} disabled={disabled} className={`${inputClass} font-mono resize-y`} />
+        </div>
+        <div>
+          <label className={labelClass} htmlFor="playground-suffix">Suffix (fill-in-the-middle: the model writes what goes between prompt and suffix)</label>
+          <textarea id="playground-suffix" rows={2} value={fields.suffix} onChange={update('suffix')} disabled={disabled} placeholder="Code after the cursor, for code models that support it" className={`${inputClass} font-mono resize-y`} />
+        </div>
+
+        <details className="rounded-lg bg-gray-800/40 border border-gray-700 p-3">
+          <summary className="cursor-pointer text-sm text-gray-300">Template, system prompt and options</summary>
+          <div className="flex flex-col gap-3 mt-3">
+            <label className="flex items-center gap-2 text-sm">
+              <input type="checkbox" checked={fields.raw} onChange={update('raw')} disabled={disabled} className="accent-green-500" />
+              <span>Raw mode <span className="text-gray-400">– send the prompt exactly as typed, without any template or system prompt</span></span>
+            </label>
+            <div>
+              <label className={labelClass} htmlFor="playground-system">System prompt</label>
+              <textarea id="playground-system" rows={2} value={fields.system} onChange={update('system')} disabled={disabled || fields.raw} placeholder="Model default" className={`${inputClass} resize-y`} />
+            </div>
+            <div>
+              <div className="flex justify-between items-end">
+                <label className={labelClass} htmlFor="playground-template">Template (Go template, overrides the Modelfile)</label>
+                <button type="button" onClick={loadModelTemplate} disabled={!model || disabled || fields.raw} className="text-xs text-gray-400 hover:text-white disabled:text-gray-600 mb-1">Load model template</button>
+              </div>
+              <textarea id="playground-template" rows={4} value={fields.template} onChange={update('template')} disabled={disabled || fields.raw} placeholder="Model default, e.g. {{ .System }} {{ .Prompt }}" className={`${inputClass} font-mono text-xs resize-y`} />
+            </div>
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+              {OPTION_FIELDS.map(({ key, label, ...input }) => (
+                <div key={key}>
+                  <label className={labelClass} htmlFor={`playground-${key}`}>{label}</label>
+                  <input id={`playground-${key}`} value={fields[key]} onChange={update(key)} disabled={disabled} className={inputClass} {...input} />
+                </div>
+              ))}
+              <div>
+                <label className={labelClass} htmlFor="playground-stop">Stop sequences (one per line)</label>
+                <textarea id="playground-stop" rows={1} value={fields.stop} onChange={update('stop')} disabled={disabled} className={`${inputClass} font-mono resize-y`} />
+              </div>
+            </div>
+          </div>
+        </details>
+
+        <div className="flex flex-wrap items-center gap-3">
+          {running ? (
+            <button type="button" onClick={handleStop} className="bg-red-600 hover:bg-red-700 text-white px-5 py-2 rounded-lg font-semibold">Stop</button>
+          ) : (
+            <button type="submit" disabled={disabled || blocked || !model} title={blocked ? 'Held by the guardrails until the board recovers' : undefined} className="bg-green-600 hover:bg-green-700 disabled:bg-green-800/50 disabled:cursor-not-allowed text-white px-5 py-2 rounded-lg font-semibold">Generate</button>
+          )}
+          <label className={`flex items-center gap-2 text-sm ${context ? '' : 'text-gray-500'}`} title="Send the context returned by the last request so the model continues from it">
+            <input type="checkbox" checked={continueContext} onChange={(e) => setContinueContext(e.target.checked)} disabled={!context || running} className="accent-green-500" />
+            Continue from last context
+          </label>
+          <button type="button" onClick={() => onSavePrompt(fields.prompt)} disabled={disabled || !fields.prompt.trim()} className="ml-auto text-sm text-gray-400 hover:text-white disabled:text-gray-600">
+            Save prompt to library
+          </button>
+        </div>
+        {error && <p className="text-sm text-red-400">{error}</p>}
+
+        {(output || running) && (
+          <div className="rounded-lg bg-gray-700/70 p-4 text-sm">
+            {fields.suffix && <p className="text-xs text-gray-400 mb-2">Inserted between prompt and suffix:</p>}
+            {output ? (
+              <pre className="font-mono whitespace-pre-wrap break-words text-gray-100">{output}</pre>
+            ) : (
+              <span className="italic text-gray-400 animate-pulse">Thinking…</span>
+            )}
+            <ChatMetricsFooter metrics={metrics} />
+          </div>
+        )}
+        {context && !running && (
+          <div className="text-xs text-gray-400">
+            <button type="button" onClick={() => setShowContext(!showContext)} className="hover:text-white">
+              {showContext ? '▾' : '▸'} Returned context: {context.length} tokens
+            </button>
+            {showContext && (
+              <pre className="mt-1 bg-gray-900 rounded p-2 font-mono whitespace-pre-wrap break-all max-h-40 overflow-y-auto">{JSON.stringify(context)}</pre>
+            )}
+          </div>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default PlaygroundPane;
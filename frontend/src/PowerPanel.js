@@ -0,0 +1,85 @@
+import React, { useEffect, useState } from 'react';
+
+// --- Power & Performance (admin only) ---
+// Switches the nvpmodel power mode, jetson_clocks and the fan profile through
+// the helper's /api/power endpoints (see power.py).
+
+const selectClass = 'flex-1 bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-yellow-500 focus:outline-none disabled:bg-gray-800/50';
+
+const PartError = ({ message }) => (message ? <p className="text-xs text-red-400">{message}</p> : null);
+
+const PowerPanel = ({ power, error, busy, onSetMode, onSetClocks, onSetFanProfile }) => {
+  const [modeId, setModeId] = useState('');
+  const [rebootRequired, setRebootRequired] = useState(false);
+
+  useEffect(() => {
+    if (power && power.mode && modeId === '') setModeId(String(power.mode.id));
+  }, [power, modeId]);
+
+  if (!power) {
+    return <div className="p-5 text-sm text-gray-400">{error ? <span className="text-red-400">{error}</span> : 'Loading…'}</div>;
+  }
+
+  const errors = power.errors || {};
+  const current = power.mode ? String(power.mode.id) : '';
+
+  const handleApplyMode = async () => {
+    const mode = power.modes.find(m => String(m.id) === modeId);
+    if (!window.confirm(`Switch the power mode to ${mode.name}?`)) return;
+    const result = await onSetMode(mode.id);
+    if (result) setRebootRequired(Boolean(result.reboot_required));
+  };
+
+  return (
+    <div className="p-5 flex flex-col gap-4 text-sm">
+      <div className="flex flex-col gap-1">
+        <label className="text-xs font-medium text-gray-400" htmlFor="power-mode">Power mode (nvpmodel)</label>
+        <div className="flex gap-2">
+          <select id="power-mode" value={modeId} onChange={(e) => setModeId(e.target.value)} disabled={busy || power.modes.length === 0} className={selectClass}>
+            {power.modes.map(m => (
+              <option key={m.id} value={m.id}>{m.name}{m.id === power.default_mode ? ' (default)' : ''}</option>
+            ))}
+          </select>
+          <button onClick={handleApplyMode} disabled={busy || modeId === '' || modeId === current} className="bg-yellow-600 hover:bg-yellow-700 disabled:bg-yellow-800/50 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg font-semibold">
+            Apply
+          </button>
+        </div>
+        {rebootRequired && <p className="text-xs text-yellow-400">This mode takes effect after a reboot.</p>}
+        <PartError message={errors.mode} />
+      </div>
+
+      <div className="flex flex-col gap-1">
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={Boolean(power.clocks_locked)}
+            onChange={(e) => onSetClocks(e.target.checked)}
+            disabled={busy || power.clocks_locked === null}
+            className="accent-yellow-500"
+          />
+          <span>jetson_clocks <span className="text-gray-400">– pin CPU, GPU and memory clocks at the mode's maximum</span></span>
+        </label>
+        <PartError message={errors.clocks} />
+      </div>
+
+      <div className="flex flex-col gap-1">
+        <label className="text-xs font-medium text-gray-400" htmlFor="fan-profile">Fan profile (nvfancontrol)</label>
+        <select
+          id="fan-profile"
+          value={power.fan ? power.fan.profile || '' : ''}
+          onChange={(e) => onSetFanProfile(e.target.value)}
+          disabled={busy || !power.fan}
+          className={selectClass}
+        >
+          {power.fan ? power.fan.profiles.map(p => <option key={p} value={p}>{p}</option>) : <option value="">Not available</option>}
+        </select>
+        <PartError message={errors.fan} />
+      </div>
+
+      {error && <p className="text-xs text-red-400">{error}</p>}
+      <p className="text-xs text-gray-500">Every change is written to the audit log. Tokens/s in chats and benchmarks records the mode it ran in.</p>
+    </div>
+  );
+};
+
+export default PowerPanel;
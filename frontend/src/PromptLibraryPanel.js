@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { fillTemplate, searchPrompts, templateVariables } from './promptLibrary';
+
+// --- Prompt library panel ---
+// Search the saved prompts, fill in their {{variables}} and send the result
+// to the chat or the Playground prompt box; add, edit and delete prompts.
+
+const inputClass = 'w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-pink-500 focus:outline-none';
+
+const PromptLibraryPanel = ({ prompts, readOnly, onSave, onDelete, onUse }) => {
+  const [query, setQuery] = useState('');
+  const [openId, setOpenId] = useState(null);
+  const [values, setValues] = useState({});
+  // { id?, title, text } while adding or editing a prompt
+  const [draft, setDraft] = useState(null);
+
+  const results = searchPrompts(prompts, query);
+  const open = prompts.find(p => p.id === openId);
+  const variables = open ? templateVariables(open.text) : [];
+  const missing = variables.filter(v => !values[v]);
+
+  const toggleOpen = (id) => {
+    setOpenId(openId === id ? null : id);
+    setValues({});
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!draft.text.trim()) return;
+    const saved = onSave(draft);
+    setDraft(null);
+    setOpenId(saved.id);
+    setValues({});
+  };
+
+  const handleDelete = (p) => {
+    if (!window.confirm(`Delete the prompt "${p.title}"?`)) return;
+    onDelete(p.id);
+    if (openId === p.id) setOpenId(null);
+  };
+
+  if (draft) {
+    return (
+      <form onSubmit={handleSave} className="p-5 flex flex-col gap-2">
+        <input value={draft.title} onChange={(e) => setDraft({ ...draft, title: e.target.value })} placeholder="Title (defaults to the first line)" className={inputClass} />
+        <textarea
+          value={draft.text}
+          onChange={(e) => setDraft({ ...draft, text: e.target.value })}
+          rows={8}
+          placeholder={'Prompt text. Use {{name}} for parts to fill in, e.g.\nSummarise this {{kind}} in {{count}} bullet points:\n{{text}}'}
+          className={`${inputClass} font-mono text-xs resize-y`}
+          autoFocus
+        />
+        {templateVariables(draft.text).length > 0 && (
+          <p className="text-xs text-gray-400">Variables: {templateVariables(draft.text).join(', ')}</p>
+        )}
+        <div className="flex justify-end gap-2 text-sm">
+          <button type="button" onClick={() => setDraft(null)} className="px-3 py-1.5 rounded-lg bg-gray-700 hover:bg-gray-600">Cancel</button>
+          <button type="submit" disabled={!draft.text.trim()} className="bg-pink-600 hover:bg-pink-700 disabled:bg-pink-800/50 disabled:cursor-not-allowed text-white px-3 py-1.5 rounded-lg font-semibold">Save prompt</button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <div className="p-5 flex flex-col gap-3">
+      <div className="flex gap-2">
+        <input type="search" value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Search prompts…" className={inputClass} />
+        {!readOnly && (
+          <button onClick={() => setDraft({ title: '', text: '' })} title="New prompt" className="bg-pink-600 hover:bg-pink-700 text-white px-3 rounded-lg font-semibold">+</button>
+        )}
+      </div>
+      <div className="max-h-96 overflow-y-auto pr-2 flex flex-col gap-2">
+        {results.length === 0 ? (
+          <p className="text-sm text-gray-500">{prompts.length === 0 ? 'No saved prompts yet.' : 'No prompts match.'}</p>
+        ) : results.map(p => (
+          <div key={p.id} className={`group rounded-lg border-2 ${p.id === openId ? 'bg-pink-600/20 border-pink-500/70' : 'bg-gray-700/50 border-transparent hover:border-gray-600'}`}>
+            <div className="p-3 flex justify-between items-start gap-2 cursor-pointer" onClick={() => toggleOpen(p.id)}>
+              <div className="min-w-0">
+                <p className="font-semibold text-sm truncate" title={p.title}>{p.title}</p>
+                <p className="text-xs text-gray-400 truncate">{p.text.replace(/\s+/g, ' ')}</p>
+              </div>
+              {!readOnly && (
+                <div className="hidden group-hover:flex gap-2 text-xs flex-shrink-0">
+                  <button onClick={(e) => { e.stopPropagation(); setDraft({ id: p.id, title: p.title, text: p.text }); }} className="text-gray-300 hover:text-white">Edit</button>
+                  <button onClick={(e) => { e.stopPropagation(); handleDelete(p); }} title="Delete prompt" className="text-red-400 hover:text-red-300">✕</button>
+                </div>
+              )}
+            </div>
+            {p.id === openId && (
+              <div className="px-3 pb-3 flex flex-col gap-2">
+                {variables.map(name => (
+                  <label key={name} className="flex flex-col gap-1">
+                    <span className="text-xs text-gray-400 font-mono">{name}</span>
+                    <textarea
+                      rows={1}
+                      value={values[name] || ''}
+                      onChange={(e) => setValues({ ...values, [name]: e.target.value })}
+                      className={`${inputClass} resize-y`}
+                    />
+                  </label>
+                ))}
+                <pre className="bg-gray-900 rounded p-2 text-xs whitespace-pre-wrap max-h-40 overflow-y-auto">{fillTemplate(p.text, values)}</pre>
+                {missing.length > 0 && <p className="text-xs text-yellow-400">Not filled in yet: {missing.join(', ')}</p>}
+                <div className="flex justify-end gap-2 text-sm">
+                  <button onClick={() => onUse(fillTemplate(p.text, values), 'playground')} className="px-3 py-1.5 rounded-lg bg-gray-700 hover:bg-gray-600">To Playground</button>
+                  <button onClick={() => onUse(fillTemplate(p.text, values), 'chat')} className="bg-pink-600 hover:bg-pink-700 text-white px-3 py-1.5 rounded-lg font-semibold">To Chat</button>
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500">Prompts are stored in this browser.</p>
+    </div>
+  );
+};
+
+export default PromptLibraryPanel;
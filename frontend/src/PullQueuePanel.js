@@ -0,0 +1,106 @@
+import React from 'react';
+import { layerEtaSeconds, pullLabel } from './usePullQueue';
+
+// --- Download manager UI for the pull queue (see usePullQueue) ---
+// `baseUrl` is the active device's pull proxy; pulls on other devices of
+// the fleet are tagged with the device name.
+
+export function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let i = 0;
+  while (value >= 1024 && i < units.length - 1) {
+    value /= 1024;
+    i++;
+  }
+  return `${value.toFixed(i === 0 ? 0 : 1)} ${units[i]}`;
+}
+
+function formatEta(seconds) {
+  if (seconds === null || !Number.isFinite(seconds)) return '';
+  if (seconds < 60) return `${Math.ceil(seconds)}s left`;
+  const m = Math.floor(seconds / 60);
+  return m < 60 ? `${m}m ${Math.round(seconds % 60)}s left` : `${Math.floor(m / 60)}h ${m % 60}m left`;
+}
+
+const STATUS_STYLES = {
+  queued: 'text-gray-400',
+  pulling: 'text-yellow-300',
+  done: 'text-green-400',
+  error: 'text-red-400',
+  cancelled: 'text-gray-500',
+  interrupted: 'text-orange-400',
+};
+
+const smallButton = 'text-xs px-2 py-0.5 rounded-md bg-gray-700 hover:bg-gray-600 text-gray-200';
+
+const LayerProgress = ({ digest, layer }) => {
+  const percent = layer.total ? Math.min(100, (layer.completed / layer.total) * 100) : 0;
+  const eta = layerEtaSeconds(layer);
+  return (
+    <div className="mt-1">
+      <div className="flex justify-between text-[11px] text-gray-400 font-mono">
+        <span title={digest}>{digest.replace(/^sha256:/, '').slice(0, 12)}</span>
+        <span>
+          {formatBytes(layer.completed)} / {formatBytes(layer.total)}
+          {eta !== null && ` · ${formatBytes(layer.rateBps)}/s · ${formatEta(eta)}`}
+        </span>
+      </div>
+      <div className="w-full h-1.5 bg-gray-700 rounded-full overflow-hidden">
+        <div className={`h-full rounded-full ${percent >= 100 ? 'bg-green-500' : 'bg-blue-500'}`} style={{ width: `${percent}%` }}></div>
+      </div>
+    </div>
+  );
+};
+
+const PullQueuePanel = ({ queue, baseUrl, onCancel, onResume, onRemove, onClearFinished }) => {
+  if (queue.length === 0) return null;
+  const hasFinished = queue.some(item => ['done', 'error', 'cancelled'].includes(item.status));
+
+  return (
+    <div className="mb-4">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-md font-semibold text-gray-300">Downloads</h3>
+        {hasFinished && (
+          <button onClick={onClearFinished} className="text-xs text-gray-400 hover:text-white">Clear finished</button>
+        )}
+      </div>
+      <div className="flex flex-col gap-2 max-h-64 overflow-y-auto pr-2">
+        {queue.map(item => {
+          const layers = Object.entries(item.layers || {});
+          // Only show layers that are still moving while the pull runs.
+          const visibleLayers = item.status === 'pulling' ? layers.filter(([, l]) => l.completed < l.total) : [];
+          return (
+            <div key={item.id} className="p-3 rounded-lg bg-gray-700/50">
+              <div className="flex justify-between items-center gap-2">
+                <p className="font-semibold text-sm truncate">{pullLabel(item, baseUrl)}</p>
+                <div className="flex gap-1 flex-shrink-0">
+                  {(item.status === 'queued' || item.status === 'pulling') && (
+                    <button onClick={() => onCancel(item.id)} className={smallButton}>Cancel</button>
+                  )}
+                  {(item.status === 'interrupted' || item.status === 'cancelled' || item.status === 'error') && (
+                    <button onClick={() => onResume(item.id)} className={smallButton}>
+                      {item.status === 'error' ? 'Retry' : 'Resume'}
+                    </button>
+                  )}
+                  {item.status !== 'pulling' && (
+                    <button onClick={() => onRemove(item.id)} title="Remove from list" className="text-red-400 hover:text-red-300 text-xs px-1">✕</button>
+                  )}
+                </div>
+              </div>
+              <p className={`text-xs mt-0.5 ${STATUS_STYLES[item.status] || 'text-gray-400'}`}>
+                {item.status === 'error' ? item.error : item.statusText}
+              </p>
+              {visibleLayers.map(([digest, layer]) => (
+                <LayerProgress key={digest} digest={digest} layer={layer} />
+              ))}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default PullQueuePanel;
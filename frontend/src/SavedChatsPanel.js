@@ -0,0 +1,179 @@
+import React, { useRef, useState } from 'react';
+import { parseTags, searchChats } from './savedChats';
+import { CHAT_SYNC_LABELS } from './useChatSync';
+
+// --- Saved chats list: search, rename, tags, pin, import / export, sync ---
+
+const SYNC_COLORS = {
+  idle: 'text-gray-500',
+  syncing: 'text-gray-400',
+  synced: 'text-green-400',
+  offline: 'text-yellow-400',
+  error: 'text-red-400',
+};
+
+const ItemAction = ({ onClick, title, className = 'text-gray-400 hover:text-white', children }) => (
+  <button type="button" onClick={onClick} title={title} className={`px-1 ${className}`}>{children}</button>
+);
+
+const SavedChatsPanel = ({
+  chats,
+  currentChatId,
+  error,
+  syncStatus,
+  syncError,
+  lastSynced,
+  onSync,
+  disabled,
+  // Viewers can read and export chats but not change them
+  readOnly,
+  onNew,
+  onLoad,
+  onRename,
+  onSetTags,
+  onTogglePin,
+  onDelete,
+  onExport,
+  onImport,
+}) => {
+  const [query, setQuery] = useState('');
+  // { id, field: 'title' | 'tags', value } while an entry is being edited inline
+  const [editing, setEditing] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const results = searchChats(chats, query);
+
+  const startEdit = (chat, field) => {
+    setEditing({ id: chat.id, field, value: field === 'title' ? chat.title : chat.tags.join(', ') });
+  };
+
+  const commitEdit = () => {
+    if (!editing) return;
+    if (editing.field === 'title') {
+      const title = editing.value.trim();
+      if (title) onRename(editing.id, title);
+    } else {
+      onSetTags(editing.id, parseTags(editing.value));
+    }
+    setEditing(null);
+  };
+
+  const handleEditKey = (e) => {
+    if (e.key === 'Enter') { e.preventDefault(); commitEdit(); }
+    if (e.key === 'Escape') setEditing(null);
+  };
+
+  const addTagFilter = (tag) => {
+    const token = `#${tag}`;
+    setQuery(prev => (prev.split(/\s+/).includes(token) ? prev : `${prev} ${token}`.trim()));
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (file) onImport(file);
+    e.target.value = '';
+  };
+
+  return (
+    <div className="p-5 flex flex-col gap-4">
+      <button onClick={onNew} disabled={disabled} className="bg-green-700 hover:bg-green-800 disabled:bg-green-900/50 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg text-sm font-semibold transition-colors">
+         New Chat
+      </button>
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder="Search chats, or #tag"
+        className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-amber-500 focus:outline-none"
+      />
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        {!readOnly && (
+          <>
+          <button onClick={() => fileInputRef.current.click()} className="bg-gray-700 hover:bg-gray-600 text-white px-2 py-1 rounded-lg font-semibold transition-colors" title="Import chats from a JSON or Markdown export">
+            Import
+          </button>
+          <input ref={fileInputRef} type="file" accept=".json,.md,.markdown,application/json,text/markdown" onChange={handleFileChange} className="hidden" />
+          </>
+        )}
+        <span className="text-gray-500 ml-auto">Export all:</span>
+        <button onClick={() => onExport(null, 'json')} disabled={chats.length === 0} className="bg-gray-700 hover:bg-gray-600 disabled:bg-gray-800/50 disabled:cursor-not-allowed text-white px-2 py-1 rounded-lg font-semibold transition-colors">
+          JSON
+        </button>
+        <button onClick={() => onExport(null, 'md')} disabled={chats.length === 0} className="bg-gray-700 hover:bg-gray-600 disabled:bg-gray-800/50 disabled:cursor-not-allowed text-white px-2 py-1 rounded-lg font-semibold transition-colors">
+          MD
+        </button>
+      </div>
+      <div className="flex justify-between items-center gap-2 text-xs">
+        <span className={SYNC_COLORS[syncStatus]} title={syncError || ''}>
+          {CHAT_SYNC_LABELS[syncStatus]}
+          {syncStatus === 'synced' && lastSynced ? ` · ${new Date(lastSynced).toLocaleTimeString()}` : ''}
+          {syncStatus === 'error' && syncError ? `: ${syncError}` : ''}
+        </span>
+        <button onClick={onSync} disabled={syncStatus === 'syncing'} className="text-blue-400 hover:underline disabled:text-gray-600 disabled:no-underline flex-shrink-0">
+          Sync now
+        </button>
+      </div>
+      {error && <p className="text-xs text-red-400">{error}</p>}
+      {results.length === 0 ? (
+         <p className="text-sm text-gray-500 text-center">{chats.length === 0 ? 'No saved chats. Chats are saved automatically once they have a message.' : 'No chats match.'}</p>
+      ) : (
+         <div className="max-h-72 overflow-y-auto pr-2 flex flex-col gap-2">
+            {results.map(({ chat: c, snippet }) => (
+               <div
+                  key={c.id}
+                  className={`group p-3 rounded-lg transition-all duration-200 border-2 ${currentChatId===c.id ? 'bg-amber-600/30 border-amber-500' : 'bg-gray-700/50 border-transparent hover:border-gray-600'}`}
+               >
+                  {editing && editing.id === c.id && editing.field === 'title' ? (
+                     <input
+                        value={editing.value}
+                        onChange={(e) => setEditing({ ...editing, value: e.target.value })}
+                        onKeyDown={handleEditKey}
+                        onBlur={commitEdit}
+                        className="w-full bg-gray-800 border border-amber-500/60 rounded px-2 py-1 text-sm focus:outline-none"
+                        autoFocus
+                     />
+                  ) : (
+                     <div className="cursor-pointer" onClick={() => onLoad(c.id)} title="Load chat">
+                        <p className="font-semibold text-sm truncate">{c.pinned && <span className="text-amber-400 mr-1" title="Pinned">★</span>}{c.title}</p>
+                        <p className="text-xs text-gray-400 truncate">{new Date(c.updated).toLocaleString()}{c.model ? ` · ${c.model}` : ''}</p>
+                        {snippet && <p className="text-xs text-gray-300 mt-1 line-clamp-2">{snippet}</p>}
+                     </div>
+                  )}
+                  {editing && editing.id === c.id && editing.field === 'tags' ? (
+                     <input
+                        value={editing.value}
+                        onChange={(e) => setEditing({ ...editing, value: e.target.value })}
+                        onKeyDown={handleEditKey}
+                        onBlur={commitEdit}
+                        placeholder="comma, separated, tags"
+                        className="w-full mt-2 bg-gray-800 border border-amber-500/60 rounded px-2 py-1 text-xs focus:outline-none"
+                        autoFocus
+                     />
+                  ) : c.tags.length > 0 && (
+                     <div className="flex flex-wrap gap-1 mt-2">
+                        {c.tags.map(tag => (
+                           <button key={tag} onClick={() => addTagFilter(tag)} className="text-[11px] px-1.5 py-0.5 rounded bg-gray-600/70 text-gray-200 hover:bg-gray-500" title={`Filter by #${tag}`}>#{tag}</button>
+                        ))}
+                     </div>
+                  )}
+                  <div className="hidden group-hover:flex justify-end items-center gap-1 mt-2 text-xs">
+                     {!readOnly && (
+                       <>
+                       <ItemAction onClick={() => onTogglePin(c.id)} title={c.pinned ? 'Unpin' : 'Pin to top'} className={c.pinned ? 'text-amber-400 hover:text-amber-300' : 'text-gray-400 hover:text-white'}>★</ItemAction>
+                       <ItemAction onClick={() => startEdit(c, 'title')} title="Rename">✎</ItemAction>
+                       <ItemAction onClick={() => startEdit(c, 'tags')} title="Edit tags">#</ItemAction>
+                       </>
+                     )}
+                     <ItemAction onClick={() => onExport(c.id, 'json')} title="Export as JSON">JSON</ItemAction>
+                     <ItemAction onClick={() => onExport(c.id, 'md')} title="Export as Markdown">MD</ItemAction>
+                     {!readOnly && <ItemAction onClick={() => onDelete(c.id)} title="Delete saved chat" className="text-red-400 hover:text-red-300">✕</ItemAction>}
+                  </div>
+               </div>
+            ))}
+         </div>
+      )}
+    </div>
+  );
+};
+
+export default SavedChatsPanel;
@@ -0,0 +1,161 @@
+import React, { useState, useRef } from 'react';
+import { HISTORY_SERIES, HISTORY_WINDOW_OPTIONS } from './statsHistory';
+
+const VIEW_W = 600;
+const VIEW_H = 160;
+const EVENT_COLORS = { chat: '#22c55e', pull: '#3b82f6', model: '#a855f7', guardrail: '#ef4444', power: '#eab308', service: '#f97316' };
+
+// Index of the sample closest to time `t` (samples are ordered by `t`).
+function nearestIndex(samples, t) {
+  let lo = 0;
+  let hi = samples.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (samples[mid].t < t) lo = mid + 1; else hi = mid;
+  }
+  if (lo > 0 && Math.abs(samples[lo - 1].t - t) < Math.abs(samples[lo].t - t)) return lo - 1;
+  return lo;
+}
+
+function formatClock(t) {
+  return new Date(t).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
+
+// Time-series chart for the rolling stats buffer. Drag across the chart to
+// zoom into a range, double-click (or "Reset zoom") to go back to the live
+// window. Hovering shows the values of the nearest sample and any timeline
+// events close to the cursor.
+const StatsHistoryChart = ({ samples, events, windowMs, onWindowChange, onExport }) => {
+  const [view, setView] = useState(null); // null = follow live window
+  const [hiddenSeries, setHiddenSeries] = useState({});
+  const [hoverT, setHoverT] = useState(null);
+  const [dragStart, setDragStart] = useState(null);
+  const svgRef = useRef(null);
+
+  const lastT = samples.length > 0 ? samples[samples.length - 1].t : Date.now();
+  const start = view ? view.start : lastT - windowMs;
+  const end = view ? view.end : lastT;
+  const span = Math.max(end - start, 1);
+
+  const x = t => ((t - start) / span) * VIEW_W;
+  const y = pct => VIEW_H - (Math.max(0, Math.min(100, pct)) / 100) * VIEW_H;
+
+  const visible = samples.filter(s => s.t >= start && s.t <= end);
+  const visibleEvents = events.filter(e => e.t >= start && e.t <= end);
+
+  const timeAtClientX = (clientX) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    const frac = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
+    return start + frac * span;
+  };
+
+  const handleMouseUp = (e) => {
+    if (dragStart === null) return;
+    const t = timeAtClientX(e.clientX);
+    const [a, b] = dragStart < t ? [dragStart, t] : [t, dragStart];
+    setDragStart(null);
+    // Ignore clicks and tiny drags; require at least 2 % of the current span.
+    if (b - a > span * 0.02) setView({ start: a, end: b });
+  };
+
+  const hoverSample = hoverT !== null && visible.length > 0 ? visible[nearestIndex(visible, hoverT)] : null;
+  const hoverEvents = hoverT !== null ? visibleEvents.filter(e => Math.abs(e.t - hoverT) <= span * 0.01) : [];
+
+  return (
+    <div>
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-2">
+        <div className="flex flex-wrap gap-2">
+          {HISTORY_SERIES.map(series => (
+            <button
+              key={series.key}
+              onClick={() => setHiddenSeries(prev => ({ ...prev, [series.key]: !prev[series.key] }))}
+              className={`text-xs flex items-center gap-1 ${hiddenSeries[series.key] ? 'text-gray-600' : 'text-gray-300'}`}
+              title={hiddenSeries[series.key] ? `Show ${series.label}` : `Hide ${series.label}`}
+            >
+              <span className="w-2.5 h-2.5 rounded-full inline-block" style={{ backgroundColor: series.color, opacity: hiddenSeries[series.key] ? 0.3 : 1 }}></span>
+              {series.label}
+            </button>
+          ))}
+        </div>
+        <div className="flex items-center gap-2">
+          <select
+            value={windowMs}
+            onChange={(e) => { setView(null); onWindowChange(Number(e.target.value)); }}
+            className="bg-gray-700 border border-gray-600 rounded-lg px-2 py-1 text-xs"
+            title="Rolling window kept in memory"
+          >
+            {HISTORY_WINDOW_OPTIONS.map(o => (<option key={o.ms} value={o.ms}>{o.label}</option>))}
+          </select>
+          <button
+            onClick={onExport}
+            disabled={samples.length === 0}
+            className="bg-gray-700 hover:bg-gray-600 disabled:bg-gray-800/50 disabled:cursor-not-allowed text-white px-2 py-1 rounded-lg text-xs font-semibold transition-colors"
+          >
+            CSV
+          </button>
+        </div>
+      </div>
+
+      <div className="relative">
+        <svg
+          ref={svgRef}
+          className="w-full h-40 bg-gray-900/60 rounded-lg cursor-crosshair select-none"
+          viewBox={`0 0 ${VIEW_W} ${VIEW_H}`}
+          preserveAspectRatio="none"
+          onMouseMove={(e) => setHoverT(timeAtClientX(e.clientX))}
+          onMouseLeave={() => { setHoverT(null); setDragStart(null); }}
+          onMouseDown={(e) => setDragStart(timeAtClientX(e.clientX))}
+          onMouseUp={handleMouseUp}
+          onDoubleClick={() => setView(null)}
+        >
+          {[25, 50, 75].map(p => (
+            <line key={p} x1="0" x2={VIEW_W} y1={y(p)} y2={y(p)} stroke="#374151" strokeDasharray="4 4" vectorEffect="non-scaling-stroke" />
+          ))}
+          {visibleEvents.map((ev, i) => (
+            <line key={`${ev.t}-${i}`} x1={x(ev.t)} x2={x(ev.t)} y1="0" y2={VIEW_H} stroke={EVENT_COLORS[ev.type] || '#9ca3af'} strokeOpacity="0.7" strokeDasharray="2 3" vectorEffect="non-scaling-stroke" />
+          ))}
+          {HISTORY_SERIES.filter(series => !hiddenSeries[series.key]).map(series => {
+            const points = visible
+              .map(s => ({ t: s.t, v: series.percent(s) }))
+              .filter(p => typeof p.v === 'number' && !Number.isNaN(p.v))
+              .map(p => `${x(p.t).toFixed(1)},${y(p.v).toFixed(1)}`)
+              .join(' ');
+            return (
+              <polyline key={series.key} points={points} fill="none" stroke={series.color} strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+            );
+          })}
+          {dragStart !== null && hoverT !== null && (
+            <rect x={Math.min(x(dragStart), x(hoverT))} y="0" width={Math.abs(x(hoverT) - x(dragStart))} height={VIEW_H} fill="#60a5fa" fillOpacity="0.15" />
+          )}
+          {hoverSample && dragStart === null && (
+            <line x1={x(hoverSample.t)} x2={x(hoverSample.t)} y1="0" y2={VIEW_H} stroke="#e5e7eb" strokeOpacity="0.5" vectorEffect="non-scaling-stroke" />
+          )}
+        </svg>
+
+        {hoverSample && dragStart === null && (
+          <div className="absolute top-1 left-1 bg-gray-800/90 border border-gray-700 rounded-lg px-2 py-1 text-[11px] text-gray-200 pointer-events-none">
+            <div className="text-gray-400">{formatClock(hoverSample.t)}</div>
+            {HISTORY_SERIES.filter(series => !hiddenSeries[series.key]).map(series => (
+              <div key={series.key}><span style={{ color: series.color }}>{series.label}</span> {series.format(hoverSample)}</div>
+            ))}
+            {hoverEvents.map((ev, i) => (
+              <div key={i} style={{ color: EVENT_COLORS[ev.type] || '#9ca3af' }}>{ev.label}</div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="flex justify-between items-center mt-1 text-[11px] text-gray-500">
+        <span>{formatClock(start)}</span>
+        {view ? (
+          <button onClick={() => setView(null)} className="text-blue-400 hover:underline">Reset zoom</button>
+        ) : (
+          <span>{samples.length} samples · drag to zoom</span>
+        )}
+        <span>{formatClock(end)}</span>
+      </div>
+    </div>
+  );
+};
+
+export default StatsHistoryChart;
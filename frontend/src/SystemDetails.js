@@ -0,0 +1,103 @@
+import React from 'react';
+
+// --- Detailed tegrastats readout ---
+// Everything the helper parses beyond the four headline gauges: per-core CPU
+// load and clocks, GPU / EMC clocks, swap and IRAM, every thermal zone and
+// every power rail. Sections are skipped when a board doesn't report them.
+
+const Section = ({ title, children }) => (
+  <div>
+    <h4 className="text-xs font-semibold uppercase tracking-wide text-gray-400 mb-2">{title}</h4>
+    {children}
+  </div>
+);
+
+const Bar = ({ percent, color }) => (
+  <div className="w-full h-1.5 bg-gray-700 rounded-full overflow-hidden">
+    <div className="h-full rounded-full" style={{ width: `${Math.max(0, Math.min(100, percent || 0))}%`, backgroundColor: color }}></div>
+  </div>
+);
+
+const formatMhz = (mhz) => (mhz === null || mhz === undefined ? '–' : `${mhz} MHz`);
+
+// Colour a temperature the same way everywhere: green → amber → red.
+export function temperatureColor(celsius) {
+  if (celsius >= 85) return '#ef4444';
+  if (celsius >= 70) return '#f59e0b';
+  return '#22c55e';
+}
+
+const SystemDetails = ({ stats }) => {
+  if (!stats) return null;
+  const cores = stats.cpu_cores || [];
+  const temps = Object.entries(stats.temperatures_c || {}).sort(([a], [b]) => a.localeCompare(b));
+  const rails = Object.entries(stats.power_rails_mw || {});
+
+  return (
+    <div className="mt-5 flex flex-col gap-4 text-sm">
+      {cores.length > 0 && (
+        <Section title="CPU cores">
+          <div className="grid grid-cols-2 gap-x-4 gap-y-2">
+            {cores.map(core => (
+              <div key={core.index} className={core.online ? '' : 'opacity-40'}>
+                <div className="flex justify-between text-xs text-gray-300 mb-0.5">
+                  <span>CPU{core.index}</span>
+                  <span className="font-mono">{core.online ? `${core.percent}% @ ${formatMhz(core.freq_mhz)}` : 'off'}</span>
+                </div>
+                <Bar percent={core.percent} color="#22c55e" />
+              </div>
+            ))}
+          </div>
+        </Section>
+      )}
+
+      <Section title="Clocks & memory">
+        <div className="grid grid-cols-2 gap-x-4 gap-y-1 text-xs text-gray-300 font-mono">
+          {stats.gpu_usage_percent !== undefined && (<><span className="text-gray-400 font-sans">GPU</span><span>{stats.gpu_usage_percent}% @ {formatMhz(stats.gpu_freq_mhz)}</span></>)}
+          {stats.emc_usage_percent !== undefined && (<><span className="text-gray-400 font-sans">EMC</span><span>{stats.emc_usage_percent}% @ {formatMhz(stats.emc_freq_mhz)}</span></>)}
+          {stats.swap_total_mb !== undefined && (
+            <><span className="text-gray-400 font-sans">SWAP</span><span>{stats.swap_used_mb} / {stats.swap_total_mb} MB{stats.swap_cached_mb ? ` (cached ${stats.swap_cached_mb} MB)` : ''}</span></>
+          )}
+          {stats.iram_total_kb !== undefined && (<><span className="text-gray-400 font-sans">IRAM</span><span>{stats.iram_used_kb} / {stats.iram_total_kb} kB</span></>)}
+        </div>
+      </Section>
+
+      {temps.length > 0 && (
+        <Section title="Thermal zones">
+          <div className="flex flex-wrap gap-2">
+            {temps.map(([zone, value]) => (
+              <span key={zone} className="px-2 py-1 rounded-lg bg-gray-700/60 text-xs font-mono" style={{ color: temperatureColor(value) }}>
+                <span className="text-gray-400 font-sans">{zone}</span> {value.toFixed(1)}°C
+              </span>
+            ))}
+          </div>
+        </Section>
+      )}
+
+      {rails.length > 0 && (
+        <Section title="Power rails">
+          <table className="w-full text-xs text-gray-300">
+            <thead>
+              <tr className="text-gray-500">
+                <th className="text-left font-normal">Rail</th>
+                <th className="text-right font-normal">Now</th>
+                <th className="text-right font-normal">Avg</th>
+              </tr>
+            </thead>
+            <tbody className="font-mono">
+              {rails.map(([name, rail]) => (
+                <tr key={name}>
+                  <td className="font-sans">{name}</td>
+                  <td className="text-right">{rail.current_mw} mW</td>
+                  <td className="text-right">{rail.average_mw} mW</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Section>
+      )}
+    </div>
+  );
+};
+
+export default SystemDetails;
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { BUILTIN_TOOLS, parseCustomTool } from './tools';
+
+// --- Tools panel ---
+// Switch built-in tools on or off and add custom tools: a name, a
+// description the model reads, a JSON schema for the arguments and the
+// HTTP endpoint that runs it. Switching tools on for a chat happens in the
+// chat header.
+
+const EMPTY_DRAFT = {
+  name: '',
+  description: '',
+  url: '',
+  method: 'POST',
+  parameters: '{\n  "type": "object",\n  "properties": {\n    "query": { "type": "string", "description": "" }\n  },\n  "required": ["query"]\n}',
+};
+
+const inputClass = 'w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-orange-500 focus:outline-none';
+
+const ToolRow = ({ tool, enabled, readOnly, detail, onToggle, onRemove }) => (
+  <div className="group p-3 rounded-lg bg-gray-700/50 flex justify-between items-start gap-2">
+    <label className="flex items-start gap-2 min-w-0 cursor-pointer">
+      <input type="checkbox" checked={enabled} onChange={onToggle} disabled={readOnly} className="mt-1 accent-orange-500" />
+      <span className="min-w-0">
+        <span className="block font-semibold text-sm font-mono">{tool.name}</span>
+        <span className="block text-xs text-gray-400 line-clamp-2" title={tool.description}>{tool.description}</span>
+        {detail && <span className="block text-xs text-gray-500 truncate" title={detail}>{detail}</span>}
+      </span>
+    </label>
+    {onRemove && !readOnly && (
+      <button onClick={onRemove} title="Remove tool" className="hidden group-hover:block text-red-400 hover:text-red-300">✕</button>
+    )}
+  </div>
+);
+
+const ToolsPanel = ({ custom, disabled, readOnly, onToggle, onAdd, onRemove }) => {
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState(null);
+
+  const setField = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const { tool, error: problem } = parseCustomTool(draft, [...BUILTIN_TOOLS, ...custom].map(t => t.name));
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    onAdd(tool);
+    setDraft(null);
+    setError(null);
+  };
+
+  return (
+    <div className="p-5 flex flex-col gap-4">
+      <div className="max-h-72 overflow-y-auto pr-2 flex flex-col gap-2">
+        {BUILTIN_TOOLS.map(tool => (
+          <ToolRow key={tool.name} tool={tool} enabled={!disabled.includes(tool.name)} readOnly={readOnly} onToggle={() => onToggle(tool.name)} />
+        ))}
+        {custom.map(tool => (
+          <ToolRow
+            key={tool.name}
+            tool={tool}
+            enabled={!disabled.includes(tool.name)}
+            readOnly={readOnly}
+            detail={`${tool.method} ${tool.url}`}
+            onToggle={() => onToggle(tool.name)}
+            onRemove={() => onRemove(tool.name)}
+          />
+        ))}
+      </div>
+
+      {!readOnly && (draft ? (
+        <form onSubmit={handleAdd} className="flex flex-col gap-2">
+          <input value={draft.name} onChange={(e) => setField('name', e.target.value)} placeholder="Name, e.g. get_weather" className={`${inputClass} font-mono`} />
+          <textarea value={draft.description} onChange={(e) => setField('description', e.target.value)} rows={2} placeholder="What it does and when to use it" className={inputClass} />
+          <div className="flex gap-2">
+            <select value={draft.method} onChange={(e) => setField('method', e.target.value)} className="bg-gray-700 border border-gray-600 rounded-lg px-2 text-sm">
+              <option>POST</option>
+              <option>GET</option>
+            </select>
+            <input value={draft.url} onChange={(e) => setField('url', e.target.value)} placeholder="http://host:port/path" className={inputClass} />
+          </div>
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-gray-400">Arguments (JSON schema)</span>
+            <textarea value={draft.parameters} onChange={(e) => setField('parameters', e.target.value)} rows={8} spellCheck={false} className={`${inputClass} font-mono text-xs`} />
+          </label>
+          {error && <p className="text-xs text-red-400">{error}</p>}
+          <div className="flex justify-end gap-2 text-sm">
+            <button type="button" onClick={() => { setDraft(null); setError(null); }} className="px-3 py-1.5 rounded-lg bg-gray-700 hover:bg-gray-600">Cancel</button>
+            <button type="submit" className="bg-orange-600 hover:bg-orange-700 text-white px-3 py-1.5 rounded-lg font-semibold">Add tool</button>
+          </div>
+        </form>
+      ) : (
+        <button
+          onClick={() => setDraft(EMPTY_DRAFT)}
+          className="bg-orange-600 hover:bg-orange-700 text-white px-4 py-2 rounded-lg text-sm font-semibold transition-colors"
+        >
+          Add custom tool
+        </button>
+      ))}
+      <p className="text-xs text-gray-500">
+        Custom tools are called from this browser: POST sends the arguments as JSON, GET as query parameters, and the response text goes back to the model. The endpoint must allow CORS from this page.
+      </p>
+    </div>
+  );
+};
+
+export default ToolsPanel;
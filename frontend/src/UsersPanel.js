@@ -0,0 +1,185 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { ROLES, ROLE_DESCRIPTIONS, helperFetch } from './session';
+
+// --- Users & audit log (admin only) ---
+// Talks to the helper's /api/users and /api/audit endpoints (see auth.py).
+
+const AUDIT_PAGE_SIZE = 50;
+
+const inputClass = 'bg-gray-700 border border-gray-600 rounded-lg px-2 py-1 text-sm focus:ring-2 focus:ring-purple-500 focus:outline-none';
+
+async function adminApi(baseUrl, path, options = {}) {
+  const res = await helperFetch(`${baseUrl}${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json' },
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Helper responded with status ${res.status}`);
+  return data;
+}
+
+const UsersPanel = ({ baseUrl, currentUser }) => {
+  const [users, setUsers] = useState([]);
+  const [entries, setEntries] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [error, setError] = useState(null);
+  const [newUser, setNewUser] = useState({ username: '', password: '', role: 'chatter' });
+
+  const loadUsers = useCallback(async () => {
+    try {
+      setUsers((await adminApi(baseUrl, '/api/users')).users);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [baseUrl]);
+
+  // Newest entries, or with `before` the page older than that entry id
+  const loadAudit = useCallback(async (before) => {
+    try {
+      const query = `?limit=${AUDIT_PAGE_SIZE}${before ? `&before=${before}` : ''}`;
+      const page = (await adminApi(baseUrl, `/api/audit${query}`)).entries;
+      setEntries(prev => (before ? [...prev, ...page] : page));
+      setHasMore(page.length === AUDIT_PAGE_SIZE);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [baseUrl]);
+
+  useEffect(() => {
+    loadUsers();
+    loadAudit();
+  }, [loadUsers, loadAudit]);
+
+  // Run a user change, then reload both lists (every change is audited)
+  const change = async (path, options) => {
+    setError(null);
+    try {
+      await adminApi(baseUrl, path, options);
+      loadUsers();
+      loadAudit();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const userPath = (username) => `/api/users/${encodeURIComponent(username)}`;
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const ok = await change('/api/users', { method: 'POST', body: JSON.stringify(newUser) });
+    if (ok) setNewUser({ username: '', password: '', role: newUser.role });
+  };
+
+  const handleRole = (username, role) => change(userPath(username), { method: 'PATCH', body: JSON.stringify({ role }) });
+
+  const handleResetPassword = (username) => {
+    const password = window.prompt(`New password for ${username}:`);
+    if (!password) return;
+    change(userPath(username), { method: 'PATCH', body: JSON.stringify({ password }) });
+  };
+
+  const handleDelete = (username) => {
+    if (!window.confirm(`Delete user ${username}? Their sessions end immediately.`)) return;
+    change(userPath(username), { method: 'DELETE' });
+  };
+
+  return (
+    <div className="p-5 flex flex-col gap-4">
+      {error && <p className="text-sm text-red-400">{error}</p>}
+
+      <div className="flex flex-col gap-2">
+        {users.map(u => (
+          <div key={u.username} className="group p-3 rounded-lg bg-gray-700/50 flex items-center gap-2">
+            <span className="flex-1 min-w-0 font-semibold text-sm truncate">
+              {u.username}
+              {currentUser && u.username === currentUser.username && <span className="text-xs text-gray-400 font-normal"> (you)</span>}
+            </span>
+            <select value={u.role} onChange={(e) => handleRole(u.username, e.target.value)} className={inputClass} title={ROLE_DESCRIPTIONS[u.role]}>
+              {ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+            </select>
+            <button onClick={() => handleResetPassword(u.username)} title="Reset password" className="text-gray-400 hover:text-white text-xs">
+              Reset
+            </button>
+            <button onClick={() => handleDelete(u.username)} title="Delete user" className="hidden group-hover:block text-red-400 hover:text-red-300">
+              ✕
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <form onSubmit={handleAdd} className="flex flex-col gap-2">
+        <h3 className="text-md font-semibold text-gray-300">Add User</h3>
+        <div className="flex gap-2">
+          <input
+            value={newUser.username}
+            onChange={(e) => setNewUser({ ...newUser, username: e.target.value })}
+            placeholder="Username"
+            autoComplete="off"
+            className={`${inputClass} flex-1 min-w-0`}
+          />
+          <select value={newUser.role} onChange={(e) => setNewUser({ ...newUser, role: e.target.value })} className={inputClass}>
+            {ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+          </select>
+        </div>
+        <div className="flex gap-2">
+          <input
+            type="password"
+            value={newUser.password}
+            onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
+            placeholder="Initial password"
+            autoComplete="new-password"
+            className={`${inputClass} flex-1 min-w-0`}
+          />
+          <button type="submit" disabled={!newUser.username.trim() || !newUser.password} className="bg-purple-600 hover:bg-purple-700 disabled:bg-purple-800/50 disabled:cursor-not-allowed text-white px-3 py-1 rounded-lg text-sm font-semibold transition-colors">
+            Add
+          </button>
+        </div>
+        <p className="text-xs text-gray-500">{ROLE_DESCRIPTIONS[newUser.role]}.</p>
+      </form>
+
+      <div className="flex flex-col gap-2">
+        <div className="flex justify-between items-center">
+          <h3 className="text-md font-semibold text-gray-300">Audit Log</h3>
+          <button onClick={() => loadAudit()} className="text-xs text-blue-400 hover:underline">Refresh</button>
+        </div>
+        {entries.length === 0 ? (
+          <p className="text-sm text-gray-500">Nothing recorded yet.</p>
+        ) : (
+          <div className="max-h-64 overflow-y-auto pr-2">
+            <table className="w-full text-xs">
+              <thead className="text-gray-400 text-left">
+                <tr>
+                  <th className="font-normal pb-1">Time</th>
+                  <th className="font-normal pb-1">User</th>
+                  <th className="font-normal pb-1">Action</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map(e => (
+                  <tr key={e.id} className="border-t border-gray-700/50 align-top" title={[e.detail, e.remote_addr && `from ${e.remote_addr}`].filter(Boolean).join(' · ')}>
+                    <td className="py-1 pr-2 text-gray-400 font-mono whitespace-nowrap">{new Date(e.time * 1000).toLocaleString()}</td>
+                    <td className="py-1 pr-2">{e.username || '—'}</td>
+                    <td className="py-1">
+                      <span className={e.status === 'ok' ? 'text-gray-200' : 'text-red-400'}>{e.action}</span>
+                      {e.target && <span className="text-gray-400"> {e.target}</span>}
+                      {e.status !== 'ok' && <span className="text-red-400"> ({e.status})</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {hasMore && (
+              <button onClick={() => loadAudit(entries[entries.length - 1].id)} className="mt-2 w-full text-xs text-gray-400 hover:text-white">
+                Older entries ▾
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UsersPanel;
@@ -0,0 +1,20 @@
+// --- Configuration ---
+// Base URLs for APIs ---------------------------------------------------------
+// By default both APIs are reached through the same origin as the page:
+// panel_server.js (production) and setupProxy.js (`npm start`) forward
+// /ollama/* to Ollama and /stats/* to the stats helper. This works locally,
+// across the LAN and behind HTTPS without exposing Ollama's port. Set
+// `REACT_APP_OLLAMA_API_URL` or `REACT_APP_STATS_API_URL` to talk to an API
+// directly instead (e.g. http://192.168.1.42:11434).
+//
+// These are the URLs of the panel's own Jetson; other devices of a fleet are
+// reached through their own panel_server.js (see devices.js).
+
+function buildApiUrl(envVar, defaultPath) {
+  const env = process.env[envVar];
+  if (env && env.trim() !== '') return env.trim().replace(/\/$/, '');
+  return defaultPath;
+}
+
+export const OLLAMA_API_BASE_URL = buildApiUrl('REACT_APP_OLLAMA_API_URL', '/ollama');
+export const STATS_API_BASE_URL = buildApiUrl('REACT_APP_STATS_API_URL', '/stats');
@@ -0,0 +1,135 @@
+import { csvCell } from './statsHistory';
+import { nsToMs } from './ChatMetrics';
+
+// --- Benchmark runs ---
+// A benchmark sends every prompt of a list to each selected model, one after
+// another, and records one row per (model, prompt): the reply metrics from
+// Ollama plus the peak GPU load, RAM and SoC temperature the stats helper
+// reported while that reply was generated. Rows are summarised per model and
+// can be saved as a baseline to compare later runs against.
+
+// Longest prompt text kept in a row (the full list stays in the editor)
+const PROMPT_PREVIEW_LENGTH = 120;
+
+// Parse pasted or loaded prompts. JSON Lines (every line an object or a
+// string) take `prompt`, `body`, `content` or `text` from each object and a
+// label from `title`, `id` or `request_id`; plain text is split on lines of
+// `---`, or else one prompt per line. Throws on a broken JSON line.
+export function parsePromptList(text) {
+  const lines = String(text || '').split('\n').map(l => l.trim()).filter(Boolean);
+  if (lines.length === 0) return [];
+  if (lines.every(l => l.startsWith('{') || l.startsWith('"'))) {
+    return lines.map((line, i) => {
+      let item;
+      try {
+        item = JSON.parse(line);
+      } catch (err) {
+        throw new Error(`Line ${i + 1} is not valid JSON: ${err.message}`);
+      }
+      if (typeof item === 'string') return { label: `#${i + 1}`, prompt: item };
+      const prompt = item.prompt ?? item.body ?? item.content ?? item.text;
+      if (typeof prompt !== 'string' || !prompt.trim()) throw new Error(`Line ${i + 1} has no prompt, body, content or text field`);
+      return { label: String(item.title ?? item.id ?? item.request_id ?? `#${i + 1}`), prompt };
+    });
+  }
+  const blocks = lines.includes('---')
+    ? String(text).split(/^\s*---\s*$/m).map(b => b.trim()).filter(Boolean)
+    : lines;
+  return blocks.map((prompt, i) => ({ label: `#${i + 1}`, prompt }));
+}
+
+const max = values => {
+  const numbers = values.filter(v => typeof v === 'number' && !Number.isNaN(v));
+  return numbers.length > 0 ? Math.max(...numbers) : null;
+};
+
+const mean = values => {
+  const numbers = values.filter(v => typeof v === 'number' && !Number.isNaN(v));
+  return numbers.length > 0 ? numbers.reduce((a, b) => a + b, 0) / numbers.length : null;
+};
+
+// Highest GPU %, RAM (GB) and SoC temperature in the stats samples taken
+// during one reply; null where no sample had the value.
+export function peakStats(samples) {
+  return {
+    peak_gpu_percent: max(samples.map(s => s.gpu_usage_percent)),
+    peak_ram_gb: max(samples.map(s => s.ram_used_gb)),
+    peak_soc_temp_c: max(samples.map(s => s.soc_temp_c)),
+  };
+}
+
+// One result row from a finished (or failed) reply.
+export function benchmarkRow({ model, index, label, prompt, metrics, samples, powerMode, error }) {
+  return {
+    model,
+    index,
+    label,
+    prompt: prompt.length > PROMPT_PREVIEW_LENGTH ? `${prompt.slice(0, PROMPT_PREVIEW_LENGTH - 1)}…` : prompt,
+    tokens_per_sec: metrics ? metrics.tokens_per_sec : null,
+    ttft_ms: metrics ? metrics.ttft_ms : null,
+    load_ms: metrics ? nsToMs(metrics.load_duration) : null,
+    total_ms: metrics ? nsToMs(metrics.total_duration) : null,
+    eval_count: metrics ? metrics.eval_count : null,
+    prompt_eval_count: metrics ? metrics.prompt_eval_count : null,
+    ...peakStats(samples),
+    power_mode: powerMode || null,
+    error: error || null,
+  };
+}
+
+// Per-model summary, in the order models first appear: mean tok/s, TTFT and
+// total time, the longest load (the cold start), the peaks and the power
+// modes the runs were made in.
+export function summarizeBenchmark(rows) {
+  const models = [...new Set(rows.map(r => r.model))];
+  return models.map((model) => {
+    const ok = rows.filter(r => r.model === model && !r.error);
+    return {
+      model,
+      runs: ok.length,
+      errors: rows.filter(r => r.model === model && r.error).length,
+      tokens_per_sec: mean(ok.map(r => r.tokens_per_sec)),
+      ttft_ms: mean(ok.map(r => r.ttft_ms)),
+      total_ms: mean(ok.map(r => r.total_ms)),
+      load_ms: max(ok.map(r => r.load_ms)),
+      peak_gpu_percent: max(ok.map(r => r.peak_gpu_percent)),
+      peak_ram_gb: max(ok.map(r => r.peak_ram_gb)),
+      peak_soc_temp_c: max(ok.map(r => r.peak_soc_temp_c)),
+      power_mode: [...new Set(ok.map(r => r.power_mode).filter(Boolean))].join(', ') || null,
+    };
+  });
+}
+
+// Relative change of each summary number against the same model in a
+// baseline summary, e.g. { tokens_per_sec: 0.12 } for 12 % faster. Models
+// missing from the baseline get null.
+export function compareToBaseline(summary, baselineSummary) {
+  const keys = ['tokens_per_sec', 'ttft_ms', 'total_ms', 'load_ms', 'peak_gpu_percent', 'peak_ram_gb', 'peak_soc_temp_c'];
+  return Object.fromEntries(summary.map((s) => {
+    const base = (baselineSummary || []).find(b => b.model === s.model);
+    if (!base) return [s.model, null];
+    return [s.model, Object.fromEntries(keys.map(k => [k, s[k] != null && base[k] ? (s[k] - base[k]) / base[k] : null]))];
+  }));
+}
+
+// Sort rows by `key`; missing values always go last.
+export function sortRows(rows, key, direction = 'asc') {
+  const sign = direction === 'asc' ? 1 : -1;
+  return [...rows].sort((a, b) => {
+    const x = a[key];
+    const y = b[key];
+    if (x == null || x === '') return y == null || y === '' ? 0 : 1;
+    if (y == null || y === '') return -1;
+    return (typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y))) * sign;
+  });
+}
+
+export const ROW_COLUMNS = [
+  'model', 'index', 'label', 'prompt', 'tokens_per_sec', 'ttft_ms', 'load_ms', 'total_ms',
+  'eval_count', 'prompt_eval_count', 'peak_gpu_percent', 'peak_ram_gb', 'peak_soc_temp_c', 'power_mode', 'error',
+];
+
+export function benchmarkToCsv(rows) {
+  const lines = rows.map(r => ROW_COLUMNS.map(c => csvCell(r[c])).join(','));
+  return [ROW_COLUMNS.join(','), ...lines].join('\n');
+}
@@ -0,0 +1,81 @@
+import {
+  benchmarkRow, benchmarkToCsv, compareToBaseline, parsePromptList, peakStats, sortRows, summarizeBenchmark,
+} from './benchmark';
+
+test('reads JSON Lines such as a request backlog', () => {
+  const text = [
+    '{"request_id": "user-001", "title": "Add X", "body": "Please add X."}',
+    '{"prompt": "Count to 3"}',
+    '"Just a string"',
+  ].join('\n');
+  expect(parsePromptList(text)).toEqual([
+    { label: 'Add X', prompt: 'Please add X.' },
+    { label: '#2', prompt: 'Count to 3' },
+    { label: '#3', prompt: 'Just a string' },
+  ]);
+  expect(() => parsePromptList('{"prompt": "a"}\n{broken')).toThrow('Line 2 is not valid JSON');
+  expect(() => parsePromptList('{"nothing": 1}')).toThrow('Line 1 has no prompt');
+});
+
+test('reads plain text one per line, or in --- blocks', () => {
+  expect(parsePromptList('Hello\n\n  World  \n').map(p => p.prompt)).toEqual(['Hello', 'World']);
+  expect(parsePromptList('Line one\nline two\n---\nSecond prompt\n').map(p => p.prompt)).toEqual(['Line one\nline two', 'Second prompt']);
+  expect(parsePromptList('   ')).toEqual([]);
+});
+
+test('peaks ignore missing values', () => {
+  expect(peakStats([
+    { gpu_usage_percent: 40, ram_used_gb: 5.1, soc_temp_c: 50 },
+    { gpu_usage_percent: 99, ram_used_gb: 4.9 },
+  ])).toEqual({ peak_gpu_percent: 99, peak_ram_gb: 5.1, peak_soc_temp_c: 50 });
+  expect(peakStats([])).toEqual({ peak_gpu_percent: null, peak_ram_gb: null, peak_soc_temp_c: null });
+});
+
+const metrics = (tps, ttft, loadNs) => ({
+  tokens_per_sec: tps, ttft_ms: ttft, load_duration: loadNs, total_duration: 2e9, eval_count: 100, prompt_eval_count: 10,
+});
+const row = (model, index, m, gpu, error) => benchmarkRow({
+  model, index, label: `#${index + 1}`, prompt: 'p', metrics: m, samples: [{ gpu_usage_percent: gpu, ram_used_gb: 5, soc_temp_c: 60 }], error,
+});
+
+test('records the power mode of every run', () => {
+  const run = (index, powerMode) => benchmarkRow({ model: 'a', index, label: '', prompt: 'p', metrics: metrics(10, 300, 0), samples: [], powerMode });
+  const rows = [run(0, '15W'), run(1, '15W'), run(2, 'MAXN_SUPER + jetson_clocks')];
+  expect(rows[0].power_mode).toBe('15W');
+  expect(summarizeBenchmark(rows)[0].power_mode).toBe('15W, MAXN_SUPER + jetson_clocks');
+  expect(summarizeBenchmark([run(0)])[0].power_mode).toBeNull();
+});
+
+test('summarises per model and compares with a baseline', () => {
+  const rows = [
+    row('a', 0, metrics(10, 300, 3e9), 90),
+    row('a', 1, metrics(20, 100, 1e6), 95),
+    row('b', 0, null, 10, 'out of memory'),
+  ];
+  expect(rows[0]).toMatchObject({ tokens_per_sec: 10, load_ms: 3000, total_ms: 2000, peak_gpu_percent: 90 });
+  const summary = summarizeBenchmark(rows);
+  expect(summary[0]).toMatchObject({ model: 'a', runs: 2, errors: 0, tokens_per_sec: 15, ttft_ms: 200, load_ms: 3000, peak_gpu_percent: 95 });
+  expect(summary[1]).toMatchObject({ model: 'b', runs: 0, errors: 1, tokens_per_sec: null });
+
+  const baseline = [{ model: 'a', tokens_per_sec: 12, ttft_ms: 250, load_ms: 3000 }];
+  const delta = compareToBaseline(summary, baseline);
+  expect(delta.a.tokens_per_sec).toBeCloseTo(0.25);
+  expect(delta.a.ttft_ms).toBeCloseTo(-0.2);
+  expect(delta.a.load_ms).toBe(0);
+  expect(delta.a.peak_gpu_percent).toBeNull();
+  expect(delta.b).toBeNull();
+});
+
+test('sorts with missing values last either way', () => {
+  const rows = [{ v: 2 }, { v: null }, { v: 10 }];
+  expect(sortRows(rows, 'v').map(r => r.v)).toEqual([2, 10, null]);
+  expect(sortRows(rows, 'v', 'desc').map(r => r.v)).toEqual([10, 2, null]);
+  expect(sortRows([{ m: 'b' }, { m: 'a' }], 'm').map(r => r.m)).toEqual(['a', 'b']);
+});
+
+test('exports rows as CSV', () => {
+  const csv = benchmarkToCsv([{ ...row('a', 0, metrics(10, 300, 0), 50), prompt: 'say "hi", please' }]);
+  const [header, line] = csv.split('\n');
+  expect(header.startsWith('model,index,label,prompt,tokens_per_sec')).toBe(true);
+  expect(line.startsWith('a,0,#1,"say ""hi"", please",10,300,0,2000')).toBe(true);
+});
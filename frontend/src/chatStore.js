@@ -0,0 +1,77 @@
+// --- IndexedDB storage for saved chats ---
+// One object store keyed by chat id, so saving a chat rewrites only that
+// entry and long transcripts are not limited by the localStorage quota.
+
+const DB_NAME = 'orinDashboard';
+const DB_VERSION = 1;
+const CHAT_STORE = 'chats';
+const LEGACY_KEY = 'savedChats_v1';
+
+let dbPromise = null;
+
+export function openChatDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('This browser has no IndexedDB; saved chats are unavailable.'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(CHAT_STORE)) {
+          db.createObjectStore(CHAT_STORE, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Chat storage is blocked by another open tab.'));
+    });
+    // Allow a retry after a failed open.
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// Run `work(store)` in one transaction. Resolves with the result of the
+// request returned by `work` (if any) once the transaction has committed.
+async function withStore(mode, work) {
+  const db = await openChatDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(CHAT_STORE, mode);
+    const request = work(tx.objectStore(CHAT_STORE));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Chat storage transaction aborted.'));
+  });
+}
+
+export function getAllChats() {
+  return withStore('readonly', store => store.getAll());
+}
+
+export function putChats(entries) {
+  return withStore('readwrite', store => { entries.forEach(entry => store.put(entry)); });
+}
+
+export function putChat(entry) {
+  return putChats([entry]);
+}
+
+export function deleteChat(id) {
+  return withStore('readwrite', store => { store.delete(id); });
+}
+
+// Move chats from the old single localStorage key into IndexedDB. The key is
+// removed only after the entries have been written. Returns how many chats
+// were migrated.
+export async function migrateLegacyChats(normalize) {
+  const raw = localStorage.getItem(LEGACY_KEY);
+  if (raw === null) return 0;
+  let legacy = [];
+  try { legacy = JSON.parse(raw); } catch (_) { /* corrupt: nothing to keep */ }
+  const entries = Array.isArray(legacy) ? legacy.map(normalize) : [];
+  if (entries.length > 0) await putChats(entries);
+  localStorage.removeItem(LEGACY_KEY);
+  return entries.length;
+}
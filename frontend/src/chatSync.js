@@ -0,0 +1,196 @@
+import { chatContent, newChatId, normalizeSavedChat } from './savedChats';
+import { helperFetch } from './session';
+
+// --- Saved-chat sync with the helper backend (/api/chats) ---
+// The Jetson holds the shared copy of every chat; each browser keeps its own
+// copy in IndexedDB so chats stay usable while the helper is unreachable.
+//
+// Every server copy carries a `revision`. A local entry remembers the
+// revision it was based on and is marked `dirty` when edited. Sending an
+// edit names that revision; if another browser saved in the meantime the
+// server answers 409 and the local version is kept as a separate
+// "conflict copy" next to the server's, so neither side's edits are lost.
+
+const CONFLICT_SUFFIX = ' (conflict copy)';
+
+async function chatApi(baseUrl, path, options = {}) {
+  const res = await helperFetch(`${baseUrl}/api/chats${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json' },
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(data.error || `Chat server responded with status ${res.status}`);
+    err.status = res.status;
+    // Server copy sent with a 409 (null when it was deleted).
+    err.current = data.chat || null;
+    throw err;
+  }
+  return data;
+}
+
+const chatPath = id => `/${encodeURIComponent(id)}`;
+
+function fromServer(chat) {
+  return normalizeSavedChat({ ...chat, dirty: false, deleted: false });
+}
+
+// Work out what one sync round has to do, given the local entries and the
+// server listing (`{ chats: [{ id, revision, … }], deleted: [{ id, revision }] }`):
+//   create   – local chats the server doesn't have
+//   update   – local edits based on the current server revision
+//   remove   – local deletions of an unchanged server chat
+//   conflict – local edits while the server moved on
+//   pull     – ids whose server copy is newer or missing here
+//   drop     – ids to forget locally (deleted on the server)
+export function planSync(localChats, remote) {
+  const plan = { create: [], update: [], remove: [], conflict: [], pull: [], drop: [] };
+  const remoteById = new Map(remote.chats.map(c => [c.id, c]));
+  const seen = new Set();
+
+  localChats.forEach(chat => {
+    seen.add(chat.id);
+    const theirs = remoteById.get(chat.id);
+    if (chat.deleted) {
+      if (!theirs) plan.drop.push(chat.id);
+      else if (theirs.revision === chat.revision) plan.remove.push(chat);
+      // Changed elsewhere after we last saw it: keep the newer copy.
+      else plan.pull.push(chat.id);
+    } else if (chat.dirty || chat.revision === 0) {
+      // Never-synced chats (and edits to a chat deleted elsewhere) are created.
+      if (!theirs) plan.create.push(chat);
+      else if (theirs.revision === chat.revision) plan.update.push(chat);
+      else plan.conflict.push(chat);
+    } else if (!theirs) {
+      plan.drop.push(chat.id);
+    } else if (theirs.revision > chat.revision) {
+      plan.pull.push(chat.id);
+    }
+  });
+
+  remote.chats.forEach(c => { if (!seen.has(c.id)) plan.pull.push(c.id); });
+  return plan;
+}
+
+// Run one sync round. Nothing local is changed here; the caller applies the
+// result:
+//   writes    – [{ entry, basedOn }]: entries to store. `basedOn` is the local
+//               `updated` the write replaces (null for plain pulls, which must
+//               not overwrite unsent local edits).
+//   removals  – ids to delete locally
+//   conflicts – titles of chats that were edited in two places
+//   tooLarge  – titles of chats the server refused as too big (413, e.g. many
+//               images); they stay local and dirty
+export async function syncChats(baseUrl, localChats) {
+  const remote = await chatApi(baseUrl, '');
+  const plan = planSync(localChats, remote);
+  const result = { writes: [], removals: [...plan.drop], conflicts: [], tooLarge: [] };
+
+  const pull = async (id, basedOn = null) => {
+    try {
+      result.writes.push({ entry: fromServer(await chatApi(baseUrl, chatPath(id))), basedOn });
+    } catch (err) {
+      if (err.status !== 404) throw err;
+      result.removals.push(id);
+    }
+  };
+
+  const create = async (chat) => {
+    const saved = await chatApi(baseUrl, '', { method: 'POST', body: JSON.stringify(chatContent(chat)) });
+    result.writes.push({ entry: fromServer(saved), basedOn: chat.updated });
+  };
+
+  // Keep the local edits as a new chat and take the server's version.
+  const keepBoth = async (chat) => {
+    const copy = { ...chat, id: newChatId(), title: `${chat.title}${CONFLICT_SUFFIX}` };
+    const saved = await chatApi(baseUrl, '', { method: 'POST', body: JSON.stringify(chatContent(copy)) });
+    result.writes.push({ entry: fromServer(saved), basedOn: null });
+    result.conflicts.push(chat.title);
+    await pull(chat.id, chat.updated);
+  };
+
+  // A chat the server refuses as too large (413) stays local; the rest of the
+  // round carries on.
+  const unlessTooLarge = async (chat, write) => {
+    try {
+      await write();
+    } catch (err) {
+      if (err.status !== 413) throw err;
+      result.tooLarge.push(chat.title);
+    }
+  };
+
+  for (const chat of plan.create) {
+    try {
+      await create(chat);
+    } catch (err) {
+      if (err.status === 413) result.tooLarge.push(chat.title);
+      else if (err.status === 409) await unlessTooLarge(chat, () => keepBoth(chat));
+      else throw err;
+    }
+  }
+
+  for (const chat of plan.update) {
+    try {
+      const saved = await chatApi(baseUrl, chatPath(chat.id), {
+        method: 'PUT',
+        body: JSON.stringify({ ...chatContent(chat), revision: chat.revision }),
+      });
+      result.writes.push({ entry: fromServer(saved), basedOn: chat.updated });
+    } catch (err) {
+      if (err.status === 413) result.tooLarge.push(chat.title);
+      else if (err.status === 404) await unlessTooLarge(chat, () => create(chat));
+      else if (err.status === 409 && err.current) await unlessTooLarge(chat, () => keepBoth(chat));
+      else if (err.status === 409) await unlessTooLarge(chat, () => create(chat));
+      else throw err;
+    }
+  }
+
+  for (const chat of plan.conflict) await unlessTooLarge(chat, () => keepBoth(chat));
+
+  for (const chat of plan.remove) {
+    try {
+      await chatApi(baseUrl, `${chatPath(chat.id)}?revision=${chat.revision}`, { method: 'DELETE' });
+      result.removals.push(chat.id);
+    } catch (err) {
+      if (err.status === 404) result.removals.push(chat.id);
+      else if (err.status === 409) await pull(chat.id, chat.updated);
+      else throw err;
+    }
+  }
+
+  for (const id of plan.pull) await pull(id);
+
+  return result;
+}
+
+// Apply a sync result to the local list. Returns `{ chats, written, removed }`
+// where `written` / `removed` are what must go to IndexedDB. Entries edited
+// locally while the round was running keep their edits (and stay dirty) but
+// adopt the new server revision.
+export function applySyncResult(localChats, { writes, removals }) {
+  const byId = new Map(localChats.map(c => [c.id, c]));
+  const written = [];
+  const removed = [];
+
+  writes.forEach(({ entry, basedOn }) => {
+    const current = byId.get(entry.id);
+    let next = entry;
+    if (current && basedOn === null && current.dirty) return;
+    if (current && basedOn !== null && current.updated !== basedOn) {
+      next = { ...current, revision: entry.revision };
+    }
+    byId.set(entry.id, next);
+    written.push(next);
+  });
+
+  removals.forEach(id => {
+    const current = byId.get(id);
+    // Edited here after being deleted elsewhere: the next round re-creates it.
+    if (!current || (current.dirty && !current.deleted)) return;
+    byId.delete(id);
+    removed.push(id);
+  });
+
+  return { chats: [...byId.values()], written, removed };
+}
@@ -0,0 +1,105 @@
+import { applySyncResult, planSync, syncChats } from './chatSync';
+
+const local = (id, revision, extra = {}) => ({ id, title: id, revision, updated: 1, dirty: false, deleted: false, ...extra });
+const remote = (chats, deleted = []) => ({ chats: chats.map(([id, revision]) => ({ id, revision })), deleted });
+
+test('plans creates, updates, pulls and conflicts', () => {
+  const plan = planSync(
+    [
+      local('new', 0, { dirty: true }),
+      local('legacy', 0),
+      local('edited', 2, { dirty: true }),
+      local('stale', 2, { dirty: true }),
+      local('behind', 1),
+      local('same', 3),
+    ],
+    remote([['edited', 2], ['stale', 3], ['behind', 2], ['same', 3], ['fromPhone', 1]]),
+  );
+  expect(plan.create.map(c => c.id)).toEqual(['new', 'legacy']);
+  expect(plan.update.map(c => c.id)).toEqual(['edited']);
+  expect(plan.conflict.map(c => c.id)).toEqual(['stale']);
+  expect(plan.pull).toEqual(['behind', 'fromPhone']);
+  expect(plan.drop).toEqual([]);
+});
+
+test('plans deletions in both directions', () => {
+  const plan = planSync(
+    [
+      local('goneThere', 2),
+      local('goneHere', 2, { deleted: true, dirty: true }),
+      local('goneHereChangedThere', 2, { deleted: true, dirty: true }),
+      local('goneBoth', 2, { deleted: true, dirty: true }),
+      local('editedGoneThere', 2, { dirty: true }),
+    ],
+    remote([['goneHere', 2], ['goneHereChangedThere', 3]], [{ id: 'goneThere', revision: 3 }]),
+  );
+  expect(plan.drop).toEqual(['goneThere', 'goneBoth']);
+  expect(plan.remove.map(c => c.id)).toEqual(['goneHere']);
+  expect(plan.pull).toEqual(['goneHereChangedThere']);
+  // Edits win over a deletion elsewhere: the chat is created again.
+  expect(plan.create.map(c => c.id)).toEqual(['editedGoneThere']);
+});
+
+test('a pull does not overwrite unsent local edits', () => {
+  const chats = [local('a', 1, { dirty: true, title: 'mine' })];
+  const { chats: next, written } = applySyncResult(chats, {
+    writes: [{ entry: local('a', 2, { title: 'theirs' }), basedOn: null }],
+    removals: [],
+  });
+  expect(next[0].title).toBe('mine');
+  expect(written).toEqual([]);
+});
+
+test('edits made during a sync round survive with the new revision', () => {
+  const chats = [local('a', 1, { dirty: true, title: 'newer', updated: 5 })];
+  const { chats: next } = applySyncResult(chats, {
+    writes: [{ entry: local('a', 2, { title: 'sent', updated: 4 }), basedOn: 4 }],
+    removals: [],
+  });
+  expect(next[0]).toMatchObject({ title: 'newer', revision: 2, dirty: true });
+});
+
+test('applies pushed entries and removals', () => {
+  const chats = [local('a', 1, { dirty: true, updated: 4 }), local('b', 1), local('c', 1, { dirty: true })];
+  const { chats: next, written, removed } = applySyncResult(chats, {
+    writes: [{ entry: local('a', 2, { updated: 4 }), basedOn: 4 }],
+    removals: ['b', 'c'],
+  });
+  expect(next.map(c => [c.id, c.revision, c.dirty])).toEqual([['a', 2, false], ['c', 1, true]]);
+  expect(written.map(c => c.id)).toEqual(['a']);
+  expect(removed).toEqual(['b']);
+});
+
+test('keeps chats the server refuses as too large local', async () => {
+  const calls = [];
+  global.fetch = jest.fn(async (url, { method = 'GET' } = {}) => {
+    calls.push(`${method} ${url}`);
+    if (method === 'GET') return { ok: true, status: 200, json: async () => ({ chats: [{ id: 'edited', revision: 2 }], deleted: [] }) };
+    return { ok: false, status: 413, json: async () => ({ error: 'Chat is too large' }) };
+  });
+  try {
+    const result = await syncChats('/stats', [
+      local('new', 0, { dirty: true, title: 'New' }),
+      local('edited', 2, { dirty: true, title: 'Edited' }),
+    ]);
+    expect(result.tooLarge).toEqual(['New', 'Edited']);
+    expect(result.writes).toEqual([]);
+    expect(result.conflicts).toEqual([]);
+    expect(calls).toEqual(['GET /stats/api/chats', 'POST /stats/api/chats', 'PUT /stats/api/chats/edited']);
+
+    // The chat was deleted on the server, so the PUT falls back to a POST
+    calls.length = 0;
+    global.fetch.mockImplementation(async (url, { method = 'GET' } = {}) => {
+      calls.push(`${method} ${url}`);
+      if (method === 'GET') return { ok: true, status: 200, json: async () => ({ chats: [{ id: 'edited', revision: 2 }], deleted: [] }) };
+      if (method === 'PUT') return { ok: false, status: 404, json: async () => ({ error: 'Not found' }) };
+      return { ok: false, status: 413, json: async () => ({ error: 'Chat is too large' }) };
+    });
+    const fallback = await syncChats('/stats', [local('edited', 2, { dirty: true, title: 'Edited' })]);
+    expect(fallback.tooLarge).toEqual(['Edited']);
+    expect(fallback.writes).toEqual([]);
+    expect(calls).toEqual(['GET /stats/api/chats', 'PUT /stats/api/chats/edited', 'POST /stats/api/chats']);
+  } finally {
+    delete global.fetch;
+  }
+});
@@ -0,0 +1,158 @@
+// --- Branching chat history ---
+// A conversation is stored as a tree so that regenerating a reply or editing
+// an earlier prompt keeps the old version as an alternate branch. Each node
+// holds one message; `active` remembers which child is shown under each
+// parent, and the visible transcript is the path obtained by following those
+// choices from the root.
+//
+//   tree = {
+//     nodes:  { [id]: { id, parentId, message, childIds } },
+//     rootIds: [id, …],             // first messages of each root branch
+//     active: { [parentId|ROOT]: childId },
+//   }
+//
+// All functions are pure and return a new tree.
+
+export const ROOT = 'root';
+
+export const EMPTY_TREE = { nodes: {}, rootIds: [], active: {} };
+
+let counter = 0;
+export function newNodeId() {
+  counter += 1;
+  return `${Date.now().toString(36)}-${counter.toString(36)}`;
+}
+
+function childIdsOf(tree, parentId) {
+  return parentId === null || parentId === ROOT ? tree.rootIds : tree.nodes[parentId]?.childIds || [];
+}
+
+function keyOf(parentId) {
+  return parentId === null ? ROOT : parentId;
+}
+
+// The node shown under `parentId`: the remembered choice, else the newest child.
+function activeChildOf(tree, parentId) {
+  const ids = childIdsOf(tree, parentId);
+  if (ids.length === 0) return null;
+  const chosen = tree.active[keyOf(parentId)];
+  return ids.includes(chosen) ? chosen : ids[ids.length - 1];
+}
+
+// Nodes on the currently selected branch, root first.
+export function getActivePath(tree) {
+  const path = [];
+  let id = activeChildOf(tree, null);
+  while (id) {
+    const node = tree.nodes[id];
+    path.push(node);
+    id = activeChildOf(tree, node.id);
+  }
+  return path;
+}
+
+// Visible transcript as plain messages, each tagged with its node id.
+export function getActiveMessages(tree) {
+  return getActivePath(tree).map(node => ({ ...node.message, id: node.id }));
+}
+
+// Id of the last node on the active branch (null for an empty chat).
+export function getLeafId(tree) {
+  const path = getActivePath(tree);
+  return path.length ? path[path.length - 1].id : null;
+}
+
+// Messages from the root down to and including `id`.
+export function getMessagesUpTo(tree, id) {
+  const messages = [];
+  let node = tree.nodes[id];
+  while (node) {
+    messages.unshift({ ...node.message, id: node.id });
+    node = node.parentId ? tree.nodes[node.parentId] : null;
+  }
+  return messages;
+}
+
+// Add `message` under `parentId` (null for a new root) and make it active.
+export function addMessage(tree, parentId, message, id = newNodeId()) {
+  const node = { id, parentId, message, childIds: [] };
+  const nodes = { ...tree.nodes, [id]: node };
+  let rootIds = tree.rootIds;
+  if (parentId === null) {
+    rootIds = [...rootIds, id];
+  } else {
+    const parent = nodes[parentId];
+    nodes[parentId] = { ...parent, childIds: [...parent.childIds, id] };
+  }
+  return { tree: { nodes, rootIds, active: { ...tree.active, [keyOf(parentId)]: id } }, id };
+}
+
+export function updateMessage(tree, id, patch) {
+  const node = tree.nodes[id];
+  if (!node) return tree;
+  return { ...tree, nodes: { ...tree.nodes, [id]: { ...node, message: { ...node.message, ...patch } } } };
+}
+
+// Remove a node together with everything below it.
+export function deleteMessage(tree, id) {
+  const node = tree.nodes[id];
+  if (!node) return tree;
+  const nodes = { ...tree.nodes };
+  const active = { ...tree.active };
+  const drop = (nodeId) => {
+    (nodes[nodeId]?.childIds || []).forEach(drop);
+    delete nodes[nodeId];
+    delete active[nodeId];
+  };
+  drop(id);
+  let rootIds = tree.rootIds;
+  if (node.parentId === null) {
+    rootIds = rootIds.filter(r => r !== id);
+  } else {
+    const parent = nodes[node.parentId];
+    nodes[node.parentId] = { ...parent, childIds: parent.childIds.filter(c => c !== id) };
+  }
+  const key = keyOf(node.parentId);
+  if (active[key] === id) delete active[key];
+  return { nodes, rootIds, active };
+}
+
+// Position of a node among its siblings: { index, count } (index is 0-based).
+export function getSiblingInfo(tree, id) {
+  const node = tree.nodes[id];
+  if (!node) return { index: 0, count: 0 };
+  const ids = childIdsOf(tree, node.parentId);
+  return { index: ids.indexOf(id), count: ids.length };
+}
+
+// Show the previous (-1) or next (+1) sibling of `id`.
+export function switchSibling(tree, id, direction) {
+  const node = tree.nodes[id];
+  if (!node) return tree;
+  const ids = childIdsOf(tree, node.parentId);
+  const next = ids[ids.indexOf(id) + direction];
+  if (!next) return tree;
+  return { ...tree, active: { ...tree.active, [keyOf(node.parentId)]: next } };
+}
+
+// Build a linear tree from a flat message list (chats saved before branching).
+export function treeFromMessages(messages) {
+  let tree = EMPTY_TREE;
+  let parentId = null;
+  (messages || []).forEach(({ id, ...message }) => {
+    const res = addMessage(tree, parentId, message);
+    tree = res.tree;
+    parentId = res.id;
+  });
+  return tree;
+}
+
+// Saved chats store the tree; older entries only have a flat `history`.
+export function treeFromSavedChat(entry) {
+  if (entry && entry.tree && entry.tree.nodes) return entry.tree;
+  return treeFromMessages(entry ? entry.history : []);
+}
+
+export function countMessages(tree) {
+  return Object.keys(tree.nodes).length;
+}
@@ -0,0 +1,41 @@
+import {
+  EMPTY_TREE,
+  addMessage,
+  deleteMessage,
+  getActiveMessages,
+  getSiblingInfo,
+  switchSibling,
+  treeFromSavedChat,
+} from './chatTree';
+
+function build() {
+  let t = EMPTY_TREE;
+  const u1 = addMessage(t, null, { role: 'user', content: 'hi' }, 'u1'); t = u1.tree;
+  const a1 = addMessage(t, 'u1', { role: 'assistant', content: 'hello' }, 'a1'); t = a1.tree;
+  const a2 = addMessage(t, 'u1', { role: 'assistant', content: 'hey there' }, 'a2'); t = a2.tree;
+  return t;
+}
+
+test('a regenerated reply becomes the active sibling', () => {
+  const tree = build();
+  expect(getActiveMessages(tree).map(m => m.content)).toEqual(['hi', 'hey there']);
+  expect(getSiblingInfo(tree, 'a2')).toEqual({ index: 1, count: 2 });
+});
+
+test('switching siblings changes the visible branch', () => {
+  const tree = switchSibling(build(), 'a2', -1);
+  expect(getActiveMessages(tree).map(m => m.id)).toEqual(['u1', 'a1']);
+});
+
+test('deleting a node removes its subtree and falls back to a sibling', () => {
+  let tree = build();
+  tree = addMessage(tree, 'a2', { role: 'user', content: 'more' }, 'u2').tree;
+  tree = deleteMessage(tree, 'a2');
+  expect(tree.nodes.u2).toBeUndefined();
+  expect(getActiveMessages(tree).map(m => m.id)).toEqual(['u1', 'a1']);
+});
+
+test('converts chats saved as a flat history', () => {
+  const tree = treeFromSavedChat({ history: [{ role: 'user', content: 'q' }, { role: 'assistant', content: 'a' }] });
+  expect(getActiveMessages(tree).map(m => m.content)).toEqual(['q', 'a']);
+});
@@ -0,0 +1,58 @@
+// --- Flaky connections (see useConnectivity and usePromptOutbox) ---
+// Ollama and the stats helper are tracked separately: either can be down
+// while the other answers. Prompts sent while Ollama is unreachable wait in
+// an outbox; a reply cut off mid-stream keeps what arrived and is marked
+// `interrupted` so it can be continued.
+
+export const OLLAMA_STATUS_LABELS = {
+  checking: 'Ollama: checking…',
+  online: 'Ollama: online',
+  offline: 'Ollama: unreachable',
+};
+
+// fetch() rejects with a TypeError when the connection fails; the wording
+// differs per browser.
+export function isNetworkError(error) {
+  if (!error) return false;
+  if (error.name === 'TypeError') return true;
+  return /failed to fetch|networkerror|network error|load failed|network connection was lost/i.test(error.message || '');
+}
+
+// Why a reply stopped, for the note under it.
+export function describeInterruption(error, browserOnline = true) {
+  if (error && error.name === 'AbortError') return 'Stopped';
+  if (!browserOnline) return 'Connection lost: this device is offline';
+  if (isNetworkError(error)) return 'Connection to Ollama lost';
+  return (error && error.message) || 'Unknown error';
+}
+
+// The request that resumes a cut-off reply: Ollama continues a conversation
+// that ends with an assistant message from where that message stops. With
+// nothing received yet it is simply asked again.
+export function continuationMessages(messages, partial) {
+  return partial ? [...messages, { role: 'assistant', content: partial }] : messages;
+}
+
+// --- Outbox ---
+// Entries are { id, chatId, message, queuedAt }; `chatId` is the saved chat
+// the prompt was typed in, or null for a chat that wasn't saved yet.
+
+export function queuedFor(outbox, chatId) {
+  return outbox.filter(item => item.chatId === chatId);
+}
+
+// A new chat got its id when it was first saved: its prompts move along.
+export function adoptQueued(outbox, chatId) {
+  return outbox.some(item => item.chatId === null)
+    ? outbox.map(item => (item.chatId === null ? { ...item, chatId } : item))
+    : outbox;
+}
+
+// Chats other than `chatId` that have prompts waiting, as [chatId, count].
+export function otherQueuedChats(outbox, chatId) {
+  const counts = new Map();
+  outbox.forEach(item => {
+    if (item.chatId !== chatId) counts.set(item.chatId, (counts.get(item.chatId) || 0) + 1);
+  });
+  return [...counts.entries()];
+}
@@ -0,0 +1,39 @@
+import {
+  adoptQueued, continuationMessages, describeInterruption, isNetworkError, otherQueuedChats, queuedFor,
+} from './connectivity';
+
+test('tells dropped connections from errors Ollama reported', () => {
+  expect(isNetworkError(new TypeError('Failed to fetch'))).toBe(true);
+  expect(isNetworkError(new Error('NetworkError when attempting to fetch resource.'))).toBe(true);
+  expect(isNetworkError(new Error('model "x" not found'))).toBe(false);
+
+  const abort = new Error('The user aborted a request.');
+  abort.name = 'AbortError';
+  expect(describeInterruption(abort)).toBe('Stopped');
+  expect(describeInterruption(new TypeError('Failed to fetch'), false)).toMatch(/device is offline/);
+  expect(describeInterruption(new TypeError('Failed to fetch'))).toBe('Connection to Ollama lost');
+  expect(describeInterruption(new Error('model "x" not found'))).toBe('model "x" not found');
+});
+
+test('continues from the partial reply', () => {
+  const messages = [{ role: 'user', content: 'Count to 5' }];
+  expect(continuationMessages(messages, '1, 2,')).toEqual([
+    { role: 'user', content: 'Count to 5' },
+    { role: 'assistant', content: '1, 2,' },
+  ]);
+  expect(continuationMessages(messages, '')).toEqual(messages);
+});
+
+test('keeps queued prompts with their chat', () => {
+  const outbox = [
+    { id: 'a', chatId: null, message: { role: 'user', content: 'one' } },
+    { id: 'b', chatId: 'c1', message: { role: 'user', content: 'two' } },
+    { id: 'c', chatId: 'c1', message: { role: 'user', content: 'three' } },
+  ];
+  expect(queuedFor(outbox, null).map(item => item.id)).toEqual(['a']);
+  expect(otherQueuedChats(outbox, null)).toEqual([['c1', 2]]);
+
+  const adopted = adoptQueued(outbox, 'c2');
+  expect(queuedFor(adopted, 'c2').map(item => item.id)).toEqual(['a']);
+  expect(adoptQueued(adopted, 'c3')).toBe(adopted);
+});
@@ -0,0 +1,88 @@
+import { OLLAMA_API_BASE_URL, STATS_API_BASE_URL } from './apiConfig';
+
+// --- Fleet of Jetsons (see useDevices, useFleet and FleetPane) ---
+// A device is another Jetson running panel_server.js, stored as
+// { id, name, host, port, https } and reached at scheme://host:port/ollama
+// and …/stats the same way this panel reaches its own APIs. The built-in
+// LOCAL_DEVICE is this panel's Jetson and uses the configured base URLs.
+
+export const LOCAL_DEVICE_ID = 'local';
+export const LOCAL_DEVICE = { id: LOCAL_DEVICE_ID, name: 'This Jetson', host: '', port: null, https: false };
+export const DEFAULT_DEVICE_PORT = 3000;
+const MAX_NAME_LENGTH = 40;
+
+const HOSTNAME_RE = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/i;
+const IPV6_RE = /^[0-9a-f:.]+$/i;
+
+export function newDeviceId() {
+  return `dev-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+export function deviceOrigin(device) {
+  const host = device.host.includes(':') ? `[${device.host}]` : device.host;
+  return `${device.https ? 'https' : 'http'}://${host}:${device.port}`;
+}
+
+// { ollama, stats } base URLs for `device`.
+export function deviceUrls(device) {
+  if (!device || device.id === LOCAL_DEVICE_ID) return { ollama: OLLAMA_API_BASE_URL, stats: STATS_API_BASE_URL };
+  const origin = deviceOrigin(device);
+  return { ollama: `${origin}/ollama`, stats: `${origin}/stats` };
+}
+
+// "orin-2.local:3000", or the page's own host for the local device.
+export function deviceAddress(device) {
+  if (device.id === LOCAL_DEVICE_ID) return typeof window !== 'undefined' ? window.location.host : '';
+  return deviceOrigin(device).replace(/^https?:\/\//, '');
+}
+
+// Validate the registry form. `draft` is { name, host, port, https } as
+// typed; a pasted panel URL (https://orin-2.local:3000/) fills in the scheme
+// and port too. `id` is set when editing. Returns { device } or { error }.
+export function parseDeviceInput(draft, devices, id = null) {
+  const name = String(draft.name || '').trim();
+  let host = String(draft.host || '').trim();
+  let port = String(draft.port ?? '').trim();
+  let https = Boolean(draft.https);
+
+  if (/^https?:\/\//i.test(host)) {
+    let url;
+    try {
+      url = new URL(host);
+    } catch (_) {
+      return { error: `"${host}" is not a valid URL.` };
+    }
+    https = url.protocol === 'https:';
+    host = url.hostname;
+    if (url.port) port = url.port;
+  }
+  host = host.replace(/^\[(.*)\]$/, '$1');
+
+  if (!name) return { error: 'Give the device a name.' };
+  if (name.length > MAX_NAME_LENGTH) return { error: `Names can be at most ${MAX_NAME_LENGTH} characters.` };
+  if (!host) return { error: 'Enter the host name or IP address of the device.' };
+  if (!HOSTNAME_RE.test(host) && !(host.includes(':') && IPV6_RE.test(host))) {
+    return { error: `"${host}" is not a valid host name or IP address.` };
+  }
+  const portNumber = port === '' ? DEFAULT_DEVICE_PORT : Number(port);
+  if (!Number.isInteger(portNumber) || portNumber < 1 || portNumber > 65535) {
+    return { error: 'The port must be a number between 1 and 65535.' };
+  }
+
+  const others = devices.filter(d => d.id !== id);
+  if (others.some(d => d.name.toLowerCase() === name.toLowerCase())) {
+    return { error: `There is already a device called "${name}".` };
+  }
+  if (others.some(d => d.id !== LOCAL_DEVICE_ID && d.host.toLowerCase() === host.toLowerCase() && d.port === portNumber)) {
+    return { error: `${host}:${portNumber} is already in the list.` };
+  }
+  return { device: { id: id || newDeviceId(), name, host, port: portNumber, https } };
+}
+
+// Saved registry entries that still look like devices.
+export function normalizeDevices(saved) {
+  if (!Array.isArray(saved)) return [];
+  return saved.filter(d => d && typeof d.id === 'string' && d.id !== LOCAL_DEVICE_ID
+    && typeof d.name === 'string' && typeof d.host === 'string' && Number.isInteger(d.port))
+    .map(d => ({ id: d.id, name: d.name, host: d.host, port: d.port, https: Boolean(d.https) }));
+}
@@ -0,0 +1,34 @@
+import { LOCAL_DEVICE, deviceUrls, normalizeDevices, parseDeviceInput } from './devices';
+
+const orin2 = { id: 'd1', name: 'orin-2', host: '192.168.1.42', port: 3000, https: false };
+
+test('builds API URLs for the local panel and other devices', () => {
+  expect(deviceUrls(LOCAL_DEVICE)).toEqual({ ollama: '/ollama', stats: '/stats' });
+  expect(deviceUrls(orin2)).toEqual({ ollama: 'http://192.168.1.42:3000/ollama', stats: 'http://192.168.1.42:3000/stats' });
+  expect(deviceUrls({ ...orin2, host: 'fe80::1', port: 8443, https: true }).stats).toBe('https://[fe80::1]:8443/stats');
+});
+
+test('validates the registry form', () => {
+  const { device } = parseDeviceInput({ name: ' lab ', host: 'orin-3.local', port: '' }, [LOCAL_DEVICE, orin2]);
+  expect(device).toMatchObject({ name: 'lab', host: 'orin-3.local', port: 3000, https: false });
+  expect(device.id).toMatch(/^dev-/);
+
+  expect(parseDeviceInput({ name: '', host: 'x' }, []).error).toMatch(/name/);
+  expect(parseDeviceInput({ name: 'a', host: 'bad host' }, []).error).toMatch(/not a valid host/);
+  expect(parseDeviceInput({ name: 'a', host: 'x', port: '70000' }, []).error).toMatch(/port/);
+  expect(parseDeviceInput({ name: 'ORIN-2', host: 'x' }, [orin2]).error).toMatch(/already a device/);
+  expect(parseDeviceInput({ name: 'b', host: '192.168.1.42', port: 3000 }, [orin2]).error).toMatch(/already in the list/);
+  // Editing keeps the id and may keep the same name and address
+  expect(parseDeviceInput({ ...orin2, port: '3000' }, [orin2], 'd1').device).toEqual(orin2);
+});
+
+test('takes scheme, host and port from a pasted panel URL', () => {
+  const { device } = parseDeviceInput({ name: 'lab', host: 'https://orin-3.local:8443/' }, []);
+  expect(device).toMatchObject({ host: 'orin-3.local', port: 8443, https: true });
+});
+
+test('drops broken saved entries', () => {
+  expect(normalizeDevices([orin2, { id: 'local', name: 'x', host: 'y', port: 1 }, { id: 'd2', name: 'x' }, null]))
+    .toEqual([orin2]);
+  expect(normalizeDevices('nope')).toEqual([]);
+});
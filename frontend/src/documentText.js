@@ -0,0 +1,47 @@
+// --- Plain text from uploaded Knowledge files ---
+// Text and Markdown are read as they are. PDFs go through pdf.js, which is
+// loaded only when the first PDF is added so it doesn't weigh on the main
+// bundle. Scanned PDFs have no text layer and come back empty.
+
+export const KNOWLEDGE_FILE_TYPES = '.txt,.md,.markdown,.pdf,text/plain,text/markdown,application/pdf';
+
+export function isPdf(file) {
+  return file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+}
+
+export function isTextFile(file) {
+  return /^text\//.test(file.type) || /\.(txt|md|markdown)$/i.test(file.name);
+}
+
+let pdfjsPromise = null;
+
+function loadPdfjs() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import('pdfjs-dist/build/pdf').then((pdfjs) => {
+      pdfjs.GlobalWorkerOptions.workerSrc = new URL('pdfjs-dist/build/pdf.worker.min.js', import.meta.url).toString();
+      return pdfjs;
+    });
+    pdfjsPromise.catch(() => { pdfjsPromise = null; });
+  }
+  return pdfjsPromise;
+}
+
+async function readPdfText(file) {
+  const pdfjs = await loadPdfjs();
+  const pdf = await pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+  const pages = [];
+  for (let i = 1; i <= pdf.numPages; i += 1) {
+    const page = await pdf.getPage(i);
+    const content = await page.getTextContent();
+    // hasEOL marks the end of a line in the PDF's text layer
+    pages.push(content.items.map(item => `${item.str}${item.hasEOL ? '\n' : ''}`).join(''));
+  }
+  await pdf.destroy();
+  return pages.join('\n\n');
+}
+
+export async function readDocumentText(file) {
+  if (isPdf(file)) return readPdfText(file);
+  if (isTextFile(file)) return file.text();
+  throw new Error(`${file.name}: only text, Markdown and PDF files are supported`);
+}
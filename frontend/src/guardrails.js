@@ -0,0 +1,130 @@
+// --- Thermal and memory guardrails ---
+// Each metric has a warning and a critical threshold (null = off). A level
+// only rises when the value stayed above the threshold for the whole
+// `sustainSeconds` window, so a single spike doesn't trip it, and only
+// falls once the value is CLEAR_MARGIN below the threshold again, so it
+// doesn't flap. While any metric is critical the enabled actions apply:
+// queued generations pause, idle models are unloaded and new prompts are
+// refused.
+
+export const GUARDRAIL_METRICS = [
+  {
+    key: 'temp', label: 'SoC temperature', unit: '°C',
+    value: s => s.soc_temp_c,
+  },
+  {
+    key: 'ram', label: 'RAM', unit: '%',
+    value: s => (s.ram_total_gb ? (s.ram_used_gb / s.ram_total_gb) * 100 : undefined),
+  },
+  {
+    key: 'swap', label: 'Swap', unit: '%',
+    value: s => (s.swap_total_gb ? (s.swap_used_gb / s.swap_total_gb) * 100 : undefined),
+  },
+  {
+    key: 'gpu', label: 'GPU load', unit: '%',
+    value: s => s.gpu_usage_percent,
+  },
+];
+
+export const LEVELS = ['ok', 'warning', 'critical'];
+
+// Degrees or percentage points below a threshold before its level clears
+export const CLEAR_MARGIN = 5;
+
+// Samples further apart than this don't count as one continuous window
+// (the stats feed dropped out or the tab was asleep).
+export const MAX_SAMPLE_GAP_MS = 5000;
+
+// GPU saturation is normal while generating, so it only warns by default.
+export const DEFAULT_GUARDRAILS = {
+  enabled: true,
+  sustainSeconds: 10,
+  thresholds: {
+    temp: { warning: 75, critical: 85 },
+    ram: { warning: 85, critical: 95 },
+    swap: { warning: 50, critical: 80 },
+    gpu: { warning: 98, critical: null },
+  },
+  notify: false,
+  actions: { pauseQueue: true, unloadIdle: false, refusePrompts: true },
+};
+
+// Merge stored settings with the defaults, one level deep per section.
+export function normalizeGuardrails(settings) {
+  const s = settings || {};
+  return {
+    ...DEFAULT_GUARDRAILS,
+    ...s,
+    thresholds: Object.fromEntries(GUARDRAIL_METRICS.map(({ key }) => [
+      key, { ...DEFAULT_GUARDRAILS.thresholds[key], ...((s.thresholds || {})[key] || {}) },
+    ])),
+    actions: { ...DEFAULT_GUARDRAILS.actions, ...(s.actions || {}) },
+  };
+}
+
+// Level of one metric. `low` and `high` are the smallest and largest value
+// in the sustain window: rising needs `low` above the threshold (and
+// `canRise`, i.e. a window that is long enough), staying needs `high` within
+// CLEAR_MARGIN of it.
+export function metricLevel({ low, high }, { warning, critical }, previous = 'ok', canRise = true) {
+  if (low === undefined || high === undefined) return 'ok';
+  const holds = (threshold, level) => threshold != null && (
+    (canRise && low >= threshold) || (LEVELS.indexOf(previous) >= LEVELS.indexOf(level) && high > threshold - CLEAR_MARGIN)
+  );
+  if (holds(critical, 'critical')) return 'critical';
+  if (holds(warning, 'warning')) return 'warning';
+  return 'ok';
+}
+
+// The samples since the last gap longer than MAX_SAMPLE_GAP_MS.
+export function continuousSamples(samples) {
+  let start = samples.length - 1;
+  while (start > 0 && samples[start].t - samples[start - 1].t <= MAX_SAMPLE_GAP_MS) start--;
+  return samples.slice(Math.max(start, 0));
+}
+
+// Levels of every metric for the samples in the sustain window, each
+// { t, ...stats } (oldest first, the last is the current one). Levels only
+// rise once the samples reach back `sustainSeconds` without a gap, so the
+// first sample after loading the page or after a dropout can't trip one.
+// Returns { levels, values, overall } where `values` are the current
+// readings.
+export function evaluateGuardrails(samples, settings, previous = {}) {
+  const s = normalizeGuardrails(settings);
+  const window = continuousSamples(samples);
+  const canRise = window.length > 0 && window[window.length - 1].t - window[0].t >= s.sustainSeconds * 1000;
+  const levels = {};
+  const values = {};
+  GUARDRAIL_METRICS.forEach(({ key, value }) => {
+    const readings = window.map(value).filter(v => typeof v === 'number' && !Number.isNaN(v));
+    values[key] = readings.length > 0 ? readings[readings.length - 1] : undefined;
+    levels[key] = !s.enabled || readings.length === 0
+      ? 'ok'
+      : metricLevel({ low: Math.min(...readings), high: Math.max(...readings) }, s.thresholds[key], previous[key], canRise);
+  });
+  const overall = LEVELS[Math.max(...Object.values(levels).map(l => LEVELS.indexOf(l)))];
+  return { levels, values, overall };
+}
+
+// Metrics whose level changed, as [{ metric, from, to }].
+export function levelChanges(previous, next) {
+  return GUARDRAIL_METRICS
+    .filter(({ key }) => (previous[key] || 'ok') !== next[key])
+    .map(({ key }) => ({ metric: key, from: previous[key] || 'ok', to: next[key] }));
+}
+
+// One line for an alert or notification, e.g. "SoC temperature critical (87.5°C)".
+export function describeChange({ metric, to }, values) {
+  const { label, unit } = GUARDRAIL_METRICS.find(m => m.key === metric);
+  const value = values[metric];
+  const reading = value === undefined ? '' : ` (${value.toFixed(unit === '%' ? 0 : 1)}${unit})`;
+  return to === 'ok' ? `${label} back to normal${reading}` : `${label} ${to}${reading}`;
+}
+
+// The critical metrics, described for the "refusing prompts" notice.
+export function criticalSummary(levels, values) {
+  return GUARDRAIL_METRICS
+    .filter(({ key }) => levels[key] === 'critical')
+    .map(({ key }) => describeChange({ metric: key, to: 'critical' }, values))
+    .join(', ');
+}
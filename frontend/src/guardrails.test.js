@@ -0,0 +1,59 @@
+import {
+  DEFAULT_GUARDRAILS, criticalSummary, describeChange, evaluateGuardrails, levelChanges, metricLevel, normalizeGuardrails,
+} from './guardrails';
+
+const temp = { warning: 75, critical: 85 };
+
+test('rises only when the whole window is above a threshold', () => {
+  expect(metricLevel({ low: 70, high: 90 }, temp)).toBe('ok');
+  expect(metricLevel({ low: 76, high: 90 }, temp)).toBe('warning');
+  expect(metricLevel({ low: 86, high: 90 }, temp)).toBe('critical');
+  expect(metricLevel({ low: 99, high: 99 }, { warning: null, critical: null })).toBe('ok');
+});
+
+test('clears only a margin below the threshold', () => {
+  expect(metricLevel({ low: 82, high: 82 }, temp, 'critical')).toBe('critical');
+  expect(metricLevel({ low: 79, high: 79 }, temp, 'critical')).toBe('warning');
+  expect(metricLevel({ low: 71, high: 71 }, temp, 'warning')).toBe('warning');
+  expect(metricLevel({ low: 69, high: 69 }, temp, 'warning')).toBe('ok');
+});
+
+const hot = { soc_temp_c: 88, ram_used_gb: 7.2, ram_total_gb: 7.4, swap_used_gb: 0, swap_total_gb: 0, gpu_usage_percent: 99 };
+// Samples every 2 s over `seconds`
+const series = (sample, seconds) => Array.from({ length: seconds / 2 + 1 }, (_, i) => ({ t: i * 2000, ...sample }));
+
+test('evaluates every metric from the stats samples', () => {
+  const { levels, values, overall } = evaluateGuardrails(series(hot, 10), DEFAULT_GUARDRAILS);
+  expect(levels).toEqual({ temp: 'critical', ram: 'critical', swap: 'ok', gpu: 'warning' });
+  expect(values.ram).toBeCloseTo(97.3, 1);
+  expect(overall).toBe('critical');
+  expect(criticalSummary(levels, values)).toBe('SoC temperature critical (88.0°C), RAM critical (97%)');
+  expect(evaluateGuardrails(series(hot, 10), { ...DEFAULT_GUARDRAILS, enabled: false }).overall).toBe('ok');
+  expect(evaluateGuardrails([], DEFAULT_GUARDRAILS).overall).toBe('ok');
+});
+
+test('needs a full window without gaps before a level rises', () => {
+  expect(evaluateGuardrails([{ t: 0, ...hot }], DEFAULT_GUARDRAILS).overall).toBe('ok');
+  expect(evaluateGuardrails(series(hot, 8), DEFAULT_GUARDRAILS).overall).toBe('ok');
+  // A dropout splits the window: only the samples after it count
+  const gap = [0, 2000, 4000, 12000, 13000].map(t => ({ t, ...hot }));
+  expect(evaluateGuardrails(gap, DEFAULT_GUARDRAILS).overall).toBe('ok');
+  // A level that was reached already holds on a short window
+  const { levels } = evaluateGuardrails([{ t: 0, ...hot }], DEFAULT_GUARDRAILS, { temp: 'critical' });
+  expect(levels.temp).toBe('critical');
+  expect(evaluateGuardrails([{ t: 0, ...hot }], { ...DEFAULT_GUARDRAILS, sustainSeconds: 0 }).overall).toBe('critical');
+});
+
+test('reports level changes', () => {
+  const changes = levelChanges({ temp: 'warning' }, { temp: 'ok', ram: 'critical', swap: 'ok', gpu: 'ok' });
+  expect(changes).toEqual([{ metric: 'temp', from: 'warning', to: 'ok' }, { metric: 'ram', from: 'ok', to: 'critical' }]);
+  expect(describeChange(changes[0], { temp: 70.25 })).toBe('SoC temperature back to normal (70.3°C)');
+});
+
+test('keeps defaults for settings stored by older versions', () => {
+  const s = normalizeGuardrails({ thresholds: { temp: { critical: 80 } }, actions: { unloadIdle: true } });
+  expect(s.thresholds.temp).toEqual({ warning: 75, critical: 80 });
+  expect(s.thresholds.ram).toEqual(DEFAULT_GUARDRAILS.thresholds.ram);
+  expect(s.actions).toEqual({ pauseQueue: true, unloadIdle: true, refusePrompts: true });
+  expect(s.sustainSeconds).toBe(10);
+});
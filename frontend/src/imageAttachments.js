@@ -0,0 +1,70 @@
+// --- Image attachments for vision models ---
+// Images are downscaled in the browser before they are sent: a phone photo
+// can be 10+ MB, while vision models work at well under 1024 px anyway, and
+// the base64 copy is stored in the chat (IndexedDB and the helper).
+// Ollama takes images as bare base64 strings in a message's `images` array.
+
+export const MAX_IMAGE_DIMENSION = 1024;
+export const MAX_ATTACHMENTS = 4;
+const JPEG_QUALITY = 0.85;
+
+// Scale (width, height) down to fit within `max` on both sides, keeping the
+// aspect ratio. Never scales up.
+export function fitWithin(width, height, max = MAX_IMAGE_DIMENSION) {
+  const scale = Math.min(1, max / Math.max(width, height));
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+}
+
+// "data:image/jpeg;base64,AAAA" -> "AAAA"
+export function stripDataUrl(dataUrl) {
+  const comma = dataUrl.indexOf(',');
+  return comma >= 0 ? dataUrl.slice(comma + 1) : dataUrl;
+}
+
+// Guess the type from the first bytes, for displaying stored images.
+export function imageMimeType(base64) {
+  if (base64.startsWith('iVBOR')) return 'image/png';
+  if (base64.startsWith('R0lGOD')) return 'image/gif';
+  if (base64.startsWith('UklGR')) return 'image/webp';
+  return 'image/jpeg';
+}
+
+export function imageDataUrl(base64) {
+  return `data:${imageMimeType(base64)};base64,${base64}`;
+}
+
+// Image files from a drop, paste or file input.
+export function imageFiles(fileList) {
+  return Array.from(fileList || []).filter(f => f.type && f.type.startsWith('image/'));
+}
+
+function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`${file.name || 'Image'} could not be read`));
+    };
+    img.src = url;
+  });
+}
+
+// Downscale `file` and return it as JPEG base64 (without the data: prefix).
+export async function downscaleImage(file, max = MAX_IMAGE_DIMENSION) {
+  const img = await loadImage(file);
+  const { width, height } = fitWithin(img.naturalWidth, img.naturalHeight, max);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  // JPEG has no alpha; give transparent PNGs a white background, not black.
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, width, height);
+  ctx.drawImage(img, 0, 0, width, height);
+  return stripDataUrl(canvas.toDataURL('image/jpeg', JPEG_QUALITY));
+}
@@ -0,0 +1,26 @@
+import { fitWithin, imageDataUrl, imageFiles, stripDataUrl } from './imageAttachments';
+import { modelCapabilities } from './useModelCapabilities';
+
+test('scales large images down and leaves small ones alone', () => {
+  expect(fitWithin(4032, 3024, 1024)).toEqual({ width: 1024, height: 768 });
+  expect(fitWithin(600, 2400, 1024)).toEqual({ width: 256, height: 1024 });
+  expect(fitWithin(320, 240, 1024)).toEqual({ width: 320, height: 240 });
+});
+
+test('converts between data URLs and bare base64', () => {
+  expect(stripDataUrl('data:image/jpeg;base64,/9j/AA')).toBe('/9j/AA');
+  expect(imageDataUrl('/9j/AA')).toBe('data:image/jpeg;base64,/9j/AA');
+  expect(imageDataUrl('iVBORw0')).toBe('data:image/png;base64,iVBORw0');
+});
+
+test('keeps only image files', () => {
+  const files = [{ name: 'a.png', type: 'image/png' }, { name: 'b.txt', type: 'text/plain' }, { name: 'c', type: '' }];
+  expect(imageFiles(files).map(f => f.name)).toEqual(['a.png']);
+});
+
+test('detects vision support with and without a capabilities list', () => {
+  expect(modelCapabilities({ capabilities: ['completion', 'vision'] })).toContain('vision');
+  expect(modelCapabilities({ details: { families: ['llama', 'clip'] } })).toContain('vision');
+  expect(modelCapabilities({ model_info: { 'gemma3.vision.image_size': 896 } })).toContain('vision');
+  expect(modelCapabilities({ details: { families: ['llama'] } })).not.toContain('vision');
+});
@@ -0,0 +1,86 @@
+// --- Chat with local documents (retrieval) ---
+// Documents are split into overlapping chunks, each chunk is embedded with a
+// local embedding model (Ollama /api/embed) and the vectors are kept in
+// IndexedDB (knowledgeStore.js). When a chat has Knowledge switched on, the
+// prompt is embedded too, the closest chunks are looked up by cosine
+// similarity and sent to the model as numbered excerpts it is asked to cite.
+// Nothing leaves the device.
+
+export const DEFAULT_EMBED_MODEL = 'nomic-embed-text';
+export const DEFAULT_TOP_K = 4;
+// Chunks this far from the question are left out even if they are the best.
+export const MIN_SIMILARITY = 0.3;
+const CHUNK_SIZE = 1000;
+const CHUNK_OVERLAP = 150;
+// Excerpt length kept with a reply so saved chats can show their sources.
+const SOURCE_PREVIEW_LENGTH = 600;
+
+// Split `text` into chunks of about `size` characters, cutting at paragraph,
+// line or sentence ends where possible. Consecutive chunks overlap by
+// `overlap` characters so a passage cut in two is still found whole.
+export function chunkText(text, { size = CHUNK_SIZE, overlap = CHUNK_OVERLAP } = {}) {
+  const clean = String(text || '').replace(/\r\n?/g, '\n').replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  const chunks = [];
+  let start = 0;
+  while (start < clean.length) {
+    let end = Math.min(clean.length, start + size);
+    if (end < clean.length) {
+      const window = clean.slice(start + Math.floor(size / 2), end);
+      const cut = Math.max(window.lastIndexOf('\n\n'), window.lastIndexOf('\n'), window.lastIndexOf('. '));
+      if (cut >= 0) end = start + Math.floor(size / 2) + cut + 1;
+    }
+    const piece = clean.slice(start, end).trim();
+    if (piece) chunks.push(piece);
+    if (end >= clean.length) break;
+    start = Math.max(end - overlap, start + 1);
+  }
+  return chunks;
+}
+
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  const n = Math.min(a.length, b.length);
+  for (let i = 0; i < n; i += 1) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// The `k` chunks closest to `vector`, best first, as `{ chunk, score }`.
+// Only chunks embedded with `model` are compared.
+export function topChunks(vector, chunks, { k = DEFAULT_TOP_K, model, minScore = MIN_SIMILARITY } = {}) {
+  return chunks
+    .filter(c => !model || c.model === model)
+    .map(chunk => ({ chunk, score: cosineSimilarity(vector, chunk.vector) }))
+    .filter(hit => hit.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+}
+
+// What gets stored on the assistant reply (see ChatSources.js)
+export function hitsToSources(hits) {
+  return hits.map(({ chunk, score }, i) => ({
+    n: i + 1,
+    document: chunk.documentName,
+    part: chunk.index + 1,
+    score,
+    text: chunk.text.length > SOURCE_PREVIEW_LENGTH ? `${chunk.text.slice(0, SOURCE_PREVIEW_LENGTH)}…` : chunk.text,
+  }));
+}
+
+// The user message actually sent to the model: numbered excerpts, then the
+// question. The stored chat keeps the plain question.
+export function buildKnowledgePrompt(question, hits) {
+  const excerpts = hits.map(({ chunk }, i) => `[${i + 1}] (${chunk.documentName}, part ${chunk.index + 1})\n${chunk.text}`);
+  return [
+    'Answer using the excerpts from my documents below. Cite the excerpts you use with their numbers, e.g. [1] or [2][3].',
+    'If the excerpts do not contain the answer, say so and answer from general knowledge.',
+    '',
+    ...excerpts.flatMap(e => [e, '']),
+    `Question: ${question}`,
+  ].join('\n');
+}
@@ -0,0 +1,45 @@
+import { buildKnowledgePrompt, chunkText, cosineSimilarity, hitsToSources, topChunks } from './knowledge';
+
+test('chunks long text at paragraph ends with overlap', () => {
+  const paragraph = n => `Paragraph ${n}. ${'word '.repeat(40).trim()}.`;
+  const text = [1, 2, 3, 4, 5, 6].map(paragraph).join('\n\n');
+  const chunks = chunkText(text, { size: 500, overlap: 50 });
+  expect(chunks.length).toBeGreaterThan(1);
+  chunks.forEach(c => expect(c.length).toBeLessThanOrEqual(500));
+  expect(chunks[0].startsWith('Paragraph 1.')).toBe(true);
+  expect(chunks[chunks.length - 1].endsWith('word.')).toBe(true);
+  // every paragraph heading survives somewhere
+  [1, 2, 3, 4, 5, 6].forEach(n => expect(chunks.some(c => c.includes(`Paragraph ${n}.`))).toBe(true));
+});
+
+test('short or empty text', () => {
+  expect(chunkText('  Hello\r\nworld  ')).toEqual(['Hello\nworld']);
+  expect(chunkText('')).toEqual([]);
+});
+
+test('cosine similarity', () => {
+  expect(cosineSimilarity([1, 0], [1, 0])).toBeCloseTo(1);
+  expect(cosineSimilarity([1, 0], [0, 1])).toBeCloseTo(0);
+  expect(cosineSimilarity([0, 0], [1, 1])).toBe(0);
+});
+
+const chunk = (id, vector, model = 'nomic-embed-text') => ({ id, documentName: `${id}.md`, index: 0, text: `text of ${id}`, model, vector });
+
+test('picks the closest chunks of the current model', () => {
+  const chunks = [chunk('a', [1, 0]), chunk('b', [0.8, 0.6]), chunk('c', [0, 1]), chunk('d', [1, 0], 'other-embed')];
+  const hits = topChunks([1, 0], chunks, { k: 5, model: 'nomic-embed-text' });
+  expect(hits.map(h => h.chunk.id)).toEqual(['a', 'b']);
+  expect(topChunks([1, 0], chunks, { k: 1, model: 'nomic-embed-text' }).map(h => h.chunk.id)).toEqual(['a']);
+});
+
+test('numbers excerpts in the prompt and the stored sources alike', () => {
+  const hits = [{ chunk: chunk('a', [1]), score: 0.9 }, { chunk: { ...chunk('b', [1]), index: 2 }, score: 0.7 }];
+  const prompt = buildKnowledgePrompt('What is a?', hits);
+  expect(prompt).toContain('[1] (a.md, part 1)\ntext of a');
+  expect(prompt).toContain('[2] (b.md, part 3)\ntext of b');
+  expect(prompt.endsWith('Question: What is a?')).toBe(true);
+  expect(hitsToSources(hits)).toEqual([
+    { n: 1, document: 'a.md', part: 1, score: 0.9, text: 'text of a' },
+    { n: 2, document: 'b.md', part: 3, score: 0.7, text: 'text of b' },
+  ]);
+});
@@ -0,0 +1,77 @@
+// --- IndexedDB storage for Knowledge documents ---
+// `documents` holds one entry per uploaded file (name, size, embedding model,
+// chunk count); `chunks` holds the text and vector of every chunk, indexed by
+// document so removing a file removes its chunks in the same transaction.
+
+const DB_NAME = 'orinKnowledge';
+const DB_VERSION = 1;
+const DOCUMENT_STORE = 'documents';
+const CHUNK_STORE = 'chunks';
+
+let dbPromise = null;
+
+function openKnowledgeDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('This browser has no IndexedDB; Knowledge is unavailable.'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(DOCUMENT_STORE)) {
+          db.createObjectStore(DOCUMENT_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(CHUNK_STORE)) {
+          db.createObjectStore(CHUNK_STORE, { keyPath: 'id' }).createIndex('documentId', 'documentId');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Knowledge storage is blocked by another open tab.'));
+    });
+    // Allow a retry after a failed open.
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// Run `work(tx)` in one transaction over both stores; resolves with the
+// result of the request `work` returns (if any) once it has committed.
+async function withStores(mode, work) {
+  const db = await openKnowledgeDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([DOCUMENT_STORE, CHUNK_STORE], mode);
+    const request = work(tx);
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Knowledge storage transaction aborted.'));
+  });
+}
+
+export function getAllDocuments() {
+  return withStores('readonly', tx => tx.objectStore(DOCUMENT_STORE).getAll());
+}
+
+export function getAllChunks() {
+  return withStores('readonly', tx => tx.objectStore(CHUNK_STORE).getAll());
+}
+
+export function putDocument(document, chunks) {
+  return withStores('readwrite', tx => {
+    tx.objectStore(DOCUMENT_STORE).put(document);
+    const store = tx.objectStore(CHUNK_STORE);
+    chunks.forEach(chunk => store.put(chunk));
+  });
+}
+
+export function deleteDocument(id) {
+  return withStores('readwrite', tx => {
+    tx.objectStore(DOCUMENT_STORE).delete(id);
+    const chunks = tx.objectStore(CHUNK_STORE);
+    chunks.index('documentId').getAllKeys(id).onsuccess = (e) => {
+      e.target.result.forEach(key => chunks.delete(key));
+    };
+  });
+}
@@ -0,0 +1,74 @@
+// --- Service logs (see logs.py in the helper) ---
+// Entries are { t, source, level, message } with `t` in epoch ms, or null
+// for file lines before the first timestamp. The helper picks the level;
+// filtering by level and text happens here so it also applies to entries
+// arriving while following.
+
+export const LOG_LEVELS = ['error', 'warning', 'info', 'debug'];
+
+// Entries kept in the browser; the oldest are dropped beyond this.
+export const MAX_LOG_ENTRIES = 10000;
+
+export const TIME_RANGES = [
+  { id: '15m', label: 'Last 15 min', seconds: 15 * 60 },
+  { id: '1h', label: 'Last hour', seconds: 3600 },
+  { id: '24h', label: 'Last 24 h', seconds: 24 * 3600 },
+  { id: 'all', label: 'Latest lines', seconds: null },
+  { id: 'custom', label: 'Custom range', seconds: null },
+];
+
+// Query parameters for GET /api/logs. `range` is { id, from, to } where
+// from/to are datetime-local strings used by the custom range.
+export function logQuery(sources, range, lines, now = Date.now()) {
+  const params = new URLSearchParams({ sources: sources.join(','), lines: String(lines) });
+  const preset = TIME_RANGES.find(r => r.id === range.id);
+  if (preset && preset.seconds) {
+    params.set('since', String(Math.floor(now / 1000) - preset.seconds));
+  } else if (range.id === 'custom') {
+    if (range.from) params.set('since', String(Math.floor(new Date(range.from).getTime() / 1000)));
+    if (range.to) params.set('until', String(Math.floor(new Date(range.to).getTime() / 1000)));
+  }
+  return params.toString();
+}
+
+// Entries whose level is switched on and whose source or message contains
+// the query (case-insensitive).
+export function filterLogEntries(entries, { levels, query }) {
+  const q = (query || '').trim().toLowerCase();
+  return entries.filter(e => levels.includes(e.level)
+    && (!q || e.message.toLowerCase().includes(q) || e.source.toLowerCase().includes(q)));
+}
+
+export function appendLogEntries(entries, incoming, max = MAX_LOG_ENTRIES) {
+  const next = entries.concat(incoming);
+  return next.length > max ? next.slice(next.length - max) : next;
+}
+
+function pad(n, width = 2) {
+  return String(n).padStart(width, '0');
+}
+
+// Local "YYYY-MM-DD HH:MM:SS.mmm", or blanks for undated lines.
+export function formatLogTime(t) {
+  if (t == null) return ' '.repeat(23);
+  const d = new Date(t);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} `
+    + `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}.${pad(d.getMilliseconds(), 3)}`;
+}
+
+// Plain-text export, one line per entry.
+export function logsToText(entries) {
+  return entries.map(e => `${formatLogTime(e.t)} ${e.source} ${e.level.toUpperCase()} ${e.message}`).join('\n');
+}
+
+// "3d 4h", "2h 5m", "12m" or "40s".
+export function formatUptime(seconds) {
+  if (seconds == null) return '–';
+  const d = Math.floor(seconds / 86400);
+  const h = Math.floor((seconds % 86400) / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  if (d > 0) return `${d}d ${h}h`;
+  if (h > 0) return `${h}h ${m}m`;
+  if (m > 0) return `${m}m`;
+  return `${Math.floor(seconds)}s`;
+}
@@ -0,0 +1,49 @@
+import {
+  appendLogEntries, filterLogEntries, formatLogTime, formatUptime, logQuery, logsToText,
+} from './logs';
+
+const entries = [
+  { t: 1000, source: 'ollama.service', level: 'info', message: 'Listening on 127.0.0.1:11434' },
+  { t: 2000, source: 'ollama.service', level: 'warning', message: 'model request too large' },
+  { t: 3000, source: 'stats_server.log', level: 'error', message: 'OperationalError: database is locked' },
+];
+
+test('builds the history query for presets and custom ranges', () => {
+  const now = Date.UTC(2024, 5, 17, 10, 0, 0);
+  const preset = new URLSearchParams(logQuery(['ollama.service', 'stats_server.log'], { id: '1h' }, 500, now));
+  expect(preset.get('sources')).toBe('ollama.service,stats_server.log');
+  expect(preset.get('lines')).toBe('500');
+  expect(Number(preset.get('since'))).toBe(now / 1000 - 3600);
+  expect(preset.has('until')).toBe(false);
+
+  const custom = new URLSearchParams(logQuery(['ollama.service'], { id: 'custom', from: '2024-06-17T09:00', to: '' }, 100, now));
+  expect(Number(custom.get('since'))).toBe(new Date('2024-06-17T09:00').getTime() / 1000);
+  expect(custom.has('until')).toBe(false);
+  expect(new URLSearchParams(logQuery(['x'], { id: 'all' }, 100, now)).has('since')).toBe(false);
+});
+
+test('filters by level and text', () => {
+  expect(filterLogEntries(entries, { levels: ['error', 'warning'], query: '' })).toHaveLength(2);
+  expect(filterLogEntries(entries, { levels: ['error', 'warning', 'info'], query: 'LOCKED' })).toEqual([entries[2]]);
+  expect(filterLogEntries(entries, { levels: ['info'], query: 'stats_server' })).toEqual([]);
+  expect(filterLogEntries(entries, { levels: ['error'], query: 'stats_server' })).toEqual([entries[2]]);
+});
+
+test('keeps only the newest entries', () => {
+  expect(appendLogEntries(entries, [{ ...entries[0], t: 4000 }], 3).map(e => e.t)).toEqual([2000, 3000, 4000]);
+});
+
+test('exports plain text', () => {
+  const text = logsToText([{ ...entries[1], t: new Date(2024, 5, 17, 10, 0, 1, 5).getTime() }, { ...entries[2], t: null }]);
+  expect(text.split('\n')).toEqual([
+    '2024-06-17 10:00:01.005 ollama.service WARNING model request too large',
+    `${formatLogTime(null)} stats_server.log ERROR OperationalError: database is locked`,
+  ]);
+});
+
+test('formats uptime', () => {
+  expect(formatUptime(null)).toBe('–');
+  expect(formatUptime(42)).toBe('42s');
+  expect(formatUptime(3600 * 2 + 300)).toBe('2h 5m');
+  expect(formatUptime(86400 * 3 + 3600 * 4)).toBe('3d 4h');
+});
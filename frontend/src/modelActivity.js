@@ -0,0 +1,22 @@
+// --- Models with a request in flight ---
+// Chat, compare, Benchmark and the Playground all stream through
+// streamChat()/streamGenerate(), which register the model here for the length
+// of the request. The guardrails read it before unloading "idle" models.
+const openRequests = new Map();
+
+// Returns a function that ends the request; calling it twice is harmless.
+export function trackModelRequest(model) {
+  openRequests.set(model, (openRequests.get(model) || 0) + 1);
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    const count = openRequests.get(model) - 1;
+    if (count > 0) openRequests.set(model, count);
+    else openRequests.delete(model);
+  };
+}
+
+export function modelsInFlight() {
+  return new Set(openRequests.keys());
+}
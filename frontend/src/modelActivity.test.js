@@ -0,0 +1,16 @@
+import { trackModelRequest, modelsInFlight } from './modelActivity';
+
+test('a model stays in flight until its last request ends', () => {
+  const first = trackModelRequest('llama3.2:3b');
+  const second = trackModelRequest('llama3.2:3b');
+  const other = trackModelRequest('qwen2.5:0.5b');
+  expect(modelsInFlight()).toEqual(new Set(['llama3.2:3b', 'qwen2.5:0.5b']));
+
+  first();
+  first();
+  expect(modelsInFlight().has('llama3.2:3b')).toBe(true);
+
+  second();
+  other();
+  expect(modelsInFlight().size).toBe(0);
+});
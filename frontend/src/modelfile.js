@@ -0,0 +1,103 @@
+// --- Modelfile helpers ---
+// /api/show returns the Modelfile text of a model. Recent Ollama versions
+// expect /api/create to receive the same information as structured fields
+// (`from`, `system`, `template`, `parameters`, …) while older ones only take
+// the raw `modelfile` string, so we parse the text and send both.
+
+// Instructions whose values may span several lines inside """ quotes.
+const MULTILINE = ['TEMPLATE', 'SYSTEM', 'LICENSE', 'MESSAGE'];
+
+function unquote(value) {
+  const v = value.trim();
+  if (v.startsWith('"""') && v.endsWith('"""') && v.length >= 6) return v.slice(3, -3);
+  if (v.startsWith('"') && v.endsWith('"') && v.length >= 2) return v.slice(1, -1);
+  return v;
+}
+
+function parseParameterValue(value) {
+  const v = unquote(value);
+  if (/^-?\d+$/.test(v)) return parseInt(v, 10);
+  if (/^-?\d*\.\d+$/.test(v)) return parseFloat(v);
+  if (v === 'true' || v === 'false') return v === 'true';
+  return v;
+}
+
+// Split a Modelfile into [{ instruction, value }] entries, keeping multi-line
+// triple-quoted values together. Comments and blank lines are dropped.
+export function tokenizeModelfile(text) {
+  const entries = [];
+  const lines = String(text || '').split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+    const m = /^([A-Za-z]+)\s+([\s\S]*)$/.exec(trimmed);
+    if (!m) continue;
+    const instruction = m[1].toUpperCase();
+    let value = m[2];
+    const opensTriple = MULTILINE.includes(instruction) && value.includes('"""');
+    if (opensTriple && value.split('"""').length === 2) {
+      // Keep reading until the closing triple quote.
+      const parts = [value];
+      while (++i < lines.length) {
+        parts.push(lines[i]);
+        if (lines[i].includes('"""')) break;
+      }
+      value = parts.join('\n');
+    }
+    entries.push({ instruction, value });
+  }
+  return entries;
+}
+
+// Build an /api/create request body from a Modelfile.
+export function modelfileToCreateRequest(model, text) {
+  const body = { model, name: model, modelfile: text, stream: true };
+  const parameters = {};
+  const messages = [];
+  tokenizeModelfile(text).forEach(({ instruction, value }) => {
+    switch (instruction) {
+      case 'FROM':
+        body.from = value.trim();
+        break;
+      case 'SYSTEM':
+        body.system = unquote(value);
+        break;
+      case 'TEMPLATE':
+        body.template = unquote(value);
+        break;
+      case 'LICENSE':
+        body.license = unquote(value);
+        break;
+      case 'PARAMETER': {
+        const m = /^(\S+)\s+([\s\S]+)$/.exec(value.trim());
+        if (!m) break;
+        const [, key, raw] = m;
+        const parsed = parseParameterValue(raw);
+        // `stop` may be given several times and is sent as a list.
+        if (key === 'stop') {
+          parameters.stop = [...(parameters.stop || []), String(parsed)];
+        } else {
+          parameters[key] = parsed;
+        }
+        break;
+      }
+      case 'MESSAGE': {
+        const m = /^(\S+)\s+([\s\S]+)$/.exec(value.trim());
+        if (m) messages.push({ role: m[1], content: unquote(m[2]) });
+        break;
+      }
+      default:
+        break;
+    }
+  });
+  if (Object.keys(parameters).length > 0) body.parameters = parameters;
+  if (messages.length > 0) body.messages = messages;
+  return body;
+}
+
+// The Modelfile from /api/show points FROM at a blob path. For a derived model
+// we want it to build on the named model instead.
+export function rebaseModelfile(text, modelName) {
+  return String(text || '').replace(/^FROM\s+.*$/m, `FROM ${modelName}`);
+}
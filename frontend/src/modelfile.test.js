@@ -0,0 +1,31 @@
+import { modelfileToCreateRequest, rebaseModelfile } from './modelfile';
+
+const SHOWN = `# Modelfile generated by "ollama show"
+# To build a new Modelfile based on this, replace FROM with:
+# FROM gemma:2b
+
+FROM /usr/share/ollama/.ollama/models/blobs/sha256-abc
+TEMPLATE """<start_of_turn>user
+{{ .Prompt }}<end_of_turn>
+"""
+PARAMETER stop "<start_of_turn>"
+PARAMETER stop "<end_of_turn>"
+PARAMETER num_ctx 2048
+SYSTEM You are terse.
+LICENSE """Gemma Terms of Use"""`;
+
+test('points FROM at the named model', () => {
+  expect(rebaseModelfile(SHOWN, 'gemma:2b')).toMatch(/^FROM gemma:2b$/m);
+  expect(rebaseModelfile(SHOWN, 'gemma:2b')).toMatch(/^# FROM gemma:2b$/m);
+});
+
+test('builds a structured create request', () => {
+  const body = modelfileToCreateRequest('gemma-terse:latest', rebaseModelfile(SHOWN, 'gemma:2b'));
+  expect(body.model).toBe('gemma-terse:latest');
+  expect(body.from).toBe('gemma:2b');
+  expect(body.template).toBe('<start_of_turn>user\n{{ .Prompt }}<end_of_turn>\n');
+  expect(body.system).toBe('You are terse.');
+  expect(body.license).toBe('Gemma Terms of Use');
+  expect(body.parameters).toEqual({ stop: ['<start_of_turn>', '<end_of_turn>'], num_ctx: 2048 });
+  expect(body.modelfile).toContain('PARAMETER num_ctx 2048');
+});
@@ -0,0 +1,48 @@
+// --- Newline-delimited JSON streaming ---
+// Ollama streams its responses as one JSON object per line, but a network
+// chunk can end in the middle of a line (or hold several lines). This reader
+// buffers the partial tail between chunks so every object is parsed whole.
+
+// Split `text` into complete lines, returning them along with the unfinished
+// remainder that should be prepended to the next chunk.
+export function splitNdjsonLines(text) {
+  const parts = text.split('\n');
+  const rest = parts.pop();
+  return { lines: parts.map(l => l.trim()).filter(Boolean), rest };
+}
+
+// Read a fetch() response body to the end, calling `onObject` for every parsed
+// JSON line. `onBatch` (optional) fires once per network chunk after its lines
+// were handled, which lets callers push a single React update per chunk
+// instead of one per token. Malformed lines are skipped. If a callback throws,
+// the body is cancelled and the error is rethrown.
+export async function readNdjsonStream(body, onObject, onBatch) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const handle = (line) => {
+    if (!line.startsWith('{')) return;
+    let parsed;
+    try { parsed = JSON.parse(line); } catch (_) { return; /* ignore malformed */ }
+    onObject(parsed);
+  };
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      const { lines, rest } = splitNdjsonLines(buffer + decoder.decode(value, { stream: true }));
+      buffer = rest;
+      lines.forEach(handle);
+      if (onBatch) onBatch();
+    }
+    const tail = (buffer + decoder.decode()).trim();
+    if (tail) handle(tail);
+    if (onBatch) onBatch();
+  } catch (err) {
+    // Stop the download when a callback bails out (e.g. on an {error} line)
+    await reader.cancel().catch(() => {});
+    throw err;
+  }
+}
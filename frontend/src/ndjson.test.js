@@ -0,0 +1,31 @@
+import { TextDecoder, TextEncoder } from 'util';
+import { splitNdjsonLines, readNdjsonStream } from './ndjson';
+
+if (!global.TextDecoder) global.TextDecoder = TextDecoder;
+
+test('keeps an unfinished trailing line for the next chunk', () => {
+  const first = splitNdjsonLines('{"a":1}\n{"b":');
+  expect(first.lines).toEqual(['{"a":1}']);
+  expect(first.rest).toBe('{"b":');
+  const second = splitNdjsonLines(first.rest + '2}\n\n');
+  expect(second.lines).toEqual(['{"b":2}']);
+  expect(second.rest).toBe('');
+});
+
+test('cancels the body when a callback throws', async () => {
+  const chunks = ['{"status":"pulling"}\n{"error":"disk full"}\n', '{"status":"more"}\n'];
+  const reader = {
+    read: jest.fn(async () => (chunks.length
+      ? { done: false, value: new TextEncoder().encode(chunks.shift()) }
+      : { done: true })),
+    cancel: jest.fn(async () => {}),
+  };
+  const seen = [];
+  await expect(readNdjsonStream({ getReader: () => reader }, (json) => {
+    if (json.error) throw new Error(json.error);
+    seen.push(json.status);
+  })).rejects.toThrow('disk full');
+  expect(seen).toEqual(['pulling']);
+  expect(reader.cancel).toHaveBeenCalledTimes(1);
+  expect(reader.read).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,60 @@
+import { readNdjsonStream } from './ndjson';
+import { extractChatMetrics } from './ChatMetrics';
+import { helperFetch } from './session';
+import { trackModelRequest } from './modelActivity';
+
+// --- Streaming /api/chat request ---
+// Shared by the chat pane and compare mode. `onContent` receives the full
+// reply text so far, at most once per network chunk. Resolves with the final
+// text, the reply metrics (see ChatMetrics.js) and any tool calls the model
+// made; rejects on network errors, aborts and errors reported by Ollama.
+// The model counts as busy (modelActivity.js) until the request settles.
+export async function streamChat(baseUrl, body, options = {}) {
+  const release = trackModelRequest(body.model);
+  try {
+    return await requestChat(baseUrl, body, options);
+  } finally {
+    release();
+  }
+}
+
+async function requestChat(baseUrl, body, { signal, onContent }) {
+  const requestStartedAt = performance.now();
+  const response = await helperFetch(`${baseUrl}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    signal,
+    body: JSON.stringify(body),
+  });
+  if (!response.ok) {
+    let message = `Ollama responded with status ${response.status}`;
+    try { message = (await response.json()).error || message; } catch (_) { /* not JSON */ }
+    throw new Error(message);
+  }
+
+  let content = '';
+  const toolCalls = [];
+  let doneChunk = null;
+  let firstTokenAt = null;
+  let hasDelta = false;
+
+  await readNdjsonStream(response.body, (parsed) => {
+    if (parsed.error) throw new Error(parsed.error);
+    if (parsed.message && parsed.message.content) {
+      if (firstTokenAt === null) firstTokenAt = performance.now();
+      content += parsed.message.content;
+      hasDelta = true;
+    }
+    if (parsed.message && parsed.message.tool_calls) toolCalls.push(...parsed.message.tool_calls);
+    if (parsed.done) doneChunk = parsed;
+  }, () => {
+    // Push update once per chunk, not per token
+    if (!hasDelta || !onContent) return;
+    hasDelta = false;
+    onContent(content);
+  });
+
+  const metrics = extractChatMetrics(doneChunk, firstTokenAt !== null ? firstTokenAt - requestStartedAt : null);
+  return { content, metrics, toolCalls };
+}
+
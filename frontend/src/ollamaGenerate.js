@@ -0,0 +1,94 @@
+import { readNdjsonStream } from './ndjson';
+import { buildChatOptions } from './ChatSettings';
+import { extractChatMetrics } from './ChatMetrics';
+import { helperFetch } from './session';
+import { trackModelRequest } from './modelActivity';
+
+// --- Streaming /api/generate request (the Playground) ---
+// Unlike /api/chat this takes a single prompt and exposes what the chat
+// endpoint hides: `raw` (no prompt template at all), `suffix` for
+// fill-in-the-middle code models, a per-request `template` and the
+// `context` token array that lets a later request continue from this one.
+
+export const DEFAULT_PLAYGROUND = {
+  prompt: '',
+  suffix: '',
+  system: '',
+  template: '',
+  raw: false,
+  temperature: '',
+  top_p: '',
+  num_ctx: '',
+  seed: '',
+  num_predict: '',
+  stop: '',
+};
+
+// Build the JSON body for POST /api/generate from the playground fields.
+// `context` is the array returned by an earlier request, or null. In raw
+// mode Ollama ignores system and template, so they are not sent.
+export function buildGenerateRequestBody(model, fields, context = null) {
+  const f = { ...DEFAULT_PLAYGROUND, ...fields };
+  const body = { model, prompt: f.prompt, stream: true };
+  if (f.raw) body.raw = true;
+  if (f.suffix) body.suffix = f.suffix;
+  if (!f.raw && f.system.trim()) body.system = f.system;
+  if (!f.raw && f.template.trim()) body.template = f.template;
+  if (context && context.length > 0) body.context = context;
+  const options = buildChatOptions(f);
+  const numPredict = parseInt(f.num_predict, 10);
+  if (!Number.isNaN(numPredict)) options.num_predict = numPredict;
+  // Stop sequences, one per line; "\n" written out means a newline
+  const stop = f.stop.split('\n').filter(Boolean).map(s => s.replace(/\\n/g, '\n'));
+  if (stop.length > 0) options.stop = stop;
+  if (Object.keys(options).length > 0) body.options = options;
+  return body;
+}
+
+// Resolves with the generated text, the metrics (see ChatMetrics.js) and the
+// returned `context`; rejects like streamChat().
+export async function streamGenerate(baseUrl, body, options = {}) {
+  const release = trackModelRequest(body.model);
+  try {
+    return await requestGenerate(baseUrl, body, options);
+  } finally {
+    release();
+  }
+}
+
+async function requestGenerate(baseUrl, body, { signal, onContent }) {
+  const requestStartedAt = performance.now();
+  const response = await helperFetch(`${baseUrl}/api/generate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    signal,
+    body: JSON.stringify(body),
+  });
+  if (!response.ok) {
+    let message = `Ollama responded with status ${response.status}`;
+    try { message = (await response.json()).error || message; } catch (_) { /* not JSON */ }
+    throw new Error(message);
+  }
+
+  let content = '';
+  let doneChunk = null;
+  let firstTokenAt = null;
+  let hasDelta = false;
+
+  await readNdjsonStream(response.body, (parsed) => {
+    if (parsed.error) throw new Error(parsed.error);
+    if (parsed.response) {
+      if (firstTokenAt === null) firstTokenAt = performance.now();
+      content += parsed.response;
+      hasDelta = true;
+    }
+    if (parsed.done) doneChunk = parsed;
+  }, () => {
+    if (!hasDelta || !onContent) return;
+    hasDelta = false;
+    onContent(content);
+  });
+
+  const metrics = extractChatMetrics(doneChunk, firstTokenAt !== null ? firstTokenAt - requestStartedAt : null);
+  return { content, metrics, context: (doneChunk && doneChunk.context) || null };
+}
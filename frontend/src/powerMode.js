@@ -0,0 +1,15 @@
+// --- Power mode labels ---
+// Tokens/s only compare between runs made in the same power mode, so the
+// label from powerModeLabel() is stored with chat and benchmark metrics.
+
+// e.g. "15W", "MAXN_SUPER + jetson_clocks", or null while unknown.
+export function powerModeLabel(power) {
+  if (!power || !power.mode) return null;
+  return power.clocks_locked ? `${power.mode.name} + jetson_clocks` : power.mode.name;
+}
+
+// Metrics with the power mode they were produced in.
+export function withPowerMode(metrics, label) {
+  if (!metrics || !label) return metrics;
+  return { ...metrics, power_mode: label };
+}
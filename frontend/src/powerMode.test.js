@@ -0,0 +1,14 @@
+import { powerModeLabel, withPowerMode } from './powerMode';
+
+test('labels the power mode and pinned clocks', () => {
+  expect(powerModeLabel(null)).toBeNull();
+  expect(powerModeLabel({ mode: null, clocks_locked: null })).toBeNull();
+  expect(powerModeLabel({ mode: { id: 0, name: '15W' }, clocks_locked: false })).toBe('15W');
+  expect(powerModeLabel({ mode: { id: 2, name: 'MAXN_SUPER' }, clocks_locked: true })).toBe('MAXN_SUPER + jetson_clocks');
+});
+
+test('adds the label to metrics', () => {
+  expect(withPowerMode({ tokens_per_sec: 20 }, '7W')).toEqual({ tokens_per_sec: 20, power_mode: '7W' });
+  expect(withPowerMode({ tokens_per_sec: 20 }, null)).toEqual({ tokens_per_sec: 20 });
+  expect(withPowerMode(null, '7W')).toBeNull();
+});
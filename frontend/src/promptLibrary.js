@@ -0,0 +1,41 @@
+// --- Prompt library ---
+// Saved prompts are { id, title, text, updated }. The text may hold
+// `{{variable}}` placeholders that are filled in before the prompt goes to
+// the chat or the Playground. Go-template actions such as `{{ .Prompt }}`
+// (used in Ollama templates) are not placeholders and are left alone.
+
+const TITLE_LENGTH = 60;
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_-]*)\s*\}\}/g;
+
+// Placeholder names in `text`, in order of first appearance.
+export function templateVariables(text) {
+  return [...new Set([...String(text || '').matchAll(VARIABLE_PATTERN)].map(m => m[1]))];
+}
+
+// Replace each placeholder with its value; unfilled ones are kept as they are.
+export function fillTemplate(text, values) {
+  return String(text || '').replace(VARIABLE_PATTERN, (whole, name) => (
+    values[name] !== undefined && values[name] !== '' ? values[name] : whole
+  ));
+}
+
+// Prompts whose title or text contains every word of `query`, most recently
+// changed first.
+export function searchPrompts(prompts, query) {
+  const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  return prompts
+    .filter(p => words.every(w => `${p.title}\n${p.text}`.toLowerCase().includes(w)))
+    .sort((a, b) => b.updated - a.updated);
+}
+
+// A fresh id for a new prompt
+export function newPromptId() {
+  return `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Title for a prompt saved without one: its first line, shortened.
+export function titleFromPrompt(text) {
+  const line = String(text || '').trim().split('\n')[0].replace(/\s+/g, ' ');
+  if (!line) return 'Untitled prompt';
+  return line.length > TITLE_LENGTH ? `${line.slice(0, TITLE_LENGTH - 1)}…` : line;
+}
@@ -0,0 +1,46 @@
+import { fillTemplate, searchPrompts, templateVariables, titleFromPrompt } from './promptLibrary';
+import { buildGenerateRequestBody } from './ollamaGenerate';
+
+test('finds placeholders but not Go template actions', () => {
+  expect(templateVariables('Translate {{text}} to {{ language }}. {{text}} {{ .Prompt }} {{- if .System }}')).toEqual(['text', 'language']);
+  expect(templateVariables('')).toEqual([]);
+});
+
+test('fills in the values given and keeps the rest', () => {
+  expect(fillTemplate('Hi {{name}}, {{ greeting }}!', { name: 'Ada', greeting: '' })).toBe('Hi Ada, {{ greeting }}!');
+});
+
+test('searches titles and text for every word', () => {
+  const prompts = [
+    { id: '1', title: 'Summarise', text: 'Summarise {{text}}', updated: 1 },
+    { id: '2', title: 'Extract JSON', text: 'Extract the invoice fields from {{text}}', updated: 2 },
+  ];
+  expect(searchPrompts(prompts, '').map(p => p.id)).toEqual(['2', '1']);
+  expect(searchPrompts(prompts, 'text').map(p => p.id)).toEqual(['2', '1']);
+  expect(searchPrompts(prompts, 'INVOICE json').map(p => p.id)).toEqual(['2']);
+  expect(searchPrompts(prompts, 'summarise invoice')).toEqual([]);
+});
+
+test('titles from the first line', () => {
+  expect(titleFromPrompt('  Fix this  code\nsecond line')).toBe('Fix this code');
+  expect(titleFromPrompt('')).toBe('Untitled prompt');
+  expect(titleFromPrompt('x'.repeat(80))).toHaveLength(60);
+});
+
+test('builds /api/generate bodies', () => {
+  expect(buildGenerateRequestBody('m', { prompt: 'hi' })).toEqual({ model: 'm', prompt: 'hi', stream: true });
+  expect(buildGenerateRequestBody('codellama:7b-code', {
+    prompt: 'def add(a, b):', suffix: 'return c', raw: true, system: 'ignored', template: 'ignored', temperature: '0', num_predict: '64', stop: '\\n\\n\nEND',
+  }, [1, 2, 3])).toEqual({
+    model: 'codellama:7b-code',
+    prompt: 'def add(a, b):',
+    stream: true,
+    raw: true,
+    suffix: 'return c',
+    context: [1, 2, 3],
+    options: { temperature: 0, num_predict: 64, stop: ['\n\n', 'END'] },
+  });
+  expect(buildGenerateRequestBody('m', { prompt: 'p', system: 'be brief', template: '{{ .Prompt }}' }, [])).toEqual({
+    model: 'm', prompt: 'p', stream: true, system: 'be brief', template: '{{ .Prompt }}',
+  });
+});
@@ -0,0 +1,239 @@
+import { EMPTY_TREE, getActiveMessages, treeFromMessages, treeFromSavedChat } from './chatTree';
+import { normalizeChatSettings } from './ChatSettings';
+
+// --- Saved chat entries ---
+// Pure helpers for the saved-chats list: normalising stored entries, search,
+// sorting and JSON / Markdown export and import. Storage itself lives in
+// chatStore.js.
+//
+//   entry = { id, title, tree, model, settings, tags: [], pinned, created, updated,
+//             revision, dirty, deleted }
+//
+// `revision`, `dirty` and `deleted` are sync bookkeeping (see chatSync.js):
+// the server revision the entry is based on, whether it has local changes
+// not yet sent, and whether it is a local deletion waiting to be sent.
+
+export const EXPORT_FORMAT = 'orin-chats';
+export const EXPORT_VERSION = 1;
+
+const TITLE_LENGTH = 60;
+
+export function newChatId() {
+  return `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Title for an auto-saved chat: the first user prompt, shortened.
+export function titleFromTree(tree) {
+  const first = getActiveMessages(tree).find(m => m.role === 'user');
+  const text = first ? first.content.replace(/\s+/g, ' ').trim() : '';
+  if (!text) return `Chat ${new Date().toLocaleString()}`;
+  return text.length > TITLE_LENGTH ? `${text.slice(0, TITLE_LENGTH - 1)}…` : text;
+}
+
+// "a, b  ,#c" -> ['a', 'b', 'c'] (lower-case, unique)
+export function parseTags(text) {
+  const tags = String(text || '')
+    .split(',')
+    .map(t => t.trim().replace(/^#/, '').toLowerCase())
+    .filter(Boolean);
+  return [...new Set(tags)];
+}
+
+// Fill in fields missing from older entries (v1 localStorage chats had no
+// tags, pin, update time or revision, and the oldest ones a flat `history`).
+export function normalizeSavedChat(entry) {
+  const created = Number(entry.created) || Date.now();
+  return {
+    id: String(entry.id || newChatId()),
+    title: String(entry.title || 'Untitled chat'),
+    tree: treeFromSavedChat(entry),
+    model: entry.model || '',
+    settings: normalizeChatSettings(entry.settings),
+    tags: Array.isArray(entry.tags) ? parseTags(entry.tags.join(',')) : [],
+    pinned: Boolean(entry.pinned),
+    // Knowledge (document excerpts) switched on for this chat
+    knowledge: Boolean(entry.knowledge),
+    // Tool calling switched on for this chat
+    tools: Boolean(entry.tools),
+    created,
+    updated: Number(entry.updated) || created,
+    revision: Number(entry.revision) || 0,
+    dirty: Boolean(entry.dirty),
+    deleted: Boolean(entry.deleted),
+  };
+}
+
+// The entry without sync bookkeeping, as exported or sent to the server.
+export function chatContent({ revision, dirty, deleted, ...content }) {
+  return content;
+}
+
+// Pinned chats first, then most recently updated.
+export function sortChats(chats) {
+  return [...chats].sort((a, b) => (Number(b.pinned) - Number(a.pinned)) || (b.updated - a.updated));
+}
+
+// All message text in the chat, including other branches.
+function chatText(entry) {
+  return Object.values(entry.tree.nodes).map(n => n.message.content || '').join('\n');
+}
+
+function snippetAround(text, term, radius = 40) {
+  const at = text.toLowerCase().indexOf(term);
+  if (at < 0) return '';
+  const start = Math.max(0, at - radius);
+  const end = Math.min(text.length, at + term.length + radius);
+  const body = text.slice(start, end).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '…' : ''}${body}${end < text.length ? '…' : ''}`;
+}
+
+// Filter chats by a query. Words starting with `#` must match a tag; all
+// other words must appear in the title, model, tags or any message. Returns
+// `[{ chat, snippet }]`, where `snippet` shows the first message match.
+export function searchChats(chats, query) {
+  const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const tagWords = words.filter(w => w.startsWith('#') && w.length > 1).map(w => w.slice(1));
+  const terms = words.filter(w => !w.startsWith('#'));
+
+  return sortChats(chats).reduce((results, chat) => {
+    if (!tagWords.every(t => chat.tags.includes(t))) return results;
+    if (terms.length === 0) {
+      results.push({ chat, snippet: '' });
+      return results;
+    }
+    const text = chatText(chat);
+    const haystack = `${chat.title}\n${chat.model}\n${chat.tags.join(' ')}\n${text}`.toLowerCase();
+    if (terms.every(t => haystack.includes(t))) {
+      results.push({ chat, snippet: snippetAround(text, terms[0]) });
+    }
+    return results;
+  }, []);
+}
+
+// --- Export ---
+
+export function chatsToJson(chats) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exported: new Date().toISOString(),
+    chats: chats.map(chatContent),
+  }, null, 2);
+}
+
+const ROLE_HEADINGS = { user: 'User', assistant: 'Assistant', system: 'System' };
+
+// Markdown transcript of the active branch. The HTML comments are invisible
+// when rendered and let `parseMarkdownChats` read the file back in.
+export function chatToMarkdown(chat) {
+  const meta = { title: chat.title, model: chat.model, tags: chat.tags, created: chat.created };
+  const lines = [
+    `<!-- chat ${JSON.stringify(meta)} -->`,
+    `# ${chat.title}`,
+    '',
+    `_${[chat.model, new Date(chat.created).toLocaleString(), chat.tags.map(t => `#${t}`).join(' ')].filter(Boolean).join(' · ')}_`,
+  ];
+  if (chat.settings && chat.settings.system) {
+    lines.push('', '<!-- role: system -->', '## System', '', chat.settings.system);
+  }
+  getActiveMessages(chat.tree).forEach(m => {
+    lines.push('', `<!-- role: ${m.role} -->`, `## ${ROLE_HEADINGS[m.role] || m.role}`, '', m.content);
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+export function chatsToMarkdown(chats) {
+  return chats.map(chatToMarkdown).join('\n---\n\n');
+}
+
+// --- Import ---
+
+const CHAT_MARKER = /^<!-- chat (.*) -->$/;
+const ROLE_MARKER = /^<!-- role: (\w+) -->$/;
+
+// Read chats written by `chatToMarkdown`. Only the active branch survives
+// a Markdown round trip.
+export function parseMarkdownChats(text) {
+  const chats = [];
+  let chat = null;
+  let message = null;
+
+  const flushMessage = () => {
+    if (!chat || !message) return;
+    // Drop the "## Role" heading line and the separator before the next chat.
+    const body = message.lines.slice(1).join('\n').replace(/\n+---\s*$/, '').trim();
+    if (message.role === 'system') chat.system = body;
+    else chat.messages.push({ role: message.role, content: body });
+    message = null;
+  };
+
+  String(text).split(/\r?\n/).forEach(line => {
+    const chatMatch = CHAT_MARKER.exec(line.trim());
+    if (chatMatch) {
+      flushMessage();
+      let meta = {};
+      try { meta = JSON.parse(chatMatch[1]); } catch (_) { /* keep defaults */ }
+      chat = { meta, messages: [], system: '' };
+      chats.push(chat);
+      return;
+    }
+    const roleMatch = ROLE_MARKER.exec(line.trim());
+    if (roleMatch && chat) {
+      flushMessage();
+      message = { role: roleMatch[1], lines: [] };
+      return;
+    }
+    if (message) message.lines.push(line);
+  });
+  flushMessage();
+
+  return chats.map(({ meta, messages, system }) => normalizeSavedChat({
+    title: meta.title,
+    model: meta.model,
+    tags: meta.tags,
+    created: meta.created,
+    settings: { system },
+    tree: messages.length ? treeFromMessages(messages) : EMPTY_TREE,
+  }));
+}
+
+// Parse an import file (JSON export, a single exported entry, a bare array
+// of entries, or Markdown). Throws with a readable message when nothing in
+// the file looks like a chat.
+export function parseImportedChats(text, filename = '') {
+  const trimmed = String(text).trim();
+  let chats;
+  if (/\.(md|markdown)$/i.test(filename) || trimmed.startsWith('<!--')) {
+    chats = parseMarkdownChats(trimmed);
+  } else {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (_) {
+      throw new Error('The file is neither a JSON nor a Markdown chat export.');
+    }
+    const list = Array.isArray(data) ? data : Array.isArray(data.chats) ? data.chats : [data];
+    chats = list
+      .filter(c => c && typeof c === 'object' && (c.tree || Array.isArray(c.history)))
+      .map(c => normalizeSavedChat(chatContent(c)));
+  }
+  if (chats.length === 0) throw new Error('No chats found in the file.');
+  return chats;
+}
+
+// Merge imported chats into the existing list. An entry with a known id
+// replaces the stored one only if it was updated more recently (keeping the
+// stored revision so the change syncs as an ordinary edit); entries without
+// a stored counterpart are added. Returns the entries to write.
+export function mergeImportedChats(existing, imported) {
+  const byId = new Map(existing.map(c => [c.id, c]));
+  return imported
+    .filter(c => {
+      const current = byId.get(c.id);
+      return !current || c.updated > current.updated;
+    })
+    .map(c => {
+      const current = byId.get(c.id);
+      return { ...c, revision: current ? current.revision : 0 };
+    });
+}
@@ -0,0 +1,73 @@
+import { getActiveMessages, treeFromMessages } from './chatTree';
+import {
+  chatToMarkdown,
+  chatsToJson,
+  mergeImportedChats,
+  normalizeSavedChat,
+  parseImportedChats,
+  parseTags,
+  searchChats,
+} from './savedChats';
+
+function chat(id, messages, extra = {}) {
+  return normalizeSavedChat({ id, title: `Chat ${id}`, tree: treeFromMessages(messages), created: 1000, ...extra });
+}
+
+const chats = [
+  chat('a', [{ role: 'user', content: 'How do I flash JetPack?' }, { role: 'assistant', content: 'Use the SDK Manager.' }], { tags: ['jetson'], updated: 3000 }),
+  chat('b', [{ role: 'user', content: 'Write a haiku' }], { pinned: true, updated: 2000 }),
+  chat('c', [{ role: 'user', content: 'Set nvpmodel to MAXN' }], { tags: ['jetson', 'power'], updated: 4000 }),
+];
+
+test('upgrades v1 entries with a flat history', () => {
+  const entry = normalizeSavedChat({ id: 1, title: 'old', history: [{ role: 'user', content: 'q' }], created: 5 });
+  expect(entry.id).toBe('1');
+  expect(entry.tags).toEqual([]);
+  expect(entry.updated).toBe(5);
+  expect(getActiveMessages(entry.tree).map(m => m.content)).toEqual(['q']);
+});
+
+test('parses comma separated tags', () => {
+  expect(parseTags(' Jetson, #power,,jetson ')).toEqual(['jetson', 'power']);
+});
+
+test('lists pinned chats first, then by update time', () => {
+  expect(searchChats(chats, '').map(r => r.chat.id)).toEqual(['b', 'c', 'a']);
+});
+
+test('searches message text and filters by tag', () => {
+  const hits = searchChats(chats, 'sdk');
+  expect(hits.map(r => r.chat.id)).toEqual(['a']);
+  expect(hits[0].snippet).toContain('SDK Manager');
+  expect(searchChats(chats, '#jetson #power').map(r => r.chat.id)).toEqual(['c']);
+  expect(searchChats(chats, '#jetson flash').map(r => r.chat.id)).toEqual(['a']);
+});
+
+test('round-trips chats through JSON', () => {
+  const imported = parseImportedChats(chatsToJson(chats), 'chats.json');
+  expect(imported).toEqual(chats);
+});
+
+test('round-trips the active branch through Markdown', () => {
+  const withSystem = { ...chats[0], settings: { ...chats[0].settings, system: 'Be brief.' } };
+  const [imported] = parseImportedChats(chatToMarkdown(withSystem), 'chat.md');
+  expect(imported.title).toBe('Chat a');
+  expect(imported.tags).toEqual(['jetson']);
+  expect(imported.settings.system).toBe('Be brief.');
+  expect(getActiveMessages(imported.tree).map(({ role, content }) => ({ role, content }))).toEqual([
+    { role: 'user', content: 'How do I flash JetPack?' },
+    { role: 'assistant', content: 'Use the SDK Manager.' },
+  ]);
+});
+
+test('rejects files without chats', () => {
+  expect(() => parseImportedChats('not json', 'x.json')).toThrow(/neither/);
+  expect(() => parseImportedChats('{"chats": []}', 'x.json')).toThrow(/No chats/);
+});
+
+test('imports only new or newer entries', () => {
+  const newer = { ...chats[0], updated: 9999 };
+  const older = { ...chats[1], updated: 1 };
+  const fresh = chat('d', [{ role: 'user', content: 'new' }]);
+  expect(mergeImportedChats(chats, [newer, older, fresh]).map(c => c.id)).toEqual(['a', 'd']);
+});
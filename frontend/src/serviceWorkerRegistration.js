@@ -0,0 +1,18 @@
+// --- Offline app shell (see public/service-worker.js) ---
+// Only production builds register the worker; with `npm start` it would
+// serve stale bundles. Browsers allow service workers on HTTPS and on
+// localhost only, so on a plain-HTTP LAN address the panel still works but
+// isn't installable and needs the network to load.
+
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  if (!window.isSecureContext) {
+    console.info('Offline support needs HTTPS (see TLS_CERT / TLS_KEY in panel_server.js).');
+    return;
+  }
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(err => console.error('Service worker registration failed:', err));
+  });
+}
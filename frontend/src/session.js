@@ -0,0 +1,141 @@
+// --- Login session for the helper backend ---
+// The helper hands out a session token at login (see auth.py). It is kept in
+// localStorage and sent as `Authorization: Bearer …` on every helper call.
+// EventSource can't send headers, so event streams get a single-use
+// `?ticket=` from the helper instead; the token never appears in a URL.
+// panel_server.js checks the same session on its Ollama proxy (/ollama next
+// to /stats), so Ollama calls carry it too; an Ollama reached directly
+// through REACT_APP_OLLAMA_API_URL gets none.
+//
+// Every device of a fleet (see devices.js) has its own helper and users, so
+// each keeps its own session, looked up by the helper's base URL. The panel's
+// own helper (STATS_API_BASE_URL) is the default everywhere below.
+
+import { STATS_API_BASE_URL } from './apiConfig';
+
+const SESSION_KEY = 'panelSession_v1';
+// Sessions with other devices' helpers, by base URL
+const DEVICE_SESSIONS_KEY = 'deviceSessions_v1';
+
+export const ROLES = ['viewer', 'chatter', 'admin'];
+
+export const ROLE_DESCRIPTIONS = {
+  viewer: 'Read stats, models and saved chats',
+  chatter: 'Chat, save chats, preload and unload models',
+  admin: 'Pull and delete models, restart and reboot, manage users',
+};
+
+// True if `user` has at least `role`.
+export function hasRole(user, role) {
+  return Boolean(user) && ROLES.includes(role) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function isValid(session) {
+  return Boolean(session && session.token && session.expires * 1000 > Date.now());
+}
+
+function loadSession() {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_KEY) || 'null');
+    if (isValid(session)) return session;
+  } catch (_) { /* ignored */ }
+  return null;
+}
+
+function loadDeviceSessions() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(DEVICE_SESSIONS_KEY) || '{}');
+    return Object.fromEntries(Object.entries(saved).filter(([, s]) => isValid(s)));
+  } catch (_) {
+    return {};
+  }
+}
+
+let session = loadSession();
+let deviceSessions = loadDeviceSessions();
+const listeners = new Set();
+
+// null for the panel's own helper, otherwise the device's helper base URL
+function deviceKey(baseUrl) {
+  return !baseUrl || baseUrl === STATS_API_BASE_URL ? null : baseUrl;
+}
+
+// The Ollama proxy of the panel whose helper is at `base`
+function ollamaBesides(base) {
+  return base.replace(/\/stats$/, '/ollama');
+}
+
+// Base URL of the device helper `url` (or that panel's Ollama proxy)
+// belongs to, if it has a session.
+function deviceBaseFor(url) {
+  return Object.keys(deviceSessions).find(b => url.startsWith(`${b}/`) || url.startsWith(`${ollamaBesides(b)}/`)) || null;
+}
+
+// The session to send with `url`: the device whose helper it points at, or
+// the panel's own for same-origin paths and STATS_API_BASE_URL. Other
+// absolute URLs get none, so a token never goes to a helper that didn't
+// issue it.
+function sessionFor(url) {
+  const base = deviceBaseFor(url);
+  if (base) return deviceSessions[base];
+  const own = url.startsWith('/') || url === STATS_API_BASE_URL || url.startsWith(`${STATS_API_BASE_URL}/`);
+  return own ? session : null;
+}
+
+export function getSession(baseUrl) {
+  const key = deviceKey(baseUrl);
+  return key ? deviceSessions[key] || null : session;
+}
+
+// Store (or with null, forget) the session for the helper at `baseUrl` (the
+// panel's own by default) and tell subscribers.
+export function setSession(next, baseUrl) {
+  const key = deviceKey(baseUrl);
+  if (key) {
+    const { [key]: _dropped, ...rest } = deviceSessions;
+    deviceSessions = next ? { ...rest, [key]: next } : rest;
+    localStorage.setItem(DEVICE_SESSIONS_KEY, JSON.stringify(deviceSessions));
+  } else {
+    session = next;
+    if (next) localStorage.setItem(SESSION_KEY, JSON.stringify(next));
+    else localStorage.removeItem(SESSION_KEY);
+  }
+  listeners.forEach(listener => listener(next, key || STATS_API_BASE_URL));
+}
+
+// `listener(session, baseUrl)` runs on every login and logout, on any device.
+export function onSessionChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Headers for a request to `url` (the panel's own helper by default).
+export function authHeaders(headers = {}, url = STATS_API_BASE_URL) {
+  const current = sessionFor(url);
+  return current ? { ...headers, Authorization: `Bearer ${current.token}` } : headers;
+}
+
+// URL of the event stream at `path` on the helper at `baseUrl`, with a
+// stream ticket when there is a session for it. Rejects if the helper can't
+// be reached, like a stream that fails to open.
+export async function withStreamTicket(baseUrl, path) {
+  const url = `${baseUrl}${path}`;
+  if (!sessionFor(url)) return url;
+  const res = await helperFetch(`${baseUrl}/api/auth/stream-ticket`, { method: 'POST' });
+  if (!res.ok) throw new Error(`Helper responded with status ${res.status}`);
+  const { ticket } = await res.json();
+  return `${url}${url.includes('?') ? '&' : '?'}ticket=${encodeURIComponent(ticket)}`;
+}
+
+// fetch() for helper endpoints and the panel's Ollama proxy. A 401 means the
+// session has expired or was revoked, which sends the app back to the login
+// screen.
+export async function helperFetch(url, options = {}) {
+  const response = await fetch(url, { ...options, headers: authHeaders(options.headers, url) });
+  if (response.status === 401) {
+    const base = deviceBaseFor(url);
+    if (base) setSession(null, base);
+    else if (session) setSession(null);
+  }
+  return response;
+}
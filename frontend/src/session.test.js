@@ -0,0 +1,55 @@
+import { authHeaders, getSession, hasRole, setSession, withStreamTicket } from './session';
+
+const DEVICE = 'http://orin-2.local:3000/stats';
+
+afterEach(() => {
+  delete global.fetch;
+  setSession(null);
+  setSession(null, DEVICE);
+});
+
+test('roles include the ones below them', () => {
+  expect(hasRole({ role: 'admin' }, 'chatter')).toBe(true);
+  expect(hasRole({ role: 'chatter' }, 'chatter')).toBe(true);
+  expect(hasRole({ role: 'viewer' }, 'chatter')).toBe(false);
+  expect(hasRole(null, 'viewer')).toBe(false);
+  expect(hasRole({ role: 'viewer' }, 'root')).toBe(false);
+});
+
+test('adds the session token to headers', () => {
+  expect(authHeaders({ A: '1' })).toEqual({ A: '1' });
+
+  setSession({ token: 'a b', expires: Date.now() / 1000 + 60, user: { username: 'u', role: 'viewer' } });
+  expect(authHeaders({ A: '1' })).toEqual({ A: '1', Authorization: 'Bearer a b' });
+  expect(JSON.parse(localStorage.getItem('panelSession_v1')).token).toBe('a b');
+});
+
+test('opens streams with a ticket, never the session token', async () => {
+  global.fetch = jest.fn(async () => ({ ok: true, status: 200, json: async () => ({ ticket: 't 1' }) }));
+  expect(await withStreamTicket('/stats', '/api/x')).toBe('/stats/api/x');
+  expect(global.fetch).not.toHaveBeenCalled();
+
+  setSession({ token: 'secret', expires: Date.now() / 1000 + 60, user: { username: 'u', role: 'viewer' } });
+  expect(await withStreamTicket('/stats', '/api/x?y=1')).toBe('/stats/api/x?y=1&ticket=t%201');
+  expect(global.fetch).toHaveBeenCalledWith('/stats/api/auth/stream-ticket', { method: 'POST', headers: { Authorization: 'Bearer secret' } });
+});
+
+test('keeps a separate session per device helper', () => {
+  const expires = Date.now() / 1000 + 60;
+  setSession({ token: 'home', expires, user: { username: 'u', role: 'admin' } });
+  expect(authHeaders({}, `${DEVICE}/api/x`)).toEqual({});
+
+  setSession({ token: 'orin2', expires, user: { username: 'v', role: 'viewer' } }, DEVICE);
+  expect(getSession(DEVICE).user.username).toBe('v');
+  expect(getSession().user.username).toBe('u');
+  expect(authHeaders({}, `${DEVICE}/api/x`)).toEqual({ Authorization: 'Bearer orin2' });
+  expect(authHeaders({}, '/stats/api/x')).toEqual({ Authorization: 'Bearer home' });
+  // The device's Ollama proxy checks the same session
+  expect(authHeaders({}, 'http://orin-2.local:3000/ollama/api/ps')).toEqual({ Authorization: 'Bearer orin2' });
+  expect(authHeaders({}, '/ollama/api/ps')).toEqual({ Authorization: 'Bearer home' });
+  expect(JSON.parse(localStorage.getItem('deviceSessions_v1'))[DEVICE].token).toBe('orin2');
+
+  setSession(null, DEVICE);
+  expect(getSession(DEVICE)).toBeNull();
+  expect(getSession().token).toBe('home');
+});
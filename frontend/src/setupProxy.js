@@ -0,0 +1,10 @@
+// Picked up by `npm start` (Create React App dev server): proxy /ollama and
+// /stats the same way panel_server.js does in production, so the app's
+// relative API paths work in development too, with the same session checks
+// on /ollama.
+const { UPSTREAMS, ollamaProxy, proxyTo } = require('../../panel_server');
+
+module.exports = function setupProxy(app) {
+  app.use('/ollama', ollamaProxy());
+  app.use('/stats', proxyTo(UPSTREAMS['/stats']));
+};
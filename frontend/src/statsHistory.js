@@ -0,0 +1,96 @@
+// --- Rolling buffer of system-stats samples ---
+// The stats helper only ever reports the current moment; the frontend keeps a
+// time-bounded buffer of samples so resource usage can be charted over time
+// and correlated with chat / pull events.
+
+export const HISTORY_WINDOW_OPTIONS = [
+  { label: '1 min', ms: 60 * 1000 },
+  { label: '5 min', ms: 5 * 60 * 1000 },
+  { label: '10 min', ms: 10 * 60 * 1000 },
+  { label: '30 min', ms: 30 * 60 * 1000 },
+];
+
+export const DEFAULT_HISTORY_WINDOW_MS = 10 * 60 * 1000;
+
+// Series drawn on the history chart. Every series is plotted on a 0–100 axis;
+// `percent` maps a sample to that axis and `format` renders the real value.
+export const HISTORY_SERIES = [
+  {
+    key: 'cpu', label: 'CPU', color: '#22c55e',
+    percent: s => s.cpu_usage_percent,
+    format: s => `${Math.round(s.cpu_usage_percent ?? 0)}%`,
+  },
+  {
+    key: 'gpu', label: 'GPU', color: '#3b82f6',
+    percent: s => s.gpu_usage_percent,
+    format: s => `${Math.round(s.gpu_usage_percent ?? 0)}%`,
+  },
+  {
+    key: 'ram', label: 'RAM', color: '#eab308',
+    percent: s => (s.ram_total_gb ? (s.ram_used_gb / s.ram_total_gb) * 100 : undefined),
+    format: s => `${(s.ram_used_gb ?? 0).toFixed(2)} GB`,
+  },
+  {
+    key: 'temp', label: 'Temp', color: '#ef4444',
+    percent: s => s.soc_temp_c,
+    format: s => `${(s.soc_temp_c ?? 0).toFixed(1)}°C`,
+  },
+];
+
+// Columns written to the CSV export, in order.
+export const CSV_COLUMNS = [
+  'cpu_usage_percent',
+  'gpu_usage_percent',
+  'ram_used_gb',
+  'ram_total_gb',
+  'soc_temp_c',
+  'gpu_freq_mhz',
+  'emc_usage_percent',
+  'swap_used_mb',
+  'power_total_mw',
+];
+
+// Drop entries older than `windowMs` relative to `now`. Entries must carry a
+// numeric `t` (epoch milliseconds) and be ordered oldest first.
+export function trimToWindow(entries, windowMs, now = Date.now()) {
+  const cutoff = now - windowMs;
+  let i = 0;
+  while (i < entries.length && entries[i].t < cutoff) i++;
+  return i === 0 ? entries : entries.slice(i);
+}
+
+// Append a sample and trim the buffer in one step.
+export function appendSample(buffer, sample, windowMs) {
+  return trimToWindow([...buffer, sample], windowMs, sample.t);
+}
+
+export function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const str = String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Serialise samples and timeline events into one CSV, ordered by time.
+// Event rows leave the metric columns empty and fill in `event`.
+export function historyToCsv(samples, events = [], columns = CSV_COLUMNS) {
+  const header = ['timestamp', 'epoch_ms', ...columns, 'event'];
+  const rows = [
+    ...samples.map(s => ({ t: s.t, cells: columns.map(c => s[c]), event: '' })),
+    ...events.map(e => ({ t: e.t, cells: columns.map(() => ''), event: `${e.type}: ${e.label}` })),
+  ].sort((a, b) => a.t - b.t);
+  const lines = rows.map(r => [new Date(r.t).toISOString(), r.t, ...r.cells, r.event].map(csvCell).join(','));
+  return [header.join(','), ...lines].join('\n');
+}
+
+// Trigger a browser download for some text content.
+export function downloadText(filename, text, mime = 'text/csv') {
+  const blob = new Blob([text], { type: `${mime};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,23 @@
+import { appendSample, historyToCsv } from './statsHistory';
+
+test('drops samples that fall out of the rolling window', () => {
+  let buffer = [];
+  buffer = appendSample(buffer, { t: 0, cpu_usage_percent: 1 }, 1000);
+  buffer = appendSample(buffer, { t: 600, cpu_usage_percent: 2 }, 1000);
+  buffer = appendSample(buffer, { t: 1500, cpu_usage_percent: 3 }, 1000);
+  expect(buffer.map(s => s.t)).toEqual([600, 1500]);
+});
+
+test('exports samples and events ordered by time', () => {
+  const csv = historyToCsv(
+    [{ t: 0, cpu_usage_percent: 10 }, { t: 2000, cpu_usage_percent: 20 }],
+    [{ t: 1000, type: 'chat', label: 'Prompt → gemma:2b, short' }],
+    ['cpu_usage_percent'],
+  );
+  expect(csv.split('\n')).toEqual([
+    'timestamp,epoch_ms,cpu_usage_percent,event',
+    '1970-01-01T00:00:00.000Z,0,10,',
+    '1970-01-01T00:00:01.000Z,1000,,"chat: Prompt → gemma:2b, short"',
+    '1970-01-01T00:00:02.000Z,2000,20,',
+  ]);
+});
@@ -0,0 +1,158 @@
+// --- Structured output (Ollama's `format`) ---
+// The chat setting `format` is '' for free text, 'json' for any JSON or the
+// text of a JSON Schema. Replies are checked against it when they finish and
+// re-requested (with the problems listed) up to `format_retries` times.
+//
+// validateJson() covers the schema keywords Ollama itself turns into a
+// grammar: type, enum, const, properties, required, additionalProperties,
+// items, min/max lengths and bounds, pattern, anyOf/oneOf/allOf and local
+// $refs (as generated by e.g. pydantic).
+
+export const DEFAULT_FORMAT_RETRIES = 2;
+export const MAX_FORMAT_RETRIES = 5;
+
+export const EXAMPLE_SCHEMA = `{
+  "type": "object",
+  "properties": {
+    "name": { "type": "string" },
+    "age": { "type": "integer" }
+  },
+  "required": ["name", "age"]
+}`;
+
+// Which kind of output the setting asks for: 'text', 'json' or 'schema'.
+export function formatMode(format) {
+  const value = String(format || '').trim();
+  if (value === '') return 'text';
+  return value === 'json' ? 'json' : 'schema';
+}
+
+// The setting as Ollama's `format` value: 'json', a schema object, or null
+// for free text. Returns `{ format }` or `{ error }` for a broken schema.
+export function parseFormat(format) {
+  const mode = formatMode(format);
+  if (mode === 'text') return { format: null };
+  if (mode === 'json') return { format: 'json' };
+  try {
+    const schema = JSON.parse(format);
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) return { error: 'The schema must be a JSON object.' };
+    return { format: schema };
+  } catch (err) {
+    return { error: `The schema is not valid JSON: ${err.message}` };
+  }
+}
+
+export function formatRetries(settings) {
+  const n = parseInt(settings?.format_retries, 10);
+  return Number.isNaN(n) ? DEFAULT_FORMAT_RETRIES : Math.min(MAX_FORMAT_RETRIES, Math.max(0, n));
+}
+
+// Own keys only: `in` would also find Object.prototype members (toString …)
+const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const resolveRef = (ref, root) => {
+  if (!ref.startsWith('#')) throw new Error(`Only local $refs are supported (${ref})`);
+  return ref.slice(1).split('/').filter(Boolean)
+    .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, part) => {
+      if (!node || typeof node !== 'object' || !has(node, part)) throw new Error(`Unresolved $ref ${ref}`);
+      return node[part];
+    }, root);
+};
+
+// Problems with `value` against `schema`, as ["$.path: message", …]; an
+// empty list means it matches.
+export function validateJson(value, schema, root = schema, path = '$') {
+  if (schema === true || schema === undefined) return [];
+  if (schema === false) return [`${path}: no value is allowed here`];
+  if (schema.$ref) return validateJson(value, resolveRef(schema.$ref, root), root, path);
+
+  const errors = [];
+  const fail = message => errors.push(`${path}: ${message}`);
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      fail(`expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.some(v => JSON.stringify(v) === JSON.stringify(value))) {
+    fail(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+  if (has(schema, 'const') && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`shorter than ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`longer than ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) fail(`does not match /${schema.pattern}/`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`less than ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`greater than ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`not greater than ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail(`not less than ${schema.exclusiveMaximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`fewer than ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`more than ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validateJson(item, schema.items, root, `${path}[${i}]`)));
+  }
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((key) => {
+      if (!has(value, key)) fail(`missing required property "${key}"`);
+    });
+    Object.entries(value).forEach(([key, v]) => {
+      const childPath = `${path}.${key}`;
+      if (has(properties, key)) errors.push(...validateJson(v, properties[key], root, childPath));
+      else if (schema.additionalProperties === false) fail(`unexpected property "${key}"`);
+      else if (typeof schema.additionalProperties === 'object') errors.push(...validateJson(v, schema.additionalProperties, root, childPath));
+    });
+  }
+
+  if (schema.allOf) schema.allOf.forEach(s => errors.push(...validateJson(value, s, root, path)));
+  if (schema.anyOf && !schema.anyOf.some(s => validateJson(value, s, root, path).length === 0)) {
+    fail('matches none of the allowed shapes (anyOf)');
+  }
+  if (schema.oneOf && schema.oneOf.filter(s => validateJson(value, s, root, path).length === 0).length !== 1) {
+    fail('must match exactly one allowed shape (oneOf)');
+  }
+  return errors;
+}
+
+// Check a finished reply. Returns `{ value, errors }`; `value` is undefined
+// when the text isn't JSON at all.
+export function checkStructuredReply(content, format) {
+  let value;
+  try {
+    value = JSON.parse(content);
+  } catch (err) {
+    return { value: undefined, errors: [`Not valid JSON: ${err.message}`] };
+  }
+  if (!format || format === 'json') return { value, errors: [] };
+  try {
+    return { value, errors: validateJson(value, format) };
+  } catch (err) {
+    return { value, errors: [err.message] };
+  }
+}
+
+// What the model is told when a retry is needed.
+export function retryPrompt(errors) {
+  return `Your reply did not match the required JSON schema:\n${errors.map(e => `- ${e}`).join('\n')}\n\nReply again with only JSON that matches the schema.`;
+}
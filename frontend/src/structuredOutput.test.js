@@ -0,0 +1,77 @@
+import { checkStructuredReply, formatMode, formatRetries, parseFormat, validateJson } from './structuredOutput';
+import { buildChatRequestBody } from './ChatSettings';
+
+const person = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    age: { type: 'integer', minimum: 0 },
+    role: { enum: ['admin', 'user'] },
+    tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+  },
+  required: ['name', 'age'],
+  additionalProperties: false,
+};
+
+test('reads the format setting', () => {
+  expect(formatMode('')).toBe('text');
+  expect(formatMode('json')).toBe('json');
+  expect(formatMode('{"type":"object"}')).toBe('schema');
+  expect(parseFormat('  ')).toEqual({ format: null });
+  expect(parseFormat('{"type":"object"}')).toEqual({ format: { type: 'object' } });
+  expect(parseFormat('{').error).toMatch(/not valid JSON/);
+  expect(parseFormat('[1]').error).toMatch(/JSON object/);
+  expect(formatRetries({ format_retries: '' })).toBe(2);
+  expect(formatRetries({ format_retries: '0' })).toBe(0);
+  expect(formatRetries({ format_retries: '99' })).toBe(5);
+});
+
+test('a matching value has no problems', () => {
+  expect(validateJson({ name: 'Ada', age: 36, role: 'admin', tags: ['x'] }, person)).toEqual([]);
+});
+
+test('lists every problem with its path', () => {
+  expect(validateJson({ name: '', age: 3.5, role: 'root', tags: ['a', 1, 'c'], extra: true }, person)).toEqual([
+    '$.name: shorter than 1 characters',
+    '$.age: expected integer, got number',
+    '$.role: must be one of "admin", "user"',
+    '$.tags: more than 2 items',
+    '$.tags[1]: expected string, got integer',
+    '$: unexpected property "extra"',
+  ]);
+  expect(validateJson({}, person)).toEqual(['$: missing required property "name"', '$: missing required property "age"']);
+});
+
+test('ignores keys inherited from Object.prototype', () => {
+  expect(validateJson({}, { type: 'object', required: ['toString'] })).toEqual(['$: missing required property "toString"']);
+  const closed = { type: 'object', properties: { a: { type: 'string' } }, additionalProperties: false };
+  expect(validateJson(JSON.parse('{"constructor": 1}'), closed)).toEqual(['$: unexpected property "constructor"']);
+  expect(() => validateJson({}, { $ref: '#/constructor' })).toThrow('Unresolved $ref');
+});
+
+test('follows local $refs and anyOf', () => {
+  const schema = {
+    $defs: { Point: { type: 'object', properties: { x: { type: 'number' } }, required: ['x'] } },
+    type: 'object',
+    properties: { at: { $ref: '#/$defs/Point' }, note: { anyOf: [{ type: 'string' }, { type: 'null' }] } },
+  };
+  expect(validateJson({ at: { x: 1.5 }, note: null }, schema)).toEqual([]);
+  expect(validateJson({ at: {}, note: 3 }, schema)).toEqual([
+    '$.at: missing required property "x"',
+    '$.note: matches none of the allowed shapes (anyOf)',
+  ]);
+});
+
+test('checks finished replies', () => {
+  expect(checkStructuredReply('{"a":1}', 'json')).toEqual({ value: { a: 1 }, errors: [] });
+  expect(checkStructuredReply('Sure! {"a":1}', 'json').errors[0]).toMatch(/^Not valid JSON/);
+  expect(checkStructuredReply('{"name":"Ada"}', person).errors).toEqual(['$: missing required property "age"']);
+});
+
+test('sends the format with the request', () => {
+  const messages = [{ role: 'user', content: 'hi' }];
+  expect(buildChatRequestBody('m', messages, { format: 'json' }).format).toBe('json');
+  expect(buildChatRequestBody('m', messages, { format: JSON.stringify(person) }).format).toEqual(person);
+  expect(buildChatRequestBody('m', messages, {}).format).toBeUndefined();
+  expect(buildChatRequestBody('m', messages, { format_retries: '3' }).options).toBeUndefined();
+});
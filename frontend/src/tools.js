@@ -0,0 +1,250 @@
+import { helperFetch } from './session';
+
+// --- Tool calling ---
+// Tools are offered to the model through Ollama's `tools` parameter. When a
+// reply asks for tool calls, the browser runs them, sends the results back as
+// `tool` messages and asks again, until the model answers without calling a
+// tool (or MAX_TOOL_ROUNDS is reached).
+//
+// A reply keeps its calls as `toolSteps: [{ round, name, arguments, result,
+// error }]` on the assistant message; toolStepMessages() turns them back into
+// the assistant/tool messages Ollama expects when the chat continues.
+//
+// Built-in tools run in the browser. Custom tools are a JSON-schema
+// description plus an HTTP endpoint that receives the arguments.
+
+export const MAX_TOOL_ROUNDS = 5;
+// Longest tool result passed back to the model (characters)
+const MAX_RESULT_LENGTH = 4000;
+const TOOL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_-]{0,63}$/;
+
+// --- Calculator: a small expression parser (no eval) ---
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt, abs: Math.abs, round: Math.round, floor: Math.floor, ceil: Math.ceil,
+  sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan,
+  exp: Math.exp, ln: Math.log, log: Math.log10, log2: Math.log2, min: Math.min, max: Math.max, pow: Math.pow,
+};
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+// Own keys only: `in` would also find Object.prototype members (constructor …)
+const has = (table, name) => Object.prototype.hasOwnProperty.call(table, name);
+
+export function evaluateExpression(expression) {
+  const tokens = String(expression).match(/\d+\.?\d*(?:e[+-]?\d+)?|\.\d+|[a-z_][a-z0-9_]*|\*\*|[-+*/%^(),]|\S/gi) || [];
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const expect = (t) => {
+    if (next() !== t) throw new Error(`Expected "${t}" in ${expression}`);
+  };
+
+  // expr := term (('+' | '-') term)*
+  const parseExpr = () => {
+    let value = parseTerm();
+    while (peek() === '+' || peek() === '-') value = next() === '+' ? value + parseTerm() : value - parseTerm();
+    return value;
+  };
+  // term := unary (('*' | '/' | '%') unary)*
+  const parseTerm = () => {
+    let value = parseUnary();
+    while (['*', '/', '%'].includes(peek())) {
+      const op = next();
+      const rhs = parseUnary();
+      value = op === '*' ? value * rhs : op === '/' ? value / rhs : value % rhs;
+    }
+    return value;
+  };
+  // unary := ('-' | '+') unary | power
+  const parseUnary = () => {
+    if (peek() === '-') { next(); return -parseUnary(); }
+    if (peek() === '+') { next(); return parseUnary(); }
+    return parsePower();
+  };
+  // power := primary (('^' | '**') unary)?   (right-associative)
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (peek() === '^' || peek() === '**') { next(); return base ** parseUnary(); }
+    return base;
+  };
+  const parsePrimary = () => {
+    const token = next();
+    if (token === undefined) throw new Error(`Unexpected end of ${expression}`);
+    if (token === '(') {
+      const value = parseExpr();
+      expect(')');
+      return value;
+    }
+    if (/^[\d.]/.test(token)) return parseFloat(token);
+    const name = token.toLowerCase();
+    if (has(CONSTANTS, name)) return CONSTANTS[name];
+    if (has(FUNCTIONS, name)) {
+      expect('(');
+      const args = [parseExpr()];
+      while (peek() === ',') { next(); args.push(parseExpr()); }
+      expect(')');
+      return FUNCTIONS[name](...args);
+    }
+    throw new Error(`Unknown "${token}" in ${expression}`);
+  };
+
+  const value = parseExpr();
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos]}" in ${expression}`);
+  return value;
+}
+
+// --- Built-in tools ---
+// `run(args, context)` gets { ollamaBaseUrl, statsBaseUrl } as context.
+
+export const BUILTIN_TOOLS = [
+  {
+    name: 'calculator',
+    description: 'Evaluate an arithmetic expression. Supports + - * / % ^, parentheses, pi, e and sqrt, abs, round, floor, ceil, sin, cos, tan, asin, acos, atan, exp, ln, log (base 10), log2, min, max, pow.',
+    parameters: {
+      type: 'object',
+      properties: { expression: { type: 'string', description: 'The expression, e.g. "(3.5 + 2) * 4^2"' } },
+      required: ['expression'],
+    },
+    run: ({ expression }) => String(evaluateExpression(expression)),
+  },
+  {
+    name: 'current_time',
+    description: 'Get the current date and time in the user\'s time zone.',
+    parameters: { type: 'object', properties: {} },
+    run: () => {
+      const now = new Date();
+      return JSON.stringify({
+        local: now.toString(),
+        iso: now.toISOString(),
+        time_zone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      });
+    },
+  },
+  {
+    name: 'jetson_stats',
+    description: 'Read the live system stats of the Jetson this model runs on: CPU and GPU load, RAM and swap, temperatures, power rails and clocks.',
+    parameters: { type: 'object', properties: {} },
+    run: async (_, { statsBaseUrl }) => {
+      const res = await helperFetch(`${statsBaseUrl}/api/system-stats`);
+      const text = await res.text();
+      if (!res.ok) throw new Error(`Stats helper responded with status ${res.status}`);
+      return text;
+    },
+  },
+  {
+    name: 'list_models',
+    description: 'List the models installed in Ollama on this device, with size and which are loaded in memory right now.',
+    parameters: { type: 'object', properties: {} },
+    run: async (_, { ollamaBaseUrl }) => {
+      const [tags, ps] = await Promise.all(['/api/tags', '/api/ps'].map(async (path) => {
+        const res = await helperFetch(`${ollamaBaseUrl}${path}`);
+        if (!res.ok) throw new Error(`Ollama responded with status ${res.status}`);
+        return res.json();
+      }));
+      const loaded = new Set((ps.models || []).map(m => m.name || m.model));
+      return JSON.stringify((tags.models || []).map(m => ({
+        name: m.name,
+        size_gb: Number((m.size / 1e9).toFixed(2)),
+        parameters: m.details?.parameter_size,
+        quantization: m.details?.quantization_level,
+        loaded: loaded.has(m.name),
+      })));
+    },
+  },
+];
+
+// --- Custom HTTP tools ---
+
+// Check a custom tool from the editor. Returns `{ tool }` or `{ error }`.
+// `parameters` arrives as JSON text.
+export function parseCustomTool(draft, takenNames = []) {
+  const name = String(draft.name || '').trim();
+  if (!TOOL_NAME_PATTERN.test(name)) return { error: 'Names use letters, digits, "_" or "-" and start with a letter.' };
+  if (takenNames.includes(name)) return { error: `A tool called ${name} already exists.` };
+  const description = String(draft.description || '').trim();
+  if (!description) return { error: 'Describe what the tool does; the model decides from this text.' };
+  const url = String(draft.url || '').trim();
+  if (!/^https?:\/\//.test(url)) return { error: 'The endpoint must be an http:// or https:// URL.' };
+  let parameters;
+  try {
+    parameters = JSON.parse(draft.parameters || '{}');
+  } catch (err) {
+    return { error: `Parameters are not valid JSON: ${err.message}` };
+  }
+  if (!parameters || parameters.type !== 'object') return { error: 'Parameters must be a JSON schema with "type": "object".' };
+  const method = draft.method === 'GET' ? 'GET' : 'POST';
+  return { tool: { name, description, parameters, url, method } };
+}
+
+// GET sends the arguments as query parameters, POST as a JSON body. The
+// response body (any text) is the result.
+async function callHttpTool(tool, args) {
+  let url = tool.url;
+  const init = { method: tool.method };
+  if (tool.method === 'GET') {
+    const query = new URLSearchParams(Object.entries(args).map(([k, v]) => [k, typeof v === 'string' ? v : JSON.stringify(v)]));
+    if (query.toString()) url += `${url.includes('?') ? '&' : '?'}${query}`;
+  } else {
+    init.headers = { 'Content-Type': 'application/json' };
+    init.body = JSON.stringify(args);
+  }
+  const res = await fetch(url, init);
+  const text = await res.text();
+  if (!res.ok) throw new Error(`${tool.url} responded with status ${res.status}: ${text.slice(0, 200)}`);
+  return text;
+}
+
+// --- Running calls ---
+
+export function toolDefinition(tool) {
+  return { type: 'function', function: { name: tool.name, description: tool.description, parameters: tool.parameters } };
+}
+
+// Arguments arrive as an object; some models send a JSON string instead.
+export function parseToolArguments(raw) {
+  if (raw && typeof raw === 'object') return raw;
+  try {
+    const parsed = JSON.parse(raw || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+// Run one call from the model against `tools`; never throws, failures become
+// the step's `error` so the model can see what went wrong.
+export async function runToolCall(call, tools, context, round) {
+  const name = call.function?.name || '';
+  const args = parseToolArguments(call.function?.arguments);
+  const step = { round, name, arguments: args, result: null, error: null };
+  const tool = tools.find(t => t.name === name);
+  try {
+    if (!tool) throw new Error(`There is no tool called ${name}.`);
+    const result = tool.url ? await callHttpTool(tool, args) : await tool.run(args, context);
+    const text = typeof result === 'string' ? result : JSON.stringify(result);
+    step.result = text.length > MAX_RESULT_LENGTH ? `${text.slice(0, MAX_RESULT_LENGTH)}… (truncated)` : text;
+  } catch (err) {
+    step.error = err.message || String(err);
+  }
+  return step;
+}
+
+// The assistant `tool_calls` and `tool` result messages for the stored steps,
+// one pair of groups per round, as Ollama expects them in the history.
+export function toolStepMessages(steps) {
+  const messages = [];
+  const rounds = [...new Set((steps || []).map(s => s.round))].sort((a, b) => a - b);
+  rounds.forEach((round) => {
+    const calls = steps.filter(s => s.round === round);
+    messages.push({
+      role: 'assistant',
+      content: '',
+      tool_calls: calls.map(s => ({ function: { name: s.name, arguments: s.arguments } })),
+    });
+    calls.forEach(s => messages.push({
+      role: 'tool',
+      content: s.error ? `Error: ${s.error}` : s.result,
+      tool_name: s.name,
+    }));
+  });
+  return messages;
+}
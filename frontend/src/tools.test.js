@@ -0,0 +1,63 @@
+import { evaluateExpression, parseCustomTool, parseToolArguments, runToolCall, toolStepMessages } from './tools';
+import { modelCapabilities } from './useModelCapabilities';
+
+test('calculator follows operator precedence', () => {
+  expect(evaluateExpression('2 + 3 * 4')).toBe(14);
+  expect(evaluateExpression('(2 + 3) * 4')).toBe(20);
+  expect(evaluateExpression('2 ^ 3 ^ 2')).toBe(512);
+  expect(evaluateExpression('-2^2')).toBe(-4);
+  expect(evaluateExpression('10 % 4 + .5')).toBe(2.5);
+  expect(evaluateExpression('sqrt(16) + max(1, 7, 3)')).toBe(11);
+  expect(evaluateExpression('2 * PI')).toBeCloseTo(6.2832, 4);
+  expect(evaluateExpression('1.5e3 / 3')).toBe(500);
+});
+
+test('calculator rejects anything else', () => {
+  expect(() => evaluateExpression('alert(1)')).toThrow('Unknown "alert"');
+  expect(() => evaluateExpression('2 +')).toThrow('Unexpected end');
+  expect(() => evaluateExpression('(1 + 2')).toThrow('Expected ")"');
+  expect(() => evaluateExpression('1 2')).toThrow('Unexpected "2"');
+  expect(() => evaluateExpression('constructor')).toThrow('Unknown "constructor"');
+  expect(() => evaluateExpression('toString(1)')).toThrow('Unknown "toString"');
+  expect(() => evaluateExpression('__proto__ + 1')).toThrow('Unknown "__proto__"');
+});
+
+test('runs a call and reports failures as the step error', async () => {
+  const tools = [{ name: 'echo', run: args => args }, { name: 'boom', run: () => { throw new Error('broken'); } }];
+  expect(await runToolCall({ function: { name: 'echo', arguments: '{"a":1}' } }, tools, {}, 0))
+    .toEqual({ round: 0, name: 'echo', arguments: { a: 1 }, result: '{"a":1}', error: null });
+  expect((await runToolCall({ function: { name: 'boom', arguments: {} } }, tools, {}, 1)).error).toBe('broken');
+  expect((await runToolCall({ function: { name: 'nope' } }, tools, {}, 1)).error).toBe('There is no tool called nope.');
+});
+
+test('tool arguments may be a JSON string', () => {
+  expect(parseToolArguments({ x: 1 })).toEqual({ x: 1 });
+  expect(parseToolArguments('{"x":1}')).toEqual({ x: 1 });
+  expect(parseToolArguments('not json')).toEqual({});
+});
+
+test('groups steps into one call message per round', () => {
+  const steps = [
+    { round: 0, name: 'a', arguments: {}, result: '1', error: null },
+    { round: 0, name: 'b', arguments: {}, result: null, error: 'down' },
+    { round: 1, name: 'a', arguments: { x: 2 }, result: '2', error: null },
+  ];
+  expect(toolStepMessages(steps).map(m => [m.role, m.tool_calls ? m.tool_calls.length : m.content])).toEqual([
+    ['assistant', 2], ['tool', '1'], ['tool', 'Error: down'], ['assistant', 1], ['tool', '2'],
+  ]);
+});
+
+test('validates custom tools', () => {
+  const draft = { name: 'weather', description: 'Weather for a city', url: 'http://localhost:9000/weather', method: 'GET', parameters: '{"type":"object","properties":{"city":{"type":"string"}}}' };
+  expect(parseCustomTool(draft).tool).toMatchObject({ name: 'weather', method: 'GET', parameters: { type: 'object' } });
+  expect(parseCustomTool(draft, ['weather']).error).toMatch(/already exists/);
+  expect(parseCustomTool({ ...draft, name: '1 bad' }).error).toMatch(/Names/);
+  expect(parseCustomTool({ ...draft, url: 'ftp://x' }).error).toMatch(/URL/);
+  expect(parseCustomTool({ ...draft, parameters: '{' }).error).toMatch(/not valid JSON/);
+  expect(parseCustomTool({ ...draft, parameters: '{"type":"string"}' }).error).toMatch(/"type": "object"/);
+});
+
+test('older Ollama: a template using .Tools means tool support', () => {
+  expect(modelCapabilities({ template: '{{ if .Tools }}…{{ end }}' })).toContain('tools');
+  expect(modelCapabilities({ template: '{{ .Prompt }}' })).not.toContain('tools');
+});
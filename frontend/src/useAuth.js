@@ -0,0 +1,83 @@
+import { useCallback, useEffect, useState } from 'react';
+import { getSession, helperFetch, onSessionChange, setSession } from './session';
+
+// --- Login state ---
+//   'checking' – asking the helper whether the stored session is still valid
+//   'setup'    – no users yet: the first account becomes the admin
+//   'login'    – show the login form
+//   'ready'    – `user` is logged in
+//
+// If the helper can't be reached while a stored session exists, the app
+// starts with the stored user so cached chats stay usable offline.
+//
+// `baseUrl` is the helper of the active device; each device has its own
+// session (see session.js), so App remounts this per device.
+
+export default function useAuth(baseUrl) {
+  const [status, setStatus] = useState(getSession(baseUrl) ? 'checking' : 'login');
+  const [user, setUser] = useState(getSession(baseUrl)?.user || null);
+  const [error, setError] = useState(null);
+
+  const check = useCallback(async () => {
+    const stored = getSession(baseUrl);
+    try {
+      if (stored) {
+        const res = await helperFetch(`${baseUrl}/api/auth/me`);
+        if (res.ok) {
+          const data = await res.json();
+          setSession({ ...stored, user: data.user }, baseUrl);
+          return;
+        }
+      }
+      const res = await fetch(`${baseUrl}/api/auth/status`);
+      const data = await res.json();
+      setStatus(data.setup_required ? 'setup' : 'login');
+    } catch (err) {
+      if (getSession(baseUrl)) {
+        setStatus('ready');
+      } else {
+        setStatus('login');
+        setError('Could not connect to the stats helper. Is it running?');
+      }
+    }
+  }, [baseUrl]);
+
+  useEffect(() => {
+    check();
+  }, [check]);
+
+  // Follow logins, logouts and sessions the helper rejected (see helperFetch).
+  useEffect(() => onSessionChange((next, changedUrl) => {
+    if (changedUrl !== baseUrl) return;
+    setUser(next ? next.user : null);
+    setStatus(next ? 'ready' : 'login');
+  }), [baseUrl]);
+
+  const submit = useCallback(async (path, username, password) => {
+    setError(null);
+    try {
+      const res = await fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `Helper responded with status ${res.status}`);
+      setSession({ token: data.token, expires: data.expires, user: data.user }, baseUrl);
+    } catch (err) {
+      setError(err instanceof TypeError ? 'Could not connect to the stats helper. Is it running?' : err.message);
+    }
+  }, [baseUrl]);
+
+  const login = useCallback((username, password) => submit('/api/auth/login', username, password), [submit]);
+  const setup = useCallback((username, password) => submit('/api/auth/setup', username, password), [submit]);
+
+  const logout = useCallback(async () => {
+    try {
+      await helperFetch(`${baseUrl}/api/auth/logout`, { method: 'POST' });
+    } catch (_) { /* the local session is dropped either way */ }
+    setSession(null, baseUrl);
+  }, [baseUrl]);
+
+  return { status, user, error, login, setup, logout };
+}
@@ -0,0 +1,30 @@
+import { useCallback, useEffect, useState } from 'react';
+
+// --- Saved benchmark baselines ---
+// A baseline is a finished run: { id, name, created, models, prompts,
+// settings, rows, summary } (see benchmark.js). Kept in this browser's
+// localStorage; rows hold prompt previews and numbers only, no replies.
+
+const STORAGE_KEY = 'benchmarkBaselines_v1';
+
+function loadBaselines() {
+  try {
+    const list = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+export default function useBenchmarkBaselines() {
+  const [baselines, setBaselines] = useState(loadBaselines);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(baselines));
+  }, [baselines]);
+
+  const saveBaseline = useCallback((entry) => setBaselines(prev => [entry, ...prev]), []);
+  const deleteBaseline = useCallback((id) => setBaselines(prev => prev.filter(b => b.id !== id)), []);
+
+  return { baselines, saveBaseline, deleteBaseline };
+}
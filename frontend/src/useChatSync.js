@@ -0,0 +1,79 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { syncChats } from './chatSync';
+
+// --- Background saved-chat sync ---
+// Runs a sync round (see chatSync.js) when asked, every 30 s, and when the
+// tab regains focus or the network comes back. Rounds never overlap: a
+// request during a round schedules one more round after it.
+//
+// `getChats()` returns the current local entries, or null while they are
+// still loading; `onResult(result)` applies a finished round.
+
+const SYNC_INTERVAL_MS = 30000;
+
+export const CHAT_SYNC_LABELS = {
+  idle: 'Not synced yet',
+  syncing: 'Syncing…',
+  synced: 'Synced with the Jetson',
+  offline: 'Offline – changes are kept in this browser',
+  error: 'Sync failed',
+};
+
+export default function useChatSync(baseUrl, { getChats, onResult }) {
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+  const [lastSynced, setLastSynced] = useState(null);
+  const runningRef = useRef(false);
+  const againRef = useRef(false);
+  const callbacksRef = useRef({ getChats, onResult });
+  callbacksRef.current = { getChats, onResult };
+
+  const requestSync = useCallback(async () => {
+    if (runningRef.current) {
+      againRef.current = true;
+      return;
+    }
+    runningRef.current = true;
+    try {
+      do {
+        againRef.current = false;
+        const chats = callbacksRef.current.getChats();
+        if (!chats) break;
+        setStatus('syncing');
+        try {
+          const result = await syncChats(baseUrl, chats);
+          callbacksRef.current.onResult(result);
+          setStatus('synced');
+          setError(null);
+          setLastSynced(Date.now());
+        } catch (err) {
+          // fetch() rejects with a TypeError when the helper can't be reached.
+          if (err instanceof TypeError) {
+            setStatus('offline');
+            setError(null);
+          } else {
+            console.error('Chat sync failed:', err);
+            setStatus('error');
+            setError(err.message);
+          }
+          break;
+        }
+      } while (againRef.current);
+    } finally {
+      runningRef.current = false;
+    }
+  }, [baseUrl]);
+
+  useEffect(() => {
+    const timer = setInterval(requestSync, SYNC_INTERVAL_MS);
+    window.addEventListener('online', requestSync);
+    window.addEventListener('focus', requestSync);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener('online', requestSync);
+      window.removeEventListener('focus', requestSync);
+    };
+  }, [requestSync]);
+
+  return { status, error, lastSynced, requestSync };
+}
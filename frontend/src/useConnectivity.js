@@ -0,0 +1,67 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// --- Is Ollama reachable? ---
+// Asks Ollama for its version now and then (more often while it is down)
+// and follows the browser's online / offline events. The stats helper has
+// its own state in useStatsStream. `status` is 'checking', 'online' or
+// 'offline'; call `check()` after a request failed to find out sooner.
+
+const ONLINE_POLL_MS = 15000;
+const OFFLINE_POLL_MS = 5000;
+const CHECK_TIMEOUT_MS = 4000;
+
+export default function useConnectivity(ollamaBaseUrl) {
+  const [browserOnline, setBrowserOnline] = useState(() => navigator.onLine !== false);
+  const [status, setStatus] = useState('checking');
+  const mountedRef = useRef(true);
+
+  const check = useCallback(async () => {
+    if (navigator.onLine === false) {
+      setStatus('offline');
+      return;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), CHECK_TIMEOUT_MS);
+    try {
+      const res = await fetch(`${ollamaBaseUrl}/api/version`, { signal: controller.signal, cache: 'no-store' });
+      if (mountedRef.current) setStatus(res.ok ? 'online' : 'offline');
+    } catch (_) {
+      if (mountedRef.current) setStatus('offline');
+    } finally {
+      clearTimeout(timer);
+    }
+  }, [ollamaBaseUrl]);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => { mountedRef.current = false; };
+  }, []);
+
+  useEffect(() => {
+    const goOnline = () => {
+      setBrowserOnline(true);
+      check();
+    };
+    const goOffline = () => {
+      setBrowserOnline(false);
+      setStatus('offline');
+    };
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+    };
+  }, [check]);
+
+  useEffect(() => {
+    check();
+  }, [check]);
+
+  useEffect(() => {
+    const timer = setInterval(check, status === 'online' ? ONLINE_POLL_MS : OFFLINE_POLL_MS);
+    return () => clearInterval(timer);
+  }, [check, status]);
+
+  return { browserOnline, status, check };
+}
@@ -0,0 +1,63 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { LOCAL_DEVICE, LOCAL_DEVICE_ID, deviceUrls, normalizeDevices } from './devices';
+import { setSession } from './session';
+
+// --- Device registry ---
+// The other Jetsons this browser knows about, plus which one the dashboard
+// is pointed at. Kept in localStorage; this panel's own Jetson is always
+// first and can't be edited or removed.
+
+const STORAGE_KEY = 'devices_v1';
+
+function loadRegistry() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    const devices = normalizeDevices(saved.devices);
+    const activeId = devices.some(d => d.id === saved.activeId) ? saved.activeId : LOCAL_DEVICE_ID;
+    return { devices, activeId };
+  } catch (_) {
+    return { devices: [], activeId: LOCAL_DEVICE_ID };
+  }
+}
+
+export default function useDevices() {
+  const [registry, setRegistry] = useState(loadRegistry);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(registry));
+  }, [registry]);
+
+  const devices = useMemo(() => [LOCAL_DEVICE, ...registry.devices], [registry.devices]);
+  const active = devices.find(d => d.id === registry.activeId) || LOCAL_DEVICE;
+
+  const selectDevice = useCallback((id) => setRegistry(prev => ({ ...prev, activeId: id })), []);
+
+  // Add `device`, or replace the entry with the same id. A session with
+  // the old address is dropped when the address changes.
+  const saveDevice = useCallback((device) => {
+    const previous = registry.devices.find(d => d.id === device.id);
+    if (previous && deviceUrls(previous).stats !== deviceUrls(device).stats) {
+      setSession(null, deviceUrls(previous).stats);
+    }
+    setRegistry(prev => {
+      const exists = prev.devices.some(d => d.id === device.id);
+      return {
+        ...prev,
+        devices: exists ? prev.devices.map(d => (d.id === device.id ? device : d)) : [...prev.devices, device],
+      };
+    });
+  }, [registry.devices]);
+
+  // Forget the device and the session this browser had with it.
+  const removeDevice = useCallback((id) => {
+    const device = registry.devices.find(d => d.id === id);
+    if (!device) return;
+    setSession(null, deviceUrls(device).stats);
+    setRegistry(prev => ({
+      devices: prev.devices.filter(d => d.id !== id),
+      activeId: prev.activeId === id ? LOCAL_DEVICE_ID : prev.activeId,
+    }));
+  }, [registry.devices]);
+
+  return { devices, active, selectDevice, saveDevice, removeDevice };
+}
@@ -0,0 +1,83 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { deviceUrls } from './devices';
+import { getSession, helperFetch, onSessionChange } from './session';
+
+// --- Fleet overview ---
+// While `enabled`, polls every device's stats and loaded models. The result
+// for a device is { state, stats, running, runningError, error, user }:
+//   'online'  – the helper answered with stats
+//   'login'   – the helper is up but this browser has no session with it
+//   'offline' – the device's panel could not be reached
+// /api/ps goes straight to the device's Ollama proxy with the device's
+// session; it only answers other panels listed in its PANEL_ALLOWED_ORIGINS
+// (see panel_server.js);
+// without that, `runningError` is set while the stats still show.
+
+const POLL_INTERVAL_MS = 10000;
+
+async function checkDevice(device) {
+  const urls = deviceUrls(device);
+  const session = getSession(urls.stats);
+  if (!session) {
+    try {
+      const res = await fetch(`${urls.stats}/api/auth/status`);
+      return { state: res.ok ? 'login' : 'offline', error: res.ok ? null : `Helper responded with status ${res.status}` };
+    } catch (_) {
+      return { state: 'offline', error: 'Not reachable' };
+    }
+  }
+
+  const result = { state: 'online', stats: null, running: null, runningError: null, error: null, user: session.user };
+  const [statsResult, runningResult] = await Promise.allSettled([
+    helperFetch(`${urls.stats}/api/system-stats`),
+    helperFetch(`${urls.ollama}/api/ps`),
+  ]);
+  if (statsResult.status === 'rejected') return { ...result, state: 'offline', error: 'Not reachable' };
+  if (statsResult.value.status === 401) return { ...result, state: 'login', user: null };
+  if (!statsResult.value.ok) {
+    result.error = `Helper responded with status ${statsResult.value.status}`;
+  } else {
+    result.stats = await statsResult.value.json().catch(() => null);
+  }
+  if (runningResult.status === 'fulfilled' && runningResult.value.ok) {
+    const data = await runningResult.value.json().catch(() => ({}));
+    result.running = data.models || [];
+  } else {
+    result.runningError = runningResult.status === 'fulfilled'
+      ? `Ollama responded with status ${runningResult.value.status}`
+      : 'Ollama not reachable from this page';
+  }
+  return result;
+}
+
+export default function useFleet(devices, enabled) {
+  const [results, setResults] = useState({});
+  const [checking, setChecking] = useState(false);
+  const devicesRef = useRef(devices);
+  devicesRef.current = devices;
+
+  const refresh = useCallback(async () => {
+    setChecking(true);
+    await Promise.all(devicesRef.current.map(async (device) => {
+      const result = await checkDevice(device);
+      setResults(prev => ({ ...prev, [device.id]: { ...result, checkedAt: Date.now() } }));
+    }));
+    setChecking(false);
+  }, []);
+
+  const deviceKey = devices.map(d => `${d.id}@${deviceUrls(d).stats}`).join(',');
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    refresh();
+    const timer = setInterval(refresh, POLL_INTERVAL_MS);
+    // Logging in or out on any device changes what it can show
+    const unsubscribe = onSessionChange(() => refresh());
+    return () => {
+      clearInterval(timer);
+      unsubscribe();
+    };
+  }, [enabled, deviceKey, refresh]);
+
+  return { results, checking, refresh };
+}
@@ -0,0 +1,84 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { describeChange, evaluateGuardrails, levelChanges, normalizeGuardrails } from './guardrails';
+
+// --- Guardrails driven by the live stats (see guardrails.js) ---
+// Feeds every stats sample through the thresholds, keeps the current levels,
+// logs each level change to the alert history and, if enabled, shows a
+// browser notification for it. `onAlert(entry)` is told about each change;
+// acting on the levels is up to the caller.
+
+const SETTINGS_KEY = 'guardrails_v1';
+const ALERTS_KEY = 'guardrailAlerts_v1';
+const MAX_ALERTS = 200;
+
+function loadJson(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch (_) {
+    return fallback;
+  }
+}
+
+function notify(title, body) {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+  try {
+    new Notification(title, { body, tag: 'orin-guardrail' });
+  } catch (err) {
+    console.error('Notification failed:', err);
+  }
+}
+
+export default function useGuardrails(stats, { onAlert } = {}) {
+  const [settings, setSettings] = useState(() => normalizeGuardrails(loadJson(SETTINGS_KEY, null)));
+  // [{ t, metric, from, to, message }], newest first
+  const [alerts, setAlerts] = useState(() => loadJson(ALERTS_KEY, []));
+  const [state, setState] = useState({ levels: {}, values: {}, overall: 'ok' });
+  const [permission, setPermission] = useState(typeof Notification === 'undefined' ? 'unsupported' : Notification.permission);
+  const samplesRef = useRef([]);
+  const levelsRef = useRef({});
+  const onAlertRef = useRef(onAlert);
+  onAlertRef.current = onAlert;
+
+  useEffect(() => {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  }, [settings]);
+
+  useEffect(() => {
+    localStorage.setItem(ALERTS_KEY, JSON.stringify(alerts));
+  }, [alerts]);
+
+  useEffect(() => {
+    if (!stats) return;
+    const now = Date.now();
+    const windowStart = now - settings.sustainSeconds * 1000;
+    // Keep the last sample before the window too, so a full window reaches
+    // back at least sustainSeconds.
+    const before = samplesRef.current.filter(s => s.t < windowStart).slice(-1);
+    samplesRef.current = [...before, ...samplesRef.current.filter(s => s.t >= windowStart), { t: now, ...stats }];
+    const next = evaluateGuardrails(samplesRef.current, settings, levelsRef.current);
+    const changes = levelChanges(levelsRef.current, next.levels);
+    levelsRef.current = next.levels;
+    setState(next);
+    if (changes.length === 0) return;
+
+    const entries = changes.map(change => ({ t: now, ...change, message: describeChange(change, next.values) }));
+    setAlerts(prev => [...[...entries].reverse(), ...prev].slice(0, MAX_ALERTS));
+    if (onAlertRef.current) entries.forEach(e => onAlertRef.current(e));
+    if (settings.notify) {
+      entries.filter(e => e.to !== 'ok' || e.from === 'critical').forEach(e => notify(`Jetson ${e.to === 'ok' ? 'recovered' : e.to}`, e.message));
+    }
+  }, [stats, settings]);
+
+  const updateSettings = useCallback((patch) => setSettings(prev => normalizeGuardrails({ ...prev, ...patch })), []);
+
+  const clearAlerts = useCallback(() => setAlerts([]), []);
+
+  const requestNotifications = useCallback(async () => {
+    if (typeof Notification === 'undefined') return;
+    const result = await Notification.requestPermission();
+    setPermission(result);
+    if (result === 'granted') setSettings(prev => ({ ...prev, notify: true }));
+  }, []);
+
+  return { settings, updateSettings, ...state, alerts, clearAlerts, permission, requestNotifications };
+}
@@ -0,0 +1,118 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { readDocumentText } from './documentText';
+import { DEFAULT_EMBED_MODEL, DEFAULT_TOP_K, chunkText, topChunks } from './knowledge';
+import { deleteDocument, getAllChunks, getAllDocuments, putDocument } from './knowledgeStore';
+import { helperFetch } from './session';
+
+// --- Knowledge documents: upload, embed, search ---
+// All chunk vectors are held in memory (a few MB for hundreds of pages) so a
+// search is a plain scan; IndexedDB keeps them across reloads.
+
+const SETTINGS_KEY = 'knowledgeSettings_v1';
+// Chunks per /api/embed request
+const EMBED_BATCH_SIZE = 16;
+
+function loadSettings() {
+  try {
+    return { embedModel: DEFAULT_EMBED_MODEL, topK: DEFAULT_TOP_K, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}') };
+  } catch (_) {
+    return { embedModel: DEFAULT_EMBED_MODEL, topK: DEFAULT_TOP_K };
+  }
+}
+
+async function embed(baseUrl, model, input) {
+  const res = await helperFetch(`${baseUrl}/api/embed`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ model, input }),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const message = data.error || `Ollama responded with status ${res.status}`;
+    throw new Error(/not found/i.test(message) ? `Embedding model "${model}" is not installed; pull it first (e.g. ${DEFAULT_EMBED_MODEL}).` : message);
+  }
+  return data.embeddings;
+}
+
+let nextId = Date.now();
+
+export default function useKnowledge(baseUrl) {
+  const [documents, setDocuments] = useState([]);
+  const [settings, setSettings] = useState(loadSettings);
+  // { name, done, total } while a file is being embedded
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const chunksRef = useRef([]);
+
+  useEffect(() => {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  }, [settings]);
+
+  useEffect(() => {
+    Promise.all([getAllDocuments(), getAllChunks()])
+      .then(([docs, chunks]) => {
+        setDocuments(docs.sort((a, b) => b.added - a.added));
+        chunksRef.current = chunks;
+      })
+      .catch(err => setError(`Could not load documents: ${err.message}`));
+  }, []);
+
+  const updateSettings = useCallback((patch) => setSettings(prev => ({ ...prev, ...patch })), []);
+
+  // Read, chunk and embed `files` one after another with the current model.
+  const addFiles = useCallback(async (files) => {
+    const model = settings.embedModel.trim();
+    setError(null);
+    for (const file of Array.from(files)) {
+      try {
+        setProgress({ name: file.name, done: 0, total: null });
+        const texts = chunkText(await readDocumentText(file));
+        if (texts.length === 0) throw new Error(`${file.name} has no text to index (a scanned PDF?)`);
+        const documentId = `doc-${nextId++}`;
+        const chunks = [];
+        for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+          setProgress({ name: file.name, done: i, total: texts.length });
+          const batch = texts.slice(i, i + EMBED_BATCH_SIZE);
+          const vectors = await embed(baseUrl, model, batch);
+          batch.forEach((text, j) => chunks.push({
+            id: `${documentId}-${i + j}`,
+            documentId,
+            documentName: file.name,
+            index: i + j,
+            model,
+            text,
+            vector: vectors[j],
+          }));
+        }
+        const doc = { id: documentId, name: file.name, size: file.size, chunks: chunks.length, model, added: Date.now() };
+        await putDocument(doc, chunks);
+        chunksRef.current = [...chunksRef.current, ...chunks];
+        setDocuments(prev => [doc, ...prev]);
+      } catch (err) {
+        console.error('Failed to add document:', err);
+        setError(err instanceof TypeError ? 'Could not reach Ollama to embed the document.' : err.message);
+      }
+    }
+    setProgress(null);
+  }, [baseUrl, settings.embedModel]);
+
+  const removeDocument = useCallback(async (id) => {
+    try {
+      await deleteDocument(id);
+      chunksRef.current = chunksRef.current.filter(c => c.documentId !== id);
+      setDocuments(prev => prev.filter(d => d.id !== id));
+    } catch (err) {
+      setError(`Could not remove document: ${err.message}`);
+    }
+  }, []);
+
+  // Chunks most similar to `query`, as [{ chunk, score }]. Documents embedded
+  // with a different model than the current one are skipped.
+  const search = useCallback(async (query) => {
+    const model = settings.embedModel.trim();
+    const [vector] = await embed(baseUrl, model, [query]);
+    return topChunks(vector, chunksRef.current, { k: settings.topK, model });
+  }, [baseUrl, settings.embedModel, settings.topK]);
+
+  return { documents, settings, updateSettings, progress, error, addFiles, removeDocument, search };
+}
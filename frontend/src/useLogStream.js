@@ -0,0 +1,74 @@
+import { useEffect, useRef, useState } from 'react';
+import { withStreamTicket } from './session';
+
+// --- Following service logs ---
+// While `enabled`, subscribes to the helper's /api/logs/stream for `sources`
+// and hands every new entry to `onEntry`. Reconnects with a backoff if the
+// stream drops (restarting ollama-panel.service restarts the helper too).
+//
+// `status` is 'off', 'connecting' or 'live'.
+
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 15000;
+
+export default function useLogStream(baseUrl, sources, enabled, onEntry) {
+  const [status, setStatus] = useState('off');
+  const onEntryRef = useRef(onEntry);
+  onEntryRef.current = onEntry;
+  const key = sources.join(',');
+
+  useEffect(() => {
+    if (!enabled || !key || typeof window.EventSource === 'undefined') {
+      setStatus('off');
+      return undefined;
+    }
+    let source = null;
+    let retryTimer = null;
+    let failures = 0;
+    let disposed = false;
+
+    const retry = () => {
+      failures += 1;
+      setStatus('connecting');
+      retryTimer = setTimeout(connect, Math.min(MIN_RETRY_MS * 2 ** (failures - 1), MAX_RETRY_MS));
+    };
+
+    const connect = async () => {
+      if (disposed) return;
+      setStatus('connecting');
+      let url;
+      try {
+        url = await withStreamTicket(baseUrl, `/api/logs/stream?sources=${encodeURIComponent(key)}`);
+      } catch (_) {
+        if (!disposed) retry();
+        return;
+      }
+      if (disposed) return;
+      source = new EventSource(url);
+      source.onopen = () => {
+        failures = 0;
+        setStatus('live');
+      };
+      source.onmessage = (e) => {
+        try {
+          onEntryRef.current(JSON.parse(e.data));
+        } catch (_) { /* ignore malformed */ }
+      };
+      source.onerror = () => {
+        source.close();
+        source = null;
+        if (!disposed) retry();
+      };
+    };
+
+    connect();
+
+    return () => {
+      disposed = true;
+      if (source) source.close();
+      clearTimeout(retryTimer);
+    };
+  }, [baseUrl, key, enabled]);
+
+  return { status };
+}
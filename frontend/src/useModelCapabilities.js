@@ -0,0 +1,59 @@
+import { useEffect, useState } from 'react';
+import { helperFetch } from './session';
+
+// --- What the selected model can do (vision, tools, …) ---
+// Asks Ollama's /api/show once per model. Recent Ollama versions list
+// `capabilities` directly; older ones don't, so a vision projector in the
+// model families ("clip", "mllama") or vision keys in model_info count as
+// "vision" there, and a template that renders `.Tools` as "tools".
+
+const cache = new Map();
+
+export function modelCapabilities(show) {
+  if (!show) return [];
+  if (Array.isArray(show.capabilities)) return show.capabilities;
+  const capabilities = ['completion'];
+  const families = (show.details && show.details.families) || [];
+  const info = show.model_info || {};
+  if (families.some(f => /clip|mllama/i.test(f)) || Object.keys(info).some(k => k.includes('.vision.'))) {
+    capabilities.push('vision');
+  }
+  if (typeof show.template === 'string' && show.template.includes('.Tools')) capabilities.push('tools');
+  return capabilities;
+}
+
+export default function useModelCapabilities(baseUrl, model) {
+  const key = `${baseUrl} ${model}`;
+  const [capabilities, setCapabilities] = useState(() => cache.get(key) || []);
+
+  useEffect(() => {
+    if (!model) {
+      setCapabilities([]);
+      return undefined;
+    }
+    if (cache.has(key)) {
+      setCapabilities(cache.get(key));
+      return undefined;
+    }
+    let cancelled = false;
+    setCapabilities([]);
+    (async () => {
+      try {
+        const res = await helperFetch(`${baseUrl}/api/show`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ model }),
+        });
+        if (!res.ok) throw new Error(`Ollama responded with status ${res.status}`);
+        const list = modelCapabilities(await res.json());
+        cache.set(key, list);
+        if (!cancelled) setCapabilities(list);
+      } catch (err) {
+        console.error(`Failed to read capabilities of ${model}:`, err);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [baseUrl, model, key]);
+
+  return capabilities;
+}
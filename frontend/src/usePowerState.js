@@ -0,0 +1,60 @@
+import { useCallback, useEffect, useState } from 'react';
+import { helperFetch } from './session';
+
+// --- Power mode, jetson_clocks and fan profile (see power.py) ---
+// Reads the helper's /api/power on mount and every POWER_POLL_MS, so a mode
+// switched from a shell shows up too. `change(path, body)` posts one of the
+// admin endpoints and takes the returned state.
+
+const POWER_POLL_MS = 30000;
+
+export default function usePowerState(baseUrl) {
+  // { mode, modes, default_mode, clocks_locked, fan, errors }
+  const [power, setPower] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const refresh = useCallback(async () => {
+    try {
+      const res = await helperFetch(`${baseUrl}/api/power`);
+      if (!res.ok) throw new Error(`Helper responded with status ${res.status}`);
+      setPower(await res.json());
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [baseUrl]);
+
+  useEffect(() => {
+    refresh();
+    const timer = setInterval(refresh, POWER_POLL_MS);
+    return () => clearInterval(timer);
+  }, [refresh]);
+
+  const change = useCallback(async (path, body) => {
+    setBusy(true);
+    try {
+      const res = await helperFetch(`${baseUrl}/api/power/${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || `Helper responded with status ${res.status}`);
+      setPower(data);
+      setError(null);
+      return data;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  }, [baseUrl]);
+
+  const setMode = useCallback((id) => change('mode', { id }), [change]);
+  const setClocks = useCallback((enabled) => change('clocks', { enabled }), [change]);
+  const setFanProfile = useCallback((profile) => change('fan', { profile }), [change]);
+
+  return { power, error, busy, refresh, setMode, setClocks, setFanProfile };
+}
@@ -0,0 +1,35 @@
+import { useCallback, useEffect, useState } from 'react';
+import { newPromptId, titleFromPrompt } from './promptLibrary';
+
+// --- Saved prompts (see promptLibrary.js) ---
+// Kept in this browser's localStorage.
+
+const STORAGE_KEY = 'promptLibrary_v1';
+
+function loadPrompts() {
+  try {
+    const list = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+export default function usePromptLibrary() {
+  const [prompts, setPrompts] = useState(loadPrompts);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(prompts));
+  }, [prompts]);
+
+  // Add a prompt, or update the one with the same id. Returns the saved entry.
+  const savePrompt = useCallback(({ id, title, text }) => {
+    const entry = { id: id || newPromptId(), title: title.trim() || titleFromPrompt(text), text, updated: Date.now() };
+    setPrompts(prev => [entry, ...prev.filter(p => p.id !== entry.id)]);
+    return entry;
+  }, []);
+
+  const deletePrompt = useCallback((id) => setPrompts(prev => prev.filter(p => p.id !== id)), []);
+
+  return { prompts, savePrompt, deletePrompt };
+}
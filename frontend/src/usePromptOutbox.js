@@ -0,0 +1,44 @@
+import { useCallback, useEffect, useState } from 'react';
+import { adoptQueued } from './connectivity';
+
+// --- Prompts waiting for Ollama ---
+// Prompts sent while Ollama can't be reached are kept here (in
+// localStorage, so a reload on a tablet doesn't lose them) and sent in
+// order once it answers again; see connectivity.js for the entry shape.
+
+const STORAGE_KEY = 'promptOutbox_v1';
+
+function loadOutbox() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(saved) ? saved : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+let nextId = Date.now();
+
+export default function usePromptOutbox() {
+  const [outbox, setOutbox] = useState(loadOutbox);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(outbox));
+    } catch (err) {
+      // Attached images can exceed the quota; the prompts stay queued in memory.
+      console.error('Could not store queued prompts:', err);
+    }
+  }, [outbox]);
+
+  const queuePrompt = useCallback((chatId, message) => {
+    nextId += 1;
+    setOutbox(prev => [...prev, { id: String(nextId), chatId, message, queuedAt: Date.now() }]);
+  }, []);
+
+  const removeQueued = useCallback((id) => setOutbox(prev => prev.filter(item => item.id !== id)), []);
+  const dropChat = useCallback((chatId) => setOutbox(prev => prev.filter(item => item.chatId !== chatId)), []);
+  const adoptNewChat = useCallback((chatId) => setOutbox(prev => adoptQueued(prev, chatId)), []);
+
+  return { outbox, queuePrompt, removeQueued, dropChat, adoptNewChat };
+}
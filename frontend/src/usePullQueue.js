@@ -0,0 +1,214 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { readNdjsonStream } from './ndjson';
+import { helperFetch } from './session';
+
+// --- Model pull queue ---
+// Pulls run one at a time, independently of chat streaming. Each queue entry
+// tracks per-layer (per-digest) progress so several layers downloading in
+// turn don't make a single progress bar jump around. The queue is persisted
+// so it survives a reload; a pull that was running when the page went away
+// comes back as "interrupted" and can be resumed (Ollama keeps the partial
+// blobs, so resuming only downloads what is missing).
+//
+// Pulls go through the helper's /api/ollama/pull proxy (`baseUrl`), which
+// checks the admin role and streams Ollama's progress lines back unchanged.
+// Every entry keeps the proxy it was queued for as `target` ({ baseUrl,
+// label }), so the same model can be pushed to several devices of a fleet;
+// each device runs its own pulls one at a time, devices run side by side.
+//
+// Entry status: queued → pulling → done | error | cancelled | interrupted
+
+const STORAGE_KEY = 'pullQueue_v1';
+// Smoothing factor for the per-layer transfer rate (exponential moving average).
+const RATE_SMOOTHING = 0.3;
+
+// Entries saved before targets existed belong to `baseUrl`.
+function loadQueue(baseUrl) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return saved
+      .map(item => (item.target ? item : { ...item, target: { baseUrl, label: null } }))
+      .map(item => (item.status === 'pulling' ? { ...item, status: 'interrupted', statusText: 'Interrupted by page reload' } : item));
+  } catch (_) {
+    return [];
+  }
+}
+
+// Turn an Ollama error string into something a user can act on.
+export function describePullError(name, message) {
+  const msg = String(message || '');
+  if (/file does not exist|not found|manifest unknown/i.test(msg)) {
+    return `Model "${name}" was not found in the Ollama library. Check the name and tag (e.g. gemma:2b).`;
+  }
+  if (/no space left/i.test(msg)) {
+    return 'Not enough disk space on the Jetson to store this model.';
+  }
+  if (/dial tcp|lookup|connection refused|timeout|network/i.test(msg)) {
+    return `Network problem while pulling: ${msg}`;
+  }
+  return msg || 'Unknown error while pulling model.';
+}
+
+// Apply one progress line from /api/pull to an entry's layer map.
+export function applyPullProgress(layers, json, now) {
+  if (!json.digest || !json.total) return layers;
+  const prev = layers[json.digest];
+  const completed = json.completed || 0;
+  let rate = prev ? prev.rateBps : 0;
+  if (prev && now > prev.updatedAt && completed >= prev.completed) {
+    const instant = (completed - prev.completed) / ((now - prev.updatedAt) / 1000);
+    rate = prev.rateBps ? prev.rateBps + RATE_SMOOTHING * (instant - prev.rateBps) : instant;
+  }
+  return {
+    ...layers,
+    [json.digest]: { total: json.total, completed, rateBps: rate, updatedAt: now },
+  };
+}
+
+export function layerEtaSeconds(layer) {
+  if (!layer || !layer.rateBps || layer.completed >= layer.total) return null;
+  return (layer.total - layer.completed) / layer.rateBps;
+}
+
+// The next queued entry of every target that has no pull running.
+export function pullsToStart(queue) {
+  const busy = new Set(queue.filter(item => item.status === 'pulling').map(item => item.target.baseUrl));
+  const next = [];
+  queue.forEach(item => {
+    if (item.status !== 'queued' || busy.has(item.target.baseUrl)) return;
+    busy.add(item.target.baseUrl);
+    next.push(item);
+  });
+  return next;
+}
+
+// "gemma:2b", or "gemma:2b on orin-2" for a device other than `baseUrl`'s.
+export function pullLabel(item, baseUrl) {
+  return item.target.baseUrl !== baseUrl && item.target.label ? `${item.name} on ${item.target.label}` : item.name;
+}
+
+let nextId = Date.now();
+
+export default function usePullQueue(baseUrl, { label = null, onComplete, onEvent } = {}) {
+  const [queue, setQueue] = useState(() => loadQueue(baseUrl));
+  const controllersRef = useRef({});
+  const baseUrlRef = useRef(baseUrl);
+  baseUrlRef.current = baseUrl;
+  const callbacksRef = useRef({ onComplete, onEvent });
+
+  useEffect(() => {
+    callbacksRef.current = { onComplete, onEvent };
+  }, [onComplete, onEvent]);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(queue));
+  }, [queue]);
+
+  const updateItem = useCallback((id, patch) => {
+    setQueue(prev => prev.map(item => (item.id === id ? { ...item, ...(typeof patch === 'function' ? patch(item) : patch) } : item)));
+  }, []);
+
+  const runPull = useCallback(async (item) => {
+    const controller = new AbortController();
+    controllersRef.current[item.id] = controller;
+    updateItem(item.id, { status: 'pulling', statusText: 'Starting…', error: null, startedAt: Date.now() });
+    callbacksRef.current.onEvent?.(`Pull started: ${pullLabel(item, baseUrlRef.current)}`);
+
+    try {
+      const response = await helperFetch(`${item.target.baseUrl}/pull`, {
+        method: 'POST',
+        signal: controller.signal,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model: item.name, stream: true }),
+      });
+      if (!response.ok) {
+        let message = `Ollama responded with status ${response.status}`;
+        try { message = (await response.json()).error || message; } catch (_) { /* not JSON */ }
+        throw new Error(message);
+      }
+
+      let pending = [];
+      let success = false;
+      await readNdjsonStream(response.body, (json) => {
+        if (json.error) throw new Error(json.error);
+        if (json.status === 'success') success = true;
+        pending.push(json);
+      }, () => {
+        if (pending.length === 0) return;
+        const batch = pending;
+        pending = [];
+        const now = Date.now();
+        updateItem(item.id, (current) => {
+          let layers = current.layers || {};
+          let statusText = current.statusText;
+          batch.forEach(json => {
+            layers = applyPullProgress(layers, json, now);
+            if (json.status) statusText = json.status;
+          });
+          return { layers, statusText };
+        });
+      });
+
+      if (!success) throw new Error('Pull ended before Ollama reported success.');
+      updateItem(item.id, { status: 'done', statusText: 'Model pulled successfully!', finishedAt: Date.now() });
+      callbacksRef.current.onEvent?.(`Pull finished: ${pullLabel(item, baseUrlRef.current)}`);
+      callbacksRef.current.onComplete?.(item.name, item.target);
+    } catch (error) {
+      if (controller.signal.aborted) {
+        updateItem(item.id, { status: 'cancelled', statusText: 'Cancelled', finishedAt: Date.now() });
+        callbacksRef.current.onEvent?.(`Pull cancelled: ${pullLabel(item, baseUrlRef.current)}`);
+      } else {
+        console.error('Failed to pull model:', error);
+        updateItem(item.id, { status: 'error', error: describePullError(item.name, error.message), finishedAt: Date.now() });
+        callbacksRef.current.onEvent?.(`Pull failed: ${pullLabel(item, baseUrlRef.current)}`);
+      }
+    } finally {
+      delete controllersRef.current[item.id];
+    }
+  }, [updateItem]);
+
+  // Start the next queued pull of every target with nothing running.
+  useEffect(() => {
+    pullsToStart(queue).filter(item => !controllersRef.current[item.id]).forEach(runPull);
+  }, [queue, runPull]);
+
+  // Queue `name` for `targets` ({ baseUrl, label } each), by default the
+  // proxy passed to the hook (named `label`).
+  const enqueue = useCallback((name, targets = [{ baseUrl, label }]) => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    setQueue(prev => {
+      const added = targets
+        .filter(target => !prev.some(item => item.name === trimmed && item.target.baseUrl === target.baseUrl
+          && (item.status === 'queued' || item.status === 'pulling')))
+        .map(target => {
+          nextId += 1;
+          return { id: String(nextId), name: trimmed, target, status: 'queued', statusText: 'Waiting…', layers: {}, addedAt: Date.now() };
+        });
+      return added.length > 0 ? [...prev, ...added] : prev;
+    });
+  }, [baseUrl, label]);
+
+  const cancel = useCallback((id) => {
+    const controller = controllersRef.current[id];
+    if (controller) {
+      controller.abort();
+    } else {
+      updateItem(id, { status: 'cancelled', statusText: 'Cancelled' });
+    }
+  }, [updateItem]);
+
+  const resume = useCallback((id) => {
+    updateItem(id, { status: 'queued', statusText: 'Waiting…', error: null });
+  }, [updateItem]);
+
+  const remove = useCallback((id) => {
+    setQueue(prev => prev.filter(item => item.id !== id || item.status === 'pulling'));
+  }, []);
+
+  const clearFinished = useCallback(() => {
+    setQueue(prev => prev.filter(item => item.status === 'queued' || item.status === 'pulling' || item.status === 'interrupted'));
+  }, []);
+
+  return { queue, enqueue, cancel, resume, remove, clearFinished };
+}
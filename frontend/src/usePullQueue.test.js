@@ -0,0 +1,37 @@
+import { applyPullProgress, describePullError, layerEtaSeconds, pullsToStart } from './usePullQueue';
+
+test('tracks progress and rate per digest', () => {
+  let layers = {};
+  layers = applyPullProgress(layers, { digest: 'sha256:a', total: 1000, completed: 0 }, 0);
+  layers = applyPullProgress(layers, { digest: 'sha256:b', total: 50, completed: 50 }, 500);
+  layers = applyPullProgress(layers, { digest: 'sha256:a', total: 1000, completed: 500 }, 1000);
+  expect(layers['sha256:a'].completed).toBe(500);
+  expect(layers['sha256:a'].rateBps).toBe(500);
+  expect(layerEtaSeconds(layers['sha256:a'])).toBe(1);
+  expect(layerEtaSeconds(layers['sha256:b'])).toBeNull();
+});
+
+test('ignores status lines without a digest', () => {
+  const layers = {};
+  expect(applyPullProgress(layers, { status: 'verifying sha256 digest' }, 0)).toBe(layers);
+});
+
+test('explains unknown tags', () => {
+  expect(describePullError('gemma:99b', 'pull model manifest: file does not exist'))
+    .toMatch(/was not found in the Ollama library/);
+});
+
+test('runs one pull per target at a time', () => {
+  const a = { baseUrl: '/stats/api/ollama', label: null };
+  const b = { baseUrl: 'http://orin-2:3000/stats/api/ollama', label: 'orin-2' };
+  const queue = [
+    { id: '1', status: 'pulling', target: a },
+    { id: '2', status: 'queued', target: a },
+    { id: '3', status: 'done', target: b },
+    { id: '4', status: 'queued', target: b },
+    { id: '5', status: 'queued', target: b },
+  ];
+  expect(pullsToStart(queue).map(item => item.id)).toEqual(['4']);
+  expect(pullsToStart(queue.map(item => (item.id === '1' ? { ...item, status: 'done' } : item))).map(item => item.id))
+    .toEqual(['2', '4']);
+});
@@ -0,0 +1,120 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { helperFetch } from './session';
+
+// --- Running-model monitor ---
+// Polls Ollama's /api/ps for the models currently held in memory and offers
+// explicit preload / unload. Every footprint we see is remembered so the
+// memory check can use the real resident size of a model (weights + KV cache
+// at the context length it was loaded with) instead of guessing from the
+// file size.
+
+const POLL_INTERVAL_MS = 5000;
+const FOOTPRINT_KEY = 'modelFootprints_v1';
+// Used when a model has never been seen loaded: file size plus room for the
+// KV cache and runtime buffers.
+const UNKNOWN_FOOTPRINT_FACTOR = 1.2;
+// Keep this much RAM free for the OS, the panel and the stats helper.
+const HEADROOM_GB = 0.5;
+
+function loadFootprints() {
+  try { return JSON.parse(localStorage.getItem(FOOTPRINT_KEY) || '{}'); } catch (_) { return {}; }
+}
+
+export function runningModelName(m) {
+  return m.name || m.model;
+}
+
+// Decide whether `model` can run given the latest stats and /api/ps data.
+// Returns { ok, loaded, requiredGb, availableGb }.
+//  - A model that is already resident needs nothing extra.
+//  - Otherwise Ollama will evict the other idle models to make room, so their
+//    resident size counts as available on top of the free RAM. Models in
+//    `busy` (requests in flight, see modelActivity.js) can't be evicted.
+export function checkModelMemory({ stats, model, running = [], footprints = {}, busy = new Set() }) {
+  if (!stats || !model) return { ok: true, loaded: false, requiredGb: null, availableGb: null };
+  const loaded = running.some(m => runningModelName(m) === model.name);
+  if (loaded) return { ok: true, loaded: true, requiredGb: 0, availableGb: null };
+
+  const known = footprints[model.name];
+  const requiredGb = (known ? known : (model.size || 0) * UNKNOWN_FOOTPRINT_FACTOR) / 1e9;
+  const freeGb = (stats.ram_total_gb || 0) - (stats.ram_used_gb || 0);
+  const reclaimableGb = running
+    .filter(m => !busy.has(runningModelName(m)))
+    .reduce((sum, m) => sum + (m.size || 0), 0) / 1e9;
+  const availableGb = freeGb + reclaimableGb;
+  return {
+    ok: availableGb >= requiredGb + HEADROOM_GB,
+    loaded: false,
+    requiredGb,
+    availableGb,
+  };
+}
+
+export default function useRunningModels(baseUrl) {
+  const [running, setRunning] = useState([]);
+  const [error, setError] = useState(null);
+  const [footprints, setFootprints] = useState(loadFootprints);
+  const [busyModel, setBusyModel] = useState(null);
+  const mountedRef = useRef(true);
+
+  const refresh = useCallback(async () => {
+    try {
+      const res = await helperFetch(`${baseUrl}/api/ps`);
+      if (!res.ok) throw new Error(`Ollama responded with status ${res.status}`);
+      const data = await res.json();
+      if (!mountedRef.current) return;
+      const models = data.models || [];
+      setRunning(models);
+      setError(null);
+      if (models.length > 0) {
+        setFootprints(prev => {
+          const next = { ...prev };
+          models.forEach(m => { if (m.size) next[runningModelName(m)] = m.size; });
+          localStorage.setItem(FOOTPRINT_KEY, JSON.stringify(next));
+          return next;
+        });
+      }
+    } catch (err) {
+      if (mountedRef.current) setError(err.message);
+    }
+  }, [baseUrl]);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    refresh();
+    const interval = setInterval(refresh, POLL_INTERVAL_MS);
+    return () => {
+      mountedRef.current = false;
+      clearInterval(interval);
+    };
+  }, [refresh]);
+
+  // An empty /api/generate request loads (keep_alive > 0) or unloads
+  // (keep_alive 0) a model without generating anything.
+  const setResidency = useCallback(async (model, keepAlive) => {
+    setBusyModel(model);
+    try {
+      const res = await helperFetch(`${baseUrl}/api/generate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model, keep_alive: keepAlive, stream: false }),
+      });
+      if (!res.ok) {
+        let message = `Ollama responded with status ${res.status}`;
+        try { message = (await res.json()).error || message; } catch (_) { /* empty body */ }
+        throw new Error(message);
+      }
+      await refresh();
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setBusyModel(null);
+    }
+  }, [baseUrl, refresh]);
+
+  const preload = useCallback((model, keepAlive = '5m') => setResidency(model, keepAlive), [setResidency]);
+  const unload = useCallback((model) => setResidency(model, 0), [setResidency]);
+
+  return { running, footprints, error, busyModel, refresh, preload, unload };
+}
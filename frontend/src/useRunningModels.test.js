@@ -0,0 +1,27 @@
+import { checkModelMemory } from './useRunningModels';
+
+const stats = { ram_total_gb: 7.5, ram_used_gb: 5.5 };
+const model = { name: 'llama3.2:3b', size: 2.0e9 };
+
+test('a resident model always passes', () => {
+  const res = checkModelMemory({ stats, model, running: [{ name: 'llama3.2:3b', size: 3.1e9 }] });
+  expect(res).toMatchObject({ ok: true, loaded: true });
+});
+
+test('uses the remembered footprint instead of the file size', () => {
+  expect(checkModelMemory({ stats, model }).ok).toBe(false); // 2.4 GB + headroom > 2 GB free
+  expect(checkModelMemory({ stats, model, footprints: { 'llama3.2:3b': 1.2e9 } }).ok).toBe(true);
+});
+
+test('counts other loaded models as reclaimable', () => {
+  const res = checkModelMemory({ stats, model, running: [{ name: 'gemma:2b', size: 2.5e9 }] });
+  expect(res.ok).toBe(true);
+  expect(res.availableGb).toBeCloseTo(4.5);
+});
+
+test('does not count models with requests in flight as reclaimable', () => {
+  const running = [{ name: 'gemma:2b', size: 2.5e9 }, { name: 'qwen2.5:0.5b', size: 0.5e9 }];
+  const res = checkModelMemory({ stats, model, running, busy: new Set(['gemma:2b']) });
+  expect(res.ok).toBe(false);
+  expect(res.availableGb).toBeCloseTo(2.5);
+});
@@ -0,0 +1,132 @@
+import { useEffect, useRef, useState } from 'react';
+import { helperFetch, withStreamTicket } from './session';
+
+// --- Live system stats feed ---
+// Subscribes to the helper's Server-Sent Events stream so every tab shares
+// the helper's single tegrastats reader. If the stream drops we reconnect
+// with exponential backoff, and after a few failed attempts (or when the
+// browser has no EventSource) we fall back to polling /api/system-stats
+// until the stream comes back.
+//
+// `status` is one of:
+//   'connecting' – first connection attempt in progress
+//   'live'       – receiving samples over SSE
+//   'polling'    – SSE unavailable, samples come from periodic fetches
+//   'offline'    – neither the stream nor polling reach the helper
+
+const POLL_INTERVAL_MS = 500;
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+// Failed stream attempts before polling kicks in.
+const FALLBACK_AFTER_FAILURES = 2;
+
+export const STATS_STATUS_LABELS = {
+  connecting: 'Connecting to stats helper…',
+  live: 'Live stats stream connected',
+  polling: 'Stats stream unavailable – polling every 0.5 s',
+  offline: 'Could not connect to stats helper. Is it running?',
+};
+
+export default function useStatsStream(baseUrl, onSample) {
+  const [status, setStatus] = useState('connecting');
+  const [error, setError] = useState(null);
+  const onSampleRef = useRef(onSample);
+
+  useEffect(() => {
+    onSampleRef.current = onSample;
+  }, [onSample]);
+
+  useEffect(() => {
+    let source = null;
+    let retryTimer = null;
+    let pollTimer = null;
+    let failures = 0;
+    let disposed = false;
+
+    const poll = async () => {
+      try {
+        const response = await helperFetch(`${baseUrl}/api/system-stats`);
+        const data = await response.json();
+        if (disposed) return;
+        if (!response.ok) throw new Error(data.error || `Stats server responded with status: ${response.status}`);
+        onSampleRef.current(data);
+        setStatus(prev => (prev === 'live' ? prev : 'polling'));
+        setError(null);
+      } catch (err) {
+        if (disposed) return;
+        console.error('Failed to fetch system stats:', err);
+        setStatus(prev => (prev === 'live' ? prev : 'offline'));
+        setError(STATS_STATUS_LABELS.offline);
+      }
+    };
+
+    const startPolling = () => {
+      if (pollTimer) return;
+      poll();
+      pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+    };
+
+    const stopPolling = () => {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    };
+
+    const retry = () => {
+      failures += 1;
+      setStatus(prev => (prev === 'live' ? 'connecting' : prev));
+      if (failures >= FALLBACK_AFTER_FAILURES) startPolling();
+      const delay = Math.min(MIN_RETRY_MS * 2 ** (failures - 1), MAX_RETRY_MS);
+      retryTimer = setTimeout(connect, delay);
+    };
+
+    const connect = async () => {
+      if (disposed) return;
+      if (typeof window.EventSource === 'undefined') {
+        startPolling();
+        return;
+      }
+      let url;
+      try {
+        url = await withStreamTicket(baseUrl, '/api/system-stats/stream');
+      } catch (_) {
+        if (!disposed) retry();
+        return;
+      }
+      if (disposed) return;
+      source = new EventSource(url);
+      source.onopen = () => {
+        failures = 0;
+        stopPolling();
+        setStatus('live');
+        setError(null);
+      };
+      source.onmessage = (e) => {
+        try {
+          onSampleRef.current(JSON.parse(e.data));
+          setError(null);
+        } catch (_) { /* ignore malformed */ }
+      };
+      // The helper reports tegrastats problems without closing the stream.
+      source.addEventListener('stats-error', (e) => {
+        try { setError(JSON.parse(e.data).error); } catch (_) { /* ignored */ }
+      });
+      source.onerror = () => {
+        // Take over reconnection ourselves so we control the backoff.
+        source.close();
+        source = null;
+        if (!disposed) retry();
+      };
+    };
+
+    connect();
+
+    return () => {
+      disposed = true;
+      if (source) source.close();
+      clearTimeout(retryTimer);
+      stopPolling();
+    };
+  }, [baseUrl]);
+
+  return { status, error };
+}
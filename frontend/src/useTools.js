@@ -0,0 +1,43 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { BUILTIN_TOOLS } from './tools';
+
+// --- Tools offered to the model ---
+// Which built-in tools are switched off and the user's custom HTTP tools;
+// switching tools on for a chat happens in the chat header.
+
+const STORAGE_KEY = 'toolSettings_v1';
+
+function loadSettings() {
+  try {
+    return { disabled: [], custom: [], ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') };
+  } catch (_) {
+    return { disabled: [], custom: [] };
+  }
+}
+
+export default function useTools() {
+  const [settings, setSettings] = useState(loadSettings);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  }, [settings]);
+
+  const toggleTool = useCallback((name) => setSettings(prev => ({
+    ...prev,
+    disabled: prev.disabled.includes(name) ? prev.disabled.filter(n => n !== name) : [...prev.disabled, name],
+  })), []);
+
+  const addCustomTool = useCallback((tool) => setSettings(prev => ({ ...prev, custom: [...prev.custom, tool] })), []);
+
+  const removeCustomTool = useCallback((name) => setSettings(prev => ({
+    disabled: prev.disabled.filter(n => n !== name),
+    custom: prev.custom.filter(t => t.name !== name),
+  })), []);
+
+  const enabledTools = useMemo(
+    () => [...BUILTIN_TOOLS, ...settings.custom].filter(t => !settings.disabled.includes(t.name)),
+    [settings]
+  );
+
+  return { custom: settings.custom, disabled: settings.disabled, enabledTools, toggleTool, addCustomTool, removeCustomTool };
+}
@@ -0,0 +1,335 @@
+"""
+Logs and service status for the units the panel depends on, kept free of
+Flask so the parsing can be tested off-device.
+
+Log sources are the systemd journals of LOG_UNITS (read with
+`journalctl -o json`) and the output files deploy_and_run.sh redirects the
+helper and panel_server.js to. Every line becomes an entry
+`{t, source, level, message}` with `t` in epoch milliseconds. journald
+records almost everything Ollama prints at priority 6 (info), so the level
+comes from the text (`level=WARN`, `ERROR`, a traceback …) when it says more
+than the priority does.
+
+Unit status comes from `systemctl show`; uptime is worked out from the
+monotonic activation time and /proc/uptime, which avoids parsing systemd's
+localised timestamps.
+"""
+
+import json
+import os
+import queue
+import re
+import subprocess
+import threading
+import time
+from datetime import datetime, timezone
+
+REPO_DIR = os.path.dirname(os.path.abspath(__file__))
+LOG_UNITS = [u.strip() for u in os.environ.get('LOG_UNITS', 'ollama.service,ollama-panel.service').split(',') if u.strip()]
+# Output of the processes deploy_and_run.sh starts in the background.
+LOG_FILES = {
+    'stats_server.log': os.path.join(REPO_DIR, 'stats_server.log'),
+    'frontend.log': os.path.join(REPO_DIR, 'frontend.log'),
+}
+# Most entries returned for one request, per source.
+MAX_LOG_LINES = 5000
+# Bytes read from the end of a log file for its history.
+FILE_TAIL_BYTES = 2 * 1024 * 1024
+# How often a followed log file is checked for new lines, in seconds.
+FILE_POLL_SECONDS = 1
+# Seconds to wait for systemctl / journalctl (except when following).
+COMMAND_TIMEOUT_SECONDS = 15
+
+LEVELS = ('error', 'warning', 'info', 'debug')
+
+_PRIORITY_LEVELS = {0: 'error', 1: 'error', 2: 'error', 3: 'error', 4: 'warning', 5: 'info', 6: 'info', 7: 'debug'}
+_LEVEL_FIELD_RE = re.compile(r'\blevel=(\w+)', re.IGNORECASE)
+_ERROR_RE = re.compile(r'\b(ERROR|CRITICAL|FATAL|PANIC|Traceback)\b|\w(Error|Exception):')
+_WARNING_RE = re.compile(r'\bWARN(ING)?\b')
+_DEBUG_RE = re.compile(r'\bDEBUG\b')
+# 2024-06-17T10:00:00.000Z / 2024-06-17 10:00:00,120 (Ollama, Python
+# logging); local time unless it ends in Z
+_ISO_TIME_RE = re.compile(r'(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2}):(\d{2})(?:[.,]\d+)?(Z)?')
+# [17/Jun/2024 10:00:00] (werkzeug request log)
+_WERKZEUG_TIME_RE = re.compile(r'\[(\d{2}/\w{3}/\d{4} \d{2}:\d{2}:\d{2})\]')
+# Credentials in request URLs the werkzeug log recorded: session tokens from
+# helpers that still took `?access_token=`, and stream tickets
+_CREDENTIAL_RE = re.compile(r'([?&](?:access_token|ticket)=)[^&\s"]+')
+
+
+class LogError(Exception):
+    """Unknown source or unit, or a command that failed."""
+
+
+class Commands:
+    """The real command layer: one-shot subprocesses and /proc/uptime."""
+
+    def run(self, args):
+        """Run `args` and return its stdout; raise LogError on failure."""
+        try:
+            result = subprocess.run(args, capture_output=True, text=True, timeout=COMMAND_TIMEOUT_SECONDS)
+        except FileNotFoundError:
+            raise LogError(f"'{args[0]}' not found. Is this a systemd system?")
+        except subprocess.TimeoutExpired:
+            raise LogError(f"'{' '.join(args)}' timed out")
+        if result.returncode != 0:
+            detail = (result.stderr or result.stdout).strip().splitlines()
+            raise LogError(f"'{' '.join(args)}' failed: {detail[-1] if detail else result.returncode}")
+        return result.stdout
+
+    def uptime(self):
+        """Seconds since boot."""
+        with open('/proc/uptime', encoding='utf-8') as f:
+            return float(f.read().split()[0])
+
+
+def message_level(message, priority=6):
+    """Level of a log line: from its text when that says more than `priority`."""
+    by_priority = _PRIORITY_LEVELS.get(priority, 'info')
+    if by_priority != 'info':
+        return by_priority
+    field = _LEVEL_FIELD_RE.search(message)
+    if field:
+        name = field.group(1).lower()
+        if name.startswith('warn'):
+            return 'warning'
+        if name in ('error', 'debug'):
+            return name
+        return 'info'
+    if _ERROR_RE.search(message):
+        return 'error'
+    if _WARNING_RE.search(message):
+        return 'warning'
+    if _DEBUG_RE.search(message):
+        return 'debug'
+    return 'info'
+
+
+def journal_command(unit, lines=None, since=None, until=None, follow=False):
+    """journalctl arguments for one unit; `since`/`until` are epoch seconds."""
+    args = ['journalctl', '-u', unit, '-o', 'json', '--no-pager']
+    if since is not None:
+        args += ['--since', f'@{int(since)}']
+    if until is not None:
+        args += ['--until', f'@{int(until)}']
+    if follow:
+        args += ['-f', '-n', '0']
+    elif lines is not None:
+        args += ['-n', str(lines)]
+    return args
+
+
+def parse_journal_line(line, source):
+    """One line of `journalctl -o json` -> entry, or None if it isn't one."""
+    try:
+        record = json.loads(line)
+    except ValueError:
+        return None
+    message = record.get('MESSAGE')
+    if isinstance(message, list):
+        # Messages that aren't valid UTF-8 come as a byte array.
+        message = bytes(message).decode('utf-8', 'replace')
+    if message is None:
+        return None
+    try:
+        priority = int(record.get('PRIORITY', 6))
+    except ValueError:
+        priority = 6
+    return {
+        't': int(record.get('__REALTIME_TIMESTAMP', 0)) // 1000,
+        'source': source,
+        'level': message_level(message, priority),
+        'message': redact(message.rstrip('\n')),
+    }
+
+
+def redact(message):
+    """Mask credentials in request URLs, so admins never see other users' tokens."""
+    return _CREDENTIAL_RE.sub(r'\1[redacted]', message)
+
+
+def line_time(line):
+    """Epoch milliseconds of the timestamp a log line starts with, or None."""
+    match = _ISO_TIME_RE.search(line[:64])
+    if match:
+        tz = timezone.utc if match.group(7) else None
+        return int(datetime(*map(int, match.groups()[:6]), tzinfo=tz).timestamp() * 1000)
+    match = _WERKZEUG_TIME_RE.search(line)
+    if match:
+        return int(datetime.strptime(match.group(1), '%d/%b/%Y %H:%M:%S').timestamp() * 1000)
+    return None
+
+
+def parse_file_lines(lines, source, start=None):
+    """
+    Entries for lines of a plain log file. Lines without a timestamp of
+    their own (tracebacks, continuation lines) take the one before them.
+    """
+    entries = []
+    t = start
+    for line in lines:
+        line = line.rstrip('\n')
+        if not line.strip():
+            continue
+        t = line_time(line) or t
+        entries.append({'t': t, 'source': source, 'level': message_level(line), 'message': redact(line)})
+    return entries
+
+
+def in_range(entries, since=None, until=None):
+    """Entries between `since` and `until` (epoch seconds); undated ones stay."""
+    return [e for e in entries if e['t'] is None or (
+        (since is None or e['t'] >= since * 1000) and (until is None or e['t'] <= until * 1000)
+    )]
+
+
+def tail_file(path, lines, max_bytes=FILE_TAIL_BYTES):
+    """The last `lines` lines of a file, reading at most `max_bytes`."""
+    try:
+        with open(path, 'rb') as f:
+            f.seek(0, os.SEEK_END)
+            size = f.tell()
+            f.seek(max(0, size - max_bytes))
+            data = f.read().decode('utf-8', 'replace')
+    except FileNotFoundError:
+        return []
+    except OSError as e:
+        raise LogError(f"Could not read {path}: {e.strerror}")
+    text = data.splitlines()
+    if size > max_bytes and text:
+        text = text[1:]  # probably cut in the middle
+    return text[-lines:]
+
+
+def parse_unit_status(show_output, uptime_seconds):
+    """`systemctl show` output (Key=Value lines) -> status dict."""
+    props = dict(line.split('=', 1) for line in show_output.splitlines() if '=' in line)
+    active = props.get('ActiveState', 'unknown')
+    entered = int(props.get('ActiveEnterTimestampMonotonic') or 0)
+    restarts = props.get('NRestarts')
+    return {
+        'unit': props.get('Id', ''),
+        'description': props.get('Description', ''),
+        'loaded': props.get('LoadState') == 'loaded',
+        'active_state': active,
+        'sub_state': props.get('SubState', ''),
+        'uptime_seconds': max(0, round(uptime_seconds - entered / 1e6)) if active == 'active' and entered else None,
+        'restarts': int(restarts) if restarts and restarts.isdigit() else None,
+    }
+
+
+class LogFollower:
+    """
+    Follows one or more sources on background threads and puts new entries
+    into `queue` until `stop()` is called.
+    """
+
+    def __init__(self, sources, files=None):
+        self.sources = sources
+        self.files = files if files is not None else LOG_FILES
+        self.queue = queue.Queue(maxsize=1000)
+        self._stopped = threading.Event()
+        self._procs = []
+
+    def start(self):
+        for source in self.sources:
+            target = self._follow_file if source in self.files else self._follow_journal
+            threading.Thread(target=target, args=(source,), name=f'log-{source}', daemon=True).start()
+        return self
+
+    def stop(self):
+        self._stopped.set()
+        for proc in self._procs:
+            if proc.poll() is None:
+                proc.terminate()
+
+    def _put(self, entry):
+        try:
+            self.queue.put_nowait(entry)
+        except queue.Full:
+            pass  # the browser isn't keeping up; drop rather than block
+
+    def _follow_journal(self, unit):
+        try:
+            proc = subprocess.Popen(
+                journal_command(unit, follow=True), stdout=subprocess.PIPE, stderr=subprocess.DEVNULL, text=True, bufsize=1,
+            )
+        except FileNotFoundError:
+            self._put({'t': int(time.time() * 1000), 'source': unit, 'level': 'error', 'message': "'journalctl' not found"})
+            return
+        self._procs.append(proc)
+        if self._stopped.is_set():
+            proc.terminate()
+        for line in proc.stdout:
+            entry = parse_journal_line(line, unit)
+            if entry:
+                self._put(entry)
+
+    def _follow_file(self, source):
+        path = self.files[source]
+        try:
+            position = os.path.getsize(path)
+        except OSError:
+            position = 0
+        while not self._stopped.wait(FILE_POLL_SECONDS):
+            try:
+                size = os.path.getsize(path)
+            except OSError:
+                continue
+            if size < position:
+                position = 0  # truncated or replaced by a restart
+            if size == position:
+                continue
+            with open(path, 'rb') as f:
+                f.seek(position)
+                data = f.read()
+            # Only hand on whole lines; the rest is read on the next round.
+            end = data.rfind(b'\n') + 1
+            position += end
+            now = int(time.time() * 1000)
+            for entry in parse_file_lines(data[:end].decode('utf-8', 'replace').splitlines(), source, now):
+                self._put(entry)
+
+
+class LogReader:
+    def __init__(self, commands=None, units=None, files=None):
+        self.commands = commands or Commands()
+        self.units = units if units is not None else LOG_UNITS
+        self.files = files if files is not None else LOG_FILES
+
+    def sources(self):
+        return ([{'id': u, 'kind': 'journal'} for u in self.units]
+                + [{'id': name, 'kind': 'file'} for name in self.files])
+
+    def check_sources(self, sources):
+        unknown = [s for s in sources if s not in self.units and s not in self.files]
+        if unknown or not sources:
+            raise LogError(f"Unknown log source: {', '.join(unknown) or '(none)'}")
+
+    def read(self, sources, lines=500, since=None, until=None):
+        """The last `lines` entries of each source in the range, oldest first."""
+        self.check_sources(sources)
+        lines = max(1, min(int(lines), MAX_LOG_LINES))
+        entries = []
+        for source in sources:
+            if source in self.files:
+                parsed = parse_file_lines(tail_file(self.files[source], MAX_LOG_LINES), source)
+                entries += in_range(parsed, since, until)[-lines:]
+            else:
+                output = self.commands.run(journal_command(source, lines, since, until))
+                entries += [e for e in (parse_journal_line(line, source) for line in output.splitlines()) if e]
+        # Undated file lines sort to the start, in their own order.
+        return sorted(entries, key=lambda e: e['t'] or 0)
+
+    def unit_status(self, unit):
+        if unit not in self.units:
+            raise LogError(f"Unknown unit: {unit}")
+        output = self.commands.run([
+            'systemctl', 'show', unit, '--property=Id,Description,LoadState,ActiveState,SubState,NRestarts,ActiveEnterTimestampMonotonic',
+        ])
+        return parse_unit_status(output, self.commands.uptime())
+
+    def restart_unit(self, unit):
+        if unit not in self.units:
+            raise LogError(f"Unknown unit: {unit}")
+        self.commands.run(['systemctl', 'restart', unit])
@@ -0,0 +1,372 @@
+#!/usr/bin/env node
+// panel_server.js — serve the built frontend and both APIs from one port
+// ---------------------------------------------------------------------------
+//   /ollama/*  → Ollama        (OLLAMA_UPSTREAM, default http://127.0.0.1:11434)
+//   /stats/*   → stats helper  (STATS_UPSTREAM,  default http://127.0.0.1:5001)
+//   anything else → frontend/build (index.html for unknown paths)
+//
+// Responses are piped through as they arrive, so streamed chat replies, pull
+// progress and the stats SSE feed aren't held back. Because the browser only
+// ever talks to this server, Ollama can stay bound to localhost and needs no
+// OLLAMA_ORIGINS setting.
+//
+// /ollama/* is not open: it needs a session with the stats helper and the
+// role the endpoint calls for, and only chat, generation, embeddings and
+// read-only endpoints pass (see OLLAMA_ROLES). Pulls, deletes, copies and
+// model creation go through the helper's audited admin proxy instead.
+//
+// A panel that manages a fleet (see frontend/src/devices.js) calls the other
+// devices' panels from its own origin. Those answer such cross-origin calls
+// only for the origins listed in PANEL_ALLOWED_ORIGINS.
+//
+// Environment:
+//   PANEL_PORT (3000), PANEL_HOST (0.0.0.0), PANEL_BUILD_DIR (frontend/build)
+//   OLLAMA_UPSTREAM, STATS_UPSTREAM
+//   PANEL_ALLOWED_ORIGINS – comma-separated origins of other panels that may
+//                           call this one (e.g. http://orin-1.local:3000)
+//   TLS_CERT, TLS_KEY – PEM files; when both are set the server speaks HTTPS
+//
+// No dependencies beyond Node itself:
+//   node panel_server.js
+// ---------------------------------------------------------------------------
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+
+const PORT = Number(process.env.PANEL_PORT || 3000);
+const HOST = process.env.PANEL_HOST || '0.0.0.0';
+const BUILD_DIR = path.resolve(__dirname, process.env.PANEL_BUILD_DIR || 'frontend/build');
+
+const UPSTREAMS = {
+  '/ollama': process.env.OLLAMA_UPSTREAM || 'http://127.0.0.1:11434',
+  '/stats': process.env.STATS_UPSTREAM || 'http://127.0.0.1:5001',
+};
+
+const ALLOWED_ORIGINS = (process.env.PANEL_ALLOWED_ORIGINS || '')
+  .split(',').map(o => o.trim().replace(/\/$/, '')).filter(Boolean);
+
+const ROLES = ['viewer', 'chatter', 'admin'];
+// Ollama endpoints reachable through /ollama and the least role each needs;
+// null needs no session (the offline indicator polls /api/version).
+const OLLAMA_ROLES = new Map([
+  ['GET /', null],
+  ['GET /api/version', null],
+  ['GET /api/tags', 'viewer'],
+  ['GET /api/ps', 'viewer'],
+  ['POST /api/show', 'viewer'],
+  ['POST /api/chat', 'chatter'],
+  ['POST /api/generate', 'chatter'],
+  ['POST /api/embed', 'chatter'],
+  ['POST /api/embeddings', 'chatter'],
+]);
+// How long a checked session token is trusted before asking the helper again
+const SESSION_CACHE_MS = 15000;
+
+// Per-connection headers that must not be forwarded (RFC 9110 §7.6.1).
+const HOP_BY_HOP = new Set([
+  'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization',
+  'te', 'trailer', 'transfer-encoding', 'upgrade',
+]);
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.ico': 'image/x-icon',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.webmanifest': 'application/manifest+json',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+};
+
+function forwardableHeaders(headers) {
+  const result = {};
+  Object.keys(headers).forEach(name => {
+    if (!HOP_BY_HOP.has(name)) result[name] = headers[name];
+  });
+  return result;
+}
+
+// Returns a (req, res) handler that forwards to `upstream`. `req.url` is the
+// path below the mount point (Express strips it; createPanelServer does the
+// same). With `dropOrigin` the browser's Origin/Referer are removed, so the
+// upstream sees a plain local request and applies no CORS origin check.
+function proxyTo(upstream, { dropOrigin = false } = {}) {
+  const target = new URL(upstream);
+  const client = target.protocol === 'https:' ? https : http;
+  const basePath = target.pathname.replace(/\/$/, '');
+
+  return function proxy(req, res) {
+    const headers = forwardableHeaders(req.headers);
+    const remote = req.socket.remoteAddress || '';
+    headers.host = target.host;
+    headers['x-forwarded-for'] = req.headers['x-forwarded-for'] ? `${req.headers['x-forwarded-for']}, ${remote}` : remote;
+    headers['x-forwarded-proto'] = req.socket.encrypted ? 'https' : 'http';
+    headers['x-forwarded-host'] = req.headers.host || '';
+    if (dropOrigin) {
+      delete headers.origin;
+      delete headers.referer;
+    }
+
+    const upstreamReq = client.request({
+      protocol: target.protocol,
+      hostname: target.hostname,
+      port: target.port,
+      method: req.method,
+      path: basePath + (req.url.startsWith('/') ? req.url : `/${req.url}`),
+      headers,
+    }, (upstreamRes) => {
+      res.writeHead(upstreamRes.statusCode, forwardableHeaders(upstreamRes.headers));
+      upstreamRes.pipe(res);
+      // The dev server's compression middleware buffers unless told to flush.
+      if (typeof res.flush === 'function') upstreamRes.on('data', () => res.flush());
+    });
+
+    upstreamReq.on('error', (err) => {
+      if (res.headersSent) {
+        res.destroy(err);
+        return;
+      }
+      res.writeHead(502, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `Could not reach ${upstream}: ${err.message}` }));
+    });
+
+    // Browser went away (stopped reply, cancelled pull, closed tab): stop upstream too.
+    res.on('close', () => {
+      if (!res.writableFinished) upstreamReq.destroy();
+    });
+
+    req.pipe(upstreamReq);
+  };
+}
+
+// CORS headers for a request from another panel in ALLOWED_ORIGINS, or null.
+function corsHeaders(req) {
+  const { origin } = req.headers;
+  if (!origin || !ALLOWED_ORIGINS.includes(origin)) return null;
+  return {
+    'access-control-allow-origin': origin,
+    'access-control-allow-headers': 'Authorization, Content-Type',
+    'access-control-allow-methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+    'access-control-max-age': '600',
+    vary: 'Origin',
+  };
+}
+
+function sendJsonError(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: message }));
+}
+
+// Browsers name the page a request comes from: this panel itself or one in
+// ALLOWED_ORIGINS. Requests without Origin don't come from a web page.
+function originAllowed(req) {
+  const { origin } = req.headers;
+  if (!origin) return true;
+  if (ALLOWED_ORIGINS.includes(origin)) return true;
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch (_) {
+    return false;
+  }
+}
+
+// token -> { user, until }
+const sessionCache = new Map();
+
+// The user behind a session token, asked from the stats helper
+// (GET /api/auth/me): resolves null for an unknown or expired session and
+// rejects if the helper can't be reached.
+function sessionUser(token) {
+  const now = Date.now();
+  const cached = sessionCache.get(token);
+  if (cached && cached.until > now) return Promise.resolve(cached.user);
+  if (sessionCache.size > 1000) {
+    sessionCache.forEach((entry, key) => { if (entry.until <= now) sessionCache.delete(key); });
+  }
+  const url = new URL(`${UPSTREAMS['/stats'].replace(/\/$/, '')}/api/auth/me`);
+  const client = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.get(url, { headers: { authorization: `Bearer ${token}` } }, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => {
+        if (res.statusCode === 401 || res.statusCode === 403) {
+          resolve(null);
+          return;
+        }
+        let user = null;
+        try {
+          user = res.statusCode === 200 ? JSON.parse(body).user : null;
+        } catch (_) { /* handled below */ }
+        if (!user) {
+          reject(new Error(`stats helper responded with status ${res.statusCode}`));
+          return;
+        }
+        sessionCache.set(token, { user, until: Date.now() + SESSION_CACHE_MS });
+        resolve(user);
+      });
+    });
+    req.setTimeout(5000, () => req.destroy(new Error('stats helper timed out')));
+    req.on('error', reject);
+  });
+}
+
+// Wraps the Ollama proxy: checks the origin, the endpoint and the caller's
+// session and role (see OLLAMA_ROLES) before anything reaches Ollama. The
+// origin is checked here because proxyTo then drops it: Ollama would refuse
+// origins missing from its own OLLAMA_ORIGINS.
+function guardOllama(proxy) {
+  return function guarded(req, res) {
+    if (!originAllowed(req)) {
+      sendJsonError(res, 403, `Requests from ${req.headers.origin} are not allowed; add it to PANEL_ALLOWED_ORIGINS`);
+      return;
+    }
+    const pathname = req.url.split('?')[0].replace(/\/+$/, '') || '/';
+    const key = `${req.method === 'HEAD' ? 'GET' : req.method} ${pathname}`;
+    if (!OLLAMA_ROLES.has(key)) {
+      sendJsonError(res, 403, `${req.method} ${pathname} is not available through the panel; pulls, deletes, copies and model creation go through the stats helper`);
+      return;
+    }
+    const role = OLLAMA_ROLES.get(key);
+    if (!role) {
+      proxy(req, res);
+      return;
+    }
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : '';
+    if (!token) {
+      sendJsonError(res, 401, 'Login required');
+      return;
+    }
+    sessionUser(token).then((user) => {
+      if (!user) {
+        sendJsonError(res, 401, 'Login required');
+      } else if (ROLES.indexOf(user.role) < ROLES.indexOf(role)) {
+        sendJsonError(res, 403, `This action needs the ${role} role`);
+      } else {
+        proxy(req, res);
+      }
+    }, (err) => {
+      sendJsonError(res, 502, `Could not check the session: ${err.message}`);
+    });
+  };
+}
+
+// The /ollama handler, shared with setupProxy.js for `npm start`
+function ollamaProxy() {
+  return guardOllama(proxyTo(UPSTREAMS['/ollama'], { dropOrigin: true }));
+}
+
+function sendError(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(message);
+}
+
+function sendFile(req, res, file) {
+  fs.stat(file, (err, stat) => {
+    if (err || !stat.isFile()) {
+      sendError(res, 404, 'Not found');
+      return;
+    }
+    const relative = path.relative(BUILD_DIR, file);
+    res.writeHead(200, {
+      'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+      'Content-Length': stat.size,
+      // Files under static/ have content hashes in their names; everything
+      // else (index.html, manifest …) must be revalidated to pick up updates.
+      'Cache-Control': relative.startsWith(`static${path.sep}`) ? 'public, max-age=31536000, immutable' : 'no-cache',
+    });
+    if (req.method === 'HEAD') {
+      res.end();
+      return;
+    }
+    fs.createReadStream(file).pipe(res);
+  });
+}
+
+function serveStatic(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    sendError(res, 405, 'Method not allowed');
+    return;
+  }
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(req.url, 'http://panel').pathname);
+  } catch (_) {
+    sendError(res, 400, 'Bad request');
+    return;
+  }
+  const file = path.join(BUILD_DIR, pathname);
+  if (file !== BUILD_DIR && !file.startsWith(BUILD_DIR + path.sep)) {
+    sendError(res, 403, 'Forbidden');
+    return;
+  }
+  fs.stat(file, (err, stat) => {
+    if (!err && stat.isFile()) {
+      sendFile(req, res, file);
+    } else if (path.extname(pathname)) {
+      sendError(res, 404, 'Not found');
+    } else {
+      // The app shell for "/" and any client-side path
+      sendFile(req, res, path.join(BUILD_DIR, 'index.html'));
+    }
+  });
+}
+
+function createPanelServer() {
+  const routes = Object.keys(UPSTREAMS).map(prefix => ({
+    prefix,
+    proxy: prefix === '/ollama' ? ollamaProxy() : proxyTo(UPSTREAMS[prefix]),
+  }));
+
+  const handler = (req, res) => {
+    const route = routes.find(({ prefix }) => req.url === prefix || req.url.startsWith(`${prefix}/`) || req.url.startsWith(`${prefix}?`));
+    if (!route) {
+      serveStatic(req, res);
+      return;
+    }
+    const cors = corsHeaders(req);
+    if (cors && req.method === 'OPTIONS') {
+      res.writeHead(204, cors);
+      res.end();
+      return;
+    }
+    // Set before proxying; the upstream's own CORS headers replace these.
+    if (cors) Object.keys(cors).forEach(name => res.setHeader(name, cors[name]));
+    req.url = req.url.slice(route.prefix.length) || '/';
+    route.proxy(req, res);
+  };
+
+  const { TLS_CERT, TLS_KEY } = process.env;
+  if (TLS_CERT && TLS_KEY) {
+    return https.createServer({ cert: fs.readFileSync(TLS_CERT), key: fs.readFileSync(TLS_KEY) }, handler);
+  }
+  return http.createServer(handler);
+}
+
+if (require.main === module) {
+  if (!fs.existsSync(path.join(BUILD_DIR, 'index.html'))) {
+    console.warn(`[WARN] ${BUILD_DIR}/index.html not found – run "npm run build" in frontend/ first.`);
+  }
+  const server = createPanelServer();
+  // Long pulls and the SSE feed keep requests open for minutes.
+  server.requestTimeout = 0;
+  server.listen(PORT, HOST, () => {
+    const scheme = server instanceof https.Server ? 'https' : 'http';
+    console.log(`Panel on ${scheme}://${HOST}:${PORT}`);
+    Object.keys(UPSTREAMS).forEach(prefix => console.log(`  ${prefix}/* → ${UPSTREAMS[prefix]}`));
+    if (ALLOWED_ORIGINS.length > 0) console.log(`  cross-origin calls from ${ALLOWED_ORIGINS.join(', ')}`);
+  });
+}
+
+module.exports = { UPSTREAMS, createPanelServer, ollamaProxy, proxyTo };
@@ -0,0 +1,215 @@
+"""
+Power mode, clock and fan control for the Jetson, kept free of Flask so it
+can be tested off-device.
+
+Everything that touches the board goes through a command layer (`Commands`):
+running `nvpmodel` / `jetson_clocks` / `systemctl` and reading or writing the
+config files. Tests pass a fake with the same methods and recorded outputs.
+
+- Power modes come from the nvpmodel config (`< POWER_MODEL ID=0 NAME=15W >`)
+  and the current one from `nvpmodel -q`.
+- jetson_clocks counts as on when every CPU and the GPU in
+  `jetson_clocks --show` run with their minimum clock equal to the maximum.
+  Before switching it on the current clocks are stored, so switching it off
+  restores them.
+- The fan profile is `FAN_DEFAULT_PROFILE` in nvfancontrol.conf; changing it
+  rewrites that line and restarts the nvfancontrol service.
+"""
+
+import os
+import re
+import subprocess
+
+NVPMODEL_CONF = os.environ.get('NVPMODEL_CONF', '/etc/nvpmodel.conf')
+NVFANCONTROL_CONF = os.environ.get('NVFANCONTROL_CONF', '/etc/nvfancontrol.conf')
+# nvfancontrol keeps the running profile here and prefers it over the config.
+NVFANCONTROL_STATUS = '/var/lib/nvfancontrol/status'
+CLOCKS_STORE_PATH = os.environ.get(
+    'CLOCKS_STORE_PATH',
+    os.path.join(os.path.dirname(os.path.abspath(__file__)), 'data', 'jetson_clocks.conf'),
+)
+# Seconds to wait for any of the commands.
+COMMAND_TIMEOUT_SECONDS = 30
+
+_POWER_MODEL_RE = re.compile(r'<\s*POWER_MODEL\s+ID=(\d+)\s+NAME=([^\s>]+)\s*>')
+_DEFAULT_MODE_RE = re.compile(r'<\s*PM_CONFIG\s+DEFAULT=(\d+)\s*>')
+_QUERY_RE = re.compile(r'NV Power Mode:\s*(\S+)\s*\n\s*(\d+)')
+_CLOCK_LINE_RE = re.compile(r'^(cpu\d+|GPU)\b.*?MinFreq=(\d+).*?MaxFreq=(\d+)', re.MULTILINE)
+_FAN_PROFILE_RE = re.compile(r'^\s*FAN_PROFILE\s+(\S+)\s*\{', re.MULTILINE)
+_FAN_DEFAULT_RE = re.compile(r'^(\s*FAN_DEFAULT_PROFILE\s+)(\S+)', re.MULTILINE)
+
+
+class PowerError(Exception):
+    """A command failed or the board doesn't support the request."""
+
+
+class Commands:
+    """The real command layer: subprocesses and files on the board."""
+
+    def run(self, args, input=None):
+        """Run `args` and return its stdout; raise PowerError on failure."""
+        try:
+            result = subprocess.run(
+                args, input=input, capture_output=True, text=True, timeout=COMMAND_TIMEOUT_SECONDS,
+            )
+        except FileNotFoundError:
+            raise PowerError(f"'{args[0]}' not found. Are you running this on a Jetson device?")
+        except subprocess.TimeoutExpired:
+            raise PowerError(f"'{' '.join(args)}' timed out")
+        if result.returncode != 0:
+            detail = (result.stderr or result.stdout).strip().splitlines()
+            raise PowerError(f"'{' '.join(args)}' failed: {detail[-1] if detail else result.returncode}")
+        return result.stdout
+
+    def read(self, path):
+        try:
+            with open(path, encoding='utf-8') as f:
+                return f.read()
+        except OSError as e:
+            raise PowerError(f"Could not read {path}: {e.strerror}")
+
+    def write(self, path, text):
+        try:
+            with open(path, 'w', encoding='utf-8') as f:
+                f.write(text)
+        except OSError as e:
+            raise PowerError(f"Could not write {path}: {e.strerror}")
+
+    def exists(self, path):
+        return os.path.exists(path)
+
+    def remove(self, path):
+        try:
+            os.remove(path)
+        except FileNotFoundError:
+            pass
+        except OSError as e:
+            raise PowerError(f"Could not remove {path}: {e.strerror}")
+
+
+def parse_power_modes(conf):
+    """Modes defined in an nvpmodel config: ([{'id', 'name'}], default id)."""
+    modes = [{'id': int(i), 'name': name} for i, name in _POWER_MODEL_RE.findall(conf)]
+    default = _DEFAULT_MODE_RE.search(conf)
+    return modes, int(default.group(1)) if default else None
+
+
+def parse_nvpmodel_query(output):
+    """`nvpmodel -q` output -> {'id', 'name'}, or None if unrecognised."""
+    match = _QUERY_RE.search(output)
+    if not match:
+        return None
+    return {'id': int(match.group(2)), 'name': match.group(1)}
+
+
+def clocks_locked(show_output):
+    """True if every CPU and GPU line of `jetson_clocks --show` is pinned at max."""
+    lines = _CLOCK_LINE_RE.findall(show_output)
+    if not lines:
+        return None
+    return all(low == high for _, low, high in lines)
+
+
+def parse_fan_profiles(conf):
+    """Profiles in an nvfancontrol config: ([names], current default or None)."""
+    profiles = list(dict.fromkeys(_FAN_PROFILE_RE.findall(conf)))
+    current = _FAN_DEFAULT_RE.search(conf)
+    return profiles, current.group(2) if current else None
+
+
+def set_fan_default(conf, profile):
+    """The config text with FAN_DEFAULT_PROFILE switched to `profile`."""
+    if not _FAN_DEFAULT_RE.search(conf):
+        raise PowerError('nvfancontrol.conf has no FAN_DEFAULT_PROFILE line')
+    return _FAN_DEFAULT_RE.sub(lambda m: m.group(1) + profile, conf)
+
+
+class PowerControl:
+    def __init__(self, commands=None, nvpmodel_conf=NVPMODEL_CONF, fan_conf=NVFANCONTROL_CONF,
+                 clocks_store=CLOCKS_STORE_PATH):
+        self.commands = commands or Commands()
+        self.nvpmodel_conf = nvpmodel_conf
+        self.fan_conf = fan_conf
+        self.clocks_store = clocks_store
+
+    # --- power mode ---
+
+    def modes(self):
+        return parse_power_modes(self.commands.read(self.nvpmodel_conf))
+
+    def current_mode(self):
+        mode = parse_nvpmodel_query(self.commands.run(['nvpmodel', '-q']))
+        if mode is None:
+            raise PowerError('Could not read the power mode from nvpmodel -q')
+        return mode
+
+    def set_mode(self, mode_id):
+        """
+        Switch to mode `mode_id`. Some switches only take effect after a
+        reboot; nvpmodel then asks whether to reboot now, which is declined,
+        and the result says `reboot_required`.
+        """
+        modes, _ = self.modes()
+        if not any(m['id'] == mode_id for m in modes):
+            raise PowerError(f"Unknown power mode {mode_id}")
+        output = self.commands.run(['nvpmodel', '-m', str(mode_id)], input='NO\n')
+        return {'mode': self.current_mode(), 'reboot_required': 'reboot' in output.lower()}
+
+    # --- jetson_clocks ---
+
+    def clocks(self):
+        return clocks_locked(self.commands.run(['jetson_clocks', '--show']))
+
+    def set_clocks(self, enabled):
+        if enabled:
+            # Keep the clocks to come back to, unless they're already pinned.
+            if not self.commands.exists(self.clocks_store) or not self.clocks():
+                self.commands.run(['jetson_clocks', '--store', self.clocks_store])
+            self.commands.run(['jetson_clocks'])
+        else:
+            if not self.commands.exists(self.clocks_store):
+                raise PowerError('No stored clocks to restore; switch the power mode to reset them')
+            self.commands.run(['jetson_clocks', '--restore', self.clocks_store])
+        return self.clocks()
+
+    # --- fan ---
+
+    def fan(self):
+        profiles, current = parse_fan_profiles(self.commands.read(self.fan_conf))
+        return {'profile': current, 'profiles': profiles}
+
+    def set_fan_profile(self, profile):
+        conf = self.commands.read(self.fan_conf)
+        profiles, _ = parse_fan_profiles(conf)
+        if profile not in profiles:
+            raise PowerError(f"Unknown fan profile '{profile}'")
+        self.commands.run(['systemctl', 'stop', 'nvfancontrol'])
+        try:
+            self.commands.write(self.fan_conf, set_fan_default(conf, profile))
+            self.commands.remove(NVFANCONTROL_STATUS)
+        finally:
+            self.commands.run(['systemctl', 'start', 'nvfancontrol'])
+        return self.fan()
+
+    def state(self):
+        """
+        Everything the panel shows. Each part is read on its own so a board
+        without a fan controller still reports its power mode; failures are
+        listed under `errors`.
+        """
+        state = {'mode': None, 'modes': [], 'default_mode': None, 'clocks_locked': None,
+                 'fan': None, 'errors': {}}
+        try:
+            state['modes'], state['default_mode'] = self.modes()
+            state['mode'] = self.current_mode()
+        except PowerError as e:
+            state['errors']['mode'] = str(e)
+        try:
+            state['clocks_locked'] = self.clocks()
+        except PowerError as e:
+            state['errors']['clocks'] = str(e)
+        try:
+            state['fan'] = self.fan()
+        except PowerError as e:
+            state['errors']['fan'] = str(e)
+        return state
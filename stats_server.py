@@ -1,88 +1,513 @@
+import functools
+import json
+import os
+import queue
 import subprocess
-import re
-from flask import Flask, jsonify
+import threading
+import time
+import urllib.error
+import urllib.request
+from flask import Flask, Response, g, jsonify, request
 from flask_cors import CORS
+from werkzeug.middleware.proxy_fix import ProxyFix
+
+from auth import ROLES, AuthStore, role_allows
+from chat_store import ChatConflict, ChatNotFound, ChatStore
+from logs import LogError, LogFollower, LogReader
+from power import CLOCKS_STORE_PATH, PowerControl, PowerError
+from tegrastats import parse_tegrastats
 
 app = Flask(__name__)
-# Allow requests from any origin, which is fine for local development.
+# Allow requests from any origin; every endpoint except login checks a
+# session token sent in the Authorization header, so no cookies are involved.
 CORS(app)
+# Behind panel_server.js (or another reverse proxy) the client address comes
+# from X-Forwarded-For. Set TRUSTED_PROXIES to the number of proxies in front
+# so the audit log records real addresses; leave it at 0 when browsers connect
+# directly, or they could forge the header.
+TRUSTED_PROXIES = int(os.environ.get('TRUSTED_PROXIES', '0'))
+if TRUSTED_PROXIES:
+    app.wsgi_app = ProxyFix(app.wsgi_app, x_for=TRUSTED_PROXIES, x_proto=TRUSTED_PROXIES)
+
+# ---------------------------------------------------------------------------
+# Authentication, roles and the audit log (see auth.py)
+# ---------------------------------------------------------------------------
+
+AUTH_DB_PATH = os.environ.get(
+    'AUTH_DB_PATH',
+    os.path.join(os.path.dirname(os.path.abspath(__file__)), 'data', 'auth.sqlite3'),
+)
+SESSION_TTL_HOURS = float(os.environ.get('SESSION_TTL_HOURS', '168'))
+# Pause after a failed login to slow down password guessing.
+FAILED_LOGIN_DELAY_SECONDS = 1
+
+_auth_store = None
+_auth_store_lock = threading.Lock()
+
+
+def get_auth_store():
+    """Open the user database on first use."""
+    global _auth_store
+    with _auth_store_lock:
+        if _auth_store is None:
+            os.makedirs(os.path.dirname(AUTH_DB_PATH), exist_ok=True)
+            _auth_store = AuthStore(AUTH_DB_PATH, session_ttl=SESSION_TTL_HOURS * 3600)
+        return _auth_store
+
+
+def _request_token():
+    header = request.headers.get('Authorization', '')
+    if header.startswith('Bearer '):
+        return header[len('Bearer '):].strip()
+    return ''
+
+
+def _request_user():
+    store = get_auth_store()
+    token = _request_token()
+    if token:
+        return store.session_user(token)
+    # EventSource can't send headers, so event streams bring a single-use
+    # ticket in the URL instead of the session token (see auth.py).
+    if request.method == 'GET':
+        return store.redeem_stream_ticket(request.args.get('ticket', ''))
+    return None
+
+
+def require_role(role):
+    """Reject the request unless it carries a session of at least `role`."""
+    def decorator(view):
+        @functools.wraps(view)
+        def wrapper(*args, **kwargs):
+            user = _request_user()
+            if user is None:
+                return jsonify({"error": "Login required"}), 401
+            if not role_allows(user['role'], role):
+                return jsonify({"error": f"This action needs the {role} role"}), 403
+            g.user = user
+            return view(*args, **kwargs)
+        return wrapper
+    return decorator
+
+
+def audit(action, target='', status='ok', detail='', username=None):
+    user = g.get('user')
+    get_auth_store().record(
+        username if username is not None else (user['username'] if user else ''),
+        action, target, status, detail, request.remote_addr,
+    )
+
+
+def _session_response(user):
+    token, expires = get_auth_store().create_session(user['username'])
+    return jsonify({"token": token, "expires": expires, "user": user})
+
+
+def _credentials():
+    body = request.get_json(silent=True) or {}
+    return str(body.get('username') or '').strip(), str(body.get('password') or '')
+
+
+@app.route('/api/auth/status')
+def auth_status():
+    """Tells the login screen whether the first admin still has to be created."""
+    return jsonify({"setup_required": not get_auth_store().has_users()})
+
+
+@app.route('/api/auth/setup', methods=['POST'])
+def auth_setup():
+    """Create the first admin account. Only works while there are no users."""
+    store = get_auth_store()
+    if store.has_users():
+        return jsonify({"error": "Setup has already been done"}), 409
+    username, password = _credentials()
+    try:
+        user = store.create_user(username, password, 'admin')
+    except ValueError as e:
+        return jsonify({"error": str(e)}), 400
+    audit('setup', username, username=username)
+    return _session_response(user)
+
+
+@app.route('/api/auth/login', methods=['POST'])
+def auth_login():
+    username, password = _credentials()
+    user = get_auth_store().authenticate(username, password)
+    if user is None:
+        audit('login', username, 'denied', username=username)
+        time.sleep(FAILED_LOGIN_DELAY_SECONDS)
+        return jsonify({"error": "Wrong username or password"}), 401
+    audit('login', username, username=username)
+    return _session_response(user)
+
+
+@app.route('/api/auth/logout', methods=['POST'])
+def auth_logout():
+    get_auth_store().revoke_session(_request_token())
+    return jsonify({"status": "Logged out"})
+
+
+@app.route('/api/auth/me')
+@require_role('viewer')
+def auth_me():
+    return jsonify({"user": g.user})
+
+
+@app.route('/api/auth/stream-ticket', methods=['POST'])
+@require_role('viewer')
+def auth_stream_ticket():
+    """Single-use ticket for opening one event stream (`?ticket=`)."""
+    return jsonify({"ticket": get_auth_store().create_stream_ticket(_request_token())})
+
+
+@app.route('/api/users', methods=['GET'])
+@require_role('admin')
+def list_users():
+    return jsonify({"users": get_auth_store().list_users(), "roles": list(ROLES)})
+
+
+@app.route('/api/users', methods=['POST'])
+@require_role('admin')
+def create_user():
+    body = request.get_json(silent=True) or {}
+    username = str(body.get('username') or '').strip()
+    try:
+        user = get_auth_store().create_user(username, str(body.get('password') or ''), body.get('role') or 'viewer')
+    except ValueError as e:
+        return jsonify({"error": str(e)}), 400
+    audit('user-create', username, detail=f"role {user['role']}")
+    return jsonify(user), 201
+
+
+@app.route('/api/users/<username>', methods=['PATCH'])
+@require_role('admin')
+def update_user(username):
+    """Change a user's `role` and/or reset their `password`."""
+    body = request.get_json(silent=True) or {}
+    role = body.get('role') or None
+    password = body.get('password') or None
+    try:
+        user = get_auth_store().update_user(username, role=role, password=password)
+    except KeyError:
+        return jsonify({"error": "User not found"}), 404
+    except ValueError as e:
+        return jsonify({"error": str(e)}), 400
+    changes = ([f"role {role}"] if role else []) + (['password reset'] if password else [])
+    audit('user-update', username, detail=', '.join(changes))
+    return jsonify(user)
+
+
+@app.route('/api/users/<username>', methods=['DELETE'])
+@require_role('admin')
+def delete_user(username):
+    try:
+        get_auth_store().delete_user(username)
+    except KeyError:
+        return jsonify({"error": "User not found"}), 404
+    except ValueError as e:
+        return jsonify({"error": str(e)}), 400
+    audit('user-delete', username)
+    return jsonify({"status": "User deleted"})
+
+
+@app.route('/api/audit')
+@require_role('admin')
+def audit_log():
+    """Newest audit entries first; `?before=<id>` pages back."""
+    limit = min(request.args.get('limit', 200, type=int), 1000)
+    before = request.args.get('before', type=int)
+    return jsonify({"entries": get_auth_store().audit_log(limit, before)})
+
+# ---------------------------------------------------------------------------
+# Shared tegrastats collector
+# ---------------------------------------------------------------------------
+
+# How often tegrastats reports, in milliseconds. Every connected browser tab
+# shares the same reader, so this is the only place the sampling rate is set.
+TEGRASTATS_INTERVAL_MS = int(os.environ.get('TEGRASTATS_INTERVAL_MS', '500'))
+# Seconds between SSE keep-alive comments when no sample arrives.
+SSE_HEARTBEAT_SECONDS = 15
+# A sample older than this many intervals no longer counts as current.
+STALE_AFTER_INTERVALS = 4
+
+
+class TegrastatsCollector:
+    """
+    Keeps one long-running `tegrastats` process and fans its parsed samples
+    out to every subscriber. The process is started lazily on first use and
+    restarted with a backoff if it exits.
+    """
+
+    def __init__(self, interval_ms=TEGRASTATS_INTERVAL_MS, command=None):
+        self.interval_ms = interval_ms
+        self.command = command or ['tegrastats', '--interval', str(interval_ms)]
+        self._lock = threading.Lock()
+        self._subscribers = []
+        self._thread = None
+        self.latest = None
+        self.latest_raw = ''
+        self.error = None
+        self._sample_ready = threading.Event()
+
+    def ensure_running(self):
+        with self._lock:
+            if self._thread is None or not self._thread.is_alive():
+                self._thread = threading.Thread(target=self._run, name='tegrastats-reader', daemon=True)
+                self._thread.start()
+
+    def subscribe(self):
+        """Register a new listener; returns a queue that receives samples."""
+        q = queue.Queue(maxsize=16)
+        with self._lock:
+            self._subscribers.append(q)
+        self.ensure_running()
+        return q
+
+    def unsubscribe(self, q):
+        with self._lock:
+            if q in self._subscribers:
+                self._subscribers.remove(q)
+
+    def current_sample(self):
+        """
+        The latest sample, or None once tegrastats has exited or stopped
+        reporting: an old sample must not be served as live data.
+        """
+        sample = self.latest
+        if sample is None or self.error:
+            return None
+        max_age = max(self.interval_ms * STALE_AFTER_INTERVALS / 1000, 2)
+        if time.time() - sample['timestamp'] > max_age:
+            return None
+        return sample
+
+    def wait_for_sample(self, timeout):
+        """Block until a current sample (or an error) is available."""
+        self.ensure_running()
+        deadline = time.time() + timeout
+        while True:
+            self._sample_ready.wait(max(deadline - time.time(), 0))
+            sample = self.current_sample()
+            if sample is not None or self.error or time.time() >= deadline:
+                return sample
+            time.sleep(min(self.interval_ms / 1000, 0.25))
+
+    def _publish(self, message):
+        with self._lock:
+            subscribers = list(self._subscribers)
+        for q in subscribers:
+            try:
+                q.put_nowait(message)
+            except queue.Full:
+                # Slow client – drop the oldest sample rather than block the reader.
+                try:
+                    q.get_nowait()
+                    q.put_nowait(message)
+                except (queue.Empty, queue.Full):
+                    pass
+
+    def _run(self):
+        backoff = 1
+        while True:
+            try:
+                proc = subprocess.Popen(
+                    self.command,
+                    stdout=subprocess.PIPE,
+                    stderr=subprocess.DEVNULL,
+                    text=True,
+                    bufsize=1
+                )
+            except FileNotFoundError:
+                self.error = "'tegrastats' command not found. Are you running this on a Jetson device?"
+                self._sample_ready.set()
+                self._publish({'error': self.error})
+                time.sleep(30)
+                continue
+
+            try:
+                for line in proc.stdout:
+                    line = line.strip()
+                    if not line:
+                        continue
+                    parsed = parse_tegrastats(line)
+                    self.latest_raw = line
+                    if not parsed:
+                        continue
+                    parsed['timestamp'] = time.time()
+                    self.latest = parsed
+                    self.error = None
+                    backoff = 1
+                    self._sample_ready.set()
+                    self._publish({'stats': parsed})
+            finally:
+                if proc.poll() is None:
+                    proc.terminate()
+                    try:
+                        proc.wait(timeout=1)
+                    except subprocess.TimeoutExpired:
+                        proc.kill()
+
+            self.error = f"tegrastats exited with code {proc.returncode}; restarting"
+            self._publish({'error': self.error})
+            time.sleep(backoff)
+            backoff = min(backoff * 2, 30)
+
+
+collector = TegrastatsCollector()
 
-def parse_tegrastats(line):
-    """Parses a single line of output from the tegrastats utility."""
-    stats = {}
-
-    # RAM: 1683/7762MB  (sometimes the colon may be absent/present)
-    ram_match = re.search(r"RAM[:\s]+(\d+)/(\d+)MB", line)
-    if ram_match:
-        stats['ram_used_mb'] = int(ram_match.group(1))
-        stats['ram_total_mb'] = int(ram_match.group(2))
-        stats['ram_used_gb'] = round(int(ram_match.group(1)) / 1024, 2)
-        stats['ram_total_gb'] = round(int(ram_match.group(2)) / 1024, 2)
-
-    # CPU: [11%@1113,8%@1113,9%@1113,10%@1113,8%@1113,9%@1113]
-    cpu_match = re.search(r"CPU \[(.*?)\]", line)
-    if cpu_match:
-        cpu_cores = re.findall(r"(\d+)%@\d+", cpu_match.group(1))
-        if cpu_cores:
-            total_percent = sum(int(p) for p in cpu_cores)
-            stats['cpu_usage_percent'] = round(total_percent / len(cpu_cores), 2)
-
-    # GR3D_FREQ 15%@114  or  GR3D_FREQ 0%
-    gpu_match = re.search(r"GR3D_FREQ (\d+)%(?:@\d+)?", line)
-    if gpu_match:
-        stats['gpu_usage_percent'] = int(gpu_match.group(1))
-
-    # SOC_TEMP 35.5C
-    temp_match = re.search(r"SOC_TEMP (\d+\.\d+)C", line)
-    if temp_match:
-        stats['soc_temp_c'] = float(temp_match.group(1))
-
-    return stats
 
 @app.route('/api/system-stats')
+@require_role('viewer')
 def get_system_stats():
     """
-    Runs tegrastats for a brief moment, captures the output,
-    parses it, and returns it as JSON.
+    Returns the most recent sample from the shared tegrastats reader as JSON.
+    Kept for clients that cannot use the event stream.
     """
-    try:
-        # Run tegrastats and grab a single line of output. Some builds of the
-        # utility (e.g. JetPack 5.x) do NOT support the "--count" flag, so we
-        # simply start it, read one line, and terminate.
+    stats = collector.wait_for_sample(timeout=3)
+    if stats is not None:
+        return jsonify(stats)
+    if collector.error:
+        return jsonify({"error": collector.error}), 500
+    if collector.latest is not None:
+        return jsonify({"error": "tegrastats stopped reporting"}), 503
+    return jsonify({"error": "Failed to parse tegrastats output", "raw": collector.latest_raw}), 500
 
-        proc = subprocess.Popen(
-            ['tegrastats', '--interval', '100'],
-            stdout=subprocess.PIPE,
-            stderr=subprocess.PIPE,
-            text=True
-        )
 
-        # Read exactly one line of stats
-        output_line = proc.stdout.readline().strip()
+@app.route('/api/system-stats/stream')
+@require_role('viewer')
+def stream_system_stats():
+    """
+    Server-Sent Events stream of parsed tegrastats samples. Each sample is a
+    default `message` event; problems with the collector are sent as
+    `stats-error` events so the browser can show them without reconnecting.
+    """
+    q = collector.subscribe()
 
-        # We no longer need the process – terminate it politely. If it is
-        # already gone this is a no-op.
-        proc.terminate()
+    def generate():
         try:
-            proc.wait(timeout=0.2)
-        except subprocess.TimeoutExpired:
-            proc.kill()
+            # Send the last known sample right away so the gauges fill in.
+            latest = collector.current_sample()
+            if latest is not None:
+                yield f"data: {json.dumps(latest)}\n\n"
+            while True:
+                try:
+                    message = q.get(timeout=SSE_HEARTBEAT_SECONDS)
+                except queue.Empty:
+                    yield ": keep-alive\n\n"
+                    continue
+                if 'error' in message:
+                    yield f"event: stats-error\ndata: {json.dumps(message)}\n\n"
+                else:
+                    yield f"data: {json.dumps(message['stats'])}\n\n"
+        finally:
+            collector.unsubscribe(q)
 
-        parsed_stats = parse_tegrastats(output_line)
+    headers = {
+        'Cache-Control': 'no-cache',
+        # Stop reverse proxies (nginx) from buffering the stream.
+        'X-Accel-Buffering': 'no',
+    }
+    return Response(generate(), mimetype='text/event-stream', headers=headers)
 
-        # Even if some keys are missing, return whatever we managed to parse.
-        # If nothing could be parsed, return an error so the caller knows.
-        if not parsed_stats:
-            return jsonify({"error": "Failed to parse tegrastats output", "raw": output_line}), 500
+# ---------------------------------------------------------------------------
+# Saved chats, shared by every browser that opens the panel
+# ---------------------------------------------------------------------------
 
-        return jsonify(parsed_stats)
+CHAT_DB_PATH = os.environ.get(
+    'CHAT_DB_PATH',
+    os.path.join(os.path.dirname(os.path.abspath(__file__)), 'data', 'chats.sqlite3'),
+)
+# Largest chat document accepted, in bytes.
+MAX_CHAT_BYTES = int(os.environ.get('MAX_CHAT_BYTES', str(5 * 1024 * 1024)))
+
+_chat_store = None
+_chat_store_lock = threading.Lock()
+
+
+def get_chat_store():
+    """Open the chat database on first use."""
+    global _chat_store
+    with _chat_store_lock:
+        if _chat_store is None:
+            os.makedirs(os.path.dirname(CHAT_DB_PATH), exist_ok=True)
+            _chat_store = ChatStore(CHAT_DB_PATH)
+        return _chat_store
+
+
+def _chat_body():
+    """Parsed JSON body of a chat request, or an error response tuple."""
+    if request.content_length and request.content_length > MAX_CHAT_BYTES:
+        return None, (jsonify({"error": f"Chat is larger than {MAX_CHAT_BYTES} bytes"}), 413)
+    chat = request.get_json(silent=True)
+    if not isinstance(chat, dict):
+        return None, (jsonify({"error": "Expected a JSON object"}), 400)
+    return chat, None
+
+
+def _conflict(e):
+    return jsonify({"error": str(e), "chat": e.current}), 409
+
+
+@app.route('/api/chats', methods=['GET'])
+@require_role('viewer')
+def list_chats():
+    """Chat summaries (no messages) plus tombstones of deleted chats."""
+    chats, deleted = get_chat_store().list()
+    return jsonify({"chats": chats, "deleted": deleted})
+
+
+@app.route('/api/chats', methods=['POST'])
+@require_role('chatter')
+def create_chat():
+    chat, error = _chat_body()
+    if error:
+        return error
+    try:
+        return jsonify(get_chat_store().create(chat)), 201
+    except ValueError as e:
+        return jsonify({"error": str(e)}), 400
+    except ChatConflict as e:
+        return _conflict(e)
 
-    except FileNotFoundError:
-        return jsonify({"error": "'tegrastats' command not found. Are you running this on a Jetson device?"}), 500
-    except subprocess.CalledProcessError as e:
-        return jsonify({"error": "Error running tegrastats", "details": str(e)}), 500
-    except Exception as e:
-        return jsonify({"error": "An unexpected error occurred", "details": str(e)}), 500
+
+@app.route('/api/chats/<chat_id>', methods=['GET'])
+@require_role('viewer')
+def get_chat(chat_id):
+    try:
+        return jsonify(get_chat_store().get(chat_id))
+    except ChatNotFound:
+        return jsonify({"error": "Chat not found"}), 404
+
+
+@app.route('/api/chats/<chat_id>', methods=['PUT'])
+@require_role('chatter')
+def update_chat(chat_id):
+    """Replace a chat. The body's `revision` must match the stored one."""
+    chat, error = _chat_body()
+    if error:
+        return error
+    if not isinstance(chat.get('revision'), int):
+        return jsonify({"error": "Missing base revision"}), 400
+    try:
+        return jsonify(get_chat_store().update(chat_id, chat, chat['revision']))
+    except ChatNotFound:
+        return jsonify({"error": "Chat not found"}), 404
+    except ChatConflict as e:
+        return _conflict(e)
+
+
+@app.route('/api/chats/<chat_id>', methods=['DELETE'])
+@require_role('chatter')
+def delete_chat(chat_id):
+    """Delete a chat; `?revision=n` makes the delete conditional."""
+    base = request.args.get('revision', type=int)
+    try:
+        revision = get_chat_store().delete(chat_id, base)
+        return jsonify({"id": chat_id, "revision": revision})
+    except ChatNotFound:
+        return jsonify({"error": "Chat not found"}), 404
+    except ChatConflict as e:
+        return _conflict(e)
 
 # ---------------------------------------------------------------------------
 # New API endpoints for administrative actions
@@ -91,35 +516,332 @@ def get_system_stats():
 # IMPORTANT: These endpoints execute privileged system commands. Ensure the
 # process running this Flask app has the required permissions (e.g., via the
 # systemd service file with the necessary capabilities or by running as root).
+# Only admins may call the ones that change anything, and every call is
+# written to the audit log before the command runs (restarting
+# ollama-panel.service also restarts this helper).
+
+_log_reader = LogReader()
 
-@app.route('/api/restart-service', methods=['POST'])
-def restart_service():
-    """Restart the control-panel systemd service."""
+
+@app.route('/api/units')
+@require_role('viewer')
+def list_units():
+    """Active state, uptime and restart count of every unit in LOG_UNITS."""
+    units = []
+    for unit in _log_reader.units:
+        try:
+            units.append(_log_reader.unit_status(unit))
+        except LogError as e:
+            units.append({'unit': unit, 'error': str(e)})
+    return jsonify({"units": units})
+
+
+@app.route('/api/units/<unit>/restart', methods=['POST'])
+@require_role('admin')
+def restart_unit(unit):
+    """Restart one of LOG_UNITS (restarting ollama-panel also restarts this helper)."""
+    if unit not in _log_reader.units:
+        return jsonify({"error": f"Unknown unit: {unit}"}), 404
+    audit('restart-service', unit)
     try:
-        # Optionally verify a shared secret or token here for security.
-        subprocess.check_call(['systemctl', 'restart', 'ollama-panel.service'])
-        return jsonify({"status": "Service restart initiated"}), 200
-    except subprocess.CalledProcessError as e:
-        return jsonify({"error": "Failed to restart service", "details": str(e)}), 500
-    except FileNotFoundError as e:
-        return jsonify({"error": "systemctl not found", "details": str(e)}), 500
-    except Exception as e:
-        return jsonify({"error": "Unexpected error", "details": str(e)}), 500
+        _log_reader.restart_unit(unit)
+        return jsonify({"status": f"Restart of {unit} initiated"}), 200
+    except LogError as e:
+        audit('restart-service', unit, 'error', str(e))
+        return jsonify({"error": f"Failed to restart {unit}", "details": str(e)}), 500
 
 @app.route('/api/reboot-system', methods=['POST'])
+@require_role('admin')
 def reboot_system():
     """Reboot the Jetson device (Orin Nano)."""
+    audit('reboot-system')
     try:
         # Using 'systemctl reboot' instead of 'reboot' for a clean shutdown.
         subprocess.Popen(['systemctl', 'reboot'])
         return jsonify({"status": "System reboot initiated"}), 200
     except FileNotFoundError as e:
+        audit('reboot-system', status='error', detail='systemctl not found')
         return jsonify({"error": "systemctl not found", "details": str(e)}), 500
     except Exception as e:
+        audit('reboot-system', status='error', detail=str(e))
         return jsonify({"error": "Unexpected error", "details": str(e)}), 500
 
+# ---------------------------------------------------------------------------
+# Service logs (see logs.py)
+# ---------------------------------------------------------------------------
+
+def _log_sources():
+    return [s for s in request.args.get('sources', '').split(',') if s]
+
+
+@app.route('/api/logs/sources')
+@require_role('admin')
+def log_sources():
+    return jsonify({"sources": _log_reader.sources()})
+
+
+@app.route('/api/logs')
+@require_role('admin')
+def read_logs():
+    """
+    History of the `sources` (comma-separated), oldest first: the last
+    `lines` entries per source, optionally between `since` and `until`
+    (epoch seconds).
+    """
+    try:
+        entries = _log_reader.read(
+            _log_sources(),
+            lines=request.args.get('lines', 500, type=int),
+            since=request.args.get('since', type=float),
+            until=request.args.get('until', type=float),
+        )
+    except LogError as e:
+        return jsonify({"error": str(e)}), 400
+    return jsonify({"entries": entries})
+
+
+@app.route('/api/logs/stream')
+@require_role('admin')
+def stream_logs():
+    """Server-Sent Events stream of new entries of the `sources`."""
+    sources = _log_sources()
+    try:
+        _log_reader.check_sources(sources)
+    except LogError as e:
+        return jsonify({"error": str(e)}), 400
+    follower = LogFollower(sources, _log_reader.files).start()
+
+    def generate():
+        try:
+            yield ": following\n\n"
+            while True:
+                try:
+                    entry = follower.queue.get(timeout=SSE_HEARTBEAT_SECONDS)
+                except queue.Empty:
+                    yield ": keep-alive\n\n"
+                    continue
+                yield f"data: {json.dumps(entry)}\n\n"
+        finally:
+            follower.stop()
+
+    headers = {'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no'}
+    return Response(generate(), mimetype='text/event-stream', headers=headers)
+
+# ---------------------------------------------------------------------------
+# Power mode, jetson_clocks and fan profile (see power.py)
+# ---------------------------------------------------------------------------
+
+_power = None
+_power_lock = threading.Lock()
+
+
+def get_power_control():
+    """Set up the power controls on first use."""
+    global _power
+    with _power_lock:
+        if _power is None:
+            os.makedirs(os.path.dirname(CLOCKS_STORE_PATH), exist_ok=True)
+            _power = PowerControl()
+        return _power
+
+
+def _power_change(action, target, change):
+    """Run `change()` (a PowerControl call), audit it and answer with the new state."""
+    audit(action, target)
+    try:
+        result = change()
+    except PowerError as e:
+        audit(action, target, 'error', str(e))
+        return jsonify({"error": str(e)}), 500
+    state = get_power_control().state()
+    if isinstance(result, dict) and result.get('reboot_required'):
+        state['reboot_required'] = True
+    return jsonify(state)
+
+
+@app.route('/api/power', methods=['GET'])
+@require_role('viewer')
+def get_power():
+    """Current and available power modes, jetson_clocks and the fan profile."""
+    return jsonify(get_power_control().state())
+
+
+@app.route('/api/power/mode', methods=['POST'])
+@require_role('admin')
+def set_power_mode():
+    body = request.get_json(silent=True) or {}
+    mode_id = body.get('id')
+    if not isinstance(mode_id, int) or isinstance(mode_id, bool):
+        return jsonify({"error": "Power mode id is required"}), 400
+    return _power_change('power-mode', str(mode_id), lambda: get_power_control().set_mode(mode_id))
+
+
+@app.route('/api/power/clocks', methods=['POST'])
+@require_role('admin')
+def set_jetson_clocks():
+    body = request.get_json(silent=True) or {}
+    if not isinstance(body.get('enabled'), bool):
+        return jsonify({"error": "'enabled' must be true or false"}), 400
+    enabled = body['enabled']
+    return _power_change('jetson-clocks', 'on' if enabled else 'off', lambda: get_power_control().set_clocks(enabled))
+
+
+@app.route('/api/power/fan', methods=['POST'])
+@require_role('admin')
+def set_fan_profile():
+    body = request.get_json(silent=True) or {}
+    profile = str(body.get('profile') or '').strip()
+    if not profile:
+        return jsonify({"error": "Fan profile is required"}), 400
+    return _power_change('fan-profile', profile, lambda: get_power_control().set_fan_profile(profile))
+
+# ---------------------------------------------------------------------------
+# Authorizing proxy for Ollama calls that change the model store
+# ---------------------------------------------------------------------------
+
+OLLAMA_URL = os.environ.get('OLLAMA_URL', 'http://127.0.0.1:11434').rstrip('/')
+# Seconds to wait for Ollama; a pull may pause while it verifies a layer.
+OLLAMA_TIMEOUT_SECONDS = 300
+
+
+def _ollama_request(path, body, method='POST'):
+    req = urllib.request.Request(
+        f"{OLLAMA_URL}{path}",
+        data=json.dumps(body).encode('utf-8'),
+        headers={'Content-Type': 'application/json'},
+        method=method,
+    )
+    return urllib.request.urlopen(req, timeout=OLLAMA_TIMEOUT_SECONDS)
+
+
+def _ollama_error(e):
+    """Error text from an HTTPError raised by Ollama."""
+    try:
+        return json.loads(e.read().decode('utf-8')).get('error') or str(e)
+    except (ValueError, AttributeError):
+        return str(e)
+
+
+def _model_name():
+    body = request.get_json(silent=True) or {}
+    return str(body.get('model') or body.get('name') or '').strip()
+
+
+def _stream_audited(action, target, path, body):
+    """
+    Stream an NDJSON progress response from Ollama (pull, create) and record
+    how it ended once the last line has gone out.
+    """
+    try:
+        upstream = _ollama_request(path, body)
+    except urllib.error.HTTPError as e:
+        message = _ollama_error(e)
+        audit(action, target, 'error', message)
+        return jsonify({"error": message}), e.code
+    except (urllib.error.URLError, OSError) as e:
+        audit(action, target, 'error', f"Ollama unreachable: {e}")
+        return jsonify({"error": f"Could not reach Ollama at {OLLAMA_URL}"}), 502
+
+    # The generator outlives the request context, so capture who asked now.
+    username, remote_addr = g.user['username'], request.remote_addr
+    store = get_auth_store()
+
+    def generate():
+        # Stays 'cancelled' if the browser disconnects before Ollama finishes.
+        status, detail = 'cancelled', ''
+        try:
+            for line in upstream:
+                try:
+                    message = json.loads(line)
+                    if message.get('error'):
+                        status, detail = 'error', message['error']
+                    elif message.get('status') == 'success':
+                        status = 'ok'
+                except ValueError:
+                    pass
+                yield line
+        finally:
+            upstream.close()
+            store.record(username, action, target, status, detail, remote_addr)
+
+    headers = {'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no'}
+    return Response(generate(), mimetype='application/x-ndjson', headers=headers)
+
+
+@app.route('/api/ollama/pull', methods=['POST'])
+@require_role('admin')
+def proxy_pull():
+    """Stream `POST /api/pull` from Ollama, recording the outcome."""
+    model = _model_name()
+    if not model:
+        return jsonify({"error": "Model name is required"}), 400
+    return _stream_audited('pull', model, '/api/pull', {'model': model, 'stream': True})
+
+
+@app.route('/api/ollama/create', methods=['POST'])
+@require_role('admin')
+def proxy_create():
+    """
+    Stream `POST /api/create` from Ollama. A Modelfile whose FROM names a
+    model that isn't local makes Ollama pull it, so this is audited like a
+    pull.
+    """
+    body = request.get_json(silent=True) or {}
+    model = _model_name()
+    if not model:
+        return jsonify({"error": "Model name is required"}), 400
+    detail = str(body.get('from') or '').strip()
+    return _stream_audited('create-model', f"{model} from {detail}" if detail else model, '/api/create',
+                           {**body, 'model': model, 'stream': True})
+
+
+@app.route('/api/ollama/copy', methods=['POST'])
+@require_role('admin')
+def proxy_copy():
+    """Forward `POST /api/copy` to Ollama."""
+    body = request.get_json(silent=True) or {}
+    source = str(body.get('source') or '').strip()
+    destination = str(body.get('destination') or '').strip()
+    if not source or not destination:
+        return jsonify({"error": "Source and destination are required"}), 400
+    target = f"{source} -> {destination}"
+    try:
+        _ollama_request('/api/copy', {'source': source, 'destination': destination}).close()
+    except urllib.error.HTTPError as e:
+        message = _ollama_error(e)
+        audit('copy-model', target, 'error', message)
+        return jsonify({"error": message}), e.code
+    except (urllib.error.URLError, OSError) as e:
+        audit('copy-model', target, 'error', f"Ollama unreachable: {e}")
+        return jsonify({"error": f"Could not reach Ollama at {OLLAMA_URL}"}), 502
+    audit('copy-model', target)
+    return jsonify({"status": "Model copied", "source": source, "destination": destination})
+
+
+@app.route('/api/ollama/delete', methods=['DELETE'])
+@require_role('admin')
+def proxy_delete():
+    """Forward `DELETE /api/delete` to Ollama."""
+    model = _model_name()
+    if not model:
+        return jsonify({"error": "Model name is required"}), 400
+    try:
+        _ollama_request('/api/delete', {'model': model}, method='DELETE').close()
+    except urllib.error.HTTPError as e:
+        message = _ollama_error(e)
+        audit('delete-model', model, 'error', message)
+        return jsonify({"error": message}), e.code
+    except (urllib.error.URLError, OSError) as e:
+        audit('delete-model', model, 'error', f"Ollama unreachable: {e}")
+        return jsonify({"error": f"Could not reach Ollama at {OLLAMA_URL}"}), 502
+    audit('delete-model', model)
+    return jsonify({"status": "Model deleted", "model": model})
+
 if __name__ == '__main__':
-    print("Starting Jetson Stats Server on http://localhost:5001")
-    # Host 0.0.0.0 makes it accessible from other devices on your network
-    app.run(host='0.0.0.0', port=5001)
+    # 0.0.0.0 makes it accessible from other devices on your network; use
+    # STATS_HOST=127.0.0.1 when browsers only reach it through panel_server.js.
+    host = os.environ.get('STATS_HOST', '0.0.0.0')
+    print(f"Starting Jetson Stats Server on http://{host}:5001")
+    # threaded=True so long-lived SSE connections don't block other requests.
+    app.run(host=host, port=5001, threaded=True)
         
\ No newline at end of file
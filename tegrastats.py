@@ -0,0 +1,167 @@
+"""
+Parser for the one-line reports printed by NVIDIA's `tegrastats` utility.
+
+The format drifts between JetPack releases (units on power rails, GPU
+frequency lists, upper/lower-case thermal zones, `NAME@xxC` vs
+`NAME_TEMP xxC`), so every field is matched independently and anything that
+is missing from a line is simply left out of the result.
+
+Kept free of Flask so it can be tested on any machine:
+    python3 -m unittest discover tests
+"""
+
+import re
+
+# Thermal zones report -256C when the sensor is powered down (e.g. the CV
+# cluster on Orin when idle). Those readings are dropped.
+OFFLINE_TEMP_C = -256
+
+
+def _mb_to_gb(mb):
+    return round(mb / 1024, 2)
+
+
+def _to_mb(value, unit):
+    """Normalise a tegrastats size to megabytes (SWAP can be kB on old builds)."""
+    value = int(value)
+    return value / 1024 if unit == 'kB' else value
+
+
+def parse_cpu_cores(block):
+    """
+    Parse the bracketed CPU list, e.g. `11%@1113,8%@1113,off,off`.
+    Offline cores are kept (with `online: False`) so core indices stay stable.
+    """
+    cores = []
+    for index, entry in enumerate(block.split(',')):
+        entry = entry.strip()
+        m = re.match(r"(\d+)%(?:@(\d+))?", entry)
+        if m:
+            cores.append({
+                'index': index,
+                'online': True,
+                'percent': int(m.group(1)),
+                'freq_mhz': int(m.group(2)) if m.group(2) else None,
+            })
+        else:
+            cores.append({'index': index, 'online': False, 'percent': None, 'freq_mhz': None})
+    return cores
+
+
+def parse_temperatures(line):
+    """
+    Collect every thermal zone as {name: celsius}. Names are lower-cased so
+    `CPU@47.4C` (JetPack 5), `cpu@47.4C` (JetPack 6) and `CPU_TEMP 47.4C`
+    all end up as `cpu`.
+    """
+    temps = {}
+    for name, value in re.findall(r"(?<![\w%@])([A-Za-z][A-Za-z0-9]*)@(-?\d+(?:\.\d+)?)C\b", line):
+        temps[name.lower()] = float(value)
+    for name, value in re.findall(r"\b([A-Za-z][A-Za-z0-9]*)_TEMP (-?\d+(?:\.\d+)?)C\b", line):
+        temps[name.lower()] = float(value)
+    return {k: v for k, v in temps.items() if v > OFFLINE_TEMP_C}
+
+
+def parse_power_rails(line):
+    """
+    Collect power rails as {rail: {current_mw, average_mw}}. Older releases
+    print `VDD_IN 3583/3583` or `POM_5V_IN 1374/1374`, newer ones add `mW`.
+    """
+    rails = {}
+    pattern = r"\b((?:VDD|POM|VIN)[A-Z0-9_]*) (\d+)(?:mW)?/(\d+)(?:mW)?\b"
+    for name, current, average in re.findall(pattern, line):
+        rails[name] = {'current_mw': int(current), 'average_mw': int(average)}
+    return rails
+
+
+def _soc_temperature(temps):
+    """
+    Single "SoC temperature" for the headline gauge. Prefer an explicit SOC
+    zone (hottest of SOC0..2 on Orin), then the junction temperature, then CPU.
+    """
+    soc = [v for k, v in temps.items() if re.fullmatch(r"soc\d*", k)]
+    if soc:
+        return max(soc)
+    for key in ('tj', 'cpu', 'thermal'):
+        if key in temps:
+            return temps[key]
+    return None
+
+
+def _total_power(rails):
+    """Board input power: VDD_IN on Orin / Xavier, POM_5V_IN on Nano / TX2."""
+    for name in ('VDD_IN', 'POM_5V_IN', 'VIN_SYS_5V0'):
+        if name in rails:
+            return rails[name]['current_mw']
+    return None
+
+
+def parse_tegrastats(line):
+    """Parses a single line of output from the tegrastats utility."""
+    stats = {}
+
+    # RAM: 1683/7762MB  (sometimes the colon may be absent/present)
+    ram_match = re.search(r"RAM[:\s]+(\d+)/(\d+)MB", line)
+    if ram_match:
+        stats['ram_used_mb'] = int(ram_match.group(1))
+        stats['ram_total_mb'] = int(ram_match.group(2))
+        stats['ram_used_gb'] = _mb_to_gb(stats['ram_used_mb'])
+        stats['ram_total_gb'] = _mb_to_gb(stats['ram_total_mb'])
+
+    # SWAP 0/3810MB (cached 0MB)
+    swap_match = re.search(r"SWAP (\d+)/(\d+)(MB|kB)?(?: \(cached (\d+)(MB|kB)?\))?", line)
+    if swap_match:
+        unit = swap_match.group(3) or 'MB'
+        stats['swap_used_mb'] = round(_to_mb(swap_match.group(1), unit))
+        stats['swap_total_mb'] = round(_to_mb(swap_match.group(2), unit))
+        stats['swap_used_gb'] = _mb_to_gb(stats['swap_used_mb'])
+        stats['swap_total_gb'] = _mb_to_gb(stats['swap_total_mb'])
+        if swap_match.group(4) is not None:
+            stats['swap_cached_mb'] = round(_to_mb(swap_match.group(4), swap_match.group(5) or 'MB'))
+
+    # IRAM 0/252kB(lfb 252kB)  – only on older boards (Nano / TX1)
+    iram_match = re.search(r"IRAM (\d+)/(\d+)kB", line)
+    if iram_match:
+        stats['iram_used_kb'] = int(iram_match.group(1))
+        stats['iram_total_kb'] = int(iram_match.group(2))
+
+    # CPU: [11%@1113,8%@1113,9%@1113,10%@1113,off,off]
+    cpu_match = re.search(r"CPU \[(.*?)\]", line)
+    if cpu_match:
+        cores = parse_cpu_cores(cpu_match.group(1))
+        online = [c for c in cores if c['online']]
+        stats['cpu_cores'] = cores
+        if online:
+            stats['cpu_usage_percent'] = round(sum(c['percent'] for c in online) / len(online), 2)
+
+    # EMC_FREQ 0%@2133  (memory controller bandwidth utilisation)
+    emc_match = re.search(r"EMC_FREQ (\d+)%(?:@(\d+))?", line)
+    if emc_match:
+        stats['emc_usage_percent'] = int(emc_match.group(1))
+        if emc_match.group(2):
+            stats['emc_freq_mhz'] = int(emc_match.group(2))
+
+    # GR3D_FREQ 15%@114  /  GR3D_FREQ 0%@[305]  /  GR3D_FREQ 0%@[0,0]  /  GR3D_FREQ 0%
+    gpu_match = re.search(r"GR3D_FREQ (\d+)%(?:@\[?([\d,]+)\]?)?", line)
+    if gpu_match:
+        stats['gpu_usage_percent'] = int(gpu_match.group(1))
+        if gpu_match.group(2):
+            freqs = [int(f) for f in gpu_match.group(2).split(',') if f]
+            if freqs:
+                stats['gpu_freq_mhz'] = max(freqs)
+
+    temps = parse_temperatures(line)
+    if temps:
+        stats['temperatures_c'] = temps
+        soc_temp = _soc_temperature(temps)
+        if soc_temp is not None:
+            stats['soc_temp_c'] = soc_temp
+
+    rails = parse_power_rails(line)
+    if rails:
+        stats['power_rails_mw'] = rails
+        total = _total_power(rails)
+        if total is not None:
+            stats['power_total_mw'] = total
+
+    return stats
@@ -0,0 +1,131 @@
+"""
+Tests for users, sessions, roles and the audit log (auth.py), run against an
+in-memory SQLite database:
+
+    python3 -m unittest discover tests
+"""
+
+import os
+import sys
+import time
+import unittest
+
+sys.path.insert(0, os.path.dirname(os.path.dirname(os.path.abspath(__file__))))
+
+from auth import AuthStore, hash_password, role_allows, verify_password  # noqa: E402
+
+
+class PasswordTest(unittest.TestCase):
+    def test_hash_round_trip(self):
+        stored = hash_password('correct horse', iterations=1000)
+        self.assertTrue(stored.startswith('pbkdf2_sha256$1000$'))
+        self.assertTrue(verify_password('correct horse', stored))
+        self.assertFalse(verify_password('wrong horse', stored))
+
+    def test_salts_differ(self):
+        self.assertNotEqual(hash_password('same', iterations=1000), hash_password('same', iterations=1000))
+
+    def test_rejects_malformed_hash(self):
+        self.assertFalse(verify_password('x', 'plain-text'))
+
+
+class RoleTest(unittest.TestCase):
+    def test_roles_are_ordered(self):
+        self.assertTrue(role_allows('admin', 'chatter'))
+        self.assertTrue(role_allows('chatter', 'chatter'))
+        self.assertFalse(role_allows('viewer', 'chatter'))
+        self.assertFalse(role_allows('root', 'viewer'))
+
+
+class AuthStoreTest(unittest.TestCase):
+    def setUp(self):
+        self.store = AuthStore(':memory:', session_ttl=60)
+        self.store.create_user('alice', 'alice-password', 'admin')
+
+    def tearDown(self):
+        self.store.close()
+
+    def test_authenticate(self):
+        self.assertEqual(self.store.authenticate('alice', 'alice-password'), {'username': 'alice', 'role': 'admin'})
+        self.assertIsNone(self.store.authenticate('alice', 'nope-nope'))
+        self.assertIsNone(self.store.authenticate('mallory', 'alice-password'))
+
+    def test_validates_new_users(self):
+        with self.assertRaises(ValueError):
+            self.store.create_user('bob', 'short', 'viewer')
+        with self.assertRaises(ValueError):
+            self.store.create_user('bob smith', 'long-enough', 'viewer')
+        with self.assertRaises(ValueError):
+            self.store.create_user('bob', 'long-enough', 'superuser')
+        with self.assertRaises(ValueError):
+            self.store.create_user('alice', 'long-enough', 'viewer')
+
+    def test_session_lifecycle(self):
+        token, expires = self.store.create_session('alice')
+        self.assertGreater(expires, time.time())
+        self.assertEqual(self.store.session_user(token)['role'], 'admin')
+        self.assertIsNone(self.store.session_user('forged'))
+        self.store.revoke_session(token)
+        self.assertIsNone(self.store.session_user(token))
+
+    def test_stream_tickets_work_once(self):
+        token, _ = self.store.create_session('alice')
+        ticket = self.store.create_stream_ticket(token)
+        self.assertNotEqual(ticket, token)
+        self.assertEqual(self.store.redeem_stream_ticket(ticket)['username'], 'alice')
+        self.assertIsNone(self.store.redeem_stream_ticket(ticket))
+        self.assertIsNone(self.store.redeem_stream_ticket('forged'))
+
+    def test_stream_tickets_need_a_live_session(self):
+        token, _ = self.store.create_session('alice')
+        ticket = self.store.create_stream_ticket(token)
+        self.store.revoke_session(token)
+        self.assertIsNone(self.store.redeem_stream_ticket(ticket))
+
+    def test_sessions_expire(self):
+        self.store.session_ttl = -1
+        token, _ = self.store.create_session('alice')
+        self.assertIsNone(self.store.session_user(token))
+
+    def test_role_change_applies_to_open_sessions(self):
+        self.store.create_user('bob', 'bob-password', 'viewer')
+        token, _ = self.store.create_session('bob')
+        self.store.update_user('bob', role='chatter')
+        self.assertEqual(self.store.session_user(token)['role'], 'chatter')
+
+    def test_password_reset_ends_sessions(self):
+        token, _ = self.store.create_session('alice')
+        self.store.update_user('alice', password='new-password')
+        self.assertIsNone(self.store.session_user(token))
+        self.assertIsNotNone(self.store.authenticate('alice', 'new-password'))
+
+    def test_last_admin_is_protected(self):
+        with self.assertRaises(ValueError):
+            self.store.update_user('alice', role='viewer')
+        with self.assertRaises(ValueError):
+            self.store.delete_user('alice')
+        self.store.create_user('carol', 'carol-password', 'admin')
+        self.store.delete_user('alice')
+        self.assertEqual([u['username'] for u in self.store.list_users()], ['carol'])
+
+    def test_deleting_user_ends_sessions(self):
+        self.store.create_user('bob', 'bob-password', 'chatter')
+        token, _ = self.store.create_session('bob')
+        self.store.delete_user('bob')
+        self.assertIsNone(self.store.session_user(token))
+        with self.assertRaises(KeyError):
+            self.store.delete_user('bob')
+
+    def test_audit_log_newest_first(self):
+        self.store.record('alice', 'pull', 'llama3.2:1b', 'ok', remote_addr='10.0.0.2')
+        self.store.record('alice', 'reboot-system')
+        entries = self.store.audit_log()
+        self.assertEqual([e['action'] for e in entries], ['reboot-system', 'pull'])
+        self.assertEqual(entries[1]['target'], 'llama3.2:1b')
+        self.assertEqual(entries[1]['remote_addr'], '10.0.0.2')
+        older = self.store.audit_log(before=entries[0]['id'])
+        self.assertEqual([e['action'] for e in older], ['pull'])
+
+
+if __name__ == '__main__':
+    unittest.main()
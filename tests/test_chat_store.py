@@ -0,0 +1,98 @@
+"""
+Tests for the shared chat store (chat_store.py), run against an in-memory
+SQLite database:
+
+    python3 -m unittest discover tests
+"""
+
+import os
+import sys
+import unittest
+
+sys.path.insert(0, os.path.dirname(os.path.dirname(os.path.abspath(__file__))))
+
+from chat_store import ChatConflict, ChatNotFound, ChatStore  # noqa: E402
+
+
+def make_chat(chat_id='c1', title='First', updated=1):
+    return {
+        'id': chat_id,
+        'title': title,
+        'tree': {'nodes': {}, 'rootIds': [], 'active': {}},
+        'tags': ['jetson'],
+        'updated': updated,
+        'dirty': True,
+    }
+
+
+class ChatStoreTest(unittest.TestCase):
+    def setUp(self):
+        self.store = ChatStore(':memory:')
+
+    def tearDown(self):
+        self.store.close()
+
+    def test_create_and_get(self):
+        created = self.store.create(make_chat())
+        self.assertEqual(created['revision'], 1)
+        chat = self.store.get('c1')
+        self.assertEqual(chat['title'], 'First')
+        self.assertEqual(chat['tree']['rootIds'], [])
+        self.assertNotIn('dirty', chat)
+
+    def test_list_returns_summaries_newest_first(self):
+        self.store.create(make_chat('old', updated=1))
+        self.store.create(make_chat('new', updated=2))
+        chats, deleted = self.store.list()
+        self.assertEqual([c['id'] for c in chats], ['new', 'old'])
+        self.assertNotIn('tree', chats[0])
+        self.assertEqual(chats[0]['revision'], 1)
+        self.assertEqual(deleted, [])
+
+    def test_create_requires_unused_id(self):
+        self.store.create(make_chat())
+        with self.assertRaises(ChatConflict) as ctx:
+            self.store.create(make_chat(title='Other'))
+        self.assertEqual(ctx.exception.current['title'], 'First')
+        with self.assertRaises(ValueError):
+            self.store.create({'title': 'no id'})
+
+    def test_update_bumps_revision(self):
+        self.store.create(make_chat())
+        updated = self.store.update('c1', make_chat(title='Renamed'), 1)
+        self.assertEqual(updated['revision'], 2)
+        self.assertEqual(self.store.get('c1')['title'], 'Renamed')
+
+    def test_update_from_stale_revision_conflicts(self):
+        self.store.create(make_chat())
+        self.store.update('c1', make_chat(title='From laptop'), 1)
+        with self.assertRaises(ChatConflict) as ctx:
+            self.store.update('c1', make_chat(title='From phone'), 1)
+        self.assertEqual(ctx.exception.current['title'], 'From laptop')
+        self.assertEqual(ctx.exception.current['revision'], 2)
+
+    def test_delete_leaves_tombstone(self):
+        self.store.create(make_chat())
+        self.assertEqual(self.store.delete('c1', 1), 2)
+        chats, deleted = self.store.list()
+        self.assertEqual(chats, [])
+        self.assertEqual(deleted, [{'id': 'c1', 'revision': 2}])
+        with self.assertRaises(ChatNotFound):
+            self.store.get('c1')
+        with self.assertRaises(ChatConflict):
+            self.store.update('c1', make_chat(), 2)
+
+    def test_conditional_delete_conflicts(self):
+        self.store.create(make_chat())
+        self.store.update('c1', make_chat(title='Changed'), 1)
+        with self.assertRaises(ChatConflict):
+            self.store.delete('c1', 1)
+
+    def test_recreating_deleted_chat_continues_revisions(self):
+        self.store.create(make_chat())
+        self.store.delete('c1')
+        self.assertEqual(self.store.create(make_chat())['revision'], 3)
+
+
+if __name__ == '__main__':
+    unittest.main()
@@ -0,0 +1,173 @@
+"""
+Tests for the log and unit-status parsing (logs.py), using recorded
+journalctl and systemctl output (see tests/fixtures/logs), so they run
+without systemd:
+
+    python3 -m unittest discover tests
+"""
+
+import os
+import sys
+import tempfile
+import unittest
+from datetime import datetime
+
+sys.path.insert(0, os.path.dirname(os.path.dirname(os.path.abspath(__file__))))
+
+from logs import (  # noqa: E402
+    LogError, LogReader, in_range, journal_command, line_time, message_level, parse_file_lines,
+    parse_journal_line, parse_unit_status, redact, tail_file,
+)
+
+FIXTURE_DIR = os.path.join(os.path.dirname(__file__), 'fixtures', 'logs')
+
+
+def fixture_path(name):
+    return os.path.join(FIXTURE_DIR, name)
+
+
+def load_fixture(name):
+    with open(fixture_path(name), encoding='utf-8') as f:
+        return f.read()
+
+
+def local_ms(*args):
+    return int(datetime(*args).timestamp() * 1000)
+
+
+class FakeCommands:
+    """Stands in for logs.Commands and records what would have run."""
+
+    def __init__(self):
+        self.calls = []
+
+    def run(self, args):
+        self.calls.append(args)
+        if args[0] == 'journalctl':
+            return load_fixture('journal_ollama.jsonl')
+        if args[:2] == ['systemctl', 'show']:
+            return load_fixture('systemctl_show_ollama.txt')
+        return ''
+
+    def uptime(self):
+        return 3612.5
+
+
+class LevelTest(unittest.TestCase):
+    def test_priority_wins_when_it_is_not_info(self):
+        self.assertEqual(message_level('all good', 3), 'error')
+        self.assertEqual(message_level('all good', 4), 'warning')
+        self.assertEqual(message_level('all good', 7), 'debug')
+
+    def test_level_from_text(self):
+        self.assertEqual(message_level('time=x level=WARN msg="low vram"'), 'warning')
+        self.assertEqual(message_level('time=x level=INFO msg="error loading nothing"'), 'info')
+        self.assertEqual(message_level('[2024-06-17 10:00:06,120] ERROR in app'), 'error')
+        self.assertEqual(message_level('sqlite3.OperationalError: database is locked'), 'error')
+        self.assertEqual(message_level('WARNING: This is a development server.'), 'warning')
+        self.assertEqual(message_level('Starting Jetson Stats Server'), 'info')
+
+
+class JournalTest(unittest.TestCase):
+    def test_command(self):
+        self.assertEqual(
+            journal_command('ollama.service', 200, since=1718618400.5),
+            ['journalctl', '-u', 'ollama.service', '-o', 'json', '--no-pager', '--since', '@1718618400', '-n', '200'],
+        )
+        self.assertEqual(journal_command('ollama.service', follow=True)[-3:], ['-f', '-n', '0'])
+
+    def test_entries(self):
+        lines = load_fixture('journal_ollama.jsonl').splitlines()
+        entries = [parse_journal_line(line, 'ollama.service') for line in lines]
+        self.assertEqual(entries[0]['t'], 1718618400000)
+        self.assertEqual([e['level'] for e in entries], ['info', 'warning', 'info', 'error', 'info'])
+        self.assertEqual(entries[4]['message'], 'cuda � error')
+        self.assertIsNone(parse_journal_line('-- No entries --', 'ollama.service'))
+
+
+class FileTest(unittest.TestCase):
+    def test_line_time(self):
+        self.assertEqual(line_time('time=2024-06-17T10:00:00.000Z level=INFO'), 1718618400000)
+        self.assertEqual(line_time('[2024-06-17 10:00:06,120] ERROR in app'), local_ms(2024, 6, 17, 10, 0, 6))
+        self.assertEqual(line_time('127.0.0.1 - - [17/Jun/2024 10:00:05] "GET / HTTP/1.1" 200 -'), local_ms(2024, 6, 17, 10, 0, 5))
+        self.assertIsNone(line_time('Starting Jetson Stats Server'))
+
+    def test_undated_lines_take_the_previous_time(self):
+        entries = parse_file_lines(load_fixture('stats_server.log').splitlines(), 'stats_server.log')
+        self.assertEqual(len(entries), 7)
+        self.assertIsNone(entries[0]['t'])
+        self.assertEqual(entries[3]['t'], local_ms(2024, 6, 17, 10, 0, 6))
+        self.assertEqual(entries[4]['t'], entries[3]['t'])
+        self.assertEqual(entries[5]['level'], 'error')
+
+    def test_redacts_credentials_in_request_urls(self):
+        line = '127.0.0.1 - - [17/Jun/2024 10:00:05] "GET /api/system-stats/stream?access_token=s3cret HTTP/1.1" 200 -'
+        entry = parse_file_lines([line], 'stats_server.log')[0]
+        self.assertNotIn('s3cret', entry['message'])
+        self.assertIn('?access_token=[redacted] HTTP/1.1', entry['message'])
+        self.assertEqual(redact('GET /api/logs/stream?sources=a&ticket=abc'), 'GET /api/logs/stream?sources=a&ticket=[redacted]')
+
+    def test_range(self):
+        entries = parse_file_lines(load_fixture('stats_server.log').splitlines(), 'stats_server.log')
+        since = local_ms(2024, 6, 17, 10, 0, 6) / 1000
+        self.assertEqual(len(in_range(entries, since=since)), 6)
+        self.assertEqual(len(in_range(entries, until=since - 1)), 2)
+
+    def test_tail_skips_the_cut_line(self):
+        with tempfile.NamedTemporaryFile('w', suffix='.log', delete=False) as f:
+            f.write('first line\nsecond line\nthird line\n')
+        try:
+            self.assertEqual(tail_file(f.name, 2), ['second line', 'third line'])
+            self.assertEqual(tail_file(f.name, 10, max_bytes=20), ['third line'])
+        finally:
+            os.remove(f.name)
+        self.assertEqual(tail_file(f.name, 10), [])
+
+
+class UnitStatusTest(unittest.TestCase):
+    def test_active_unit(self):
+        status = parse_unit_status(load_fixture('systemctl_show_ollama.txt'), 3612.5)
+        self.assertEqual(status, {
+            'unit': 'ollama.service', 'description': 'Ollama Service', 'loaded': True,
+            'active_state': 'active', 'sub_state': 'running', 'uptime_seconds': 3600, 'restarts': 3,
+        })
+
+    def test_failed_unit_has_no_uptime(self):
+        status = parse_unit_status(load_fixture('systemctl_show_inactive.txt'), 3612.5)
+        self.assertEqual(status['active_state'], 'failed')
+        self.assertIsNone(status['uptime_seconds'])
+        self.assertEqual(status['restarts'], 5)
+
+
+class LogReaderTest(unittest.TestCase):
+    def setUp(self):
+        self.commands = FakeCommands()
+        self.reader = LogReader(
+            self.commands, ['ollama.service'], {'stats_server.log': fixture_path('stats_server.log')},
+        )
+
+    def test_merges_sources_oldest_first(self):
+        entries = self.reader.read(['ollama.service', 'stats_server.log'], lines=3)
+        self.assertEqual(len([e for e in entries if e['source'] == 'stats_server.log']), 3)
+        self.assertEqual(len([e for e in entries if e['source'] == 'ollama.service']), 5)
+        self.assertEqual(self.commands.calls[0][-2:], ['-n', '3'])
+        times = [e['t'] for e in entries]
+        self.assertEqual(times, sorted(times))
+
+    def test_rejects_unknown_sources_and_units(self):
+        with self.assertRaises(LogError):
+            self.reader.read(['/etc/shadow'])
+        with self.assertRaises(LogError):
+            self.reader.read([])
+        with self.assertRaises(LogError):
+            self.reader.restart_unit('sshd.service')
+        self.assertEqual(self.commands.calls, [])
+
+    def test_unit_status_and_restart(self):
+        self.assertEqual(self.reader.unit_status('ollama.service')['uptime_seconds'], 3600)
+        self.reader.restart_unit('ollama.service')
+        self.assertEqual(self.commands.calls[-1], ['systemctl', 'restart', 'ollama.service'])
+
+
+if __name__ == '__main__':
+    unittest.main()
@@ -0,0 +1,161 @@
+"""
+Tests for power mode, jetson_clocks and fan control (power.py). The command
+layer is replaced by a fake that serves recorded outputs and config files
+(see tests/fixtures/power), so they run without a Jetson:
+
+    python3 -m unittest discover tests
+"""
+
+import os
+import sys
+import unittest
+
+sys.path.insert(0, os.path.dirname(os.path.dirname(os.path.abspath(__file__))))
+
+from power import (  # noqa: E402
+    NVFANCONTROL_STATUS, PowerControl, PowerError, clocks_locked, parse_fan_profiles,
+    parse_nvpmodel_query, parse_power_modes, set_fan_default,
+)
+
+FIXTURE_DIR = os.path.join(os.path.dirname(__file__), 'fixtures', 'power')
+
+
+def load_fixture(name):
+    with open(os.path.join(FIXTURE_DIR, name), encoding='utf-8') as f:
+        return f.read()
+
+
+class FakeCommands:
+    """Stands in for power.Commands and records what would have run."""
+
+    def __init__(self, files=None):
+        self.files = dict(files or {})
+        self.calls = []
+        self.mode = (0, '15W')
+        self.locked = False
+        self.mode_output = ''
+
+    def run(self, args, input=None):
+        self.calls.append(args)
+        if args == ['nvpmodel', '-q']:
+            return f'NV Power Mode: {self.mode[1]}\n{self.mode[0]}\n'
+        if args[:2] == ['nvpmodel', '-m']:
+            names = {0: '15W', 1: '7W', 2: 'MAXN_SUPER'}
+            self.mode = (int(args[2]), names[int(args[2])])
+            return self.mode_output
+        if args == ['jetson_clocks', '--show']:
+            return load_fixture('jetson_clocks_show_locked.txt' if self.locked else 'jetson_clocks_show.txt')
+        if args[:2] == ['jetson_clocks', '--store']:
+            self.files[args[2]] = 'stored'
+        elif args == ['jetson_clocks']:
+            self.locked = True
+        elif args[:2] == ['jetson_clocks', '--restore']:
+            self.locked = False
+        return ''
+
+    def read(self, path):
+        if path not in self.files:
+            raise PowerError(f'Could not read {path}: No such file or directory')
+        return self.files[path]
+
+    def write(self, path, text):
+        self.files[path] = text
+
+    def exists(self, path):
+        return path in self.files
+
+    def remove(self, path):
+        self.files.pop(path, None)
+
+
+def make_control(**files):
+    commands = FakeCommands({
+        '/etc/nvpmodel.conf': load_fixture('nvpmodel_orin_nano.conf'),
+        '/etc/nvfancontrol.conf': load_fixture('nvfancontrol.conf'),
+        **files,
+    })
+    control = PowerControl(commands, '/etc/nvpmodel.conf', '/etc/nvfancontrol.conf', '/data/clocks.conf')
+    return control, commands
+
+
+class ParserTest(unittest.TestCase):
+    def test_power_modes(self):
+        modes, default = parse_power_modes(load_fixture('nvpmodel_orin_nano.conf'))
+        self.assertEqual(modes, [
+            {'id': 0, 'name': '15W'}, {'id': 1, 'name': '7W'}, {'id': 2, 'name': 'MAXN_SUPER'},
+        ])
+        self.assertEqual(default, 0)
+
+    def test_nvpmodel_query(self):
+        output = 'NVPM WARN: fan mode is not set!\nNV Power Mode: MAXN\n2\n'
+        self.assertEqual(parse_nvpmodel_query(output), {'id': 2, 'name': 'MAXN'})
+        self.assertIsNone(parse_nvpmodel_query('nvpmodel: command failed'))
+
+    def test_clocks_locked(self):
+        self.assertFalse(clocks_locked(load_fixture('jetson_clocks_show.txt')))
+        self.assertTrue(clocks_locked(load_fixture('jetson_clocks_show_locked.txt')))
+        self.assertIsNone(clocks_locked('SOC family:tegra234\n'))
+
+    def test_fan_profiles(self):
+        conf = load_fixture('nvfancontrol.conf')
+        self.assertEqual(parse_fan_profiles(conf), (['quiet', 'cool'], 'cool'))
+        self.assertEqual(parse_fan_profiles(set_fan_default(conf, 'quiet'))[1], 'quiet')
+        with self.assertRaises(PowerError):
+            set_fan_default('POLLING_INTERVAL 2\n', 'quiet')
+
+
+class PowerControlTest(unittest.TestCase):
+    def test_state(self):
+        control, _ = make_control()
+        state = control.state()
+        self.assertEqual(state['mode'], {'id': 0, 'name': '15W'})
+        self.assertEqual(len(state['modes']), 3)
+        self.assertEqual(state['default_mode'], 0)
+        self.assertFalse(state['clocks_locked'])
+        self.assertEqual(state['fan'], {'profile': 'cool', 'profiles': ['quiet', 'cool']})
+        self.assertEqual(state['errors'], {})
+
+    def test_state_reports_missing_parts(self):
+        control, commands = make_control()
+        del commands.files['/etc/nvfancontrol.conf']
+        state = control.state()
+        self.assertEqual(state['mode']['name'], '15W')
+        self.assertIsNone(state['fan'])
+        self.assertIn('nvfancontrol.conf', state['errors']['fan'])
+
+    def test_set_mode(self):
+        control, commands = make_control()
+        result = control.set_mode(1)
+        self.assertIn(['nvpmodel', '-m', '1'], commands.calls)
+        self.assertEqual(result, {'mode': {'id': 1, 'name': '7W'}, 'reboot_required': False})
+        with self.assertRaises(PowerError):
+            control.set_mode(9)
+
+    def test_set_mode_needing_reboot(self):
+        control, commands = make_control()
+        commands.mode_output = 'NVPM WARN: Reboot required for changing to this power mode: 2\n'
+        self.assertTrue(control.set_mode(2)['reboot_required'])
+
+    def test_clocks_are_stored_and_restored(self):
+        control, commands = make_control()
+        self.assertTrue(control.set_clocks(True))
+        self.assertEqual(commands.calls[:2], [['jetson_clocks', '--store', '/data/clocks.conf'], ['jetson_clocks']])
+        self.assertFalse(control.set_clocks(False))
+        self.assertIn(['jetson_clocks', '--restore', '/data/clocks.conf'], commands.calls)
+
+    def test_restore_needs_stored_clocks(self):
+        control, _ = make_control()
+        with self.assertRaises(PowerError):
+            control.set_clocks(False)
+
+    def test_set_fan_profile_restarts_service(self):
+        control, commands = make_control(**{NVFANCONTROL_STATUS: 'cool'})
+        self.assertEqual(control.set_fan_profile('quiet')['profile'], 'quiet')
+        self.assertEqual(commands.calls, [['systemctl', 'stop', 'nvfancontrol'], ['systemctl', 'start', 'nvfancontrol']])
+        self.assertFalse(commands.exists(NVFANCONTROL_STATUS))
+        with self.assertRaises(PowerError):
+            control.set_fan_profile('turbo')
+
+
+if __name__ == '__main__':
+    unittest.main()
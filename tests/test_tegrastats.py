@@ -0,0 +1,167 @@
+"""
+Parser tests built from tegrastats lines recorded on several boards and
+JetPack releases (see tests/fixtures/tegrastats). Run without a Jetson:
+
+    python3 -m unittest discover tests
+"""
+
+import os
+import sys
+import unittest
+
+sys.path.insert(0, os.path.dirname(os.path.dirname(os.path.abspath(__file__))))
+
+from tegrastats import parse_cpu_cores, parse_tegrastats  # noqa: E402
+
+FIXTURE_DIR = os.path.join(os.path.dirname(__file__), 'fixtures', 'tegrastats')
+
+
+def load_fixture(name):
+    with open(os.path.join(FIXTURE_DIR, name), encoding='utf-8') as f:
+        return f.readline().strip()
+
+
+class JetPack4NanoTest(unittest.TestCase):
+    def setUp(self):
+        self.stats = parse_tegrastats(load_fixture('jetpack4_nano.txt'))
+
+    def test_memory(self):
+        self.assertEqual(self.stats['ram_used_mb'], 1883)
+        self.assertEqual(self.stats['ram_total_mb'], 3964)
+        self.assertEqual(self.stats['swap_total_mb'], 1982)
+        self.assertEqual(self.stats['swap_cached_mb'], 0)
+        self.assertEqual(self.stats['iram_used_kb'], 0)
+        self.assertEqual(self.stats['iram_total_kb'], 252)
+
+    def test_cpu_and_gpu(self):
+        self.assertEqual(len(self.stats['cpu_cores']), 4)
+        self.assertEqual(self.stats['cpu_cores'][0], {'index': 0, 'online': True, 'percent': 9, 'freq_mhz': 102})
+        self.assertEqual(self.stats['cpu_usage_percent'], 5.25)
+        self.assertEqual(self.stats['gpu_usage_percent'], 0)
+        self.assertEqual(self.stats['gpu_freq_mhz'], 76)
+        self.assertEqual(self.stats['emc_usage_percent'], 0)
+        self.assertEqual(self.stats['emc_freq_mhz'], 1600)
+
+    def test_unitless_pom_rails(self):
+        self.assertEqual(self.stats['power_rails_mw']['POM_5V_IN'], {'current_mw': 1374, 'average_mw': 1374})
+        self.assertEqual(self.stats['power_rails_mw']['POM_5V_CPU']['current_mw'], 137)
+        self.assertEqual(self.stats['power_total_mw'], 1374)
+
+    def test_temperatures(self):
+        temps = self.stats['temperatures_c']
+        self.assertEqual(temps['cpu'], 26.5)
+        self.assertEqual(temps['gpu'], 25.0)
+        self.assertEqual(temps['thermal'], 26.0)
+        # No SOC or tj zone on the Nano, so the headline value falls back to CPU.
+        self.assertEqual(self.stats['soc_temp_c'], 26.5)
+
+
+class JetPack4XavierNXTest(unittest.TestCase):
+    def setUp(self):
+        self.stats = parse_tegrastats(load_fixture('jetpack4_xavier_nx.txt'))
+
+    def test_offline_cores_are_kept_but_not_averaged(self):
+        cores = self.stats['cpu_cores']
+        self.assertEqual(len(cores), 6)
+        self.assertFalse(cores[4]['online'])
+        self.assertIsNone(cores[5]['percent'])
+        self.assertEqual(self.stats['cpu_usage_percent'], 0.75)
+
+    def test_rails_and_temps(self):
+        self.assertEqual(self.stats['power_rails_mw']['VDD_CPU_GPU_CV']['current_mw'], 489)
+        self.assertEqual(self.stats['power_total_mw'], 3583)
+        self.assertEqual(self.stats['temperatures_c']['aux'], 30.5)
+        self.assertNotIn('iram_used_kb', self.stats)
+
+
+class JetPack5OrinNanoTest(unittest.TestCase):
+    def setUp(self):
+        self.stats = parse_tegrastats(load_fixture('jetpack5_orin_nano.txt'))
+
+    def test_bracketed_gpu_frequency(self):
+        self.assertEqual(self.stats['gpu_usage_percent'], 0)
+        self.assertEqual(self.stats['gpu_freq_mhz'], 305)
+
+    def test_powered_down_zones_are_dropped(self):
+        temps = self.stats['temperatures_c']
+        self.assertNotIn('cv0', temps)
+        self.assertNotIn('cv1', temps)
+        self.assertEqual(temps['tj'], 47.406)
+        self.assertEqual(temps['gpu'], 45.843)
+        # Hottest SOC zone drives the headline gauge.
+        self.assertEqual(self.stats['soc_temp_c'], 46.031)
+
+    def test_milliwatt_rails(self):
+        self.assertEqual(self.stats['power_rails_mw'], {
+            'VDD_IN': {'current_mw': 4479, 'average_mw': 4479},
+            'VDD_CPU_GPU_CV': {'current_mw': 565, 'average_mw': 565},
+            'VDD_SOC': {'current_mw': 1413, 'average_mw': 1413},
+        })
+
+
+class JetPack5AGXOrinTest(unittest.TestCase):
+    def setUp(self):
+        self.stats = parse_tegrastats(load_fixture('jetpack5_agx_orin.txt'))
+
+    def test_twelve_cores(self):
+        self.assertEqual(len(self.stats['cpu_cores']), 12)
+        self.assertEqual(self.stats['ram_total_gb'], 29.82)
+
+    def test_multi_gpc_frequency_and_rails(self):
+        self.assertEqual(self.stats['gpu_freq_mhz'], 0)
+        self.assertNotIn('gpu', self.stats['temperatures_c'])
+        self.assertIn('VDDQ_VDD2_1V8AO', self.stats['power_rails_mw'])
+        self.assertEqual(self.stats['power_total_mw'], 2727)
+
+
+class JetPack6OrinNanoTest(unittest.TestCase):
+    def setUp(self):
+        self.stats = parse_tegrastats(load_fixture('jetpack6_orin_nano.txt'))
+
+    def test_lowercase_zones(self):
+        temps = self.stats['temperatures_c']
+        self.assertEqual(temps['cpu'], 47.5)
+        self.assertEqual(temps['tj'], 47.5)
+        self.assertEqual(self.stats['soc_temp_c'], 46.031)
+
+    def test_swap_and_usage(self):
+        self.assertEqual(self.stats['swap_used_mb'], 512)
+        self.assertEqual(self.stats['swap_cached_mb'], 12)
+        self.assertEqual(self.stats['gpu_usage_percent'], 15)
+        self.assertEqual(self.stats['gpu_freq_mhz'], 612)
+        self.assertEqual(self.stats['emc_usage_percent'], 3)
+        self.assertEqual(self.stats['cpu_usage_percent'], 9.17)
+
+    def test_current_and_average_power(self):
+        self.assertEqual(self.stats['power_rails_mw']['VDD_IN'], {'current_mw': 6479, 'average_mw': 5120})
+        self.assertEqual(self.stats['power_total_mw'], 6479)
+
+    def test_engine_status_words_are_ignored(self):
+        self.assertNotIn('nvenc', self.stats['temperatures_c'])
+
+
+class TempSuffixFormatTest(unittest.TestCase):
+    def setUp(self):
+        self.stats = parse_tegrastats(load_fixture('custom_temp_fields.txt'))
+
+    def test_named_temp_fields(self):
+        self.assertEqual(self.stats['temperatures_c'], {'cpu': 36.0, 'gpu': 34.5, 'soc': 35.5, 'tj': 36.2})
+        self.assertEqual(self.stats['soc_temp_c'], 35.5)
+
+    def test_ram_with_colon_and_gpu_without_frequency(self):
+        self.assertEqual(self.stats['ram_used_gb'], 1.64)
+        self.assertEqual(self.stats['gpu_usage_percent'], 0)
+        self.assertNotIn('gpu_freq_mhz', self.stats)
+        self.assertNotIn('swap_used_mb', self.stats)
+
+
+class EdgeCaseTest(unittest.TestCase):
+    def test_empty_line(self):
+        self.assertEqual(parse_tegrastats(''), {})
+
+    def test_core_without_frequency(self):
+        self.assertEqual(parse_cpu_cores('5%')[0]['freq_mhz'], None)
+
+
+if __name__ == '__main__':
+    unittest.main()